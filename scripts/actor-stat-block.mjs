@@ -0,0 +1,265 @@
+/**
+ * Actor stat blocks.
+ *
+ * Converts between the system-neutral stat block shape used by the
+ * create_actor tool and Foundry actor data, so an actor created from a
+ * stat block serializes back to the same shape.
+ *
+ * Stat block shape:
+ * {
+ *   name: string,
+ *   type?: string,              // actor type, defaults to the system's NPC type
+ *   img?: string,
+ *   description?: string,
+ *   level?: number,             // level, CR or threat rating
+ *   hp?: { value: number, max: number },
+ *   ac?: number,                // armor class / defense
+ *   attributes?: { [key]: number },
+ *   skills?: { [key]: number },
+ *   items?: [{ name: string, type: string, description?: string }]
+ * }
+ */
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Year Zero Engine system IDs (share one stat layout).
+ *
+ * @type {string[]}
+ */
+const YZE_SYSTEMS = ['yzecoriolis', 'forbidden-lands', 'alienrpg', 'mutant-year-zero', 'vaesen'];
+
+/**
+ * Where each stat block field lives in actor.system, per game system.
+ * Attribute and skill maps are { root, leaf }: the stat "str" is stored at
+ * `${root}.str.${leaf}`. Fields without a path are kept only in the
+ * actor's Loremaster flags.
+ *
+ * @type {Object<string, object>}
+ */
+const SYSTEM_MAPPINGS = {
+  dnd5e: {
+    actorType: 'npc',
+    attributes: { root: 'abilities', leaf: 'value' },
+    skills: { root: 'skills', leaf: 'value' },
+    hpValue: 'attributes.hp.value',
+    hpMax: 'attributes.hp.max',
+    ac: 'attributes.ac.flat',
+    level: 'details.cr',
+    description: 'details.biography.value'
+  },
+  pf2e: {
+    actorType: 'npc',
+    attributes: { root: 'abilities', leaf: 'mod' },
+    hpValue: 'attributes.hp.value',
+    hpMax: 'attributes.hp.max',
+    ac: 'attributes.ac.value',
+    level: 'details.level.value',
+    description: 'details.publicNotes'
+  },
+  CoC7: {
+    actorType: 'npc',
+    attributes: { root: 'characteristics', leaf: 'value' },
+    hpValue: 'attribs.hp.value',
+    hpMax: 'attribs.hp.max'
+  },
+  yze: {
+    actorType: 'npc',
+    attributes: { root: 'attributes', leaf: 'value' },
+    skills: { root: 'skills', leaf: 'value' },
+    hpValue: 'hitPoints.value',
+    hpMax: 'hitPoints.max'
+  },
+  generic: {
+    actorType: 'npc'
+  }
+};
+
+/**
+ * Get the stat block field mapping for a game system.
+ *
+ * @param {string} systemId - Game system ID.
+ * @returns {object} Field mapping.
+ */
+export function getStatBlockMapping(systemId) {
+  if (YZE_SYSTEMS.includes(systemId)) return SYSTEM_MAPPINGS.yze;
+  return SYSTEM_MAPPINGS[systemId] || SYSTEM_MAPPINGS.generic;
+}
+
+/**
+ * Read a dotted path from an object.
+ *
+ * @param {object} obj - Source object.
+ * @param {string} path - Dotted path.
+ * @returns {*} Value or undefined.
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => o?.[key], obj);
+}
+
+/**
+ * Write a dotted path into an object, creating intermediate objects.
+ *
+ * @param {object} obj - Target object.
+ * @param {string} path - Dotted path.
+ * @param {*} value - Value to set.
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, key) => {
+    if (typeof o[key] !== 'object' || o[key] === null) o[key] = {};
+    return o[key];
+  }, obj);
+  target[last] = value;
+}
+
+/**
+ * Pick the actor type for a stat block.
+ *
+ * @param {string} [requested] - Type requested in the stat block.
+ * @param {string[]} actorTypes - Actor types the system supports.
+ * @param {object} mapping - System mapping.
+ * @returns {string} Actor type.
+ */
+function pickActorType(requested, actorTypes, mapping) {
+  if (requested && actorTypes.includes(requested)) return requested;
+  if (actorTypes.includes(mapping.actorType)) return mapping.actorType;
+  return actorTypes[0] || mapping.actorType;
+}
+
+/**
+ * Convert a stat block into actor creation data.
+ *
+ * @param {object} statBlock - Stat block (see module header).
+ * @param {object} options - Conversion options.
+ * @param {string} options.systemId - Game system ID.
+ * @param {string[]} options.actorTypes - Actor types the system supports.
+ * @param {string[]} [options.itemTypes] - Item types the system supports; others are skipped.
+ * @returns {{data: object, skippedItems: string[]}} Actor data for Actor.create and skipped item names.
+ */
+export function statBlockToActorData(statBlock, { systemId, actorTypes, itemTypes = [] }) {
+  if (!statBlock?.name) {
+    throw new Error('Stat block requires a name');
+  }
+
+  const mapping = getStatBlockMapping(systemId);
+  const system = {};
+
+  for (const field of ['attributes', 'skills']) {
+    const target = mapping[field];
+    if (!target || !statBlock[field]) continue;
+    for (const [key, value] of Object.entries(statBlock[field])) {
+      setPath(system, `${target.root}.${key.toLowerCase()}.${target.leaf}`, value);
+    }
+  }
+
+  if (statBlock.hp) {
+    if (mapping.hpValue) setPath(system, mapping.hpValue, statBlock.hp.value ?? statBlock.hp.max);
+    if (mapping.hpMax) setPath(system, mapping.hpMax, statBlock.hp.max ?? statBlock.hp.value);
+  }
+  if (statBlock.ac !== undefined && mapping.ac) setPath(system, mapping.ac, statBlock.ac);
+  if (statBlock.level !== undefined && mapping.level) setPath(system, mapping.level, statBlock.level);
+  if (statBlock.description && mapping.description) setPath(system, mapping.description, statBlock.description);
+
+  const items = [];
+  const skippedItems = [];
+  for (const item of statBlock.items || []) {
+    if (!item?.name) continue;
+    if (!itemTypes.includes(item.type)) {
+      skippedItems.push(item.name);
+      continue;
+    }
+    items.push({
+      name: item.name,
+      type: item.type,
+      system: item.description ? { description: { value: item.description } } : {}
+    });
+  }
+
+  const data = {
+    name: statBlock.name,
+    type: pickActorType(statBlock.type, actorTypes, mapping),
+    system,
+    items,
+    flags: { [MODULE_ID]: { statBlock: { ...statBlock } } }
+  };
+  if (statBlock.img) data.img = statBlock.img;
+
+  return { data, skippedItems };
+}
+
+/**
+ * Convert an actor back into a stat block.
+ * Values found in the actor's system data win over the stat block stored
+ * in its Loremaster flags, so edits made in Foundry are reflected.
+ *
+ * @param {object} actor - Actor (or plain actor data) with name, type, img, system, items, flags.
+ * @param {string} systemId - Game system ID.
+ * @returns {object} Stat block.
+ */
+export function actorToStatBlock(actor, systemId) {
+  const mapping = getStatBlockMapping(systemId);
+  const stored = actor.flags?.[MODULE_ID]?.statBlock || {};
+  const system = actor.system || {};
+  const statBlock = { ...stored, name: actor.name, type: actor.type };
+
+  if (actor.img) statBlock.img = actor.img;
+
+  for (const field of ['attributes', 'skills']) {
+    const target = mapping[field];
+    const root = target ? getPath(system, target.root) : null;
+    if (!root || typeof root !== 'object') continue;
+
+    const values = {};
+    for (const [key, entry] of Object.entries(root)) {
+      const value = entry?.[target.leaf];
+      if (typeof value === 'number') values[key] = value;
+    }
+    if (Object.keys(values).length > 0) statBlock[field] = values;
+  }
+
+  const hpValue = mapping.hpValue ? getPath(system, mapping.hpValue) : undefined;
+  const hpMax = mapping.hpMax ? getPath(system, mapping.hpMax) : undefined;
+  if (hpValue !== undefined || hpMax !== undefined) {
+    statBlock.hp = { value: hpValue ?? stored.hp?.value, max: hpMax ?? stored.hp?.max };
+  }
+
+  for (const field of ['ac', 'level', 'description']) {
+    const value = mapping[field] ? getPath(system, mapping[field]) : undefined;
+    if (value !== undefined && value !== null && value !== '') statBlock[field] = value;
+  }
+
+  const items = Array.from(actor.items || []);
+  if (items.length > 0) {
+    statBlock.items = items.map(i => {
+      const description = i.system?.description?.value;
+      return description ? { name: i.name, type: i.type, description } : { name: i.name, type: i.type };
+    });
+  }
+
+  return statBlock;
+}
+
+/**
+ * Pick the Loremaster-created actors a newly published canon entry
+ * introduced: those not yet linked to canon whose name the entry mentions
+ * as a whole word, ignoring case.
+ *
+ * @param {Array<object>} actors - Actors (or plain actor data) with name and flags.
+ * @param {string} content - Published canon text.
+ * @returns {Array<object>} Actors to link to the canon entry.
+ */
+export function actorsIntroducedBy(actors, content) {
+  const text = String(content || '').toLowerCase();
+  if (!text) return [];
+
+  return Array.from(actors).filter(actor => {
+    const flags = actor.flags?.[MODULE_ID] || {};
+    const name = actor.name?.trim().toLowerCase();
+    if (!flags.createdByLoremaster || flags.canonId || !name) return false;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+  });
+}
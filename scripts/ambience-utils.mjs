@@ -0,0 +1,106 @@
+/**
+ * Ambience matching helpers.
+ *
+ * Picks playlists and sounds for the set_ambience tool by scoring mood
+ * keywords and tags against playlist and sound names; the tool handler
+ * owns the actual playback.
+ */
+
+/**
+ * Mood keywords and the words a GM is likely to use in playlist or sound
+ * names for them. A keyword always matches itself as well.
+ *
+ * @type {Object<string, string[]>}
+ */
+export const MOOD_SYNONYMS = {
+  tense: ['tension', 'suspense', 'suspenseful', 'danger', 'stealth'],
+  spooky: ['creepy', 'horror', 'eerie', 'haunted', 'crypt', 'undead', 'dark'],
+  combat: ['battle', 'fight', 'action', 'boss', 'war'],
+  calm: ['peaceful', 'relaxing', 'ambient', 'quiet', 'gentle'],
+  tavern: ['inn', 'pub', 'bar', 'feast'],
+  town: ['city', 'village', 'market', 'street'],
+  nature: ['forest', 'woods', 'wilderness', 'birds', 'meadow'],
+  dungeon: ['cave', 'cavern', 'crypt', 'tomb', 'underground', 'sewer'],
+  sad: ['sorrow', 'melancholy', 'mourning', 'funeral', 'grief'],
+  epic: ['heroic', 'triumph', 'victory', 'adventure'],
+  mysterious: ['mystery', 'mystic', 'magic', 'arcane', 'strange'],
+  storm: ['rain', 'thunder', 'wind', 'weather']
+};
+
+/**
+ * Split a name into lowercase words.
+ *
+ * @param {string} name - Playlist or sound name.
+ * @returns {string[]} Words.
+ */
+export function tokenizeName(name) {
+  return (name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Expand mood keywords and tags into the set of words to look for.
+ *
+ * @param {string[]} keywords - Mood keywords or tags.
+ * @returns {Set<string>} Search terms.
+ */
+export function expandMoodKeywords(keywords = []) {
+  const terms = new Set();
+  for (const keyword of keywords) {
+    for (const word of tokenizeName(keyword)) {
+      terms.add(word);
+      for (const synonym of MOOD_SYNONYMS[word] || []) terms.add(synonym);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Score a name against search terms.
+ * A whole-word match counts 2, a partial match ("crypts" for "crypt") 1.
+ *
+ * @param {string} name - Playlist or sound name.
+ * @param {Set<string>} terms - Search terms from expandMoodKeywords.
+ * @returns {number} Score (0 when nothing matches).
+ */
+export function scoreName(name, terms) {
+  const words = tokenizeName(name);
+  let score = 0;
+  for (const term of terms) {
+    if (words.includes(term)) score += 2;
+    else if (words.some(w => w.includes(term) || (w.length > 3 && term.includes(w)))) score += 1;
+  }
+  return score;
+}
+
+/**
+ * Rank playlists and their sounds against mood keywords.
+ * A matching sound scores its own name plus its playlist's name, so for
+ * "spooky" a "Crypt Wind" sound in a "Horror" playlist beats one in a
+ * "Town" playlist.
+ * Whole playlists are ranked alongside single sounds; on a tie the whole
+ * playlist wins.
+ *
+ * @param {Array<{id: string, name: string, sounds: Array<{id: string, name: string}>}>} playlists - Playlists.
+ * @param {string[]} keywords - Mood keywords or tags.
+ * @returns {Array<{playlistId: string, soundId: string|null, score: number}>} Matches, best first.
+ */
+export function rankAmbience(playlists, keywords) {
+  const terms = expandMoodKeywords(keywords);
+  if (terms.size === 0) return [];
+
+  const matches = [];
+  for (const playlist of playlists) {
+    const playlistScore = scoreName(playlist.name, terms);
+    if (playlistScore > 0) {
+      matches.push({ playlistId: playlist.id, soundId: null, score: playlistScore });
+    }
+    for (const sound of playlist.sounds || []) {
+      const soundScore = scoreName(sound.name, terms);
+      if (soundScore > 0) {
+        matches.push({ playlistId: playlist.id, soundId: sound.id, score: soundScore + playlistScore });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score || (a.soundId === null ? -1 : 0) - (b.soundId === null ? -1 : 0));
+}
@@ -130,6 +130,11 @@ Keep responses concise but flavorful. Aim for 1-3 paragraphs unless more detail
       fullMessage += `[Combatants: ${combatants}]\n`;
     }
 
+    // Add context provider blocks (tokens, selection, effects, time, journal)
+    if (context.awareness) {
+      fullMessage += `${context.awareness}\n`;
+    }
+
     // Add recent chat for continuity
     if (context.recentChat && context.recentChat.length > 0) {
       fullMessage += '[Recent conversation:\n';
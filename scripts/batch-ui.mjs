@@ -2,14 +2,35 @@
  * Loremaster Batch UI
  *
  * Provides the visual interface for batch message collection,
- * including the floating indicator panel and GM controls.
+ * including the floating indicator panel and GM controls, and the
+ * players' ready/pass controls.
  */
 
 import { getSetting } from './config.mjs';
 import { PlayerContext } from './player-context.mjs';
+import { describePlayers } from './ready-check.mjs';
 
 const MODULE_ID = 'loremaster';
 
+/**
+ * How often a player re-sends the typing ping while typing, in milliseconds.
+ *
+ * @type {number}
+ */
+const TYPING_PING_INTERVAL_MS = 2000;
+
+/**
+ * Icons for each player ready-check state.
+ *
+ * @type {Object<string, string>}
+ */
+const PLAYER_STATE_ICONS = {
+  ready: 'fa-check',
+  passed: 'fa-forward',
+  typing: 'fa-keyboard',
+  thinking: 'fa-hourglass-half'
+};
+
 /**
  * BatchUI class manages the batch collection indicator and controls.
  */
@@ -20,15 +41,20 @@ export class BatchUI {
    * @param {Object} options - Configuration options.
    * @param {Function} options.onSendNow - Callback for send now button.
    * @param {Function} options.onClear - Callback for clear button.
+   * @param {Function} options.onPlayerStatus - Callback with 'ready', 'passed' or null when a player toggles ready/pass.
+   * @param {Function} options.onTyping - Callback with true/false while a player types a Loremaster message.
    */
   constructor(options = {}) {
     this.onSendNow = options.onSendNow || (() => {});
     this.onClear = options.onClear || (() => {});
+    this.onPlayerStatus = options.onPlayerStatus || (() => {});
+    this.onTyping = options.onTyping || (() => {});
 
     this.element = null;
     this.isVisible = false;
     this.currentState = null;
     this.timerValue = 0;
+    this._lastTypingPing = 0;
   }
 
   /**
@@ -39,11 +65,12 @@ export class BatchUI {
     // GM-only: the batch indicator (timer + Send Now / Clear buttons + message
     // preview) is the GM's flow-control panel. Players' @lm messages still get
     // synced into the batch via socket, but they don't see the countdown or
-    // the send/clear controls and can't trigger a send. Skipping DOM injection
-    // entirely (rather than rendering with disabled buttons) keeps the player
-    // chat surface clean.
+    // the send/clear controls and can't trigger a send. Players get a compact
+    // ready/pass bar instead, and report when they are typing.
     if (!game.user?.isGM) {
-      console.log(`${MODULE_ID} | Batch UI: non-GM client, skipping indicator render`);
+      this._createPlayerControls();
+      this._watchChatInput();
+      console.log(`${MODULE_ID} | Batch UI: non-GM client, rendering ready/pass controls`);
       return;
     }
 
@@ -92,6 +119,7 @@ export class BatchUI {
         </div>
         <div class="loremaster-batch-timer">--</div>
       </div>
+      <div class="loremaster-batch-players"></div>
       <div class="loremaster-batch-messages">
         <div class="loremaster-batch-empty">
           ${game.i18n?.localize('LOREMASTER.Batch.Empty') || 'Waiting for player messages...'}
@@ -108,6 +136,70 @@ export class BatchUI {
     `;
   }
 
+  /**
+   * Create the players' ready/pass bar.
+   *
+   * @private
+   */
+  _createPlayerControls() {
+    if (this.element) {
+      this.element.remove();
+    }
+
+    this.element = document.createElement('div');
+    this.element.className = 'loremaster-batch-indicator loremaster-batch-player-controls hidden';
+    this.element.innerHTML = `
+      <div class="loremaster-batch-title">
+        ${game.i18n?.localize('LOREMASTER.Batch.Title') || 'Collecting Messages'}
+        <span class="loremaster-batch-count">0</span>
+      </div>
+      <div class="loremaster-batch-controls">
+        <button class="loremaster-ready-btn" type="button" data-status="ready">
+          <i class="fas fa-check"></i> ${game.i18n?.localize('LOREMASTER.Batch.Ready') || 'Ready'}
+        </button>
+        <button class="loremaster-pass-btn" type="button" data-status="passed">
+          <i class="fas fa-forward"></i> ${game.i18n?.localize('LOREMASTER.Batch.Pass') || 'Pass'}
+        </button>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+
+    // Clicking the active choice again clears it
+    this.element.querySelectorAll('[data-status]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const status = btn.dataset.status;
+        const current = this.currentState?.playerStatus?.[game.user.id];
+        this.onPlayerStatus(current === status ? null : status);
+      });
+    });
+  }
+
+  /**
+   * Report typing while the player writes a Loremaster message in the chat box.
+   * Pings are throttled; clearing the box reports that typing stopped.
+   *
+   * @private
+   */
+  _watchChatInput() {
+    document.addEventListener('input', (event) => {
+      if (event.target?.id !== 'chat-message') return;
+
+      const text = event.target.value?.trim() || '';
+      if (!text) {
+        this._lastTypingPing = 0;
+        this.onTyping(false);
+        return;
+      }
+      if (!text.startsWith(getSetting('triggerPrefix'))) return;
+
+      const now = Date.now();
+      if (now - this._lastTypingPing < TYPING_PING_INTERVAL_MS) return;
+      this._lastTypingPing = now;
+      this.onTyping(true);
+    });
+  }
+
   /**
    * Attach event listeners to the indicator buttons.
    *
@@ -144,13 +236,60 @@ export class BatchUI {
     const showIndicator = getSetting('showBatchIndicator');
     const isGM = game.user?.isGM;
 
-    if (!showIndicator || !state.isCollecting) {
+    // The GM also sees the panel while a player is typing the first message
+    const active = state.isCollecting || (isGM && state.typingUserIds?.length > 0);
+    if (!showIndicator || !active) {
       this.hide();
       return;
     }
 
     this.show();
-    this._updateContent(state);
+    if (isGM) {
+      this._updateContent(state);
+    } else {
+      this._updatePlayerControls(state);
+    }
+  }
+
+  /**
+   * Update the players' ready/pass bar.
+   *
+   * @param {Object} state - The batch state.
+   * @private
+   */
+  _updatePlayerControls(state) {
+    const countEl = this.element.querySelector('.loremaster-batch-count');
+    if (countEl) {
+      countEl.textContent = state.messageCount + state.rulingCount;
+    }
+
+    const current = state.playerStatus?.[game.user.id];
+    this.element.querySelectorAll('[data-status]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.status === current);
+    });
+  }
+
+  /**
+   * Show each active player's ready-check state to the GM.
+   *
+   * @param {Object} state - The batch state.
+   * @private
+   */
+  _updatePlayerList(state) {
+    const playersEl = this.element?.querySelector('.loremaster-batch-players');
+    if (!playersEl) return;
+
+    const players = game.users.filter(u => u.active && !u.isGM).map(u => ({ id: u.id, name: u.name }));
+    const described = describePlayers(players, state.playerStatus || {}, state.typingUserIds || []);
+
+    playersEl.innerHTML = described.map(p => {
+      const label = game.i18n?.localize(`LOREMASTER.Batch.PlayerState.${p.state}`) || p.state;
+      return `
+        <span class="loremaster-batch-player state-${p.state}" title="${label}">
+          <i class="fas ${PLAYER_STATE_ICONS[p.state]}"></i> ${this._escapeHtml(p.name)}
+        </span>
+      `;
+    }).join('');
   }
 
   /**
@@ -186,9 +325,10 @@ export class BatchUI {
     const modeEl = this.element.querySelector('.loremaster-batch-mode');
     if (modeEl) {
       const mode = getSetting('batchingMode');
-      const modeText = mode === 'timer'
-        ? (game.i18n?.localize('LOREMASTER.Batch.TimerMode') || 'Timer Mode')
-        : (game.i18n?.localize('LOREMASTER.Batch.ManualMode') || 'Manual Mode');
+      const modeText = {
+        timer: game.i18n?.localize('LOREMASTER.Batch.TimerMode') || 'Timer Mode',
+        initiative: game.i18n?.localize('LOREMASTER.Batch.InitiativeMode') || 'Initiative Mode'
+      }[mode] || game.i18n?.localize('LOREMASTER.Batch.ManualMode') || 'Manual Mode';
       modeEl.textContent = modeText;
     }
 
@@ -196,12 +336,15 @@ export class BatchUI {
     const timerEl = this.element.querySelector('.loremaster-batch-timer');
     if (timerEl) {
       const mode = getSetting('batchingMode');
-      if (mode === 'manual') {
+      if (mode !== 'timer') {
         timerEl.textContent = '--';
       }
       // Timer mode updates are handled by updateTimer()
     }
 
+    // Update player ready-check states
+    this._updatePlayerList(state);
+
     // Update message list
     this._updateMessageList(state);
 
@@ -420,8 +563,9 @@ export async function showVetoDialog(options = {}) {
  * @param {string} messageId - The message database ID.
  * @param {Function} onVeto - Callback when veto is clicked.
  * @param {Function} onRegenerate - Callback when regenerate is clicked.
+ * @param {Function} [onRollback] - Callback when roll back is clicked; the button is omitted without it.
  */
-export function addVetoControls(messageElement, messageId, onVeto, onRegenerate) {
+export function addVetoControls(messageElement, messageId, onVeto, onRegenerate, onRollback = null) {
   // Only show for GM
   if (!game.user?.isGM) return;
 
@@ -430,6 +574,8 @@ export function addVetoControls(messageElement, messageId, onVeto, onRegenerate)
 
   const vetoText = game.i18n?.localize('LOREMASTER.Veto.Button') || 'Veto';
   const regenText = game.i18n?.localize('LOREMASTER.Veto.Regenerate') || 'Regenerate';
+  const rollbackText = game.i18n?.localize('LOREMASTER.Veto.Rollback') || 'Roll Back Here';
+  const rollbackHint = game.i18n?.localize('LOREMASTER.Veto.RollbackHint') || 'Make the Loremaster forget everything after this response';
 
   const controlsHtml = `
     <div class="loremaster-response-controls">
@@ -439,6 +585,10 @@ export function addVetoControls(messageElement, messageId, onVeto, onRegenerate)
       <button class="loremaster-regenerate-btn" type="button" data-message-id="${messageId}">
         <i class="fas fa-redo"></i> ${regenText}
       </button>
+      ${onRollback ? `
+      <button class="loremaster-rollback-btn" type="button" data-message-id="${messageId}" title="${rollbackHint}">
+        <i class="fas fa-history"></i> ${rollbackText}
+      </button>` : ''}
     </div>
   `;
 
@@ -451,6 +601,7 @@ export function addVetoControls(messageElement, messageId, onVeto, onRegenerate)
     // Attach event listeners
     const vetoBtn = messageElement.querySelector('.loremaster-veto-btn');
     const regenBtn = messageElement.querySelector('.loremaster-regenerate-btn');
+    const rollbackBtn = messageElement.querySelector('.loremaster-rollback-btn');
 
     if (vetoBtn) {
       vetoBtn.addEventListener('click', async (e) => {
@@ -468,5 +619,53 @@ export function addVetoControls(messageElement, messageId, onVeto, onRegenerate)
         onRegenerate?.(messageId);
       });
     }
+
+    if (rollbackBtn) {
+      rollbackBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        onRollback?.(messageId);
+      });
+    }
+  }
+}
+
+/**
+ * Mark an AI response that is no longer part of the conversation.
+ * Superseded responses link to the response that replaced them; rolled
+ * back responses just say so.
+ *
+ * @param {HTMLElement} messageElement - The chat message element.
+ * @param {object} flags - The message's Loremaster flags.
+ */
+export function addHistoryNotice(messageElement, flags) {
+  if (messageElement.querySelector('.loremaster-history-notice')) return;
+
+  const notice = document.createElement('div');
+  notice.className = 'loremaster-history-notice';
+
+  if (flags.supersededBy) {
+    notice.textContent = game.i18n?.localize('LOREMASTER.Veto.Superseded') || 'Replaced by a newer response.';
+
+    if (flags.successorMessageId) {
+      const link = document.createElement('a');
+      link.textContent = game.i18n?.localize('LOREMASTER.Veto.ViewReplacement') || 'View replacement';
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const successor = document.querySelector(`.chat-message[data-message-id="${flags.successorMessageId}"]`);
+        if (successor) {
+          successor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+          ui.notifications.warn(game.i18n?.localize('LOREMASTER.Veto.ReplacementMissing') || 'The replacement response is no longer in chat.');
+        }
+      });
+      notice.append(' ', link);
+    }
+  } else {
+    notice.textContent = game.i18n?.localize('LOREMASTER.Veto.RolledBack') || 'Rolled back: the Loremaster no longer remembers this response.';
   }
+
+  messageElement.classList.add('loremaster-superseded');
+  const contentEl = messageElement.querySelector('.message-content') ||
+                    messageElement.querySelector('.loremaster-response');
+  contentEl?.insertAdjacentElement('beforebegin', notice);
 }
@@ -0,0 +1,58 @@
+/**
+ * Loremaster Campaign Stages
+ *
+ * The stages a campaign moves through (/lm stage, /lm advance, /lm back)
+ * and their display names, and parsing of a stage typed by the GM.
+ */
+
+/**
+ * Valid campaign stages for stage commands, in campaign order.
+ */
+export const VALID_STAGES = ['prologue', 'act_1', 'act_2', 'act_3', 'act_4', 'act_5', 'epilogue', 'appendix'];
+
+/**
+ * Stage display names for user-friendly output.
+ */
+export const STAGE_NAMES = {
+  prologue: 'Prologue',
+  act_1: 'Act 1',
+  act_2: 'Act 2',
+  act_3: 'Act 3',
+  act_4: 'Act 4',
+  act_5: 'Act 5',
+  epilogue: 'Epilogue',
+  appendix: 'Appendix'
+};
+
+/**
+ * Normalize stage input to canonical format.
+ * Accepts formats like "act 1", "act1", "Act 1", "ACT_1" and normalizes to "act_1".
+ *
+ * @param {string} input - The raw stage input from user.
+ * @returns {string} Normalized stage name (e.g., "act_1") or original if no match.
+ */
+export function normalizeStage(input) {
+  if (!input) return input;
+
+  const normalized = input.toLowerCase().trim();
+
+  // Direct match
+  if (VALID_STAGES.includes(normalized)) {
+    return normalized;
+  }
+
+  // Handle "act 1", "act1", "act-1" → "act_1"
+  const actMatch = normalized.match(/^act\s*[-_]?\s*([1-5])$/);
+  if (actMatch) {
+    return `act_${actMatch[1]}`;
+  }
+
+  // Handle roman numerals: "act i", "act ii", etc.
+  const romanMap = { i: '1', ii: '2', iii: '3', iv: '4', v: '5' };
+  const romanMatch = normalized.match(/^act\s*[-_]?\s*(i{1,3}|iv|v)$/);
+  if (romanMatch && romanMap[romanMatch[1]]) {
+    return `act_${romanMap[romanMatch[1]]}`;
+  }
+
+  return normalized;
+}
@@ -0,0 +1,139 @@
+/**
+ * Loremaster Canon Entries
+ *
+ * Helpers for browsing canon (the official campaign history) on the
+ * client: normalizing the server's entries, filtering them by scene,
+ * session date and text, and paging the result. list-canon only pages,
+ * so the Canon Manager loads every entry and filters here.
+ */
+
+import { normalizeStage } from './campaign-stages.mjs';
+
+/**
+ * Read an entry's stored scene context, which the server may return as an
+ * object or as a JSON string.
+ *
+ * @param {Object|string|null} raw - Stored scene context.
+ * @returns {Object|null} The context object, or null if there is none.
+ */
+function readSceneContext(raw) {
+  if (typeof raw !== 'string') return raw || null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the scene from an entry's scene context.
+ *
+ * @param {Object|string|null} raw - Stored scene context.
+ * @returns {{id: string|null, name: string}|null} Scene, or null if none.
+ */
+export function parseSceneContext(raw) {
+  const scene = readSceneContext(raw);
+  if (!scene || (!scene.id && !scene.name)) return null;
+  return { id: scene.id || null, name: scene.name || scene.id };
+}
+
+/**
+ * Get the local calendar date of a timestamp, e.g. '2026-10-19'.
+ * Canon published on the same day is treated as one session.
+ *
+ * @param {Date} date - The timestamp.
+ * @returns {string} Date key.
+ */
+export function sessionDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Normalize a canon entry from list-canon.
+ *
+ * @param {Object} raw - Entry as returned by the server.
+ * @returns {{id: *, content: string, messageId: string|null, scene: Object|null, stage: string|null, createdAt: Date|null, sessionDate: string|null}} Entry.
+ */
+export function normalizeCanonEntry(raw) {
+  const sceneContext = raw.scene_context ?? raw.sceneContext;
+  const stage = raw.stage ?? readSceneContext(sceneContext)?.stage;
+  const created = raw.created_at ?? raw.createdAt;
+  const createdAt = created ? new Date(created) : null;
+  const valid = createdAt && !Number.isNaN(createdAt.getTime());
+
+  return {
+    id: raw.id ?? raw.canonId,
+    content: raw.content || '',
+    messageId: raw.message_id ?? raw.messageId ?? null,
+    scene: parseSceneContext(sceneContext),
+    // Entries published before stages were recorded have none
+    stage: stage ? normalizeStage(stage) : null,
+    createdAt: valid ? createdAt : null,
+    sessionDate: valid ? sessionDateKey(createdAt) : null
+  };
+}
+
+/**
+ * Get the scenes canon entries were published in, for the scene filter.
+ *
+ * @param {Array<Object>} entries - Normalized entries.
+ * @returns {Array<{id: string, name: string}>} Scenes, by name.
+ */
+export function canonScenes(entries) {
+  const scenes = new Map();
+  for (const { scene } of entries) {
+    if (scene) scenes.set(scene.id || scene.name, { id: scene.id || scene.name, name: scene.name });
+  }
+  return [...scenes.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the session dates canon entries were published on, for the date filter.
+ *
+ * @param {Array<Object>} entries - Normalized entries.
+ * @returns {string[]} Date keys, newest first.
+ */
+export function canonSessionDates(entries) {
+  return [...new Set(entries.map(e => e.sessionDate).filter(Boolean))].sort().reverse();
+}
+
+/**
+ * Filter canon entries. Empty filters match everything; search matches
+ * every word of the text, ignoring case.
+ *
+ * @param {Array<Object>} entries - Normalized entries.
+ * @param {Object} filters - Filters.
+ * @param {string} [filters.sceneId] - Scene ID (or name, for entries without one).
+ * @param {string} [filters.date] - Session date key.
+ * @param {string} [filters.search] - Search text.
+ * @returns {Array<Object>} Matching entries, in their original order.
+ */
+export function filterCanon(entries, { sceneId = '', date = '', search = '' } = {}) {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries.filter(entry => {
+    if (sceneId && (entry.scene?.id || entry.scene?.name) !== sceneId) return false;
+    if (date && entry.sessionDate !== date) return false;
+    if (words.length) {
+      const text = entry.content.toLowerCase();
+      if (!words.every(word => text.includes(word))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Get one page of a list.
+ *
+ * @param {Array} items - All items.
+ * @param {number} page - Page number, from 1; clamped to the pages there are.
+ * @param {number} pageSize - Items per page.
+ * @returns {{items: Array, page: number, pageCount: number}} The page.
+ */
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const start = (current - 1) * pageSize;
+  return { items: items.slice(start, start + pageSize), page: current, pageCount };
+}
@@ -0,0 +1,408 @@
+/**
+ * Loremaster Canon Manager
+ *
+ * Application window for browsing and correcting canon, the official
+ * campaign history the Loremaster treats as fact. Entries are shown as a
+ * paginated timeline, newest first, and can be filtered by the scene they
+ * were published in, the session date and text. The GM can edit an entry
+ * in place, delete it (a retcon), or jump to the chat message it came from,
+ * and export the whole history as a chronicle for the players.
+ */
+
+import { formatResponse } from './message-formatter.mjs';
+import {
+  normalizeCanonEntry,
+  canonScenes,
+  canonSessionDates,
+  filterCanon,
+  paginate
+} from './canon-entries.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Entries requested per list-canon call while loading.
+ *
+ * @type {number}
+ */
+const LOAD_BATCH_SIZE = 100;
+
+/**
+ * Entries shown per page.
+ *
+ * @type {number}
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * How long a chat message stays highlighted after jumping to it, in milliseconds.
+ *
+ * @type {number}
+ */
+const HIGHLIGHT_MS = 2000;
+
+/**
+ * Load every canon entry. list-canon can't filter, so the whole history
+ * is fetched in batches and filtered on the client.
+ *
+ * @param {SocketClient} socketClient - The socket client for server communication.
+ * @returns {Promise<Array<Object>>} Normalized entries, in server order.
+ */
+export async function loadAllCanon(socketClient) {
+  const raw = [];
+  for (;;) {
+    const result = await socketClient.listCanon(LOAD_BATCH_SIZE, raw.length);
+    const batch = result.canon || [];
+    raw.push(...batch);
+    if (batch.length < LOAD_BATCH_SIZE || (result.total && raw.length >= result.total)) break;
+  }
+  return raw.map(normalizeCanonEntry);
+}
+
+/**
+ * CanonManager Application class for browsing and editing canon.
+ */
+export class CanonManager extends Application {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   * @param {ChronicleExporter} chronicleExporter - Exports canon as a campaign chronicle.
+   * @param {object} options - Application options.
+   */
+  constructor(socketClient, chronicleExporter, options = {}) {
+    super(options);
+    this.socketClient = socketClient;
+    this.chronicleExporter = chronicleExporter;
+    this.entries = [];
+    this.filters = { sceneId: '', date: '', search: '' };
+    this.page = 1;
+    this.editingId = null;
+    this.isLoading = false;
+    this._loaded = false;
+  }
+
+  /**
+   * Default application options.
+   *
+   * @returns {object} The default options.
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'loremaster-canon-manager',
+      title: game.i18n?.localize('LOREMASTER.CanonManager.Title') || 'Canon Manager',
+      template: 'modules/loremaster/templates/canon-manager.hbs',
+      classes: ['loremaster', 'canon-manager'],
+      width: 600,
+      height: 650,
+      resizable: true,
+      minimizable: true
+    });
+  }
+
+  /**
+   * Get data for template rendering.
+   *
+   * @param {object} options - Render options.
+   * @returns {object} Template data.
+   */
+  async getData(options = {}) {
+    const data = await super.getData(options);
+    const filtered = filterCanon(this.entries, this.filters);
+    const { items, page, pageCount } = paginate(filtered, this.page, PAGE_SIZE);
+    this.page = page;
+
+    return {
+      ...data,
+      isLoading: this.isLoading,
+      isGM: game.user.isGM,
+      filters: this.filters,
+      scenes: canonScenes(this.entries),
+      dates: canonSessionDates(this.entries).map(key => ({
+        key,
+        label: new Date(`${key}T00:00:00`).toLocaleDateString()
+      })),
+      entries: items.map(entry => ({
+        ...entry,
+        html: formatResponse(entry.content),
+        date: entry.createdAt ? entry.createdAt.toLocaleString() : '',
+        sceneName: entry.scene?.name || null,
+        chatMessageId: this._findChatMessage(entry.messageId)?.id || null,
+        isEditing: entry.id === this.editingId
+      })),
+      totalCount: this.entries.length,
+      matchCount: filtered.length,
+      page,
+      pageCount,
+      hasPrev: page > 1,
+      hasNext: page < pageCount
+    };
+  }
+
+  /**
+   * Activate event listeners for the application.
+   *
+   * @param {jQuery} html - The rendered HTML.
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html = $(html); // Convert to jQuery for Foundry v12 compatibility
+
+    html.find('.canon-filter').on('change', this._onFilterChange.bind(this));
+    html.find('.canon-search').on('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        $(event.currentTarget).trigger('change');
+      }
+    });
+    html.find('.prev-page-btn').on('click', () => this._goToPage(this.page - 1));
+    html.find('.next-page-btn').on('click', () => this._goToPage(this.page + 1));
+    html.find('.refresh-btn').on('click', this._onRefresh.bind(this));
+    html.find('.export-chronicle-btn').on('click', this._onExportChronicle.bind(this));
+
+    html.find('.edit-canon-btn').on('click', this._onEdit.bind(this));
+    html.find('.save-canon-btn').on('click', this._onSave.bind(this));
+    html.find('.cancel-edit-btn').on('click', this._onCancelEdit.bind(this));
+    html.find('.delete-canon-btn').on('click', this._onDelete.bind(this));
+    html.find('.jump-to-message-btn').on('click', this._onJumpToMessage.bind(this));
+  }
+
+  /**
+   * Handle window render - load canon on first open.
+   *
+   * @param {boolean} force - Force render.
+   * @param {object} options - Render options.
+   */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._loaded) {
+      this._loaded = true;
+      await this._loadCanon();
+    }
+  }
+
+  /**
+   * Load every canon entry into the timeline.
+   *
+   * @private
+   */
+  async _loadCanon() {
+    if (this.isLoading) return;
+
+    this.isLoading = true;
+    this.render(false);
+
+    try {
+      // Newest first, whatever order the server returns
+      this.entries = (await loadAllCanon(this.socketClient))
+        .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load canon:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.CanonManager.LoadError', { error: error.message }));
+    } finally {
+      this.isLoading = false;
+      this.render(false);
+    }
+  }
+
+  /**
+   * Open the window filtered to a search, e.g. from a search result.
+   *
+   * @param {string} search - Search text.
+   */
+  showSearch(search) {
+    this.filters = { sceneId: '', date: '', search: search.trim() };
+    this.page = 1;
+    this.editingId = null;
+    this.render(true);
+  }
+
+  /**
+   * Find the chat message a canon entry was published from.
+   *
+   * @param {string|null} messageId - The entry's stored message ID.
+   * @returns {ChatMessage|null} The chat message, if it is still in the log.
+   * @private
+   */
+  _findChatMessage(messageId) {
+    if (!messageId) return null;
+    return game.messages.find(m => {
+      const flags = m.flags?.[MODULE_ID];
+      return flags?.isCanon && flags.originalMessageId === messageId;
+    }) || null;
+  }
+
+  /**
+   * Get the canon entry a button belongs to.
+   *
+   * @param {Event} event - The click event.
+   * @returns {Object|undefined} The entry.
+   * @private
+   */
+  _getEntry(event) {
+    const id = event.currentTarget.closest('[data-canon-id]')?.dataset.canonId;
+    return this.entries.find(e => String(e.id) === id);
+  }
+
+  /**
+   * Apply a changed filter and go back to the first page.
+   *
+   * @param {Event} event - The change event.
+   * @private
+   */
+  _onFilterChange(event) {
+    const { name, value } = event.currentTarget;
+    this.filters[name] = name === 'search' ? value.trim() : value;
+    this.page = 1;
+    this.editingId = null;
+    this.render(false);
+  }
+
+  /**
+   * Show another page.
+   *
+   * @param {number} page - Page number.
+   * @private
+   */
+  _goToPage(page) {
+    this.page = page;
+    this.editingId = null;
+    this.render(false);
+  }
+
+  /**
+   * Start editing an entry in place.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onEdit(event) {
+    event.preventDefault();
+    const entry = this._getEntry(event);
+    if (!entry) return;
+
+    this.editingId = entry.id;
+    this.render(false);
+  }
+
+  /**
+   * Stop editing without saving.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onCancelEdit(event) {
+    event.preventDefault();
+    this.editingId = null;
+    this.render(false);
+  }
+
+  /**
+   * Save an edited entry. The chat message it came from is left as it was.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onSave(event) {
+    event.preventDefault();
+    const entry = this._getEntry(event);
+    if (!entry) return;
+
+    const content = $(event.currentTarget).closest('[data-canon-id]').find('.canon-edit-input').val().trim();
+    if (!content) {
+      ui.notifications.warn(game.i18n.localize('LOREMASTER.CanonManager.EmptyContent'));
+      return;
+    }
+
+    try {
+      await this.socketClient.updateCanon(entry.id, content);
+      entry.content = content;
+      this.editingId = null;
+      ui.notifications.info(game.i18n.localize('LOREMASTER.CanonManager.Saved'));
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to update canon:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.CanonManager.SaveError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Delete an entry after confirmation. The Loremaster will no longer
+   * treat it as having happened.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onDelete(event) {
+    event.preventDefault();
+    const entry = this._getEntry(event);
+    if (!entry) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('LOREMASTER.CanonManager.DeleteTitle'),
+      content: `<p>${game.i18n.localize('LOREMASTER.CanonManager.DeleteConfirm')}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+    if (!confirmed) return;
+
+    try {
+      await this.socketClient.deleteCanon(entry.id);
+      this.entries = this.entries.filter(e => e !== entry);
+      ui.notifications.info(game.i18n.localize('LOREMASTER.CanonManager.Deleted'));
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to delete canon:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.CanonManager.DeleteError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Show the chat log and scroll to the message an entry was published from.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onJumpToMessage(event) {
+    event.preventDefault();
+    const chatMessageId = event.currentTarget.dataset.messageId;
+
+    // V13 sidebar tabs use changeTab; V12 uses activateTab
+    if (ui.sidebar?.changeTab) ui.sidebar.changeTab('chat', 'primary');
+    else ui.sidebar?.activateTab('chat');
+
+    const element = document.querySelector(`#chat .chat-message[data-message-id="${chatMessageId}"]`)
+      || document.querySelector(`.chat-message[data-message-id="${chatMessageId}"]`);
+    if (!element) {
+      ui.notifications.warn(game.i18n.localize('LOREMASTER.CanonManager.MessageMissing'));
+      return;
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('loremaster-canon-highlight');
+    setTimeout(() => element.classList.remove('loremaster-canon-highlight'), HIGHLIGHT_MS);
+  }
+
+  /**
+   * Handle refresh button click.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onRefresh(event) {
+    event.preventDefault();
+    this.editingId = null;
+    await this._loadCanon();
+  }
+
+  /**
+   * Handle export chronicle button click.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onExportChronicle(event) {
+    event.preventDefault();
+    this.chronicleExporter.open();
+  }
+}
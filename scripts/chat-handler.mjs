@@ -9,61 +9,18 @@
 import { getSetting } from './config.mjs';
 import { formatResponse } from './message-formatter.mjs';
 import { PlayerContext } from './player-context.mjs';
+import { CONTEXT_PROVIDERS, buildProviderContext } from './context-providers.mjs';
+import { ResponseStream } from './response-stream.mjs';
+import { splitAddressedSections, visibleSharedText } from './response-routing.mjs';
+import { QUESTION_MODES, buildQuestionPrompt, isOffTopicAnswer, questionRecipients } from './player-questions.mjs';
+import { estimateTokens } from './context-pipeline.mjs';
+import { splitTokens, usageTokens } from './rate-limits.mjs';
+import { describeRejection } from './user-rate-limiter.mjs';
+import { VALID_STAGES, STAGE_NAMES, normalizeStage } from './campaign-stages.mjs';
+import { linkCreatedActorsToCanon } from './tool-handlers.mjs';
 
 const MODULE_ID = 'loremaster';
 
-/**
- * Valid campaign stages for stage commands.
- */
-const VALID_STAGES = ['prologue', 'act_1', 'act_2', 'act_3', 'act_4', 'act_5', 'epilogue', 'appendix'];
-
-/**
- * Stage display names for user-friendly output.
- */
-const STAGE_NAMES = {
-  prologue: 'Prologue',
-  act_1: 'Act 1',
-  act_2: 'Act 2',
-  act_3: 'Act 3',
-  act_4: 'Act 4',
-  act_5: 'Act 5',
-  epilogue: 'Epilogue',
-  appendix: 'Appendix'
-};
-
-/**
- * Normalize stage input to canonical format.
- * Accepts formats like "act 1", "act1", "Act 1", "ACT_1" and normalizes to "act_1".
- *
- * @param {string} input - The raw stage input from user.
- * @returns {string} Normalized stage name (e.g., "act_1") or original if no match.
- */
-function normalizeStage(input) {
-  if (!input) return input;
-
-  const normalized = input.toLowerCase().trim();
-
-  // Direct match
-  if (VALID_STAGES.includes(normalized)) {
-    return normalized;
-  }
-
-  // Handle "act 1", "act1", "act-1" → "act_1"
-  const actMatch = normalized.match(/^act\s*[-_]?\s*([1-5])$/);
-  if (actMatch) {
-    return `act_${actMatch[1]}`;
-  }
-
-  // Handle roman numerals: "act i", "act ii", etc.
-  const romanMap = { i: '1', ii: '2', iii: '3', iv: '4', v: '5' };
-  const romanMatch = normalized.match(/^act\s*[-_]?\s*(i{1,3}|iv|v)$/);
-  if (romanMatch && romanMap[romanMatch[1]]) {
-    return `act_${romanMap[romanMatch[1]]}`;
-  }
-
-  return normalized;
-}
-
 /**
  * Random thinking phrases displayed while waiting for Loremaster response.
  * Shown as a public chat message to all players.
@@ -253,6 +210,12 @@ export class ChatHandler {
     const element = html instanceof HTMLElement ? html : html?.[0];
     if (!element) return;
 
+    // Private player questions get their status and, for the GM, answer/decline buttons
+    if (message.flags?.[MODULE_ID]?.isPlayerQuestion) {
+      this._decorateQuestionCard(element, message);
+      return;
+    }
+
     // Check if this is a private Loremaster response
     if (!message.flags?.[MODULE_ID]?.isPrivateResponse) {
       return;
@@ -281,6 +244,7 @@ export class ChatHandler {
    * Handle incoming chat messages.
    * Filters for Loremaster triggers and routes to batcher or direct processing.
    * Supports private GM chat mode with @lm! prefix.
+   * Supports player private questions with @lm? prefix.
    * Supports GM commands with /lm prefix.
    *
    * @param {ChatLog} chatLog - The chat log instance.
@@ -297,6 +261,7 @@ export class ChatHandler {
 
     const triggerPrefix = getSetting('triggerPrefix');
     const privateTriggerPrefix = triggerPrefix + '!'; // e.g., @lm! for private
+    const questionPrefix = triggerPrefix + '?'; // e.g., @lm? for a player's private question
     const commandPrefix = '/lm '; // Slash command prefix
 
     // Check for /lm commands first (GM only)
@@ -311,9 +276,10 @@ export class ChatHandler {
 
     // Check if message is intended for Loremaster
     const isPrivate = message.startsWith(privateTriggerPrefix);
-    const isPublic = message.startsWith(triggerPrefix) && !isPrivate;
+    const isQuestion = message.startsWith(questionPrefix);
+    const isPublic = message.startsWith(triggerPrefix) && !isPrivate && !isQuestion;
 
-    if (!isPrivate && !isPublic) {
+    if (!isPrivate && !isQuestion && !isPublic) {
       return true; // Allow normal processing
     }
 
@@ -324,7 +290,7 @@ export class ChatHandler {
     }
 
     // Extract the actual message (remove trigger prefix)
-    const prefix = isPrivate ? privateTriggerPrefix : triggerPrefix;
+    const prefix = isPrivate ? privateTriggerPrefix : (isQuestion ? questionPrefix : triggerPrefix);
     const aiMessage = message.slice(prefix.length).trim();
 
     if (!aiMessage) {
@@ -332,6 +298,13 @@ export class ChatHandler {
       return false;
     }
 
+    // Catch over-long messages before sending; the GM client enforces the limit either way
+    const maxChars = getSetting('rateLimitMaxChars');
+    if (!game.user?.isGM && maxChars > 0 && aiMessage.length > maxChars) {
+      ui.notifications.warn(describeRejection({ reason: 'length', limit: maxChars, length: aiMessage.length }));
+      return false;
+    }
+
     // Get player context for the current user
     const userContext = PlayerContext.getCurrentUserContext();
 
@@ -341,6 +314,12 @@ export class ChatHandler {
       return false;
     }
 
+    // Private questions are whispered back instead of joining the batch
+    if (isQuestion) {
+      this._askPrivateQuestion(aiMessage, userContext);
+      return false;
+    }
+
     // Route through batcher if available, otherwise direct process
     if (this.messageBatcher) {
       // Show player message in chat based on visibility settings
@@ -363,7 +342,7 @@ export class ChatHandler {
 
   /**
    * Handle /lm commands for GM operations.
-   * Supports: stage, advance, back, status, help
+   * Supports: stage, advance, back, status, clear, clear-progress, context, recap, help
    *
    * @param {string} commandStr - The command string after /lm prefix.
    * @private
@@ -405,6 +384,14 @@ export class ChatHandler {
           await this._handleClearProgressCommand(args);
           break;
 
+        case 'context':
+          this._handleContextCommand();
+          break;
+
+        case 'recap':
+          await this._handleRecapCommand();
+          break;
+
         case 'help':
         case '?':
           this._showCommandHelp();
@@ -816,6 +803,48 @@ export class ChatHandler {
     }
   }
 
+  /**
+   * Handle /lm context command.
+   * Shows which context providers are enabled and what each would add to
+   * a request right now, in estimated tokens.
+   *
+   * @private
+   */
+  _handleContextCommand() {
+    if (!getSetting('includeGameContext')) {
+      this._showSystemMessage('Game context is off (**Include Game Context** setting), so no context providers run.');
+      return;
+    }
+
+    const result = buildProviderContext({ speakers: [PlayerContext.getCurrentUserContext()] });
+    const costs = new Map(result.costs.map(c => [c.id, c.tokens]));
+
+    let msg = '**Context Providers:**\n\n';
+    for (const provider of CONTEXT_PROVIDERS) {
+      msg += costs.has(provider.id)
+        ? `- ${provider.label}: ~${costs.get(provider.id)} tokens\n`
+        : `- ${provider.label}: off\n`;
+    }
+    msg += `\n**Total:** ~${result.totalTokens} tokens per request`;
+    msg += '\n\n*Measured for your own selection; each speaker in a batch adds their own selection and targets.*';
+
+    this._showSystemMessage(msg);
+  }
+
+  /**
+   * Handle /lm recap command.
+   * Posts a "Previously on..." recap of the canon since the last session.
+   *
+   * @private
+   */
+  async _handleRecapCommand() {
+    if (!game.loremaster?.sessionRecap) {
+      ui.notifications.warn('Loremaster is not connected.');
+      return;
+    }
+    await game.loremaster.sessionRecap.post();
+  }
+
   /**
    * Show command help.
    *
@@ -846,6 +875,12 @@ export class ChatHandler {
   Example: \`/lm clear-progress pdf:5\`
   Example: \`/lm clear-progress coriolis-ghazali\`
 
+**/lm context** - Show enabled context providers and their token cost
+  Example: \`/lm context\`
+
+**/lm recap** - Post a "Previously on..." recap of the last session
+  Example: \`/lm recap\`
+
 **/lm help** - Show this help message
 
 *Note: If adventureId is omitted, uses the active adventure (module or PDF).*
@@ -893,6 +928,10 @@ export class ChatHandler {
     // table without the GM's private question being revealed. Mirrors the
     // public-batch flow's _showThinkingMessage UX.
     const askerName = userContext?.name || game.user?.name || 'The Gamemaster';
+    const stream = this._createResponseStream(
+      this._privateResponseMessageData(),
+      () => this._hidePrivateThinkingMessage()
+    );
 
     try {
       this._showTypingIndicator();
@@ -902,32 +941,13 @@ export class ChatHandler {
       const context = this._buildContext();
 
       // Send private message
-      const result = await this.socketClient.sendPrivateMessage(message, context);
-
-      // The proxy's chat-complete payload doesn't always populate a server-side
-      // message_id for single-message (non-batch) chats — falls through to null.
-      // Generate a client-side fallback so the pendingPrivateResponses key, the
-      // button's data-message-id, and the publish-flow lookup all agree on a
-      // non-null string identifier.
-      if (!result.messageId) {
-        result.messageId = `private_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-      }
-
-      // Store for potential publishing
-      this.pendingPrivateResponses.set(result.messageId, {
-        content: result.response,
-        messageId: result.messageId,
-        conversationId: result.conversationId,
-        originalMessage: message,
-        timestamp: Date.now()
-      });
-
-      // Create private response message (GM only)
-      await this._createPrivateResponseMessage(result);
+      const result = await this.socketClient.sendPrivateMessage(message, context, { onDelta: stream?.onDelta });
 
-      ui.notifications.info(game.i18n?.localize('LOREMASTER.Private.ResponseReady') || 'Private response ready. Click Publish to share with players.');
+      await this._deliverPrivateResponse(result, message, stream);
 
     } catch (error) {
+      await stream?.discard();
+      if (this._notifyIfQueued(error)) return;
       console.error(`${MODULE_ID} | Error processing private message:`, error);
       ui.notifications.error('Failed to get private Loremaster response.');
     } finally {
@@ -936,14 +956,67 @@ export class ChatHandler {
     }
   }
 
+  /**
+   * Store a private response for publishing and show it to the GM.
+   *
+   * @param {Object} result - The response result from socket.
+   * @param {string} message - The GM's original message.
+   * @param {ResponseStream|null} [stream] - Stream already showing the response, if any.
+   * @private
+   */
+  async _deliverPrivateResponse(result, message, stream = null) {
+    // The proxy's chat-complete payload doesn't always populate a server-side
+    // message_id for single-message (non-batch) chats — falls through to null.
+    // Generate a client-side fallback so the pendingPrivateResponses key, the
+    // button's data-message-id, and the publish-flow lookup all agree on a
+    // non-null string identifier.
+    if (!result.messageId) {
+      result.messageId = `private_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Store for potential publishing
+    this.pendingPrivateResponses.set(result.messageId, {
+      content: result.response,
+      messageId: result.messageId,
+      conversationId: result.conversationId,
+      originalMessage: message,
+      timestamp: Date.now()
+    });
+
+    // Create private response message (GM only)
+    await this._createPrivateResponseMessage(result, stream);
+
+    ui.notifications.info(game.i18n?.localize('LOREMASTER.Private.ResponseReady') || 'Private response ready. Click Publish to share with players.');
+  }
+
+  /**
+   * Build the chat message data for a private response, without content.
+   *
+   * @returns {Object} ChatMessage data whispered to the GMs.
+   * @private
+   */
+  _privateResponseMessageData() {
+    return {
+      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster (Private)' }),
+      user: game.user.id,  // Explicit user for compatibility with older system hooks
+      whisper: game.users.filter(u => u.isGM).map(u => u.id), // GM only
+      flags: {
+        [MODULE_ID]: {
+          isAIResponse: true
+        }
+      }
+    };
+  }
+
   /**
    * Create a private response message visible only to GM.
    * Includes Publish button to make it public.
    *
    * @param {Object} result - The response result from socket.
+   * @param {ResponseStream|null} [stream] - Stream already showing the response, if any.
    * @private
    */
-  async _createPrivateResponseMessage(result) {
+  async _createPrivateResponseMessage(result, stream = null) {
     const formattedContent = formatResponse(result.response);
 
     const messageContent = `
@@ -966,22 +1039,16 @@ export class ChatHandler {
       </div>
     `;
 
-    const messageData = {
-      content: messageContent,
-      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster (Private)' }),
-      user: game.user.id,  // Explicit user for compatibility with older system hooks
-      whisper: game.users.filter(u => u.isGM).map(u => u.id), // GM only
-      flags: {
-        [MODULE_ID]: {
-          isAIResponse: true,
-          isPrivateResponse: true,
-          messageId: result.messageId,
-          canPublish: true
-        }
-      }
+    const privateFlags = {
+      isPrivateResponse: true,
+      messageId: result.messageId,
+      canPublish: true
     };
+    if (await stream?.finalize(messageContent, privateFlags)) return;
 
-    await ChatMessage.create(messageData);
+    const messageData = stream?.messageData || this._privateResponseMessageData();
+    Object.assign(messageData.flags[MODULE_ID], privateFlags);
+    await ChatMessage.create({ ...messageData, content: messageContent });
   }
 
   /**
@@ -1073,6 +1140,10 @@ export class ChatHandler {
 
     this.isProcessing = true;
     const messageData = this.messageQueue.shift();
+    const stream = this._createResponseStream(
+      this._responseMessageData(messageData),
+      () => this._hideThinkingMessage()
+    );
 
     try {
       // Show public thinking message to all players
@@ -1085,17 +1156,23 @@ export class ChatHandler {
       const context = this._buildContext();
 
       // Send to AI via proxy server and get response
-      const response = await this.socketClient.sendMessage(messageData.content, context);
+      const response = await this.socketClient.sendMessage(messageData.content, context, false, {
+        onDelta: stream?.onDelta,
+        outboxMeta: { userId: messageData.user.id }
+      });
 
       // Hide thinking message before showing response
       await this._hideThinkingMessage();
 
       // Create response chat message
-      await this._createResponseMessage(response, messageData);
+      await this._createResponseMessage(response, messageData, stream);
 
     } catch (error) {
-      console.error(`${MODULE_ID} | Error processing message:`, error);
-      ui.notifications.error('Failed to get Loremaster response. Check console for details.');
+      await stream?.discard();
+      if (!this._notifyIfQueued(error)) {
+        console.error(`${MODULE_ID} | Error processing message:`, error);
+        ui.notifications.error('Failed to get Loremaster response. Check console for details.');
+      }
     } finally {
       // Hide thinking message and typing indicator
       await this._hideThinkingMessage();
@@ -1106,14 +1183,62 @@ export class ChatHandler {
     }
   }
 
+  /**
+   * Tell the user their request was queued because the connection is down.
+   *
+   * @param {Error} error - The send failure.
+   * @returns {boolean} True if the request was queued (and the user told).
+   * @private
+   */
+  _notifyIfQueued(error) {
+    if (error?.message !== 'REQUEST_QUEUED_OFFLINE') return false;
+    ui.notifications.warn(game.i18n?.localize('LOREMASTER.Outbox.Queued') || 'Loremaster is offline. Your request is queued and will be sent when the connection returns.');
+    return true;
+  }
+
+  /**
+   * Show the response to a request that was queued offline and replayed
+   * after reconnecting. Called by SocketClient.onOutboxReplay.
+   *
+   * @param {Object} entry - The outbox entry.
+   * @param {Object|null} result - The proxy result, or null if the request failed.
+   * @param {Error|null} error - Why the replayed request failed, if it did.
+   */
+  async handleOutboxReplay(entry, result, error) {
+    if (error) {
+      console.error(`${MODULE_ID} | Queued request ${entry.clientRequestId} failed on replay:`, error);
+      ui.notifications.error(game.i18n?.localize('LOREMASTER.Outbox.ReplayFailed') || 'A queued Loremaster request failed when it was resent.');
+      return;
+    }
+
+    if (entry.type === 'chat-batch') {
+      const batch = {
+        id: entry.payload.batchId,
+        messages: entry.payload.messages,
+        gmRulings: entry.payload.gmRulings,
+        formattedPrompt: entry.payload.formattedPrompt
+      };
+      this.lastBatchId = batch.id;
+      this.lastBatch = batch;
+      await this._deliverBatchResponse(batch, result.response, result.usage);
+    } else if (entry.payload.isPrivate) {
+      await this._deliverPrivateResponse(result, entry.payload.message);
+    } else {
+      const user = game.users.get(entry.meta?.userId) || game.user;
+      await this._createResponseMessage(result.response, { user });
+    }
+  }
+
   /**
    * Build context object for AI prompts.
-   * Includes game state if enabled in settings.
+   * Includes game state if enabled in settings, plus the blocks from the
+   * enabled context providers (tokens, selection, effects, time, journal).
    *
+   * @param {Array<Object>} [speakers] - Player contexts of who is speaking; defaults to the current user.
    * @returns {object} Context object for AI.
    * @private
    */
-  _buildContext() {
+  _buildContext(speakers = [PlayerContext.getCurrentUserContext()]) {
     const context = {
       system: game.system.id,
       systemTitle: game.system.title
@@ -1171,25 +1296,62 @@ export class ChatHandler {
         };
       });
 
+    // Sent once, as the rendered text block; /lm context shows what it costs
+    const providers = buildProviderContext({ speakers });
+    if (providers.text) {
+      context.awareness = providers.text;
+    }
+
     return context;
   }
 
   /**
-   * Create a chat message with the AI response.
+   * Get the speakers of a batch, one per user, with their latest selection.
+   *
+   * @param {Object} batch - The batch.
+   * @returns {Array<Object>} Speaker entries for _buildContext.
+   * @private
+   */
+  _batchSpeakers(batch) {
+    const speakers = new Map();
+    for (const msg of batch.messages || []) {
+      speakers.set(msg.userId, {
+        userId: msg.userId,
+        userName: msg.userName,
+        characterName: msg.characterName,
+        selection: msg.selection
+      });
+    }
+    return [...speakers.values()];
+  }
+
+  /**
+   * Create a response stream if streaming is enabled.
+   *
+   * @param {object} messageData - ChatMessage data for the response, without content.
+   * @param {Function} onStart - Called once the streamed message appears.
+   * @param {Function} [transform] - Maps the streamed text to the text to show.
+   * @returns {ResponseStream|null} The stream, or null when streaming is off.
+   * @private
+   */
+  _createResponseStream(messageData, onStart, transform = null) {
+    if (!getSetting('streamResponses')) return null;
+    return new ResponseStream(messageData, { onStart, transform });
+  }
+
+  /**
+   * Build the chat message data for a single-message response, without content.
+   * Applies GM Mode and response visibility.
    *
-   * @param {string} response - The AI response text.
    * @param {object} originalMessage - The original message data.
+   * @returns {object} ChatMessage data.
    * @private
    */
-  async _createResponseMessage(response, originalMessage) {
+  _responseMessageData(originalMessage) {
     const visibility = getSetting('responseVisibility');
     const gmMode = getSetting('gmMode');
 
-    // Format the response with markdown conversion and styling
-    const formattedContent = formatResponse(response);
-
     const messageData = {
-      content: formattedContent,
       speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
       user: game.user.id,  // Explicit user for compatibility with older system hooks
       flags: {
@@ -1213,7 +1375,24 @@ export class ChatHandler {
       messageData.whisper = game.users.filter(u => u.isGM).map(u => u.id);
     }
 
-    await ChatMessage.create(messageData);
+    return messageData;
+  }
+
+  /**
+   * Create a chat message with the AI response.
+   *
+   * @param {string} response - The AI response text.
+   * @param {object} originalMessage - The original message data.
+   * @param {ResponseStream|null} [stream] - Stream already showing the response, if any.
+   * @private
+   */
+  async _createResponseMessage(response, originalMessage, stream = null) {
+    // Format the response with markdown conversion and styling
+    const formattedContent = formatResponse(response);
+
+    if (await stream?.finalize(formattedContent)) return;
+    const messageData = stream?.messageData || this._responseMessageData(originalMessage);
+    await ChatMessage.create({ ...messageData, content: formattedContent });
   }
 
   /**
@@ -1507,6 +1686,13 @@ export class ChatHandler {
     this.lastBatchId = batch.id;
     this.lastBatch = batch;
 
+    // Only shared narration streams; addressed sections are held back
+    const stream = this._createResponseStream(
+      this._batchResponseMessageData(batch),
+      () => this._hideThinkingMessage(),
+      visibleSharedText
+    );
+
     try {
       // Show public thinking message to all players
       await this._showThinkingMessage();
@@ -1515,19 +1701,25 @@ export class ChatHandler {
       this._showTypingIndicator();
 
       // Build context for AI
-      const context = this._buildContext();
+      const context = this._buildContext(this._batchSpeakers(batch));
 
       // Send batched message to AI via proxy
       // The formattedPrompt contains all player actions in structured format
-      const response = await this.socketClient.sendBatchedMessage(batch, context);
+      let usage = null;
+      const response = await this.socketClient.sendBatchedMessage(batch, context, {
+        onDelta: stream?.onDelta,
+        onUsage: (reported) => { usage = reported; }
+      });
 
       // Hide thinking message before showing response
       await this._hideThinkingMessage();
 
-      // Create response chat message
-      await this._createBatchResponseMessage(response, batch);
+      // Charge the tokens and create the response chat message
+      await this._deliverBatchResponse(batch, response, usage, stream);
 
     } catch (error) {
+      await stream?.discard();
+      if (this._notifyIfQueued(error)) return;
       console.error(`${MODULE_ID} | Error processing batch:`, error);
       ui.notifications.error('Failed to get Loremaster response. Check console for details.');
       throw error;
@@ -1538,42 +1730,57 @@ export class ChatHandler {
   }
 
   /**
-   * Create a chat message with the AI response for a batch.
+   * Charge a batch response's tokens to its players and post it to chat.
+   * Live batches and batches replayed from the offline outbox both go
+   * through here, so a queued batch counts against the budgets too.
    *
+   * @param {Object} batch - The batch data.
    * @param {string} response - The AI response text.
-   * @param {Object} batch - The original batch data.
+   * @param {Object|undefined} usage - The server's usage report.
+   * @param {Object|null} [stream=null] - The streamed response message, if any.
+   * @returns {Promise<ChatMessage|null>} The response message, or null if the response was unusable.
    * @private
    */
-  async _createBatchResponseMessage(response, batch) {
-    const visibility = getSetting('responseVisibility');
-    const gmMode = getSetting('gmMode');
-
-    // Check for empty response
-    if (!response || response.length === 0) {
-      console.error(`${MODULE_ID} | Empty response received from server`);
-      ui.notifications.error('Received empty response from Loremaster');
-      return;
-    }
+  async _deliverBatchResponse(batch, response, usage, stream = null) {
+    this._chargeTokens(batch.messages.map(m => m.userId), usage, batch.formattedPrompt, response);
+    return this._createBatchResponseMessage(response, batch, stream);
+  }
 
-    // Check if response is already "[object X]" string (proxy serialization issue)
-    if (typeof response === 'string' && /^\[object \w+\]$/.test(response.trim())) {
-      console.error(`${MODULE_ID} | Response is pre-serialized object string: "${response}"`);
-      ui.notifications.error('Received malformed response from proxy server');
-      return;
-    }
+  /**
+   * Charge a response's tokens to the players' monthly budgets, split
+   * evenly per message. Falls back to an estimate from the prompt and
+   * response when the server doesn't report usage.
+   *
+   * @param {string[]} userIds - Sender of each message answered.
+   * @param {Object|undefined} usage - The server's usage report.
+   * @param {string} prompt - The prompt sent.
+   * @param {string} response - The response text.
+   * @private
+   */
+  _chargeTokens(userIds, usage, prompt, response) {
+    const rateLimiter = this.messageBatcher?.rateLimiter;
+    if (!rateLimiter) return;
 
-    // Ensure response is a string
-    const responseText = typeof response === 'string' ? response : String(response);
+    const total = usageTokens(usage) ?? estimateTokens(`${prompt || ''}${response || ''}`);
+    rateLimiter.recordTokens(splitTokens(total, userIds));
+  }
 
-    // Format the response with markdown conversion and styling
-    // (formatResponse auto-detects if already HTML-formatted)
-    const formattedContent = formatResponse(responseText);
+  /**
+   * Build the chat message data for a batch response, without content.
+   * Applies GM Mode and response visibility.
+   *
+   * @param {Object} batch - The batch data.
+   * @returns {Object} ChatMessage data.
+   * @private
+   */
+  _batchResponseMessageData(batch) {
+    const visibility = getSetting('responseVisibility');
+    const gmMode = getSetting('gmMode');
 
     // Collect all user IDs from the batch for whisper targeting
     const batchUserIds = [...new Set(batch.messages.map(m => m.userId))];
 
     const messageData = {
-      content: formattedContent,
       speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
       user: game.user.id,  // Explicit user for compatibility with older system hooks
       flags: {
@@ -1581,7 +1788,9 @@ export class ChatHandler {
           isAIResponse: true,
           isBatchResponse: true,
           batchId: batch.id,
-          participantUserIds: batchUserIds
+          participantUserIds: batchUserIds,
+          // Stored so the response can be vetoed or regenerated after later batches or a reload
+          batch: this._batchRecord(batch)
         }
       }
     };
@@ -1600,14 +1809,154 @@ export class ChatHandler {
       messageData.whisper = game.users.filter(u => u.isGM).map(u => u.id);
     }
 
+    return messageData;
+  }
+
+  /**
+   * Create a chat message with the AI response for a batch.
+   *
+   * @param {string} response - The AI response text.
+   * @param {Object} batch - The original batch data.
+   * @param {ResponseStream|null} [stream] - Stream already showing the response, if any.
+   * @returns {Promise<ChatMessage|null>} The first message created, or null if none was.
+   * @private
+   */
+  async _createBatchResponseMessage(response, batch, stream = null) {
+    // Check for empty response
+    if (!response || response.length === 0) {
+      console.error(`${MODULE_ID} | Empty response received from server`);
+      ui.notifications.error('Received empty response from Loremaster');
+      await stream?.discard();
+      return null;
+    }
+
+    // Check if response is already "[object X]" string (proxy serialization issue)
+    if (typeof response === 'string' && /^\[object \w+\]$/.test(response.trim())) {
+      console.error(`${MODULE_ID} | Response is pre-serialized object string: "${response}"`);
+      ui.notifications.error('Received malformed response from proxy server');
+      await stream?.discard();
+      return null;
+    }
+
+    // Ensure response is a string
+    const responseText = typeof response === 'string' ? response : String(response);
+
+    // Sections addressed to particular characters go only to their owners
+    const { shared, sections } = splitAddressedSections(responseText);
+
+    const created = [];
     try {
-      await ChatMessage.create(messageData);
+      if (shared) {
+        // Format the response with markdown conversion and styling
+        // (formatResponse auto-detects if already HTML-formatted)
+        const formattedContent = formatResponse(shared);
+
+        const streamed = await stream?.finalize(formattedContent);
+        if (streamed) {
+          created.push(streamed);
+        } else {
+          const messageData = stream?.messageData || this._batchResponseMessageData(batch);
+          created.push(await ChatMessage.create({ ...messageData, content: formattedContent }));
+        }
+      } else {
+        await stream?.discard();
+      }
+
+      for (const section of sections) {
+        created.push(await this._createAddressedSectionMessage(section, batch));
+      }
+      return created.find(Boolean) || null;
     } catch (err) {
       console.error(`${MODULE_ID} | ChatMessage.create failed:`, err);
       throw err;
     }
   }
 
+  /**
+   * Whisper a response section addressed to specific characters.
+   * The section goes to the users who own those characters plus the GMs;
+   * under GM Mode or GM-only visibility it goes to the GMs alone.
+   *
+   * @param {Object} section - Section from splitAddressedSections.
+   * @param {string[]} section.recipients - Character names the section is addressed to.
+   * @param {string} section.text - The section text.
+   * @param {Object} batch - The batch the response answers.
+   * @returns {Promise<ChatMessage>} The whispered message.
+   * @private
+   */
+  async _createAddressedSectionMessage(section, batch) {
+    const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+    const gmOnly = getSetting('gmMode') || getSetting('responseVisibility') === 'gm';
+    const ownerIds = gmOnly ? [] : this._resolveCharacterOwners(section.recipients, batch);
+
+    const header = (game.i18n?.localize('LOREMASTER.Routing.For') || 'For {names}')
+      .replace('{names}', section.recipients.join(', '));
+    const headerElement = document.createElement('div');
+    headerElement.className = 'loremaster-addressed-header';
+    headerElement.textContent = header;
+
+    return ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+      user: game.user.id,
+      content: headerElement.outerHTML + formatResponse(section.text),
+      whisper: [...new Set([...ownerIds, ...gmIds])],
+      flags: {
+        [MODULE_ID]: {
+          isAIResponse: true,
+          isBatchResponse: true,
+          batchId: batch.id,
+          isAddressedSection: true,
+          addressedTo: section.recipients,
+          batch: this._batchRecord(batch)
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the non-GM users who should receive a section addressed to characters.
+   * Each name is matched against the characters that spoke in the batch, then
+   * world actors (their owners), then user names. Names that match nothing
+   * are logged and the section falls back to the GMs.
+   *
+   * @param {string[]} names - Character names.
+   * @param {Object} batch - The batch the response answers.
+   * @returns {string[]} User IDs.
+   * @private
+   */
+  _resolveCharacterOwners(names, batch) {
+    const userIds = new Set();
+
+    for (const name of names) {
+      const lower = name.toLowerCase();
+
+      const speaker = batch.messages.find(m => m.characterName?.toLowerCase() === lower);
+      if (speaker) {
+        userIds.add(speaker.userId);
+        continue;
+      }
+
+      const actor = game.actors.find(a => a.name.toLowerCase() === lower);
+      const owners = actor
+        ? game.users.filter(u => !u.isGM && actor.testUserPermission(u, 'OWNER'))
+        : [];
+      if (owners.length > 0) {
+        owners.forEach(u => userIds.add(u.id));
+        continue;
+      }
+
+      const user = game.users.find(u => !u.isGM && u.name.toLowerCase() === lower);
+      if (user) {
+        userIds.add(user.id);
+        continue;
+      }
+
+      console.warn(`${MODULE_ID} | No owner found for addressed character "${name}"; whispering to GM only`);
+    }
+
+    return [...userIds];
+  }
+
   /**
    * Veto an AI response and request regeneration with correction.
    * GM-only action.
@@ -1624,8 +1973,8 @@ export class ChatHandler {
     console.log(`${MODULE_ID} | Vetoing response ${messageId} with correction`);
 
     // Find the original batch
-    const batch = this.lastBatch;
-    if (!batch || batch.id !== messageId) {
+    const batch = this._findBatch(messageId);
+    if (!batch) {
       ui.notifications.error('Cannot find the original batch for this response.');
       return;
     }
@@ -1634,16 +1983,15 @@ export class ChatHandler {
       this._showTypingIndicator();
 
       // Build context
-      const context = this._buildContext();
+      const context = this._buildContext(this._batchSpeakers(batch));
 
       // Send veto request to proxy
       const response = await this.socketClient.sendVeto(messageId, correction, batch, context);
 
-      // Create new response message
-      await this._createBatchResponseMessage(response, {
-        ...batch,
-        id: `${batch.id}-veto`
-      });
+      // Create new response message and point the vetoed one at it
+      const replacement = { ...batch, id: `${batch.id}-veto` };
+      const successor = await this._createBatchResponseMessage(response, replacement);
+      await this._markSuperseded(batch.id, replacement, successor);
 
       ui.notifications.info(game.i18n?.localize('LOREMASTER.Veto.Success') || 'Response vetoed. Regenerating...');
 
@@ -1670,8 +2018,8 @@ export class ChatHandler {
     console.log(`${MODULE_ID} | Regenerating response ${messageId}`);
 
     // Find the original batch
-    const batch = this.lastBatch;
-    if (!batch || batch.id !== messageId) {
+    const batch = this._findBatch(messageId);
+    if (!batch) {
       ui.notifications.error('Cannot find the original batch for this response.');
       return;
     }
@@ -1680,16 +2028,15 @@ export class ChatHandler {
       this._showTypingIndicator();
 
       // Build context
-      const context = this._buildContext();
+      const context = this._buildContext(this._batchSpeakers(batch));
 
       // Resend the batch
       const response = await this.socketClient.sendBatchedMessage(batch, context);
 
-      // Create new response message
-      await this._createBatchResponseMessage(response, {
-        ...batch,
-        id: `${batch.id}-regen`
-      });
+      // Create new response message and point the old one at it
+      const replacement = { ...batch, id: `${batch.id}-regen` };
+      const successor = await this._createBatchResponseMessage(response, replacement);
+      await this._markSuperseded(batch.id, replacement, successor);
 
     } catch (error) {
       console.error(`${MODULE_ID} | Error regenerating response:`, error);
@@ -1699,8 +2046,412 @@ export class ChatHandler {
     }
   }
 
+  /**
+   * Roll the server conversation back to a batch response.
+   * Everything the AI saw after that response is forgotten; the later
+   * Loremaster messages stay in chat but are marked as rolled back.
+   * GM-only action.
+   *
+   * @param {string} batchId - The batch ID of the response to keep as the latest.
+   */
+  async rollbackToResponse(batchId) {
+    if (!game.user?.isGM) {
+      ui.notifications.warn('Only the GM can roll back the conversation.');
+      return;
+    }
+
+    const anchor = this._findBatchMessages(batchId).pop();
+    if (!anchor) {
+      ui.notifications.error('Cannot find the original batch for this response.');
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n?.localize('LOREMASTER.Veto.RollbackTitle') || 'Roll Back Conversation',
+      content: `<p>${game.i18n?.localize('LOREMASTER.Veto.RollbackConfirm') || 'The Loremaster will forget everything after this response. Later messages stay in chat but are marked as rolled back. Continue?'}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+
+    if (!confirmed) {
+      return;
+    }
+
+    console.log(`${MODULE_ID} | Rolling back conversation to batch ${batchId}`);
+
+    try {
+      await this.socketClient.rollbackConversation(batchId);
+
+      // Mark every later AI response so it can't be mistaken for current history
+      const updates = game.messages
+        .filter(m => m.flags?.[MODULE_ID]?.isAIResponse
+          && m.timestamp > anchor.timestamp
+          && !m.flags[MODULE_ID].rolledBack)
+        .map(m => ({ _id: m.id, [`flags.${MODULE_ID}.rolledBack`]: true }));
+      if (updates.length > 0) {
+        await ChatMessage.updateDocuments(updates);
+      }
+
+      if (this.lastBatch && !this._findBatchMessages(this.lastBatch.id).some(m => m.timestamp <= anchor.timestamp)) {
+        this.lastBatch = null;
+        this.lastBatchId = null;
+      }
+
+      ui.notifications.info(game.i18n?.localize('LOREMASTER.Veto.RollbackSuccess') || 'Conversation rolled back.');
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error rolling back conversation:`, error);
+      ui.notifications.error(game.i18n?.localize('LOREMASTER.Veto.RollbackError') || 'Failed to roll back the conversation');
+    }
+  }
+
+  /**
+   * Build the batch data stored in a response message's flags.
+   *
+   * @param {Object} batch - The batch data.
+   * @returns {Object} Batch record: { id, messages, gmRulings, formattedPrompt }.
+   * @private
+   */
+  _batchRecord(batch) {
+    return {
+      id: batch.id,
+      messages: batch.messages,
+      gmRulings: batch.gmRulings,
+      formattedPrompt: batch.formattedPrompt
+    };
+  }
+
+  /**
+   * Get the chat messages holding a batch's response, oldest first.
+   *
+   * @param {string} batchId - The batch ID.
+   * @returns {ChatMessage[]} Matching messages.
+   * @private
+   */
+  _findBatchMessages(batchId) {
+    return game.messages.filter(m => m.flags?.[MODULE_ID]?.batchId === batchId);
+  }
+
+  /**
+   * Find a batch by ID, from memory or from the flags of its response.
+   *
+   * @param {string} batchId - The batch ID.
+   * @returns {Object|null} The batch, or null if it is not in chat history.
+   * @private
+   */
+  _findBatch(batchId) {
+    if (this.lastBatch?.id === batchId) return this.lastBatch;
+    const message = this._findBatchMessages(batchId).find(m => m.flags[MODULE_ID].batch);
+    return message?.flags[MODULE_ID].batch || null;
+  }
+
+  /**
+   * Mark a batch's response messages as replaced by a newer response.
+   *
+   * @param {string} batchId - The batch ID that was vetoed or regenerated.
+   * @param {Object} replacement - The replacement batch.
+   * @param {ChatMessage|null} successor - The replacement's first message, if one was created.
+   * @private
+   */
+  async _markSuperseded(batchId, replacement, successor) {
+    this.lastBatch = replacement;
+    this.lastBatchId = replacement.id;
+    if (!successor) return;
+
+    const updates = this._findBatchMessages(batchId)
+      .filter(m => !m.flags[MODULE_ID].supersededBy)
+      .map(m => ({
+        _id: m.id,
+        [`flags.${MODULE_ID}.supersededBy`]: replacement.id,
+        [`flags.${MODULE_ID}.successorMessageId`]: successor.id
+      }));
+    if (updates.length > 0) {
+      await ChatMessage.updateDocuments(updates);
+    }
+  }
+
+  // ===== Player Question Methods =====
+
+  /**
+   * Send a player's private question (@lm?) to the batching authority (the
+   * GM client). A player posts it as a card whispered to themselves and the
+   * GMs, which the GM client picks up (see MessageBatcher._onQuestionCard).
+   *
+   * @param {string} content - The question.
+   * @param {Object} userContext - The asking player's context.
+   * @private
+   */
+  _askPrivateQuestion(content, userContext) {
+    if (getSetting('playerQuestions') === QUESTION_MODES.OFF) {
+      ui.notifications.warn(game.i18n?.localize('LOREMASTER.Question.Disabled') || 'The GM has turned off private questions.');
+      return;
+    }
+    if (!game.users.some(u => u.isGM && u.active)) {
+      ui.notifications.warn(game.i18n?.localize('LOREMASTER.Question.NoGM') || 'Private questions need a GM to be online.');
+      return;
+    }
+
+    const question = { id: foundry.utils.randomID(), content, userContext, timestamp: Date.now() };
+    const handled = game.user.isGM ? this.handlePlayerQuestion(question) : this._createQuestionCard(question);
+    handled.catch(error => {
+      console.error(`${MODULE_ID} | Failed to ask private question:`, error);
+    });
+  }
+
+  /**
+   * Handle the GM's own private question: post it as a card whispered to
+   * the GMs and handle it like a player's.
+   *
+   * @param {Object} question - The question.
+   */
+  async handlePlayerQuestion(question) {
+    if (getSetting('playerQuestions') === QUESTION_MODES.OFF) {
+      console.log(`${MODULE_ID} | Ignoring private question: questions are disabled`);
+      return;
+    }
+
+    const card = await this._createQuestionCard(question);
+    if (card) await this.handleQuestionCard(card);
+  }
+
+  /**
+   * Handle a new question card on the authority (GM) client. Answers it
+   * straight away unless the GM approves questions first; a question the
+   * rate limits reject, or one asked while questions are off, is declined.
+   *
+   * @param {ChatMessage} card - The question card.
+   * @param {boolean} [admitted=true] - Whether the rate limits admit the question.
+   */
+  async handleQuestionCard(card, admitted = true) {
+    if (!admitted || getSetting('playerQuestions') === QUESTION_MODES.OFF) {
+      await this.declinePlayerQuestion(card.id);
+      return;
+    }
+    if (!getSetting('playerQuestionApproval')) {
+      await this.answerPlayerQuestion(card.id);
+    }
+  }
+
+  /**
+   * Answer a pending question and whisper the answer to the player and the GMs.
+   * The answer is never publishable, so it can't become canon.
+   *
+   * @param {string} cardId - The question card's ChatMessage ID.
+   */
+  async answerPlayerQuestion(cardId) {
+    const card = game.messages.get(cardId);
+    const flags = card?.flags?.[MODULE_ID];
+    if (!flags?.isPlayerQuestion || flags.questionStatus !== 'pending') return;
+
+    const mode = getSetting('playerQuestions');
+    if (mode === QUESTION_MODES.OFF) {
+      await this.declinePlayerQuestion(cardId);
+      return;
+    }
+
+    const { question } = flags;
+    await this._setQuestionStatus(card, 'answering');
+
+    try {
+      const prompt = buildQuestionPrompt(question.content, {
+        mode,
+        userName: question.userContext.userName,
+        characterName: question.userContext.characterName
+      });
+      const context = this._buildContext([question.userContext]);
+      const result = await this.socketClient.sendPlayerQuestion(prompt, context);
+      this._chargeTokens([question.userContext.userId], result.usage, prompt, result.response);
+
+      const answer = isOffTopicAnswer(result.response)
+        ? (game.i18n?.localize('LOREMASTER.Question.RulesOnly') || 'Only rules questions can be asked privately. Ask the GM about anything else.')
+        : result.response;
+      await this._createQuestionAnswer(question, answer);
+      await this._setQuestionStatus(card, 'answered');
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to answer private question:`, error);
+      ui.notifications.error(`${game.i18n?.localize('LOREMASTER.Question.AnswerError') || 'Failed to answer private question'}: ${error.message}`);
+      // Back to pending so the GM can try again
+      await this._setQuestionStatus(card, 'pending');
+    }
+  }
+
+  /**
+   * Decline a pending question. The player sees the card marked declined.
+   *
+   * @param {string} cardId - The question card's ChatMessage ID.
+   */
+  async declinePlayerQuestion(cardId) {
+    const card = game.messages.get(cardId);
+    if (!card?.flags?.[MODULE_ID]?.isPlayerQuestion) return;
+    await this._setQuestionStatus(card, 'declined');
+  }
+
+  /**
+   * Get the whisper recipients for a question: the asker and the GMs.
+   *
+   * @param {Object} question - The question.
+   * @returns {string[]} User IDs.
+   * @private
+   */
+  _questionRecipients(question) {
+    return questionRecipients(question.userContext.userId, game.users.filter(u => u.isGM).map(u => u.id));
+  }
+
+  /**
+   * Post a question card whispered to the asking player and the GMs.
+   *
+   * @param {Object} question - The question.
+   * @returns {Promise<ChatMessage|null>} The card.
+   * @private
+   */
+  async _createQuestionCard(question) {
+    const { userContext } = question;
+    const asker = userContext.characterName
+      ? `${userContext.characterName} (${userContext.userName})`
+      : userContext.userName;
+    const label = game.i18n?.format('LOREMASTER.Question.From', { name: asker }) || `Private question from ${asker}`;
+
+    return ChatMessage.create({
+      content: `
+        <div class="loremaster-player-question">
+          <div class="question-badge"><i class="fas fa-question-circle"></i> ${escapeHtml(label)}</div>
+          <div class="question-content">${escapeHtml(question.content)}</div>
+        </div>
+      `,
+      speaker: ChatMessage.getSpeaker({ alias: userContext.userName }),
+      user: game.user.id,
+      whisper: this._questionRecipients(question),
+      flags: {
+        [MODULE_ID]: {
+          isPlayerQuestion: true,
+          question,
+          questionStatus: 'pending'
+        }
+      }
+    });
+  }
+
+  /**
+   * Whisper the answer to a question to the asking player and the GMs.
+   *
+   * @param {Object} question - The question.
+   * @param {string} answer - The answer text (markdown).
+   * @private
+   */
+  async _createQuestionAnswer(question, answer) {
+    const name = question.userContext.characterName || question.userContext.userName;
+    const label = game.i18n?.format('LOREMASTER.Question.AnswerFor', { name }) || `Private answer for ${name}`;
+
+    await ChatMessage.create({
+      content: `
+        <div class="loremaster-question-answer-card">
+          <div class="question-badge"><i class="fas fa-lock"></i> ${escapeHtml(label)}</div>
+          <div class="response-content">${formatResponse(answer)}</div>
+        </div>
+      `,
+      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+      user: game.user.id,
+      whisper: this._questionRecipients(question),
+      flags: {
+        [MODULE_ID]: {
+          isQuestionAnswer: true,
+          questionId: question.id
+        }
+      }
+    });
+  }
+
+  /**
+   * Record a question's status on its card.
+   *
+   * @param {ChatMessage} card - The question card.
+   * @param {string} status - 'pending', 'answering', 'answered' or 'declined'.
+   * @private
+   */
+  async _setQuestionStatus(card, status) {
+    try {
+      await card.update({ [`flags.${MODULE_ID}.questionStatus`]: status });
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Failed to update question status:`, error);
+    }
+  }
+
+  /**
+   * Show a question card's status, plus Answer/Decline buttons for the GM
+   * while it is pending.
+   *
+   * @param {HTMLElement} element - The rendered message.
+   * @param {ChatMessage} message - The question card.
+   * @private
+   */
+  _decorateQuestionCard(element, message) {
+    const card = element.querySelector('.loremaster-player-question');
+    if (!card) return;
+
+    const status = message.flags[MODULE_ID].questionStatus || 'pending';
+    card.classList.add(`status-${status}`);
+
+    const statusElement = document.createElement('div');
+    statusElement.className = 'question-status';
+    statusElement.textContent = game.i18n?.localize(`LOREMASTER.Question.Status.${status}`) || status;
+    card.appendChild(statusElement);
+
+    if (!game.user.isGM || status !== 'pending') return;
+
+    const answerLabel = game.i18n?.localize('LOREMASTER.Question.Answer') || 'Answer';
+    const declineLabel = game.i18n?.localize('LOREMASTER.Question.Decline') || 'Decline';
+    const controls = document.createElement('div');
+    controls.className = 'question-controls';
+    controls.innerHTML = `
+      <button type="button" class="loremaster-question-answer"><i class="fas fa-check"></i> ${answerLabel}</button>
+      <button type="button" class="loremaster-question-decline"><i class="fas fa-times"></i> ${declineLabel}</button>
+    `;
+    controls.querySelector('.loremaster-question-answer').addEventListener('click', () => this.answerPlayerQuestion(message.id));
+    controls.querySelector('.loremaster-question-decline').addEventListener('click', () => this.declinePlayerQuestion(message.id));
+    card.appendChild(controls);
+  }
+
   // ===== Private Response Methods =====
 
+  /**
+   * Get the scene context stored with a new canon entry: the current scene
+   * and the active adventure's campaign stage, read from the server. The
+   * stage lets the chronicle group canon by chapter.
+   *
+   * @returns {Promise<Object|null>} Scene context, or null if there is neither.
+   */
+  async _canonSceneContext() {
+    const stage = await this._currentCampaignStage();
+    if (!canvas.scene && !stage) return null;
+
+    return {
+      ...(canvas.scene ? { name: canvas.scene.name, id: canvas.scene.id } : {}),
+      stage
+    };
+  }
+
+  /**
+   * Get the active adventure's current campaign stage from the server.
+   * A failed lookup leaves the stage unset rather than failing the caller.
+   *
+   * @returns {Promise<string|null>} The stage, or null if there is no active adventure or stage.
+   * @private
+   */
+  async _currentCampaignStage() {
+    try {
+      const active = (await this.socketClient.getActiveAdventure())?.activeAdventure;
+      if (!active) return null;
+
+      const stats = active.adventure_type === 'pdf'
+        ? await this.socketClient.getPdfStageStats(active.pdf_id)
+        : await this.socketClient.getModuleStageStats(active.module_id);
+      return stats?.currentStage || null;
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not read the campaign stage:`, error);
+      return null;
+    }
+  }
+
   /**
    * Publish a private response to all players and add to canon.
    * Makes the response visible to all players and records it as official narrative history.
@@ -1722,11 +2473,8 @@ export class ChatHandler {
     console.log(`${MODULE_ID} | Publishing private response ${messageId}`);
 
     try {
-      // Get current scene context for canon entry
-      const sceneContext = canvas.scene ? {
-        name: canvas.scene.name,
-        id: canvas.scene.id
-      } : null;
+      // Get current scene and campaign stage for canon entry
+      const sceneContext = await this._canonSceneContext();
 
       // Publish to canon on the server
       const canonResult = await this.socketClient.publishToCanon(
@@ -1740,6 +2488,7 @@ export class ChatHandler {
       // Uses optional chaining so this is a no-op if voiceOutput is not yet
       // initialized (e.g. during the error-fallback path in loremaster.mjs).
       const canonId = canonResult?.canonId || canonResult?.id;
+      await linkCreatedActorsToCanon(canonId, pendingResponse.content);
       if (canonId) {
         game.loremaster?.voiceOutput?._handleCanonPublished({
           canonId,
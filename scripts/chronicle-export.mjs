@@ -0,0 +1,197 @@
+/**
+ * Loremaster Chronicle Export
+ *
+ * Exports a campaign chronicle built from canon alone: a Foundry journal
+ * with one page per campaign stage, each page split by scene, plus an
+ * optional Markdown or HTML download to share outside Foundry. Chapters can
+ * open with an AI-written recap. Unlike the conversation export, nothing
+ * but published canon goes in, so it is safe to show players.
+ */
+
+import { loadAllCanon } from './canon-manager.mjs';
+import { buildChronicle, chapterToMarkdown, chronicleToMarkdown, buildRecapPrompt } from './chronicle.mjs';
+import { markdownToHtml } from './journal-markdown.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * CSS class prefix for chronicle HTML (journal pages and download).
+ *
+ * @type {string}
+ */
+const CLASS_PREFIX = 'loremaster-chronicle';
+
+/**
+ * ChronicleExporter class for exporting canon as a campaign chronicle.
+ */
+export class ChronicleExporter {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   */
+  constructor(socketClient) {
+    this.socketClient = socketClient;
+    this.isExporting = false;
+  }
+
+  /**
+   * Show the export options dialog and export the chronicle.
+   */
+  open() {
+    if (!game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize('LOREMASTER.Chronicle.GMOnly'));
+      return;
+    }
+
+    const defaultTitle = game.i18n.format('LOREMASTER.Chronicle.DefaultTitle', { world: game.world.title });
+
+    new Dialog({
+      title: game.i18n.localize('LOREMASTER.Chronicle.Title'),
+      content: `
+        <form>
+          <div class="form-group">
+            <label>${game.i18n.localize('LOREMASTER.Chronicle.JournalName')}</label>
+            <input type="text" name="title" value="${Handlebars.escapeExpression(defaultTitle)}" autofocus>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize('LOREMASTER.Chronicle.Recaps')}</label>
+            <input type="checkbox" name="recaps">
+          </div>
+          <p class="notes">${game.i18n.localize('LOREMASTER.Chronicle.RecapsHint')}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize('LOREMASTER.Chronicle.Download')}</label>
+            <select name="download">
+              <option value="">${game.i18n.localize('LOREMASTER.Chronicle.DownloadNone')}</option>
+              <option value="markdown">${game.i18n.localize('LOREMASTER.Chronicle.DownloadMarkdown')}</option>
+              <option value="html">${game.i18n.localize('LOREMASTER.Chronicle.DownloadHtml')}</option>
+            </select>
+          </div>
+        </form>
+      `,
+      buttons: {
+        export: {
+          icon: '<i class="fas fa-book-open"></i>',
+          label: game.i18n.localize('LOREMASTER.Chronicle.Export'),
+          callback: (html) => this.export({
+            title: html.find('input[name="title"]').val().trim() || defaultTitle,
+            recaps: html.find('input[name="recaps"]').is(':checked'),
+            download: html.find('select[name="download"]').val()
+          })
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('Cancel')
+        }
+      },
+      default: 'export'
+    }).render(true);
+  }
+
+  /**
+   * Export the chronicle.
+   *
+   * @param {Object} options - Export options.
+   * @param {string} options.title - Journal (and file) name.
+   * @param {boolean} [options.recaps=false] - Open each chapter with an AI-written recap.
+   * @param {string} [options.download=''] - Also download as 'markdown' or 'html'.
+   * @returns {Promise<JournalEntry|null>} The created journal, or null if nothing was exported.
+   */
+  async export({ title, recaps = false, download = '' }) {
+    if (this.isExporting) return null;
+    this.isExporting = true;
+
+    try {
+      const chapters = buildChronicle(await loadAllCanon(this.socketClient));
+      if (!chapters.length) {
+        ui.notifications.warn(game.i18n.localize('LOREMASTER.Chronicle.Empty'));
+        return null;
+      }
+
+      const chapterRecaps = recaps ? await this._generateRecaps(chapters) : {};
+
+      const journal = await JournalEntry.create({
+        name: title,
+        pages: chapters.map((chapter, index) => ({
+          name: chapter.title,
+          type: 'text',
+          text: {
+            content: markdownToHtml(chapterToMarkdown(chapter, { recap: chapterRecaps[chapter.stage] }), CLASS_PREFIX),
+            format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+          },
+          sort: index * 100000
+        })),
+        flags: { [MODULE_ID]: { isChronicle: true } }
+      });
+
+      if (download) this._download(title, chronicleToMarkdown(title, chapters, chapterRecaps), download);
+
+      ui.notifications.info(game.i18n.format('LOREMASTER.Chronicle.Created', { name: journal.name }));
+      journal.sheet.render(true);
+      return journal;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to export chronicle:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.Chronicle.Error', { error: error.message }));
+      return null;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Ask the AI for a recap of each chapter, one at a time. A chapter whose
+   * recap fails is exported without one.
+   *
+   * @param {Array<Object>} chapters - Chapters from buildChronicle.
+   * @returns {Promise<Object<string, string>>} Stage to recap.
+   * @private
+   */
+  async _generateRecaps(chapters) {
+    const recaps = {};
+
+    for (const [index, chapter] of chapters.entries()) {
+      ui.notifications.info(game.i18n.format('LOREMASTER.Chronicle.Recapping', {
+        chapter: chapter.title,
+        current: index + 1,
+        total: chapters.length
+      }));
+
+      try {
+        const { response } = await this.socketClient.generateRecap(buildRecapPrompt(chapter));
+        if (response?.trim()) recaps[chapter.stage] = response.trim();
+      } catch (error) {
+        console.warn(`${MODULE_ID} | Failed to recap chapter ${chapter.stage}:`, error);
+        ui.notifications.warn(game.i18n.format('LOREMASTER.Chronicle.RecapError', {
+          chapter: chapter.title,
+          error: error.message
+        }));
+      }
+    }
+
+    return recaps;
+  }
+
+  /**
+   * Download the chronicle as a file.
+   *
+   * @param {string} title - Chronicle title, also used for the file name.
+   * @param {string} markdown - Chronicle markdown from chronicleToMarkdown.
+   * @param {string} format - 'markdown' or 'html'.
+   * @private
+   */
+  _download(title, markdown, format) {
+    const saveFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+    const baseName = title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'chronicle';
+
+    if (format === 'html') {
+      const html = [
+        '<!DOCTYPE html>',
+        '<html>',
+        `<head><meta charset="utf-8"><title>${Handlebars.escapeExpression(title)}</title></head>`,
+        `<body>${markdownToHtml(markdown, CLASS_PREFIX)}</body>`,
+        '</html>'
+      ].join('\n');
+      saveFile(html, 'text/html', `${baseName}.html`);
+    } else {
+      saveFile(markdown, 'text/markdown', `${baseName}.md`);
+    }
+  }
+}
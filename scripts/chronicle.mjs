@@ -0,0 +1,153 @@
+/**
+ * Loremaster Chronicle
+ *
+ * Builds a campaign chronicle, a clean story-so-far for the players, from
+ * canon alone. Canon is grouped into chapters by campaign stage (see
+ * campaign-stages.mjs) and, within a chapter, by the scene it was
+ * published in. Each chapter can open with an AI-written recap.
+ */
+
+import { VALID_STAGES, STAGE_NAMES } from './campaign-stages.mjs';
+
+/**
+ * Chapter key for canon published before stages were recorded.
+ *
+ * @type {string}
+ */
+export const UNSTAGED = 'unstaged';
+
+/**
+ * Most canon text sent to the AI for one chapter recap, in characters.
+ * The most recent canon is kept when a chapter is longer.
+ *
+ * @type {number}
+ */
+export const MAX_RECAP_SOURCE_CHARS = 12000;
+
+/**
+ * Get the display title of a chapter.
+ *
+ * @param {string} stage - Stage key, or UNSTAGED.
+ * @returns {string} Chapter title.
+ */
+export function chapterTitle(stage) {
+  if (stage === UNSTAGED) return 'Earlier Events';
+  return STAGE_NAMES[stage] || stage;
+}
+
+/**
+ * Get a chapter's position in the chronicle: canon without a stage comes
+ * first (it predates stage tracking), then the stages in campaign order,
+ * then any stages this module doesn't know.
+ *
+ * @param {string} stage - Stage key, or UNSTAGED.
+ * @returns {number} Sort position.
+ */
+function chapterOrder(stage) {
+  if (stage === UNSTAGED) return -1;
+  const index = VALID_STAGES.indexOf(stage);
+  return index === -1 ? VALID_STAGES.length : index;
+}
+
+/**
+ * Group canon entries into chapters by stage and, within each chapter,
+ * into scenes in the order they were first visited.
+ *
+ * @param {Array<Object>} entries - Normalized canon entries (see canon-entries.mjs).
+ * @returns {Array<{stage: string, title: string, entries: Array<Object>, scenes: Array<{name: string|null, entries: Array<Object>}>}>} Chapters.
+ */
+export function buildChronicle(entries) {
+  const chronological = [...entries].sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+  const chapters = new Map();
+
+  for (const entry of chronological) {
+    const stage = entry.stage || UNSTAGED;
+    if (!chapters.has(stage)) {
+      chapters.set(stage, { stage, title: chapterTitle(stage), entries: [], scenes: [] });
+    }
+    const chapter = chapters.get(stage);
+    chapter.entries.push(entry);
+
+    // Consecutive canon in the same scene stays together; returning to a
+    // scene later starts a new section so the story keeps its order
+    const sceneName = entry.scene?.name || null;
+    const last = chapter.scenes[chapter.scenes.length - 1];
+    if (last && last.name === sceneName) {
+      last.entries.push(entry);
+    } else {
+      chapter.scenes.push({ name: sceneName, entries: [entry] });
+    }
+  }
+
+  return [...chapters.values()].sort((a, b) => {
+    const order = chapterOrder(a.stage) - chapterOrder(b.stage);
+    return order || a.stage.localeCompare(b.stage);
+  });
+}
+
+/**
+ * Format a chapter as markdown: the recap, if any, then each scene.
+ *
+ * @param {Object} chapter - Chapter from buildChronicle.
+ * @param {Object} [options] - Format options.
+ * @param {string|null} [options.recap] - AI-written recap.
+ * @param {number} [options.sceneLevel=2] - Heading level of scene names.
+ * @returns {string} Markdown.
+ */
+export function chapterToMarkdown(chapter, { recap = null, sceneLevel = 2 } = {}) {
+  const parts = [];
+  if (recap?.trim()) parts.push(recap.trim(), '---');
+
+  for (const scene of chapter.scenes) {
+    if (scene.name) parts.push(`${'#'.repeat(sceneLevel)} ${scene.name}`);
+    parts.push(...scene.entries.map(e => e.content.trim()).filter(Boolean));
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Format the whole chronicle as one markdown document.
+ *
+ * @param {string} title - Chronicle title.
+ * @param {Array<Object>} chapters - Chapters from buildChronicle.
+ * @param {Object<string, string>} [recaps] - Stage to recap.
+ * @returns {string} Markdown.
+ */
+export function chronicleToMarkdown(title, chapters, recaps = {}) {
+  const parts = [`# ${title}`];
+  for (const chapter of chapters) {
+    parts.push(`## ${chapter.title}`, chapterToMarkdown(chapter, { recap: recaps[chapter.stage], sceneLevel: 3 }));
+  }
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Join canon entries into the source text for a recap, keeping the most
+ * recent MAX_RECAP_SOURCE_CHARS characters.
+ *
+ * @param {Array<Object>} entries - Canon entries, in story order.
+ * @returns {string} Source text.
+ */
+export function recapSource(entries) {
+  const source = entries.map(e => e.content.trim()).filter(Boolean).join('\n\n');
+  return source.length > MAX_RECAP_SOURCE_CHARS ? source.slice(source.length - MAX_RECAP_SOURCE_CHARS) : source;
+}
+
+/**
+ * Build the prompt asking the AI to recap a chapter from its canon.
+ *
+ * @param {Object} chapter - Chapter from buildChronicle.
+ * @returns {string} Prompt text.
+ */
+export function buildRecapPrompt(chapter) {
+  return [
+    '[CHRONICLE RECAP]',
+    `Write a recap of "${chapter.title}" for the players' campaign chronicle, in two or three short paragraphs of past-tense prose.`,
+    'Use only the canon events below. Do not add events, reveal secrets, or hint at what comes next. ' +
+      'Do not narrate a new scene or change anything in the world.',
+    '',
+    'Canon:',
+    recapSource(chapter.entries)
+  ].join('\n');
+}
@@ -40,6 +40,32 @@ export function classifyFetchError(err) {
   };
 }
 
+/**
+ * Mutating AI tools that can be gated behind GM approval.
+ * Maps each tool name to the setting key holding its policy
+ * ('auto', 'ask' or 'deny').
+ *
+ * @type {Object<string, string>}
+ */
+export const GATED_TOOLS = {
+  apply_damage: 'toolPolicyApplyDamage',
+  modify_resource: 'toolPolicyModifyResource',
+  play_audio: 'toolPolicyPlayAudio',
+  set_ambience: 'toolPolicySetAmbience',
+  move_token: 'toolPolicyMoveToken',
+  toggle_door: 'toolPolicyToggleDoor',
+  set_token_visibility: 'toolPolicySetTokenVisibility',
+  set_scene_lighting: 'toolPolicySetSceneLighting',
+  start_combat: 'toolPolicyStartCombat',
+  advance_combat: 'toolPolicyAdvanceCombat',
+  set_combatant_defeated: 'toolPolicySetCombatantDefeated',
+  end_combat: 'toolPolicyEndCombat',
+  create_actor: 'toolPolicyCreateActor',
+  create_journal_page: 'toolPolicyCreateJournalPage',
+  append_to_journal: 'toolPolicyAppendToJournal',
+  create_roll_table: 'toolPolicyCreateRollTable'
+};
+
 /**
  * Register all module settings.
  * Called during module initialization.
@@ -131,6 +157,48 @@ export function registerSettings() {
     default: null
   });
 
+  // Narrative conversation (hidden - the campaign conversation side threads
+  // switch back to, see side-conversation.mjs)
+  game.settings.register(MODULE_ID, 'narrativeConversationId', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // GM consultation thread (hidden - server conversation ID of the GM's private thread)
+  game.settings.register(MODULE_ID, 'consultationConversationId', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // Session recap state (hidden - the GM's last login day, and the day the
+  // session before it started, which a rerun of today's recap starts from)
+  game.settings.register(MODULE_ID, 'lastSessionDate', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'recapSince', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // Per-user monthly usage (hidden - written by the GM client, see
+  // user-rate-limiter.mjs). scope: 'user' so only the GM's own client reads it.
+  game.settings.register(MODULE_ID, 'userUsage', {
+    scope: 'user',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   // Chat trigger prefix
   game.settings.register(MODULE_ID, 'triggerPrefix', {
     name: 'Chat Trigger Prefix',
@@ -166,6 +234,35 @@ export function registerSettings() {
     default: false
   });
 
+  // Stream responses into chat as they are generated
+  game.settings.register(MODULE_ID, 'streamResponses', {
+    name: 'Stream Responses',
+    hint: 'Show Loremaster responses in chat as they are written instead of waiting for the full reply.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // "Previously on..." recap on the GM's first login of a day
+  game.settings.register(MODULE_ID, 'sessionRecap', {
+    name: 'Session Recap',
+    hint: 'On the GM\'s first login of a new day, post a "Previously on..." recap of the canon since the last session and save it in the Session Recaps journal. /lm recap posts one at any time.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'sessionRecapVoice', {
+    name: 'Voice Session Recap',
+    hint: 'Read the session recap aloud on the GM\'s client through voice output.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // Include game context in prompts
   game.settings.register(MODULE_ID, 'includeGameContext', {
     name: 'Include Game Context',
@@ -186,6 +283,54 @@ export function registerSettings() {
     default: true
   });
 
+  // ===== Context Providers =====
+  // Each adds a block to the prompt; /lm context shows what they cost
+
+  game.settings.register(MODULE_ID, 'contextSceneTokens', {
+    name: 'Context: Tokens on Scene',
+    hint: 'Describe the visible tokens on the current scene with their grid positions, disposition and conditions. Requires Include Game Context.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'contextSpeakerSelection', {
+    name: 'Context: Speaker Selection and Targets',
+    hint: 'Tell the AI which token the speaking player controls and what they are targeting, so "I attack him" means the targeted token. Requires Include Game Context.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'contextActiveEffects', {
+    name: 'Context: Active Effects',
+    hint: 'Include temporary effects and conditions on the speakers\' tokens and their targets. Requires Include Game Context.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'contextTimeOfDay', {
+    name: 'Context: Time of Day',
+    hint: 'Include the in-world date and time from Simple Calendar when it is installed. Requires Include Game Context.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'contextOpenJournal', {
+    name: 'Context: Open Journal Page',
+    hint: 'Include the journal page the GM has open (secret blocks are left out). Off by default because the page may hold spoilers. Requires Include Game Context.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // ===== Multi-Player Message Synchronization Settings =====
 
   // Batching Mode
@@ -197,7 +342,8 @@ export function registerSettings() {
     type: String,
     choices: {
       'timer': 'Timer (auto-send after delay)',
-      'manual': 'Manual (GM triggers send)'
+      'manual': 'Manual (GM triggers send)',
+      'initiative': 'Initiative (follows the combat tracker)'
     },
     default: 'timer'
   });
@@ -242,6 +388,30 @@ export function registerSettings() {
     default: '[GM RULING:'
   });
 
+  // Player private questions (@lm?)
+  game.settings.register(MODULE_ID, 'playerQuestions', {
+    name: 'Player Private Questions',
+    hint: 'What players may ask with @lm? (e.g. "@lm? does the net stop the wolf?"). Answers are whispered to the player and the GM and never become canon.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      'off': 'Disabled',
+      'rules': 'Rules questions only',
+      'any': 'Rules and their own character\'s knowledge'
+    },
+    default: 'rules'
+  });
+
+  game.settings.register(MODULE_ID, 'playerQuestionApproval', {
+    name: 'Approve Player Questions',
+    hint: 'Hold each @lm? question until the GM clicks Answer or Decline. When off, questions are answered straight away and the GM sees both question and answer.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // Show Batch Indicator
   game.settings.register(MODULE_ID, 'showBatchIndicator', {
     name: 'Show Batch Collection Indicator',
@@ -262,6 +432,77 @@ export function registerSettings() {
     default: '!send'
   });
 
+  // ===== Player Limit Settings =====
+
+  // Requests per minute per player
+  game.settings.register(MODULE_ID, 'rateLimitPerMinute', {
+    name: 'Player Requests per Minute',
+    hint: 'Most @lm messages and questions each player may send in a minute. 0 = no limit. GMs are never limited.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: {
+      min: 0,
+      max: 30,
+      step: 1
+    },
+    default: 0
+  });
+
+  // Maximum characters per player message
+  game.settings.register(MODULE_ID, 'rateLimitMaxChars', {
+    name: 'Max Characters per Player Message',
+    hint: 'Longest @lm message a player may send. 0 = no limit.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0
+  });
+
+  // Monthly token budget per player
+  game.settings.register(MODULE_ID, 'rateLimitMonthlyTokens', {
+    name: 'Monthly Token Budget per Player',
+    hint: 'Tokens each player may use per calendar month (UTC). A batch is split evenly between the messages in it. 0 = no limit.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0
+  });
+
+  // ===== AI Tool Approval Settings =====
+
+  // One policy setting per gated tool
+  for (const [toolName, key] of Object.entries(GATED_TOOLS)) {
+    game.settings.register(MODULE_ID, key, {
+      name: `AI Tool Policy: ${toolName}`,
+      hint: 'LOREMASTER.Settings.ToolPolicy.Hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: {
+        'auto': 'LOREMASTER.Settings.ToolPolicy.Choices.Auto',
+        'ask': 'LOREMASTER.Settings.ToolPolicy.Choices.Ask',
+        'deny': 'LOREMASTER.Settings.ToolPolicy.Choices.Deny'
+      },
+      default: 'auto'
+    });
+  }
+
+  // How long a held tool call waits for the GM before it is refused
+  game.settings.register(MODULE_ID, 'toolApprovalTimeout', {
+    name: 'LOREMASTER.Settings.ToolApprovalTimeout.Name',
+    hint: 'LOREMASTER.Settings.ToolApprovalTimeout.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: {
+      min: 15,
+      max: 300,
+      step: 15
+    },
+    default: 90
+  });
+
   // ===== Usage Monitoring Settings =====
 
   // Maximum tokens per month (for usage tracking display)
@@ -384,6 +625,18 @@ export function setSetting(key, value) {
   return game.settings.set(MODULE_ID, key, value);
 }
 
+/**
+ * Get the approval policy for an AI tool.
+ * Tools without a policy setting always run automatically.
+ *
+ * @param {string} toolName - The tool name.
+ * @returns {string} 'auto', 'ask' or 'deny'.
+ */
+export function getToolPolicy(toolName) {
+  const key = GATED_TOOLS[toolName];
+  return key ? getSetting(key) : 'auto';
+}
+
 /**
  * Check if the module is in hosted mode.
  *
@@ -535,17 +788,33 @@ const SETTINGS_SECTIONS = [
   {
     labelKey: 'LOREMASTER.SettingsPanel.ChatSection',
     labelFallback: 'Chat',
-    keys: ['triggerPrefix', 'responseVisibility', 'gmMode']
+    keys: ['triggerPrefix', 'responseVisibility', 'gmMode', 'streamResponses', 'sessionRecap', 'sessionRecapVoice']
   },
   {
     labelKey: 'LOREMASTER.SettingsPanel.ContextSection',
     labelFallback: 'Context',
-    keys: ['includeGameContext', 'systemIntegration']
+    keys: [
+      'includeGameContext', 'systemIntegration', 'contextSceneTokens', 'contextSpeakerSelection',
+      'contextActiveEffects', 'contextTimeOfDay', 'contextOpenJournal'
+    ]
   },
   {
     labelKey: 'LOREMASTER.SettingsPanel.MultiPlayerSection',
     labelFallback: 'Multi-Player',
-    keys: ['batchingMode', 'batchTimerDuration', 'playerMessageVisibility', 'gmRulingPrefix', 'showBatchIndicator', 'gmSendKeyword']
+    keys: [
+      'batchingMode', 'batchTimerDuration', 'playerMessageVisibility', 'gmRulingPrefix',
+      'playerQuestions', 'playerQuestionApproval', 'showBatchIndicator', 'gmSendKeyword'
+    ]
+  },
+  {
+    labelKey: 'LOREMASTER.SettingsPanel.PlayerLimitsSection',
+    labelFallback: 'Player Limits',
+    keys: ['rateLimitPerMinute', 'rateLimitMaxChars', 'rateLimitMonthlyTokens']
+  },
+  {
+    labelKey: 'LOREMASTER.SettingsPanel.ToolsSection',
+    labelFallback: 'AI Tools',
+    keys: [...Object.values(GATED_TOOLS), 'toolApprovalTimeout']
   },
   {
     labelKey: 'LOREMASTER.SettingsPanel.UsageSection',
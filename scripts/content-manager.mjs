@@ -11,6 +11,7 @@ import { progressBar } from './progress-bar.mjs';
 import { isHostedMode } from './config.mjs';
 import { SharedContentAdmin } from './shared-content-admin.mjs';
 import { monotonicPercent } from './upload-progress-utils.mjs';
+import { markdownToHtml } from './journal-markdown.mjs';
 
 const MODULE_ID = 'loremaster';
 
@@ -1344,157 +1345,13 @@ export class ContentManager extends Application {
 
   /**
    * Convert markdown to HTML for Foundry journal display.
-   * Handles headers, lists, bold, italic, and basic formatting.
    *
    * @param {string} markdown - The markdown content.
    * @returns {string} HTML content.
    * @private
    */
   _markdownToHtml(markdown) {
-    // First, escape HTML special chars in the raw markdown (before any conversion)
-    let html = markdown
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    // Handle tables - must be done before line break conversion
-    html = this._convertMarkdownTables(html);
-
-    html = html
-      // Headers (must be before other replacements)
-      .replace(/^#### (.*$)/gim, '<h4>$1</h4>')
-      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-      // Horizontal rules
-      .replace(/^---$/gim, '<hr>')
-      // Bold and italic
-      .replace(/\*\*\*(.*?)\*\*\*/gim, '<strong><em>$1</em></strong>')
-      .replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/gim, '<em>$1</em>')
-      // Code blocks (simple handling)
-      .replace(/`([^`]+)`/gim, '<code>$1</code>')
-      // Checkboxes
-      .replace(/^\- \[ \] (.*$)/gim, '<li class="unchecked">$1</li>')
-      .replace(/^\- \[x\] (.*$)/gim, '<li class="checked">$1</li>')
-      // Unordered list items
-      .replace(/^\- (.*$)/gim, '<li>$1</li>')
-      .replace(/^\* (.*$)/gim, '<li>$1</li>')
-      // Ordered list items
-      .replace(/^\d+\. (.*$)/gim, '<li>$1</li>')
-      // Line breaks (but not inside tables)
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>');
-
-    // Wrap consecutive li elements in ul tags
-    html = html.replace(/(<li[^>]*>.*?<\/li>)(\s*<br>)?(\s*<li)/g, '$1$3');
-    html = html.replace(/(<li[^>]*>.*?<\/li>)+/g, (match) => {
-      if (match.includes('class="checked"') || match.includes('class="unchecked"')) {
-        return `<ul class="gm-prep-checklist">${match}</ul>`;
-      }
-      return `<ul>${match}</ul>`;
-    });
-
-    return `<div class="gm-prep-script">${html}</div>`;
-  }
-
-  /**
-   * Convert markdown tables to HTML tables.
-   * Must be called before line breaks are converted.
-   *
-   * @param {string} markdown - The markdown content.
-   * @returns {string} Content with tables converted to HTML.
-   * @private
-   */
-  _convertMarkdownTables(markdown) {
-    const lines = markdown.split('\n');
-    const result = [];
-    let inTable = false;
-    let tableRows = [];
-    let headerRow = null;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      // Check if this line is a table row (starts and ends with |)
-      if (line.startsWith('|') && line.endsWith('|')) {
-        // Extract cells
-        const cells = line.slice(1, -1).split('|').map(cell => cell.trim());
-
-        // Check if this is a separator row (all cells are dashes)
-        const isSeparator = cells.every(cell => /^[-:]+$/.test(cell));
-
-        if (isSeparator) {
-          // This is the separator row, mark that header is complete
-          if (!inTable && tableRows.length > 0) {
-            headerRow = tableRows.pop();
-            inTable = true;
-          }
-          continue; // Skip separator row
-        }
-
-        if (!inTable) {
-          // This might be a header row
-          tableRows.push(cells);
-        } else {
-          // This is a data row
-          tableRows.push(cells);
-        }
-      } else {
-        // Not a table row - flush any pending table
-        if (tableRows.length > 0 || headerRow) {
-          result.push(this._buildHtmlTable(headerRow, tableRows));
-          tableRows = [];
-          headerRow = null;
-          inTable = false;
-        }
-        result.push(line);
-      }
-    }
-
-    // Flush any remaining table
-    if (tableRows.length > 0 || headerRow) {
-      result.push(this._buildHtmlTable(headerRow, tableRows));
-    }
-
-    return result.join('\n');
-  }
-
-  /**
-   * Build an HTML table from parsed rows.
-   *
-   * @param {Array|null} headerRow - The header row cells.
-   * @param {Array} dataRows - Array of data row cell arrays.
-   * @returns {string} HTML table string.
-   * @private
-   */
-  _buildHtmlTable(headerRow, dataRows) {
-    let html = '<table class="gm-prep-table">';
-
-    // Add header if present
-    if (headerRow && headerRow.length > 0) {
-      html += '<thead><tr>';
-      for (const cell of headerRow) {
-        html += `<th>${cell}</th>`;
-      }
-      html += '</tr></thead>';
-    }
-
-    // Add body rows
-    if (dataRows.length > 0) {
-      html += '<tbody>';
-      for (const row of dataRows) {
-        html += '<tr>';
-        for (const cell of row) {
-          html += `<td>${cell}</td>`;
-        }
-        html += '</tr>';
-      }
-      html += '</tbody>';
-    }
-
-    html += '</table>';
-    return html;
+    return markdownToHtml(markdown);
   }
 
   // ===== Active Adventure Methods =====
@@ -0,0 +1,242 @@
+/**
+ * Loremaster Context Pipeline
+ *
+ * Runs the context providers that describe the table to the AI: tokens on
+ * the scene, what the speaking player has selected and targeted, active
+ * effects, the time of day and the journal page the GM has open. Each
+ * provider is switched on and off by its own world setting and renders its
+ * data as a short text block; the pipeline reports what every block costs
+ * in prompt tokens. The providers that read the canvas live in
+ * context-providers.mjs.
+ *
+ * Provider shape:
+ * {
+ *   id: string,                   // key in the result's sections
+ *   setting: string,              // Boolean setting that enables it
+ *   label: string,                // name shown in cost reports
+ *   collect: (request) => data,   // null or [] when there is nothing to report
+ *   format: (data) => string      // text block for the prompt
+ * }
+ */
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Rough characters-per-token ratio used for cost estimates.
+ *
+ * @type {number}
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Longest journal page excerpt sent with a request, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_JOURNAL_CHARS = 1500;
+
+/**
+ * Token disposition values (CONST.TOKEN_DISPOSITIONS) and how the AI sees them.
+ *
+ * @type {Object<number, string>}
+ */
+const DISPOSITION_LABELS = {
+  [-2]: 'unknown',
+  [-1]: 'hostile',
+  0: 'neutral',
+  1: 'friendly'
+};
+
+/**
+ * Estimate the prompt tokens a piece of text costs.
+ *
+ * @param {string} text - Prompt text.
+ * @returns {number} Estimated tokens.
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Run the enabled providers and collect their text blocks and costs.
+ * A provider that throws is skipped so one broken module integration
+ * can't block the request.
+ *
+ * @param {Array<Object>} providers - Providers, in prompt order (see module header).
+ * @param {Object} request - What the providers need to know about the request (e.g. speakers).
+ * @param {Function} isEnabled - Called with a provider; returns true to run it.
+ * @returns {{sections: Object, text: string, costs: Array<{id: string, label: string, tokens: number}>, totalTokens: number}} Pipeline result.
+ */
+export function runContextProviders(providers, request, isEnabled) {
+  const sections = {};
+  const blocks = [];
+  const costs = [];
+
+  for (const provider of providers) {
+    if (!isEnabled(provider)) continue;
+
+    let text = '';
+    try {
+      const data = provider.collect(request);
+      const empty = data == null || (Array.isArray(data) && data.length === 0);
+      if (!empty) {
+        text = provider.format(data) || '';
+        if (text) sections[provider.id] = data;
+      }
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Context provider ${provider.id} failed:`, error);
+    }
+
+    if (text) blocks.push(text);
+    costs.push({ id: provider.id, label: provider.label, tokens: estimateTokens(text) });
+  }
+
+  return {
+    sections,
+    text: blocks.join('\n\n'),
+    costs,
+    totalTokens: costs.reduce((sum, c) => sum + c.tokens, 0)
+  };
+}
+
+/**
+ * Describe a token disposition.
+ *
+ * @param {number} disposition - CONST.TOKEN_DISPOSITIONS value.
+ * @returns {string} 'friendly', 'neutral', 'hostile' or 'unknown'.
+ */
+export function dispositionLabel(disposition) {
+  return DISPOSITION_LABELS[disposition] || 'unknown';
+}
+
+/**
+ * Describe a token's position.
+ *
+ * @param {{col: number, row: number}} token - Grid cell (1-based).
+ * @returns {string} Position text.
+ */
+function positionText(token) {
+  return `column ${token.col}, row ${token.row}`;
+}
+
+/**
+ * Format the tokens visible on the scene.
+ *
+ * @param {Array<{name: string, col: number, row: number, disposition: number, conditions: string[]}>} tokens - Visible tokens.
+ * @returns {string} Text block.
+ */
+export function formatSceneTokens(tokens) {
+  const lines = ['=== TOKENS ON SCENE ==='];
+  for (const token of tokens) {
+    const conditions = token.conditions?.length ? `: ${token.conditions.join(', ')}` : '';
+    lines.push(`${token.name} (${dispositionLabel(token.disposition)}) at ${positionText(token)}${conditions}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a target, with its distance from the speaker when known.
+ *
+ * @param {{name: string, distance: number|null, units: string}} target - Targeted token.
+ * @returns {string} Target text.
+ */
+function targetText(target) {
+  return target.distance != null
+    ? `${target.name} (${target.distance}${target.units ? ` ${target.units}` : ''} away)`
+    : target.name;
+}
+
+/**
+ * Format what each speaking player controls and targets, so "I attack him"
+ * can be resolved to the targeted token.
+ *
+ * @param {Array<{speaker: string, controlled: Array<Object>, targets: Array<Object>}>} selections - One entry per speaker.
+ * @returns {string} Text block.
+ */
+export function formatSpeakerSelection(selections) {
+  const lines = ['=== SPEAKER SELECTION ==='];
+  for (const selection of selections) {
+    const controlled = selection.controlled.length
+      ? selection.controlled.map(t => `${t.name} at ${positionText(t)}`).join('; ')
+      : 'no token';
+    const targets = selection.targets.length
+      ? selection.targets.map(targetText).join(', ')
+      : 'nothing';
+    lines.push(`${selection.speaker} controls ${controlled}; targeting ${targets}`);
+  }
+  lines.push('When a player refers to "him", "her", "it" or "that one" without a name, they mean their target.');
+  return lines.join('\n');
+}
+
+/**
+ * Format the active effects on the speakers' tokens and their targets.
+ *
+ * @param {Array<{name: string, effects: Array<{name: string, duration: string|null}>}>} actors - Actors with effects.
+ * @returns {string} Text block.
+ */
+export function formatActiveEffects(actors) {
+  const lines = ['=== ACTIVE EFFECTS ==='];
+  for (const actor of actors) {
+    const effects = actor.effects.map(e => (e.duration ? `${e.name} (${e.duration})` : e.name));
+    lines.push(`${actor.name}: ${effects.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Name the part of the day an hour falls in.
+ *
+ * @param {number} hour - Hour of the day (0-23).
+ * @returns {string} 'night', 'dawn', 'morning', 'afternoon', 'evening' or 'dusk'.
+ */
+export function dayPeriod(hour) {
+  if (hour < 5) return 'night';
+  if (hour < 7) return 'dawn';
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  if (hour < 20) return 'evening';
+  if (hour < 22) return 'dusk';
+  return 'night';
+}
+
+/**
+ * Format the in-world date and time.
+ *
+ * @param {{date: string|null, time: string|null, hour: number|null}} time - Calendar reading.
+ * @returns {string} Text block.
+ */
+export function formatTimeOfDay(time) {
+  const parts = [time.date, time.time].filter(Boolean).join(', ');
+  const period = Number.isFinite(time.hour) ? dayPeriod(time.hour) : null;
+  const text = period ? `${parts} (${period})` : parts;
+  return `=== TIME OF DAY ===\n${text}`;
+}
+
+/**
+ * Shorten text to a length, cutting at a word boundary.
+ *
+ * @param {string} text - Text to shorten.
+ * @param {number} max - Maximum length in characters.
+ * @returns {string} Text, with an ellipsis if it was cut.
+ */
+export function truncateText(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+/**
+ * Format the journal page the GM has open.
+ *
+ * @param {{entry: string, page: string, text: string}} journal - Open page.
+ * @returns {string} Text block.
+ */
+export function formatOpenJournal(journal) {
+  const title = journal.page && journal.page !== journal.entry
+    ? `${journal.entry} - ${journal.page}`
+    : journal.entry;
+  const lines = ['=== OPEN JOURNAL PAGE ===', title];
+  if (journal.text) lines.push(truncateText(journal.text, MAX_JOURNAL_CHARS));
+  return lines.join('\n');
+}
@@ -0,0 +1,257 @@
+/**
+ * Loremaster Context Providers
+ *
+ * The providers run by ChatHandler._buildContext through the context
+ * pipeline (see context-pipeline.mjs). Each one reads a slice of the
+ * GM's canvas and world state and is enabled by its own world setting.
+ *
+ * The request passed to every provider is
+ * { speakers: Array<{userId, userName, characterName, selection}> },
+ * where selection ({ sceneId, controlled, targets } token IDs) was captured
+ * on the speaker's own client by PlayerContext.getSelection, since the GM
+ * client can't see which tokens another player has selected.
+ */
+
+import {
+  runContextProviders,
+  formatSceneTokens,
+  formatSpeakerSelection,
+  formatActiveEffects,
+  formatTimeOfDay,
+  formatOpenJournal
+} from './context-pipeline.mjs';
+import { htmlToMarkdown } from './journal-markdown.mjs';
+import { getSetting } from './config.mjs';
+
+/**
+ * Most tokens listed by the scene tokens provider.
+ *
+ * @type {number}
+ */
+const MAX_SCENE_TOKENS = 30;
+
+/**
+ * Get a token's grid cell (1-based).
+ *
+ * @param {TokenDocument} doc - The token document.
+ * @returns {{col: number, row: number}} Grid cell.
+ */
+function gridCell(doc) {
+  const size = canvas.scene?.grid?.size || 100;
+  return {
+    col: Math.floor(doc.x / size) + 1,
+    row: Math.floor(doc.y / size) + 1
+  };
+}
+
+/**
+ * Get the display names of the status conditions on a token's actor.
+ *
+ * @param {Token} token - The token.
+ * @returns {string[]} Condition names.
+ */
+function conditionNames(token) {
+  const statuses = token.actor?.statuses;
+  if (!statuses?.size) return [];
+
+  return [...statuses].map(id => {
+    const status = CONFIG.statusEffects.find(s => s.id === id);
+    const name = status?.name ?? status?.label;
+    return name ? game.i18n.localize(name) : id;
+  });
+}
+
+/**
+ * Measure the distance between two tokens in scene units.
+ *
+ * @param {Token} from - Source token.
+ * @param {Token} to - Target token.
+ * @returns {number|null} Rounded distance, or null if it can't be measured.
+ */
+function measureDistance(from, to) {
+  try {
+    const distance = canvas.grid.measurePath
+      ? canvas.grid.measurePath([from.center, to.center]).distance
+      : canvas.grid.measureDistance(from.center, to.center);
+    return Number.isFinite(distance) ? Math.round(distance) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a speaker's controlled and targeted tokens on the current canvas.
+ * Falls back to the speaker's character tokens and their synced targets
+ * when no selection was captured for this scene.
+ *
+ * @param {Object} speaker - Speaker entry from the request.
+ * @returns {{label: string, controlled: Token[], targets: Token[]}} Resolved tokens.
+ */
+function resolveSpeaker(speaker) {
+  const user = game.users.get(speaker.userId);
+  const selection = speaker.selection?.sceneId === canvas.scene?.id ? speaker.selection : null;
+  const byId = ids => (ids || []).map(id => canvas.tokens.get(id)).filter(Boolean);
+
+  let controlled = selection ? byId(selection.controlled) : [];
+  if (controlled.length === 0 && user?.character) {
+    controlled = user.character.getActiveTokens();
+  }
+
+  let targets = selection ? byId(selection.targets) : [];
+  if (targets.length === 0 && user?.targets) {
+    targets = [...user.targets].filter(t => t.scene === canvas.scene);
+  }
+
+  const userName = speaker.userName || user?.name || 'Unknown';
+  const characterName = speaker.characterName || user?.character?.name;
+  return {
+    label: characterName ? `${characterName} (Player: ${userName})` : userName,
+    controlled,
+    targets
+  };
+}
+
+/**
+ * Get the journal page the user has open, most recently opened sheet first.
+ *
+ * @returns {{entry: string, page: string, text: string}|null} Open page.
+ */
+function openJournalPage() {
+  const apps = [
+    ...Object.values(ui.windows),
+    ...(foundry.applications?.instances?.values() ?? [])
+  ].filter(app => app.rendered);
+
+  for (const app of apps.reverse()) {
+    const doc = app.document;
+    let page = null;
+    if (doc?.documentName === 'JournalEntryPage') {
+      page = doc;
+    } else if (doc?.documentName === 'JournalEntry') {
+      const pages = doc.pages.contents.sort((a, b) => a.sort - b.sort);
+      page = doc.pages.get(app.pageId) ?? pages[app.pageIndex ?? 0] ?? null;
+    } else {
+      continue;
+    }
+    if (!page) continue;
+
+    // Secret blocks stay out of the prompt
+    const html = page.type === 'text'
+      ? (page.text?.content || '').replace(/<section[^>]*class="[^"]*secret[^"]*"[^>]*>[\s\S]*?<\/section>/gi, '')
+      : '';
+    return {
+      entry: page.parent?.name || page.name,
+      page: page.name,
+      text: htmlToMarkdown(html).trim()
+    };
+  }
+  return null;
+}
+
+/**
+ * Context providers, in the order their blocks appear in the prompt.
+ *
+ * @type {Array<Object>}
+ */
+export const CONTEXT_PROVIDERS = [
+  {
+    id: 'sceneTokens',
+    setting: 'contextSceneTokens',
+    label: 'Tokens on scene',
+    collect() {
+      if (!canvas.ready || !canvas.tokens) return null;
+      return canvas.tokens.placeables
+        .filter(t => !t.document.hidden)
+        .slice(0, MAX_SCENE_TOKENS)
+        .map(t => ({
+          name: t.name,
+          ...gridCell(t.document),
+          disposition: t.document.disposition,
+          conditions: conditionNames(t)
+        }));
+    },
+    format: formatSceneTokens
+  },
+  {
+    id: 'speakerSelection',
+    setting: 'contextSpeakerSelection',
+    label: 'Speaker selection and targets',
+    collect({ speakers }) {
+      if (!canvas.ready || !canvas.tokens) return null;
+      const units = canvas.scene.grid?.units || '';
+      return speakers
+        .map(resolveSpeaker)
+        .filter(s => s.controlled.length > 0 || s.targets.length > 0)
+        .map(s => ({
+          speaker: s.label,
+          controlled: s.controlled.map(t => ({ name: t.name, ...gridCell(t.document) })),
+          targets: s.targets.map(t => ({
+            name: t.name,
+            distance: s.controlled[0] ? measureDistance(s.controlled[0], t) : null,
+            units
+          }))
+        }));
+    },
+    format: formatSpeakerSelection
+  },
+  {
+    id: 'activeEffects',
+    setting: 'contextActiveEffects',
+    label: 'Active effects',
+    collect({ speakers }) {
+      if (!canvas.ready || !canvas.tokens) return null;
+      const actors = new Map();
+      for (const speaker of speakers.map(resolveSpeaker)) {
+        for (const token of [...speaker.controlled, ...speaker.targets]) {
+          if (token.actor) actors.set(token.actor.uuid, { name: token.name, actor: token.actor });
+        }
+      }
+
+      return [...actors.values()]
+        .map(({ name, actor }) => ({
+          name,
+          effects: (actor.temporaryEffects || []).map(e => ({
+            name: e.name,
+            duration: e.duration?.type && e.duration.type !== 'none' ? e.duration.label : null
+          }))
+        }))
+        .filter(a => a.effects.length > 0);
+    },
+    format: formatActiveEffects
+  },
+  {
+    id: 'timeOfDay',
+    setting: 'contextTimeOfDay',
+    label: 'Time of day',
+    collect() {
+      // Only a calendar module knows how world time maps to a date
+      const api = globalThis.SimpleCalendar?.api;
+      if (!api?.timestampToDate) return null;
+      const date = api.timestampToDate(game.time.worldTime);
+      if (!date) return null;
+      return {
+        date: date.display?.date || null,
+        time: date.display?.time || null,
+        hour: date.hour ?? null
+      };
+    },
+    format: formatTimeOfDay
+  },
+  {
+    id: 'openJournal',
+    setting: 'contextOpenJournal',
+    label: 'Open journal page',
+    collect: openJournalPage,
+    format: formatOpenJournal
+  }
+];
+
+/**
+ * Run the context providers enabled in settings.
+ *
+ * @param {Object} request - Provider request (see module header).
+ * @returns {{sections: Object, text: string, costs: Array<Object>, totalTokens: number}} Pipeline result.
+ */
+export function buildProviderContext(request) {
+  return runContextProviders(CONTEXT_PROVIDERS, request, provider => getSetting(provider.setting));
+}
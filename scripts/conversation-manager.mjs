@@ -3,11 +3,29 @@
  *
  * Application window for managing conversation history and sessions.
  * Allows users to view, switch between, rename, and delete conversations
- * with the Loremaster AI GM.
+ * with the Loremaster AI GM, and to search inside them.
  */
 
+import { getSetting } from './config.mjs';
+import { storedSideConversationId } from './side-conversation.mjs';
+
 const MODULE_ID = 'loremaster';
 
+/**
+ * Messages loaded when opening a conversation at a message, so the
+ * message is found even in a long conversation.
+ *
+ * @type {number}
+ */
+const FOCUS_MESSAGE_LIMIT = 1000;
+
+/**
+ * Messages shown on each side of a message opened at.
+ *
+ * @type {number}
+ */
+const FOCUS_CONTEXT = 2;
+
 /**
  * Register Handlebars helpers for the Conversation Manager template.
  * Called once during module initialization.
@@ -69,6 +87,7 @@ export class ConversationManager extends Application {
     this.conversations = [];
     this.activeConversationId = null;
     this.selectedConversation = null;
+    this.focusMessageId = null;
     this.hasMore = false;
     this.currentOffset = 0;
     this.pageSize = 20;
@@ -148,8 +167,14 @@ export class ConversationManager extends Application {
     // Refresh button
     html.find('.refresh-btn').on('click', this._onRefresh.bind(this));
 
+    // Search button
+    html.find('.search-btn').on('click', this._onSearch.bind(this));
+
     // Double-click to switch
     html.find('.conversation-item').on('dblclick', this._onSwitchConversation.bind(this));
+
+    // Keep the selected conversation's details across re-renders
+    if (this.selectedConversation) this._updateDetailsPanel(html);
   }
 
   /**
@@ -181,16 +206,24 @@ export class ConversationManager extends Application {
       const result = await this.socketClient.listConversations(this.pageSize, offset);
       console.log(`${MODULE_ID} | Server returned:`, result);
 
+      // The GM consultation thread has its own window and must never become
+      // the active narrative conversation
+      const consultationId = storedSideConversationId(
+        getSetting('consultationConversationId'),
+        this.socketClient.narrativeConversationId
+      );
+      const conversations = (result.conversations || []).filter(c => c.id !== consultationId);
+
       if (append) {
-        this.conversations = [...this.conversations, ...result.conversations];
+        this.conversations = [...this.conversations, ...conversations];
       } else {
-        this.conversations = result.conversations || [];
+        this.conversations = conversations;
       }
 
       console.log(`${MODULE_ID} | Loaded ${this.conversations.length} conversations`);
 
       this.hasMore = result.hasMore || false;
-      this.currentOffset = this.conversations.length;
+      this.currentOffset = offset + (result.conversations || []).length;
 
       // Get active conversation ID from the first conversation if we don't have one
       if (!this.activeConversationId && this.conversations.length > 0) {
@@ -222,19 +255,38 @@ export class ConversationManager extends Application {
     try {
       const result = await this.socketClient.getConversation(conversationId, 5);
       this.selectedConversation = result;
+      this.focusMessageId = null;
       this._updateDetailsPanel();
     } catch (error) {
       console.error(`${MODULE_ID} | Failed to load conversation:`, error);
     }
   }
 
+  /**
+   * Open the window with a conversation selected and one of its messages
+   * shown, in context, in the details panel (e.g. from a search result).
+   *
+   * @param {string} conversationId - The conversation ID.
+   * @param {*} messageId - The message to show.
+   */
+  async openAt(conversationId, messageId) {
+    try {
+      this.selectedConversation = await this.socketClient.getConversation(conversationId, FOCUS_MESSAGE_LIMIT);
+      this.focusMessageId = messageId;
+      this.render(true);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load conversation:`, error);
+      ui.notifications.error(game.i18n.localize('LOREMASTER.ConversationManager.LoadError'));
+    }
+  }
+
   /**
    * Update the details panel with selected conversation info.
    *
+   * @param {jQuery} [html] - The rendered HTML, if not yet this.element.
    * @private
    */
-  _updateDetailsPanel() {
-    const html = $(this.element);
+  _updateDetailsPanel(html = $(this.element)) {
     const panel = html.find('.conversation-details');
 
     if (!this.selectedConversation) {
@@ -258,6 +310,10 @@ export class ConversationManager extends Application {
     panel.find('.detail-messages').text(stats.messageCount || 0);
     panel.find('.detail-tokens').text(stats.totalTokens || conv.total_tokens || 0);
 
+    html.find('.conversation-item').each((i, item) => {
+      item.classList.toggle('selected', item.dataset.conversationId === conv.id);
+    });
+
     // Show/hide action buttons based on whether it's the active conversation
     const isActive = conv.id === this.activeConversationId;
     panel.find('.switch-btn').toggleClass('hidden', isActive);
@@ -267,6 +323,28 @@ export class ConversationManager extends Application {
     const messagesPreview = panel.find('.messages-preview');
     messagesPreview.empty();
 
+    // A message opened from search is shown with the messages around it
+    const focusIndex = this.focusMessageId === null
+      ? -1
+      : messages.findIndex(msg => String(msg.id) === String(this.focusMessageId));
+    panel.find('.details-preview h4').text(game.i18n.localize(focusIndex === -1
+      ? 'LOREMASTER.ConversationManager.RecentMessages'
+      : 'LOREMASTER.ConversationManager.MatchedMessage'));
+    if (focusIndex !== -1) {
+      const around = messages.slice(Math.max(0, focusIndex - FOCUS_CONTEXT), focusIndex + FOCUS_CONTEXT + 1);
+      for (const msg of around) {
+        const isPlayer = msg.role === 'user';
+        messagesPreview.append(`
+          <div class="message-preview ${isPlayer ? 'user-message' : 'ai-message'} ${msg === messages[focusIndex] ? 'focused' : ''}">
+            <span class="message-role">${isPlayer ? 'Player' : 'Loremaster'}:</span>
+            <span class="message-content">${Handlebars.escapeExpression(msg.content)}</span>
+          </div>
+        `);
+      }
+      messagesPreview.find('.focused')[0]?.scrollIntoView({ block: 'center' });
+      return;
+    }
+
     // Filter for AI responses only, reverse to show most recent first
     const aiMessages = messages.filter(msg => msg.role === 'assistant');
     const recentAiMessages = [...aiMessages].reverse().slice(0, 3);
@@ -678,6 +756,17 @@ export class ConversationManager extends Application {
     await this._loadConversations();
   }
 
+  /**
+   * Handle search button click.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onSearch(event) {
+    event.preventDefault();
+    game.loremaster?.openConversationSearch?.();
+  }
+
   /**
    * Set the active conversation ID.
    *
@@ -0,0 +1,238 @@
+/**
+ * Loremaster Conversation Search
+ *
+ * Application window for full-text search across every conversation and
+ * canon, filtered by role (player or AI) and date range. Results show the
+ * conversation, timestamp and a snippet with the matches highlighted;
+ * clicking one opens the conversation at that message, or the Canon
+ * Manager for canon. The server can't search, so the window loads every
+ * message once and searches on the client until refreshed.
+ */
+
+import { getSetting } from './config.mjs';
+import { loadAllCanon } from './canon-manager.mjs';
+import { messageRecord, canonRecord, searchRecords } from './search-utils.mjs';
+import { storedSideConversationId } from './side-conversation.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Conversations requested per list-conversations call while loading.
+ *
+ * @type {number}
+ */
+const LIST_BATCH_SIZE = 50;
+
+/**
+ * Messages loaded per conversation. Older messages of longer
+ * conversations are not searched.
+ *
+ * @type {number}
+ */
+const MESSAGE_LIMIT = 1000;
+
+/**
+ * ConversationSearch Application class for searching conversations and canon.
+ */
+export class ConversationSearch extends Application {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   * @param {ConversationManager} conversationManager - Opens conversations at a result.
+   * @param {CanonManager} canonManager - Shows canon results.
+   * @param {object} options - Application options.
+   */
+  constructor(socketClient, conversationManager, canonManager, options = {}) {
+    super(options);
+    this.socketClient = socketClient;
+    this.conversationManager = conversationManager;
+    this.canonManager = canonManager;
+    this.records = [];
+    this.filters = { query: '', role: '', from: '', to: '' };
+    this.isLoading = false;
+    this.progress = null;
+    this._loaded = false;
+  }
+
+  /**
+   * Default application options.
+   *
+   * @returns {object} The default options.
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'loremaster-conversation-search',
+      title: game.i18n?.localize('LOREMASTER.ConversationSearch.Title') || 'Search Conversations',
+      template: 'modules/loremaster/templates/conversation-search.hbs',
+      classes: ['loremaster', 'conversation-search'],
+      width: 600,
+      height: 600,
+      resizable: true,
+      minimizable: true
+    });
+  }
+
+  /**
+   * Get data for template rendering.
+   *
+   * @param {object} options - Render options.
+   * @returns {object} Template data.
+   */
+  async getData(options = {}) {
+    const data = await super.getData(options);
+    const { results, total } = searchRecords(this.records, this.filters);
+
+    return {
+      ...data,
+      isLoading: this.isLoading,
+      progress: this.progress,
+      filters: this.filters,
+      hasQuery: !!this.filters.query,
+      results: results.map(({ record, snippet }, index) => ({
+        index,
+        snippet,
+        isCanon: record.source === 'canon',
+        isPlayer: record.role === 'player',
+        conversationTitle: record.conversationTitle
+          || game.i18n.localize('LOREMASTER.ConversationManager.Untitled'),
+        date: record.createdAt ? record.createdAt.toLocaleString() : ''
+      })),
+      total,
+      isTruncated: total > results.length,
+      shownCount: results.length
+    };
+  }
+
+  /**
+   * Activate event listeners for the application.
+   *
+   * @param {jQuery} html - The rendered HTML.
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html = $(html); // Convert to jQuery for Foundry v12 compatibility
+
+    html.find('.search-form').on('submit', this._onSearch.bind(this));
+    html.find('.search-filter').on('change', this._onSearch.bind(this));
+    html.find('.refresh-btn').on('click', this._onRefresh.bind(this));
+    html.find('.search-result').on('click', this._onResultClick.bind(this));
+  }
+
+  /**
+   * Handle window render - load messages on first open.
+   *
+   * @param {boolean} force - Force render.
+   * @param {object} options - Render options.
+   */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._loaded) {
+      this._loaded = true;
+      await this._loadRecords();
+    }
+  }
+
+  /**
+   * Load every conversation's messages and all canon to search.
+   *
+   * @private
+   */
+  async _loadRecords() {
+    if (this.isLoading) return;
+
+    this.isLoading = true;
+    this.progress = null;
+    this.render(false);
+
+    try {
+      // The GM consultation thread is private and not in the Conversation Manager
+      const consultationId = storedSideConversationId(
+        getSetting('consultationConversationId'),
+        this.socketClient.narrativeConversationId
+      );
+      const conversations = [];
+      for (;;) {
+        const result = await this.socketClient.listConversations(LIST_BATCH_SIZE, conversations.length);
+        const batch = result.conversations || [];
+        conversations.push(...batch);
+        if (!result.hasMore || !batch.length) break;
+      }
+
+      const records = [];
+      const searchable = conversations.filter(c => c.id !== consultationId);
+      for (const [index, conversation] of searchable.entries()) {
+        this.progress = game.i18n.format('LOREMASTER.ConversationSearch.Indexing', {
+          current: index + 1,
+          total: searchable.length
+        });
+        this.render(false);
+
+        const result = await this.socketClient.getConversation(conversation.id, MESSAGE_LIMIT);
+        records.push(...(result.messages || []).map(msg => messageRecord(msg, conversation)));
+      }
+
+      if (game.user.isGM) {
+        records.push(...(await loadAllCanon(this.socketClient)).map(canonRecord));
+      }
+
+      this.records = records;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load messages for search:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.ConversationSearch.LoadError', { error: error.message }));
+    } finally {
+      this.isLoading = false;
+      this.progress = null;
+      this.render(false);
+    }
+  }
+
+  /**
+   * Run the search with the form's current query and filters.
+   *
+   * @param {Event} event - The submit or change event.
+   * @private
+   */
+  _onSearch(event) {
+    event.preventDefault();
+    const form = $(this.element).find('.search-form');
+
+    this.filters = {
+      query: form.find('[name="query"]').val().trim(),
+      role: form.find('[name="role"]').val(),
+      from: form.find('[name="from"]').val(),
+      to: form.find('[name="to"]').val()
+    };
+    this.render(false);
+  }
+
+  /**
+   * Open a result: the conversation at the matching message, or the Canon
+   * Manager searching for the same text.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onResultClick(event) {
+    event.preventDefault();
+    const { results } = searchRecords(this.records, this.filters);
+    const record = results[Number(event.currentTarget.dataset.index)]?.record;
+    if (!record) return;
+
+    if (record.source === 'canon') {
+      this.canonManager.showSearch(this.filters.query);
+    } else {
+      this.conversationManager.openAt(record.conversationId, record.id);
+    }
+  }
+
+  /**
+   * Handle refresh button click - reload everything searched.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onRefresh(event) {
+    event.preventDefault();
+    await this._loadRecords();
+  }
+}
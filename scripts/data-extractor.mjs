@@ -5,6 +5,8 @@
  * to the proxy server and Claude Files API.
  */
 
+import { actorToStatBlock } from './actor-stat-block.mjs';
+
 const MODULE_ID = 'loremaster';
 
 /**
@@ -283,13 +285,19 @@ export class DataExtractor {
    * @private
    */
   _serializeActor(actor) {
+    const flags = actor.flags?.[MODULE_ID] || {};
     return {
       id: actor.id,
       name: actor.name,
       type: actor.type,
       img: actor.img,
       system: actor.system,
-      items: actor.items.map(i => this._serializeItem(i))
+      items: actor.items.map(i => this._serializeItem(i)),
+      // Only NPCs from create_actor carry a stat block, in the shape the tool
+      // accepts, so they round-trip without bloating every world sync
+      ...(flags.createdByLoremaster ? { statBlock: actorToStatBlock(actor, game.system.id) } : {}),
+      canonId: flags.canonId || null,
+      createdByLoremaster: !!flags.createdByLoremaster
     };
   }
 
@@ -0,0 +1,388 @@
+/**
+ * Loremaster GM Consultation
+ *
+ * Application window for the GM's private consultation thread. Questions
+ * asked here ("what if the merchant is a spy?") go to a server conversation
+ * of their own, so brainstorming never leaks into the narrative the players
+ * are playing through. The Loremaster can read canon and campaign progress
+ * when answering but cannot change them; the Canon tab shows the same
+ * read-only view. Any answer can be promoted to a GM ruling or to canon.
+ */
+
+import { getSetting, setSetting } from './config.mjs';
+import { formatResponse } from './message-formatter.mjs';
+import { checkSideConversationId, storedSideConversationId } from './side-conversation.mjs';
+import { linkCreatedActorsToCanon } from './tool-handlers.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Messages loaded from the thread's history.
+ *
+ * @type {number}
+ */
+const HISTORY_LIMIT = 200;
+
+/**
+ * Canon entries shown in the read-only Canon tab.
+ *
+ * @type {number}
+ */
+const CANON_LIMIT = 50;
+
+/**
+ * GMConsultation Application class for the GM's private thread.
+ */
+export class GMConsultation extends Application {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   * @param {ChatHandler} chatHandler - Chat handler, used to build game context.
+   * @param {object} options - Application options.
+   */
+  constructor(socketClient, chatHandler, options = {}) {
+    super(options);
+    this.socketClient = socketClient;
+    this.chatHandler = chatHandler;
+    this.messages = [];
+    this.canon = [];
+    this.pendingQuestion = null;
+    this.streamedText = '';
+    this._loaded = false;
+  }
+
+  /**
+   * Default application options.
+   *
+   * @returns {object} The default options.
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'loremaster-gm-consultation',
+      title: game.i18n?.localize('LOREMASTER.Consultation.Title') || 'GM Consultation',
+      template: 'modules/loremaster/templates/gm-consultation.hbs',
+      classes: ['loremaster', 'gm-consultation'],
+      width: 520,
+      height: 620,
+      resizable: true,
+      minimizable: true,
+      tabs: [{ navSelector: '.tabs', contentSelector: '.tab-content', initial: 'thread' }]
+    });
+  }
+
+  /**
+   * The consultation thread's server conversation ID. A stored ID that is
+   * the campaign conversation is never used as the thread.
+   *
+   * @returns {string|null} Conversation ID, or null before the first question.
+   */
+  get conversationId() {
+    return storedSideConversationId(getSetting('consultationConversationId'), this.socketClient.narrativeConversationId);
+  }
+
+  /**
+   * Get data for template rendering.
+   *
+   * @param {object} options - Render options.
+   * @returns {object} Template data.
+   */
+  async getData(options = {}) {
+    const data = await super.getData(options);
+
+    return {
+      ...data,
+      messages: this.messages.map(m => ({
+        ...m,
+        isAnswer: m.role === 'assistant',
+        html: m.role === 'assistant' ? formatResponse(m.content) : null
+      })),
+      canon: this.canon.map(entry => ({
+        ...entry,
+        html: formatResponse(entry.content || ''),
+        date: entry.created_at ? new Date(entry.created_at).toLocaleString() : ''
+      })),
+      pendingQuestion: this.pendingQuestion,
+      streamedText: this.streamedText,
+      hasMessages: this.messages.length > 0 || !!this.pendingQuestion
+    };
+  }
+
+  /**
+   * Activate event listeners for the application.
+   *
+   * @param {jQuery} html - The rendered HTML.
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html = $(html); // Convert to jQuery for Foundry v12 compatibility
+
+    html.find('.consultation-form').on('submit', this._onAsk.bind(this));
+    html.find('.consultation-input').on('keydown', (event) => {
+      // Enter asks, Shift+Enter adds a line
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        html.find('.consultation-form').trigger('submit');
+      }
+    });
+    html.find('.promote-ruling-btn').on('click', this._onPromoteRuling.bind(this));
+    html.find('.promote-canon-btn').on('click', this._onPromoteCanon.bind(this));
+    html.find('.clear-thread-btn').on('click', this._onClearThread.bind(this));
+    html.find('.refresh-btn').on('click', this._onRefresh.bind(this));
+
+    // Keep the latest exchange in view
+    const thread = html.find('.consultation-thread')[0];
+    if (thread) thread.scrollTop = thread.scrollHeight;
+  }
+
+  /**
+   * Handle window render - load history on first open.
+   *
+   * @param {boolean} force - Force render.
+   * @param {object} options - Render options.
+   */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._loaded) {
+      this._loaded = true;
+      await this._loadHistory();
+    }
+  }
+
+  /**
+   * Load the thread history and the read-only canon view.
+   *
+   * @private
+   */
+  async _loadHistory() {
+    try {
+      if (this.conversationId) {
+        const result = await this.socketClient.getConversation(this.conversationId, HISTORY_LIMIT);
+        this.messages = (result.messages || []).filter(m => m.role === 'user' || m.role === 'assistant');
+      }
+      const canonResult = await this.socketClient.listCanon(CANON_LIMIT, 0);
+      this.canon = canonResult.canon || [];
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load consultation thread:`, error);
+      ui.notifications.error(game.i18n.localize('LOREMASTER.Consultation.LoadError'));
+    }
+  }
+
+  /**
+   * Ask a question in the consultation thread.
+   *
+   * @param {string} question - The GM's question.
+   */
+  async ask(question) {
+    if (this.pendingQuestion) return;
+
+    this.pendingQuestion = question;
+    this.streamedText = '';
+    this.render(false);
+
+    const onDelta = getSetting('streamResponses')
+      ? ({ text }) => {
+        this.streamedText += text;
+        $(this.element).find('.consultation-streaming').text(this.streamedText);
+      }
+      : null;
+
+    try {
+      const context = this.chatHandler?._buildContext() || {};
+      const result = await this.socketClient.sendConsultation(question, this.conversationId, context, { onDelta });
+
+      // The thread is started on the first question (sendConsultation
+      // rejects a missing ID or the campaign conversation's)
+      if (result.conversationId !== this.conversationId) {
+        await setSetting('consultationConversationId', result.conversationId);
+      }
+
+      const now = new Date().toISOString();
+      this.messages.push({ role: 'user', content: question, created_at: now });
+      this.messages.push({ id: result.messageId, role: 'assistant', content: result.response, created_at: now });
+    } catch (error) {
+      console.error(`${MODULE_ID} | Consultation failed:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.Consultation.AskError', { error: error.message }));
+    } finally {
+      this.pendingQuestion = null;
+      this.streamedText = '';
+      this.render(false);
+    }
+  }
+
+  /**
+   * Handle the ask form submit.
+   *
+   * @param {Event} event - The submit event.
+   * @private
+   */
+  async _onAsk(event) {
+    event.preventDefault();
+    const input = $(this.element).find('.consultation-input');
+    const question = input.val().trim();
+    if (!question || this.pendingQuestion) return;
+
+    input.val('');
+    await this.ask(question);
+  }
+
+  /**
+   * Get the answer a promote button belongs to and the question it answered.
+   *
+   * @param {Event} event - The click event.
+   * @returns {{answer: Object, question: Object|null}|null} Answer and question.
+   * @private
+   */
+  _getExchange(event) {
+    const index = Number(event.currentTarget.dataset.index);
+    const answer = this.messages[index];
+    if (!answer) return null;
+
+    const question = this.messages.slice(0, index).reverse().find(m => m.role === 'user') || null;
+    return { answer, question };
+  }
+
+  /**
+   * Promote an answer to a GM ruling, after the GM edits it.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onPromoteRuling(event) {
+    event.preventDefault();
+    const exchange = this._getExchange(event);
+    if (!exchange) return;
+
+    const escape = Handlebars.escapeExpression;
+    const content = `
+      <form class="loremaster-promote-ruling">
+        <div class="form-group stacked">
+          <label>${game.i18n.localize('LOREMASTER.Consultation.RulingContext')}</label>
+          <input type="text" name="ruleContext" value="${escape(exchange.question?.content?.slice(0, 200) || '')}">
+        </div>
+        <div class="form-group stacked">
+          <label>${game.i18n.localize('LOREMASTER.Consultation.RulingText')}</label>
+          <textarea name="gmRuling" rows="8">${escape(exchange.answer.content)}</textarea>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('LOREMASTER.Consultation.RulingType')}</label>
+          <select name="rulingType">
+            <option value="persistent">${game.i18n.localize('LOREMASTER.Consultation.Persistent')}</option>
+            <option value="session">${game.i18n.localize('LOREMASTER.Consultation.Session')}</option>
+          </select>
+        </div>
+      </form>`;
+
+    const ruling = await Dialog.prompt({
+      title: game.i18n.localize('LOREMASTER.Consultation.PromoteRuling'),
+      content,
+      label: game.i18n.localize('LOREMASTER.Consultation.Promote'),
+      rejectClose: false,
+      callback: (html) => {
+        const form = $(html).find('form')[0];
+        return {
+          ruleContext: form.ruleContext.value.trim(),
+          gmRuling: form.gmRuling.value.trim(),
+          rulingType: form.rulingType.value
+        };
+      }
+    });
+    if (!ruling?.gmRuling) return;
+
+    try {
+      await this.socketClient.submitRuling({
+        ...ruling,
+        foundryInterpretation: null,
+        pdfInterpretation: null
+      });
+      ui.notifications.info(game.i18n.localize('LOREMASTER.Consultation.RulingSaved'));
+      game.loremaster?.houseRulesJournal?.syncFromServer().catch(() => {});
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to promote ruling:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.Consultation.PromoteError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Promote an answer to canon. It is recorded as campaign history but
+   * not posted to chat; the GM decides when the players learn it.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onPromoteCanon(event) {
+    event.preventDefault();
+    const exchange = this._getExchange(event);
+    if (!exchange) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('LOREMASTER.Consultation.PromoteCanon'),
+      content: `<p>${game.i18n.localize('LOREMASTER.Consultation.PromoteCanonConfirm')}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+    if (!confirmed) return;
+
+    try {
+      const sceneContext = (await this.chatHandler?._canonSceneContext()) ?? null;
+      const result = await this.socketClient.publishToCanon(exchange.answer.content, exchange.answer.id || null, sceneContext);
+      await linkCreatedActorsToCanon(result?.canonId || result?.id, exchange.answer.content);
+      this.canon.unshift({
+        id: result?.canonId || result?.id,
+        content: exchange.answer.content,
+        created_at: new Date().toISOString()
+      });
+      ui.notifications.info(game.i18n.localize('LOREMASTER.Consultation.CanonSaved'));
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to promote to canon:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.Consultation.PromoteError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Clear the thread's history after confirmation. The Loremaster forgets
+   * the earlier brainstorming; rulings and canon already promoted stay.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onClearThread(event) {
+    event.preventDefault();
+    if (!this.conversationId) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('LOREMASTER.Consultation.ClearTitle'),
+      content: `<p>${game.i18n.localize('LOREMASTER.Consultation.ClearConfirm')}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+    if (!confirmed) return;
+
+    try {
+      // Never clear the campaign conversation in place of the thread
+      await this.socketClient.clearConversation(checkSideConversationId(
+        this.conversationId,
+        this.socketClient.narrativeConversationId
+      ));
+      this.messages = [];
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to clear consultation thread:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.Consultation.ClearError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Handle refresh button click.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onRefresh(event) {
+    event.preventDefault();
+    await this._loadHistory();
+  }
+}
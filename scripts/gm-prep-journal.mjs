@@ -5,6 +5,8 @@
  * Uses debouncing to avoid excessive API calls during active editing.
  */
 
+import { htmlToMarkdown } from './journal-markdown.mjs';
+
 const MODULE_ID = 'loremaster';
 const SYNC_DEBOUNCE_MS = 30000; // 30 seconds
 
@@ -250,85 +252,6 @@ export class GMPrepJournalSync {
    * @private
    */
   _htmlToMarkdown(html) {
-    if (!html || typeof html !== 'string') return '';
-
-    let text = html;
-
-    // Remove wrapper divs
-    text = text.replace(/<div class="gm-prep-script">/gi, '');
-    text = text.replace(/<\/div>/gi, '');
-
-    // Convert headers back to markdown
-    text = text.replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1\n');
-    text = text.replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1\n');
-    text = text.replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1\n');
-    text = text.replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1\n');
-
-    // Convert horizontal rules
-    text = text.replace(/<hr\s*\/?>/gi, '\n---\n');
-
-    // Convert bold and italic
-    text = text.replace(/<strong><em>(.*?)<\/em><\/strong>/gi, '***$1***');
-    text = text.replace(/<strong>(.*?)<\/strong>/gi, '**$1**');
-    text = text.replace(/<em>(.*?)<\/em>/gi, '*$1*');
-
-    // Convert code
-    text = text.replace(/<code>(.*?)<\/code>/gi, '`$1`');
-
-    // Convert list items
-    text = text.replace(/<li class="unchecked">(.*?)<\/li>/gi, '- [ ] $1\n');
-    text = text.replace(/<li class="checked">(.*?)<\/li>/gi, '- [x] $1\n');
-    text = text.replace(/<li>(.*?)<\/li>/gi, '- $1\n');
-
-    // Remove list wrappers
-    text = text.replace(/<ul[^>]*>/gi, '');
-    text = text.replace(/<\/ul>/gi, '\n');
-
-    // Convert table rows back (handle thead/tbody structure)
-    // Add separator after thead
-    text = text.replace(/<\/thead>/gi, (match) => {
-      // Count the columns from the previous header row
-      return '</thead>|SEPARATOR|';
-    });
-    // First convert header cells
-    text = text.replace(/<th>(.*?)<\/th>/gi, '<td>$1</td>');
-    // Remove thead/tbody wrappers
-    text = text.replace(/<\/?thead>/gi, '');
-    text = text.replace(/<\/?tbody>/gi, '');
-    // Convert table rows
-    text = text.replace(/<tr>(.*?)<\/tr>/gi, (match, content) => {
-      const cells = content.match(/<td>(.*?)<\/td>/gi) || [];
-      const cellValues = cells.map(cell => cell.replace(/<\/?td>/gi, '').trim());
-      return '| ' + cellValues.join(' | ') + ' |\n';
-    });
-    // Convert separator placeholders to proper markdown separators
-    text = text.replace(/\|SEPARATOR\|/g, (match, offset, str) => {
-      // Find the previous row to count columns
-      const prevMatch = str.substring(0, offset).match(/\| [^|]+ \|[^\n]*\n$/);
-      if (prevMatch) {
-        const cols = (prevMatch[0].match(/\|/g) || []).length - 1;
-        return '|' + ' --- |'.repeat(cols) + '\n';
-      }
-      return '| --- | --- | --- |\n'; // Fallback
-    });
-    text = text.replace(/<table[^>]*>/gi, '');
-    text = text.replace(/<\/table>/gi, '');
-
-    // Convert paragraphs and line breaks
-    text = text.replace(/<\/p><p>/gi, '\n\n');
-    text = text.replace(/<p>/gi, '');
-    text = text.replace(/<\/p>/gi, '\n\n');
-    text = text.replace(/<br\s*\/?>/gi, '\n');
-
-    // Decode HTML entities
-    text = text.replace(/&amp;/gi, '&');
-    text = text.replace(/&lt;/gi, '<');
-    text = text.replace(/&gt;/gi, '>');
-
-    // Clean up excessive whitespace
-    text = text.replace(/\n{3,}/g, '\n\n');
-    text = text.trim();
-
-    return text;
+    return htmlToMarkdown(html);
   }
 }
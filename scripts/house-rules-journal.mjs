@@ -5,8 +5,12 @@
  * Syncs with the server's house_rules database table.
  */
 
+import { appendRulingsToMarkdown } from './rulings.mjs';
+import { htmlToMarkdown, markdownToHtml } from './journal-markdown.mjs';
+
 const MODULE_ID = 'loremaster';
 const JOURNAL_NAME = 'Loremaster House Rules';
+const CLASS_PREFIX = 'loremaster-house-rules';
 
 /**
  * HouseRulesJournal class manages the Foundry Journal for house rules.
@@ -117,7 +121,7 @@ export class HouseRulesJournal {
 
       if (result && result.markdown) {
         // Convert markdown to HTML
-        const html = this._markdownToHtml(result.markdown);
+        const html = markdownToHtml(result.markdown, CLASS_PREFIX);
 
         // Update journal page
         const page = journal.pages.contents[0];
@@ -149,7 +153,7 @@ export class HouseRulesJournal {
   async saveToServer(content) {
     try {
       // Convert HTML back to markdown
-      const markdown = this._htmlToMarkdown(content);
+      const markdown = htmlToMarkdown(content);
 
       // Save to server
       await this.socketClient.updateHouseRulesDocument(markdown);
@@ -165,73 +169,23 @@ export class HouseRulesJournal {
   }
 
   /**
-   * Convert markdown to HTML for journal display.
+   * Add GM rulings to the house rules document and refresh the journal.
+   * Rulings already in the document are skipped.
    *
-   * @param {string} markdown - The markdown content.
-   * @returns {string} HTML content.
-   * @private
+   * @param {Array<Object>} rulings - Normalized rulings (see rulings.mjs).
+   * @returns {Promise<number>} How many rulings were added.
    */
-  _markdownToHtml(markdown) {
-    // Simple markdown to HTML conversion
-    let html = markdown
-      // Headers
-      .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-      .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-      .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-      // Bold
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-      // Italic
-      .replace(/\*(.+?)\*/g, '<em>$1</em>')
-      // Horizontal rules
-      .replace(/^---$/gm, '<hr>')
-      // Line breaks
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>');
-
-    // Wrap in paragraphs
-    html = '<p>' + html + '</p>';
-
-    // Clean up empty paragraphs
-    html = html.replace(/<p><\/p>/g, '');
-    html = html.replace(/<p><hr><\/p>/g, '<hr>');
-    html = html.replace(/<p>(<h[123]>)/g, '$1');
-    html = html.replace(/(<\/h[123]>)<\/p>/g, '$1');
-
-    return html;
-  }
+  async promoteRulings(rulings) {
+    const result = await this.socketClient.getHouseRulesDocument();
+    const { markdown, added } = appendRulingsToMarkdown(result?.markdown || '', rulings);
 
-  /**
-   * Convert HTML back to markdown for server storage.
-   *
-   * @param {string} html - The HTML content.
-   * @returns {string} Markdown content.
-   * @private
-   */
-  _htmlToMarkdown(html) {
-    // Simple HTML to markdown conversion
-    let markdown = html
-      // Remove wrapper tags
-      .replace(/<\/?p>/g, '\n')
-      .replace(/<br\s*\/?>/g, '\n')
-      // Headers
-      .replace(/<h1>(.+?)<\/h1>/g, '# $1\n')
-      .replace(/<h2>(.+?)<\/h2>/g, '## $1\n')
-      .replace(/<h3>(.+?)<\/h3>/g, '### $1\n')
-      // Bold
-      .replace(/<strong>(.+?)<\/strong>/g, '**$1**')
-      .replace(/<b>(.+?)<\/b>/g, '**$1**')
-      // Italic
-      .replace(/<em>(.+?)<\/em>/g, '*$1*')
-      .replace(/<i>(.+?)<\/i>/g, '*$1*')
-      // Horizontal rules
-      .replace(/<hr\s*\/?>/g, '\n---\n')
-      // Strip remaining HTML tags
-      .replace(/<[^>]+>/g, '')
-      // Clean up whitespace
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
-
-    return markdown;
+    if (added) {
+      await this.socketClient.updateHouseRulesDocument(markdown);
+      console.log(`${MODULE_ID} | Promoted ${added} ruling(s) to house rules`);
+    }
+
+    await this.syncFromServer();
+    return added;
   }
 
   /**
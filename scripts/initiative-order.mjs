@@ -0,0 +1,65 @@
+/**
+ * Initiative-order batching helpers.
+ *
+ * In initiative batching mode the batch follows the combat tracker: each
+ * player-owned combatant declares an action (or passes) in turn order, and
+ * the batch is sent once all of them have. The batching authority (the GM
+ * client) tracks which combatants are done as a
+ * { combatantId: 'acted' | 'passed' } object.
+ *
+ * Combatant entries (see PlayerContext.getInitiativeOrder):
+ * { id, name, initiative, isPlayerOwned, defeated, userIds, userNames }
+ */
+
+/**
+ * Matches a message that passes the turn instead of declaring an action.
+ *
+ * @type {RegExp}
+ */
+const PASS_PATTERN = /^\s*(pass|i pass|skip)\s*[.!]?\s*$/i;
+
+/**
+ * Check whether a message passes the speaker's turn.
+ *
+ * @param {string} content - Message content.
+ * @returns {boolean} True for "pass", "I pass" or "skip".
+ */
+export function isPassMessage(content) {
+  return PASS_PATTERN.test(content || '');
+}
+
+/**
+ * Get the player-owned combatants that still have to act, in turn order.
+ * Defeated combatants are skipped.
+ *
+ * @param {Array<Object>} combatants - Combatants in turn order.
+ * @param {Object<string, string>} actions - Combatant ID to 'acted' or 'passed'.
+ * @returns {Array<Object>} Pending combatants.
+ */
+export function pendingCombatants(combatants, actions) {
+  return combatants.filter(c => c.isPlayerOwned && !c.defeated && !actions[c.id]);
+}
+
+/**
+ * Find the combatant a player's message is for: the first one in turn
+ * order that the player owns and that hasn't acted yet.
+ *
+ * @param {Array<Object>} combatants - Combatants in turn order.
+ * @param {Object<string, string>} actions - Combatant ID to 'acted' or 'passed'.
+ * @param {string} userId - The speaking user's ID.
+ * @returns {Object|null} The combatant, or null if the player has nobody left to act.
+ */
+export function findTurnCombatant(combatants, actions, userId) {
+  return pendingCombatants(combatants, actions).find(c => c.userIds.includes(userId)) || null;
+}
+
+/**
+ * Check whether every player-owned combatant has acted or passed.
+ *
+ * @param {Array<Object>} combatants - Combatants in turn order.
+ * @param {Object<string, string>} actions - Combatant ID to 'acted' or 'passed'.
+ * @returns {boolean} True when the round's declarations are complete.
+ */
+export function isRoundComplete(combatants, actions) {
+  return combatants.some(c => c.isPlayerOwned) && pendingCombatants(combatants, actions).length === 0;
+}
@@ -0,0 +1,251 @@
+/**
+ * Journal markdown conversion.
+ *
+ * Markdown <-> HTML conversion for Loremaster-written journal pages
+ * (GM prep scripts, AI campaign notes, house rules).
+ */
+
+/**
+ * Convert markdown to HTML for Foundry journal display.
+ * Handles headers, lists, bold, italic, and basic formatting.
+ *
+ * @param {string} markdown - The markdown content.
+ * @param {string} [classPrefix='gm-prep'] - Prefix for the wrapper, table and checklist CSS classes.
+ * @returns {string} HTML content.
+ */
+export function markdownToHtml(markdown, classPrefix = 'gm-prep') {
+  // First, escape HTML special chars in the raw markdown (before any conversion)
+  let html = markdown
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  // Handle tables - must be done before line break conversion
+  html = convertMarkdownTables(html, classPrefix);
+
+  html = html
+    // Headers (must be before other replacements)
+    .replace(/^#### (.*$)/gim, '<h4>$1</h4>')
+    .replace(/^### (.*$)/gim, '<h3>$1</h3>')
+    .replace(/^## (.*$)/gim, '<h2>$1</h2>')
+    .replace(/^# (.*$)/gim, '<h1>$1</h1>')
+    // Horizontal rules
+    .replace(/^---$/gim, '<hr>')
+    // Bold and italic
+    .replace(/\*\*\*(.*?)\*\*\*/gim, '<strong><em>$1</em></strong>')
+    .replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>')
+    .replace(/\*(.*?)\*/gim, '<em>$1</em>')
+    // Code blocks (simple handling)
+    .replace(/`([^`]+)`/gim, '<code>$1</code>')
+    // Checkboxes
+    .replace(/^\- \[ \] (.*$)/gim, '<li class="unchecked">$1</li>')
+    .replace(/^\- \[x\] (.*$)/gim, '<li class="checked">$1</li>')
+    // Unordered list items
+    .replace(/^\- (.*$)/gim, '<li>$1</li>')
+    .replace(/^\* (.*$)/gim, '<li>$1</li>')
+    // Ordered list items
+    .replace(/^\d+\. (.*$)/gim, '<li>$1</li>')
+    // Line breaks (but not inside tables)
+    .replace(/\n\n/g, '</p><p>')
+    .replace(/\n/g, '<br>');
+
+  // Wrap consecutive li elements in ul tags
+  html = html.replace(/(<li[^>]*>.*?<\/li>)(\s*<br>)?(\s*<li)/g, '$1$3');
+  html = html.replace(/(<li[^>]*>.*?<\/li>)+/g, (match) => {
+    if (match.includes('class="checked"') || match.includes('class="unchecked"')) {
+      return `<ul class="${classPrefix}-checklist">${match}</ul>`;
+    }
+    return `<ul>${match}</ul>`;
+  });
+
+  return `<div class="${classPrefix}-script">${html}</div>`;
+}
+
+/**
+ * Convert markdown tables to HTML tables.
+ * Must be called before line breaks are converted.
+ *
+ * @param {string} markdown - The markdown content.
+ * @param {string} classPrefix - Prefix for the table CSS class.
+ * @returns {string} Content with tables converted to HTML.
+ */
+function convertMarkdownTables(markdown, classPrefix) {
+  const lines = markdown.split('\n');
+  const result = [];
+  let inTable = false;
+  let tableRows = [];
+  let headerRow = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    // Check if this line is a table row (starts and ends with |)
+    if (line.startsWith('|') && line.endsWith('|')) {
+      // Extract cells
+      const cells = line.slice(1, -1).split('|').map(cell => cell.trim());
+
+      // Check if this is a separator row (all cells are dashes)
+      const isSeparator = cells.every(cell => /^[-:]+$/.test(cell));
+
+      if (isSeparator) {
+        // This is the separator row, mark that header is complete
+        if (!inTable && tableRows.length > 0) {
+          headerRow = tableRows.pop();
+          inTable = true;
+        }
+        continue; // Skip separator row
+      }
+
+      if (!inTable) {
+        // This might be a header row
+        tableRows.push(cells);
+      } else {
+        // This is a data row
+        tableRows.push(cells);
+      }
+    } else {
+      // Not a table row - flush any pending table
+      if (tableRows.length > 0 || headerRow) {
+        result.push(buildHtmlTable(headerRow, tableRows, classPrefix));
+        tableRows = [];
+        headerRow = null;
+        inTable = false;
+      }
+      result.push(line);
+    }
+  }
+
+  // Flush any remaining table
+  if (tableRows.length > 0 || headerRow) {
+    result.push(buildHtmlTable(headerRow, tableRows, classPrefix));
+  }
+
+  return result.join('\n');
+}
+
+/**
+ * Build an HTML table from parsed rows.
+ *
+ * @param {Array|null} headerRow - The header row cells.
+ * @param {Array} dataRows - Array of data row cell arrays.
+ * @param {string} classPrefix - Prefix for the table CSS class.
+ * @returns {string} HTML table string.
+ */
+function buildHtmlTable(headerRow, dataRows, classPrefix) {
+  let html = `<table class="${classPrefix}-table">`;
+
+  // Add header if present
+  if (headerRow && headerRow.length > 0) {
+    html += '<thead><tr>';
+    for (const cell of headerRow) {
+      html += `<th>${cell}</th>`;
+    }
+    html += '</tr></thead>';
+  }
+
+  // Add body rows
+  if (dataRows.length > 0) {
+    html += '<tbody>';
+    for (const row of dataRows) {
+      html += '<tr>';
+      for (const cell of row) {
+        html += `<td>${cell}</td>`;
+      }
+      html += '</tr>';
+    }
+    html += '</tbody>';
+  }
+
+  html += '</table>';
+  return html;
+}
+
+/**
+ * Convert HTML content from Foundry journal back to markdown.
+ * Reverses the markdown-to-HTML conversion done when creating the journal.
+ *
+ * @param {string} html - The HTML content.
+ * @returns {string} Markdown content.
+ */
+export function htmlToMarkdown(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  let text = html;
+
+  // Remove wrapper divs
+  text = text.replace(/<div[^>]*>/gi, '');
+  text = text.replace(/<\/div>/gi, '');
+
+  // Convert headers back to markdown
+  text = text.replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1\n');
+  text = text.replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1\n');
+  text = text.replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1\n');
+  text = text.replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1\n');
+
+  // Convert horizontal rules
+  text = text.replace(/<hr\s*\/?>/gi, '\n---\n');
+
+  // Convert bold and italic
+  text = text.replace(/<strong><em>(.*?)<\/em><\/strong>/gi, '***$1***');
+  text = text.replace(/<strong>(.*?)<\/strong>/gi, '**$1**');
+  text = text.replace(/<em>(.*?)<\/em>/gi, '*$1*');
+
+  // Convert code
+  text = text.replace(/<code>(.*?)<\/code>/gi, '`$1`');
+
+  // Convert list items
+  text = text.replace(/<li class="unchecked">(.*?)<\/li>/gi, '- [ ] $1\n');
+  text = text.replace(/<li class="checked">(.*?)<\/li>/gi, '- [x] $1\n');
+  text = text.replace(/<li>(.*?)<\/li>/gi, '- $1\n');
+
+  // Remove list wrappers
+  text = text.replace(/<ul[^>]*>/gi, '');
+  text = text.replace(/<\/ul>/gi, '\n');
+
+  // Convert table rows back (handle thead/tbody structure)
+  // Add separator after thead
+  text = text.replace(/<\/thead>/gi, (match) => {
+    // Count the columns from the previous header row
+    return '</thead>|SEPARATOR|';
+  });
+  // First convert header cells
+  text = text.replace(/<th>(.*?)<\/th>/gi, '<td>$1</td>');
+  // Remove thead/tbody wrappers
+  text = text.replace(/<\/?thead>/gi, '');
+  text = text.replace(/<\/?tbody>/gi, '');
+  // Convert table rows
+  text = text.replace(/<tr>(.*?)<\/tr>/gi, (match, content) => {
+    const cells = content.match(/<td>(.*?)<\/td>/gi) || [];
+    const cellValues = cells.map(cell => cell.replace(/<\/?td>/gi, '').trim());
+    return '| ' + cellValues.join(' | ') + ' |\n';
+  });
+  // Convert separator placeholders to proper markdown separators
+  text = text.replace(/\|SEPARATOR\|/g, (match, offset, str) => {
+    // Find the previous row to count columns
+    const prevMatch = str.substring(0, offset).match(/\| [^|]+ \|[^\n]*\n$/);
+    if (prevMatch) {
+      const cols = (prevMatch[0].match(/\|/g) || []).length - 1;
+      return '|' + ' --- |'.repeat(cols) + '\n';
+    }
+    return '| --- | --- | --- |\n'; // Fallback
+  });
+  text = text.replace(/<table[^>]*>/gi, '');
+  text = text.replace(/<\/table>/gi, '');
+
+  // Convert paragraphs and line breaks
+  text = text.replace(/<\/p><p>/gi, '\n\n');
+  text = text.replace(/<p>/gi, '');
+  text = text.replace(/<\/p>/gi, '\n\n');
+  text = text.replace(/<br\s*\/?>/gi, '\n');
+
+  // Decode HTML entities
+  text = text.replace(/&amp;/gi, '&');
+  text = text.replace(/&lt;/gi, '<');
+  text = text.replace(/&gt;/gi, '>');
+
+  // Clean up excessive whitespace
+  text = text.replace(/\n{3,}/g, '\n\n');
+  text = text.trim();
+
+  return text;
+}
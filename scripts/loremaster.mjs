@@ -10,18 +10,32 @@ import { registerSettings, getSetting, isHostedMode } from './config.mjs';
 import { TIER_CONFIG } from './patreon-login-ui.mjs';
 import { ChatHandler } from './chat-handler.mjs';
 import { SocketClient } from './socket-client.mjs';
-import { registerToolHandlers } from './tool-handlers.mjs';
+import {
+  registerToolHandlers,
+  restoreAmbienceVolume,
+  registerCustomTool,
+  unregisterCustomTool,
+  listCustomTools
+} from './tool-handlers.mjs';
 import { MessageBatcher } from './message-batcher.mjs';
-import { BatchUI, addVetoControls } from './batch-ui.mjs';
+import { UserRateLimiter } from './user-rate-limiter.mjs';
+import { BatchUI, addVetoControls, addHistoryNotice } from './batch-ui.mjs';
 import { DataExtractor } from './data-extractor.mjs';
 import { ContentManager, registerContentManagerHelpers } from './content-manager.mjs';
 import { ConversationManager, registerConversationManagerHelpers } from './conversation-manager.mjs';
+import { ConversationSearch } from './conversation-search.mjs';
+import { GMConsultation } from './gm-consultation.mjs';
+import { CanonManager } from './canon-manager.mjs';
+import { ChronicleExporter } from './chronicle-export.mjs';
+import { SessionRecap } from './session-recap.mjs';
+import { RulingsManager } from './rulings-manager.mjs';
 import { UsageMonitor, registerUsageMonitorHelpers } from './usage-monitor.mjs';
 import { registerWelcomeSettings, checkAndShowWelcome, openWelcomeJournal } from './welcome-journal.mjs';
 import { createHouseRulesJournal } from './house-rules-journal.mjs';
 import { GMPrepJournalSync } from './gm-prep-journal.mjs';
 import { progressBar } from './progress-bar.mjs';
 import { StatReviewPanel } from './stat-review-panel.mjs';
+import { ToolApprovalPanel } from './tool-approval-panel.mjs';
 import { SharedContentAdmin } from './shared-content-admin.mjs';
 import { statusBar } from './status-bar.mjs';
 import { getAuthManager, AuthState, AUTH_STATE_CHANGED_EVENT } from './patreon-auth.mjs';
@@ -58,6 +72,16 @@ Hooks.once('init', () => {
 
   // Register Handlebars helpers for Patreon Login
   registerPatreonLoginHelpers();
+
+  // Expose the public API for other modules. Available from init so tools
+  // can be registered before Loremaster connects; they are sent with the
+  // capability manifest when it does.
+  game.modules.get(MODULE_ID).api = {
+    registerTool: registerCustomTool,
+    unregisterTool: unregisterCustomTool,
+    listTools: listCustomTools,
+    isReady: () => !!game.loremaster?.socketClient?.isAuthenticated
+  };
 });
 
 /**
@@ -170,7 +194,13 @@ function showPatreonLoginPrompt() {
     openContentManager: requireAuth,
     openSharedContentAdmin: requireAuth,
     openConversationManager: requireAuth,
+    openConversationSearch: requireAuth,
+    openGMConsultation: requireAuth,
+    openCanonManager: requireAuth,
+    exportChronicle: requireAuth,
+    postSessionRecap: requireAuth,
     openHouseRulesJournal: requireAuth,
+    openRulingsManager: requireAuth,
     openUsageMonitor: requireAuth
   };
 
@@ -200,6 +230,62 @@ function promptForSelfHostedApiKey() {
   game.settings.sheet.render(true);
 }
 
+/**
+ * Show the requests queued while Loremaster was offline and let the GM
+ * discard any of them before they are replayed.
+ *
+ * @param {RequestOutbox} outbox - The socket client's outbox.
+ */
+function showOutboxDialog(outbox) {
+  const entries = outbox?.list() || [];
+  if (entries.length === 0) {
+    ui.notifications.info(game.i18n?.localize('LOREMASTER.Outbox.Empty') || 'No requests are queued.');
+    return;
+  }
+
+  const escape = (text) => Handlebars.escapeExpression(text);
+  const rows = entries.map(entry => {
+    const label = entry.label.length > 80 ? `${entry.label.slice(0, 80)}...` : entry.label;
+    const time = new Date(entry.queuedAt).toLocaleTimeString();
+    return `
+      <label class="loremaster-outbox-entry">
+        <input type="checkbox" name="discard" value="${escape(entry.clientRequestId)}">
+        <span class="loremaster-outbox-time">${time}</span>
+        <span class="loremaster-outbox-label">${escape(label)}</span>
+      </label>
+    `;
+  }).join('');
+
+  new Dialog({
+    title: game.i18n?.localize('LOREMASTER.Outbox.Title') || 'Queued Loremaster Requests',
+    content: `
+      <p>${game.i18n?.localize('LOREMASTER.Outbox.Hint') || 'These requests will be sent in order when the connection returns. Select any you want to discard.'}</p>
+      <div class="loremaster-outbox-list">${rows}</div>
+    `,
+    buttons: {
+      discard: {
+        icon: '<i class="fas fa-trash"></i>',
+        label: game.i18n?.localize('LOREMASTER.Outbox.DiscardSelected') || 'Discard Selected',
+        callback: async (html) => {
+          html = $(html); // Ensure jQuery for Foundry v12 compatibility
+          const ids = html.find('input[name="discard"]:checked').map((i, el) => el.value).get();
+          for (const id of ids) await outbox.remove(id);
+        }
+      },
+      discardAll: {
+        icon: '<i class="fas fa-dumpster"></i>',
+        label: game.i18n?.localize('LOREMASTER.Outbox.DiscardAll') || 'Discard All',
+        callback: () => outbox.clear()
+      },
+      close: {
+        icon: '<i class="fas fa-times"></i>',
+        label: game.i18n?.localize('LOREMASTER.Outbox.Close') || 'Close'
+      }
+    },
+    default: 'close'
+  }).render(true);
+}
+
 /**
  * Initialize the Loremaster system.
  * Sets up WebSocket connection, message batching, and chat handling.
@@ -225,6 +311,15 @@ async function initializeLoremaster() {
   // Create socket client instance
   const socketClient = new SocketClient();
 
+  // Register tool handlers for Claude tool use (before authenticate so the
+  // capability manifest for this game system is sent with the join)
+  registerToolHandlers(socketClient);
+
+  // Offline outbox: requests made while disconnected wait here for replay
+  socketClient.onOutboxChange = (size) => statusBar.setQueueDepth(size);
+  statusBar.onQueueClick = () => showOutboxDialog(socketClient.outbox);
+  await socketClient.initializeOutbox(game.world.id);
+
   try {
     // Connect to proxy server
     await socketClient.connect();
@@ -256,9 +351,6 @@ async function initializeLoremaster() {
       statusBar.setConnected(tier, 0, 0);
     };
 
-    // Register tool handlers for Claude tool use
-    registerToolHandlers(socketClient);
-
     // Create the batch UI
     const batchUI = new BatchUI({
       onSendNow: () => {
@@ -267,6 +359,12 @@ async function initializeLoremaster() {
       onClear: () => {
         messageBatcher.clearBatch();
         ui.notifications.info(game.i18n?.localize('LOREMASTER.Batch.Cleared') || 'Batch cleared');
+      },
+      onPlayerStatus: (status) => {
+        messageBatcher.setPlayerStatus(status);
+      },
+      onTyping: (typing) => {
+        messageBatcher.notifyTyping(typing);
       }
     });
     batchUI.initialize();
@@ -287,7 +385,14 @@ async function initializeLoremaster() {
       },
       onTimerTick: (seconds) => {
         batchUI.updateTimer(seconds);
-      }
+      },
+      onQuestion: (card, admitted) => {
+        chatHandler.handleQuestionCard(card, admitted).catch(error => {
+          console.error(`${MODULE_NAME} | Failed to handle private question:`, error);
+        });
+      },
+      // Per-player limits, applied by the GM client to players' requests
+      rateLimiter: new UserRateLimiter()
     });
 
     // Initialize socket for multi-client batch synchronization
@@ -297,6 +402,7 @@ async function initializeLoremaster() {
     // Create and initialize chat handler with batcher
     const chatHandler = new ChatHandler(socketClient, messageBatcher);
     chatHandler.initialize();
+    socketClient.onOutboxReplay = (entry, result, error) => chatHandler.handleOutboxReplay(entry, result, error);
 
     // Create data extractor for file sync
     const dataExtractor = new DataExtractor(socketClient);
@@ -309,9 +415,22 @@ async function initializeLoremaster() {
     // Create conversation manager for history management
     const conversationManager = new ConversationManager(socketClient);
 
+    // Create the GM's private consultation thread window
+    const gmConsultation = new GMConsultation(socketClient, chatHandler);
+
+    // Create the chronicle exporter and the canon browser and editor
+    const chronicleExporter = new ChronicleExporter(socketClient);
+    const canonManager = new CanonManager(socketClient, chronicleExporter);
+
+    // Create the search across conversations and canon
+    const conversationSearch = new ConversationSearch(socketClient, conversationManager, canonManager);
+
     // Create house rules journal manager
     const houseRulesJournal = createHouseRulesJournal(socketClient);
 
+    // Create the GM rulings manager
+    const rulingsManager = new RulingsManager(socketClient, houseRulesJournal);
+
     // Create usage monitor for API usage tracking
     const usageMonitor = new UsageMonitor(socketClient);
 
@@ -319,6 +438,9 @@ async function initializeLoremaster() {
     const voiceOutput = new VoiceOutput(socketClient);
     voiceOutput.initialize();
 
+    // Create the "Previously on..." session recap (posted by the GM client)
+    const sessionRecap = new SessionRecap(socketClient, voiceOutput);
+
     // Create and initialize voice input (PTT mic button → chat input field)
     const voiceInput = new VoiceInput();
     voiceInput.initialize();
@@ -338,6 +460,10 @@ async function initializeLoremaster() {
       statReviewPanel.handleApply(data);
     };
 
+    // Create tool approval panel (GM reviews "ask GM" tool calls)
+    const toolApprovalPanel = new ToolApprovalPanel();
+    socketClient.onToolApprovalRequest = (call) => toolApprovalPanel.requestApproval(call);
+
     // Store references on the game object for debugging/access
     game.loremaster = {
       socketClient,
@@ -348,12 +474,19 @@ async function initializeLoremaster() {
       contentManager,
       sharedContentAdmin,
       conversationManager,
+      conversationSearch,
+      gmConsultation,
+      canonManager,
+      chronicleExporter,
       houseRulesJournal,
+      rulingsManager,
       usageMonitor,
       voiceOutput,
+      sessionRecap,
       voiceInput,
       gmPrepJournalSync,
       statReviewPanel,
+      toolApprovalPanel,
       MODULE_ID,
       MODULE_NAME,
       // Convenience methods
@@ -363,9 +496,16 @@ async function initializeLoremaster() {
       recoverGMPrepJournals: () => contentManager.recoverOrphanedGMPrepJournals(),
       openSharedContentAdmin: () => sharedContentAdmin.render(true),
       openConversationManager: () => conversationManager.render(true),
+      openConversationSearch: () => conversationSearch.render(true),
+      openGMConsultation: () => gmConsultation.render(true),
+      openCanonManager: () => canonManager.render(true),
+      exportChronicle: () => chronicleExporter.open(),
+      postSessionRecap: () => sessionRecap.post(),
       openHouseRulesJournal: () => houseRulesJournal.open(),
+      openRulingsManager: () => rulingsManager.render(true),
       openUsageMonitor: () => usageMonitor.open(),
       openStatReview: () => { statReviewPanel.loadProposals(); statReviewPanel.render(true); },
+      openToolApproval: () => toolApprovalPanel.render(true),
       openPatreonLogin,
       openGuide: () => openWelcomeJournal()
     };
@@ -379,8 +519,17 @@ async function initializeLoremaster() {
         stripAudioTagsFromMessage(renderedElement);
       }
 
-      if (message.flags?.[MODULE_ID]?.isAIResponse) {
-        const messageId = message.flags[MODULE_ID].batchId || message.id;
+      const flags = message.flags?.[MODULE_ID];
+      const replaced = flags?.supersededBy || flags?.rolledBack;
+
+      // Replaced or rolled back responses get a notice instead of controls
+      if (flags?.isAIResponse && replaced && renderedElement instanceof HTMLElement) {
+        addHistoryNotice(renderedElement, flags);
+      }
+
+      // Veto/regenerate only once a streamed response has finished
+      if (flags?.isAIResponse && !flags.isStreaming && !replaced) {
+        const messageId = flags.batchId || message.id;
 
         // Foundry V13+: html is an HTMLElement
         const element = html instanceof HTMLElement ? html : html?.[0];
@@ -389,7 +538,8 @@ async function initializeLoremaster() {
             element,
             messageId,
             (id, correction) => chatHandler.vetoResponse(id, correction),
-            (id) => chatHandler.regenerateResponse(id)
+            (id) => chatHandler.regenerateResponse(id),
+            flags.batch ? (id) => chatHandler.rollbackToResponse(id) : null
           );
         }
       }
@@ -418,6 +568,20 @@ async function initializeLoremaster() {
       statusBar.setConnected(tierDisplayName, 0, 0);
     }
 
+    // Let other modules know Loremaster is connected and ready for tools
+    Hooks.callAll('loremasterReady', game.modules.get(MODULE_ID).api);
+
+    // Send requests still queued from a previous session (not awaited:
+    // replayed chats can take minutes)
+    socketClient.replayOutbox().catch(error => {
+      console.error(`${MODULE_NAME} | Failed to replay queued requests:`, error);
+    });
+
+    // Open the GM's first session of the day with a recap (not awaited: the AI takes a while)
+    sessionRecap.checkNewDay().catch(error => {
+      console.error(`${MODULE_NAME} | Failed to check for a new session:`, error);
+    });
+
     // Show welcome journal on first run or version update
     await checkAndShowWelcome();
 
@@ -464,6 +628,11 @@ async function initializeLoremaster() {
   }
 }
 
+/**
+ * Hook to put back the GM's volume on sounds set_ambience changed once they stop.
+ */
+Hooks.on('updatePlaylistSound', restoreAmbienceVolume);
+
 /**
  * Hook to add a top-level Loremaster control group to the scene controls.
  * Creates a dedicated "Loremaster" category with a wizard hat icon in the left toolbar,
@@ -512,6 +681,36 @@ Hooks.on('getSceneControlButtons', (controls) => {
         }
       }
     },
+    'loremaster-consultation': {
+      name: 'loremaster-consultation',
+      order: 2,
+      title: game.i18n?.localize('LOREMASTER.Consultation.Title') || 'GM Consultation',
+      icon: 'fa-solid fa-user-secret',
+      button: true,
+      visible: game.user?.isGM ?? false,
+      onChange: () => {
+        if (game.loremaster?.openGMConsultation) {
+          game.loremaster.openGMConsultation();
+        } else {
+          ui.notifications.warn('Loremaster not initialized');
+        }
+      }
+    },
+    'loremaster-canon': {
+      name: 'loremaster-canon',
+      order: 2,
+      title: game.i18n?.localize('LOREMASTER.CanonManager.Title') || 'Canon Manager',
+      icon: 'fa-solid fa-scroll',
+      button: true,
+      visible: game.user?.isGM ?? false,
+      onChange: () => {
+        if (game.loremaster?.openCanonManager) {
+          game.loremaster.openCanonManager();
+        } else {
+          ui.notifications.warn('Loremaster not initialized');
+        }
+      }
+    },
     'loremaster-house-rules': {
       name: 'loremaster-house-rules',
       order: 3,
@@ -527,6 +726,21 @@ Hooks.on('getSceneControlButtons', (controls) => {
         }
       }
     },
+    'loremaster-rulings': {
+      name: 'loremaster-rulings',
+      order: 3,
+      title: game.i18n?.localize('LOREMASTER.RulingsManager.Title') || 'GM Rulings',
+      icon: 'fa-solid fa-balance-scale',
+      button: true,
+      visible: game.user?.isGM ?? false,
+      onChange: () => {
+        if (game.loremaster?.openRulingsManager) {
+          game.loremaster.openRulingsManager();
+        } else {
+          ui.notifications.warn('Loremaster not initialized');
+        }
+      }
+    },
     'loremaster-stat-review': {
       name: 'loremaster-stat-review',
       order: 4,
@@ -542,6 +756,21 @@ Hooks.on('getSceneControlButtons', (controls) => {
         }
       }
     },
+    'loremaster-tool-approval': {
+      name: 'loremaster-tool-approval',
+      order: 4,
+      title: game.i18n?.localize('LOREMASTER.ToolApproval.Title') || 'AI Tool Approval',
+      icon: 'fa-solid fa-user-shield',
+      button: true,
+      visible: game.user?.isGM ?? false,
+      onChange: () => {
+        if (game.loremaster?.openToolApproval) {
+          game.loremaster.openToolApproval();
+        } else {
+          ui.notifications.warn('Loremaster not initialized');
+        }
+      }
+    },
     'loremaster-usage': {
       name: 'loremaster-usage',
       order: 5,
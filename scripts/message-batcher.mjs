@@ -3,7 +3,14 @@
  *
  * Handles collection and batching of multiple player messages
  * before sending them to Claude as simultaneous actions.
- * Supports both timer-based and manual (GM-triggered) modes.
+ * Supports timer-based, manual (GM-triggered) and initiative modes; the
+ * initiative mode follows the combat tracker and sends once every
+ * player-owned combatant has declared an action or passed. In the other
+ * modes players can mark themselves ready or pass, and the batch is sent
+ * as soon as every active player has.
+ *
+ * Players' private questions (@lm?) also go through the authority, but
+ * are answered one by one rather than batched.
  *
  * Uses Foundry sockets for multi-client synchronization:
  * - GM client is the "authority" and manages the actual batch state/timer
@@ -12,6 +19,8 @@
 
 import { getSetting } from './config.mjs';
 import { PlayerContext } from './player-context.mjs';
+import { findTurnCombatant, isPassMessage, isRoundComplete, pendingCombatants } from './initiative-order.mjs';
+import { TYPING_TIMEOUT_MS, allPlayersDone, typingUserIds } from './ready-check.mjs';
 
 const MODULE_ID = 'loremaster';
 const SOCKET_NAME = `module.${MODULE_ID}`;
@@ -28,11 +37,15 @@ export class MessageBatcher {
    * @param {Function} options.onBatchReady - Callback when batch is ready to send.
    * @param {Function} options.onBatchUpdate - Callback when batch contents change.
    * @param {Function} options.onTimerTick - Callback for timer updates.
+   * @param {Function} options.onQuestion - Callback (authority only) with a player's question card and whether the rate limits admit it.
+   * @param {UserRateLimiter} [options.rateLimiter] - Per-player limits applied (authority only) to incoming requests.
    */
   constructor(options = {}) {
     this.onBatchReady = options.onBatchReady || (() => {});
     this.onBatchUpdate = options.onBatchUpdate || (() => {});
     this.onTimerTick = options.onTimerTick || (() => {});
+    this.onQuestion = options.onQuestion || (() => {});
+    this.rateLimiter = options.rateLimiter || null;
 
     this.messages = [];
     this.gmRulings = [];
@@ -42,6 +55,15 @@ export class MessageBatcher {
     this.isCollecting = false;
     this.batchId = null;
 
+    // Initiative mode: combatant ID -> 'acted' | 'passed' for the current batch
+    this.turnActions = {};
+    this._promptedCombatantId = null;
+
+    // Ready check: user ID -> 'ready' | 'passed', and user ID -> last typing ping
+    this.playerStatus = {};
+    this.typingSince = {};
+    this._typingTimer = null;
+
     // Authority mode: GM manages state, players follow
     this.isAuthority = false;
     this.socketInitialized = false;
@@ -62,6 +84,13 @@ export class MessageBatcher {
       this._handleSocketEvent(data);
     });
 
+    // Initiative mode follows the combat tracker's rounds; private questions
+    // arrive as cards whispered to the GMs, not over the broadcast socket
+    if (this.isAuthority) {
+      Hooks.on('updateCombat', (combat, changed) => this._onCombatUpdate(combat, changed));
+      Hooks.on('createChatMessage', (message) => this._onQuestionCard(message));
+    }
+
     this.socketInitialized = true;
     console.log(`${MODULE_ID} | MessageBatcher socket initialized (authority: ${this.isAuthority})`);
   }
@@ -83,6 +112,20 @@ export class MessageBatcher {
         }
         break;
 
+      case 'batch:status':
+        // Only GM handles ready/pass from players
+        if (this.isAuthority) {
+          this._applyPlayerStatus(payload.userId, payload.status);
+        }
+        break;
+
+      case 'batch:typing':
+        // Only GM tracks who is typing
+        if (this.isAuthority) {
+          this._handleTyping(payload.userId, payload.typing);
+        }
+        break;
+
       case 'batch:state':
         // Only non-GM clients handle state updates
         if (!this.isAuthority) {
@@ -133,6 +176,12 @@ export class MessageBatcher {
   _handleRemoteAdd(payload) {
     const { content, userContext, isGMRuling } = payload;
 
+    if (!isGMRuling && !this._admit(content, userContext)) return;
+
+    // A new message means the player isn't done after all
+    delete this.playerStatus[userContext.userId];
+    delete this.typingSince[userContext.userId];
+
     if (isGMRuling) {
       // Add GM ruling
       this.gmRulings.push({
@@ -142,7 +191,7 @@ export class MessageBatcher {
         timestamp: Date.now()
       });
       console.log(`${MODULE_ID} | GM ruling added from remote player`);
-    } else {
+    } else if (!['passed', 'ignored'].includes(this._recordInitiativeTurn(content, userContext))) {
       // Format and add the message
       const formattedMessage = PlayerContext.formatMessageWithContext({
         content,
@@ -166,6 +215,20 @@ export class MessageBatcher {
 
     this._notifyUpdate();
     this._broadcastState();
+    this._checkInitiativeRound();
+  }
+
+  /**
+   * Apply the per-player limits to a request from a remote player.
+   * Only remote requests are checked: the authority's own are the GM's.
+   *
+   * @param {string} content - The message or question text.
+   * @param {Object} userContext - The sender's context.
+   * @returns {boolean} True if the request may go ahead.
+   * @private
+   */
+  _admit(content, userContext) {
+    return this.rateLimiter ? this.rateLimiter.admit(content, userContext) : true;
   }
 
   /**
@@ -181,16 +244,10 @@ export class MessageBatcher {
     this.batchId = state.batchId;
     this.timerDuration = state.timerDuration;
     this.timerStartTime = state.timerStartTime;
+    this.playerStatus = state.playerStatus || {};
 
     // Notify UI of state change
-    this.onBatchUpdate({
-      isCollecting: this.isCollecting,
-      messageCount: this.messages.length,
-      rulingCount: this.gmRulings.length,
-      messages: [...this.messages],
-      gmRulings: [...this.gmRulings],
-      batchId: this.batchId
-    });
+    this._notifyUpdate();
   }
 
   /**
@@ -206,6 +263,7 @@ export class MessageBatcher {
     this.batchId = null;
     this.timerStartTime = null;
     this.timerDuration = null;
+    this.playerStatus = {};
 
     // Notify UI
     this._notifyUpdate();
@@ -225,6 +283,7 @@ export class MessageBatcher {
     this.batchId = null;
     this.timerStartTime = null;
     this.timerDuration = null;
+    this.playerStatus = {};
 
     // Notify UI
     this._notifyUpdate();
@@ -245,10 +304,110 @@ export class MessageBatcher {
       gmRulings: this.gmRulings,
       batchId: this.batchId,
       timerDuration: this.timerDuration,
-      timerStartTime: this.timerStartTime
+      timerStartTime: this.timerStartTime,
+      playerStatus: this.playerStatus
     });
   }
 
+  /**
+   * Mark the current player ready, passed, or neither.
+   * Non-GM clients send the change to the GM via socket.
+   *
+   * @param {string|null} status - 'ready', 'passed', or null to clear.
+   */
+  setPlayerStatus(status) {
+    if (!this.isAuthority) {
+      this._emitSocket('batch:status', { userId: game.user.id, status });
+      return;
+    }
+    this._applyPlayerStatus(game.user.id, status);
+  }
+
+  /**
+   * Tell the GM whether the current player is typing a Loremaster message.
+   * Players call this repeatedly while typing; the GM treats a ping as
+   * stale after TYPING_TIMEOUT_MS.
+   *
+   * @param {boolean} typing - Whether the player is typing.
+   */
+  notifyTyping(typing) {
+    if (this.isAuthority) return;
+    this._emitSocket('batch:typing', { userId: game.user.id, typing });
+  }
+
+  /**
+   * Record a player's ready/pass status and send the batch if everyone is done (GM only).
+   * In initiative mode a pass passes the player's combatant turn instead.
+   *
+   * @param {string} userId - The player's user ID.
+   * @param {string|null} status - 'ready', 'passed', or null to clear.
+   * @private
+   */
+  _applyPlayerStatus(userId, status) {
+    if (status === 'ready' || status === 'passed') {
+      this.playerStatus[userId] = status;
+      delete this.typingSince[userId];
+    } else {
+      delete this.playerStatus[userId];
+    }
+    console.log(`${MODULE_ID} | Player ${userId} status: ${status || 'cleared'}`);
+
+    this._notifyUpdate();
+    this._broadcastState();
+
+    if (getSetting('batchingMode') === 'initiative') {
+      if (status === 'passed' && this._recordInitiativeTurn('pass', { userId }) === 'passed') {
+        this._checkInitiativeRound();
+      }
+      return;
+    }
+    this._checkPlayersReady();
+  }
+
+  /**
+   * Send the batch once every active player is ready or has passed (GM only).
+   * If everyone passed and nothing was said, the ready check just resets.
+   *
+   * @private
+   */
+  _checkPlayersReady() {
+    const playerIds = game.users.filter(u => u.active && !u.isGM).map(u => u.id);
+    if (!allPlayersDone(playerIds, this.playerStatus)) return;
+
+    if (this.messages.length > 0 || this.gmRulings.length > 0) {
+      console.log(`${MODULE_ID} | All players ready, sending batch`);
+      this.sendNow();
+    } else if (playerIds.every(id => this.playerStatus[id] === 'passed')) {
+      console.log(`${MODULE_ID} | All players passed with nothing to send`);
+      this.clearBatch();
+    }
+  }
+
+  /**
+   * Record a typing ping from a player (GM only).
+   * The UI is refreshed again once the ping goes stale.
+   *
+   * @param {string} userId - The player's user ID.
+   * @param {boolean} typing - Whether the player is typing.
+   * @private
+   */
+  _handleTyping(userId, typing) {
+    if (typing) {
+      this.typingSince[userId] = Date.now();
+    } else {
+      delete this.typingSince[userId];
+    }
+    this._notifyUpdate();
+
+    if (this._typingTimer) clearTimeout(this._typingTimer);
+    if (typingUserIds(this.typingSince).length > 0) {
+      this._typingTimer = setTimeout(() => {
+        this._typingTimer = null;
+        this._notifyUpdate();
+      }, TYPING_TIMEOUT_MS);
+    }
+  }
+
   /**
    * Add a message to the current batch.
    * For non-GM clients, sends via socket to GM instead of adding locally.
@@ -294,7 +453,7 @@ export class MessageBatcher {
         timestamp: Date.now()
       });
       console.log(`${MODULE_ID} | GM ruling added to batch`);
-    } else {
+    } else if (!['passed', 'ignored'].includes(this._recordInitiativeTurn(content, userContext))) {
       // Format and add the message
       const formattedMessage = PlayerContext.formatMessageWithContext({
         content,
@@ -318,9 +477,150 @@ export class MessageBatcher {
 
     this._notifyUpdate();
     this._broadcastState();
+    this._checkInitiativeRound();
     return true;
   }
 
+  /**
+   * Pass a player's private question (@lm?) card to the authority.
+   * Players post questions as cards whispered to themselves and the GMs,
+   * so no other player's client ever receives them. Cards the GM posted
+   * are handled where they were posted.
+   *
+   * @param {ChatMessage} message - A newly created chat message.
+   * @private
+   */
+  _onQuestionCard(message) {
+    const flags = message.flags?.[MODULE_ID];
+    if (!flags?.isPlayerQuestion || flags.questionStatus !== 'pending') return;
+
+    // Trust the message author rather than the context the client sent
+    const author = message.author;
+    if (!author || author.isGM || author.id !== flags.question?.userContext?.userId) return;
+
+    this.onQuestion(message, this._admit(flags.question.content, flags.question.userContext));
+  }
+
+  /**
+   * Record a player's message as their combatant's turn (initiative mode only).
+   * The message counts for the first combatant in turn order the player owns
+   * that hasn't acted yet; "pass" passes that combatant's turn. A pass from
+   * a player with no combatant waiting to act is ignored.
+   *
+   * @param {string} content - The message content.
+   * @param {Object} userContext - The player context.
+   * @returns {string|null} 'acted', 'passed' or 'ignored', or null when the message isn't anyone's turn.
+   * @private
+   */
+  _recordInitiativeTurn(content, userContext) {
+    if (getSetting('batchingMode') !== 'initiative') return null;
+
+    const initiative = PlayerContext.getInitiativeOrder();
+    if (!initiative) return null;
+
+    const combatant = findTurnCombatant(initiative.combatants, this.turnActions, userContext.userId);
+    if (!combatant) {
+      if (!isPassMessage(content)) return null;
+      console.log(`${MODULE_ID} | Ignoring pass from ${userContext.userName || userContext.userId}: no combatant waiting to act`);
+      return 'ignored';
+    }
+
+    const status = isPassMessage(content) ? 'passed' : 'acted';
+    this.turnActions[combatant.id] = status;
+    console.log(`${MODULE_ID} | ${combatant.name} ${status}`);
+    return status;
+  }
+
+  /**
+   * Send the batch once every player-owned combatant has acted or passed,
+   * otherwise prompt the next one (initiative mode, GM only).
+   *
+   * @private
+   */
+  _checkInitiativeRound() {
+    if (!this.isAuthority || getSetting('batchingMode') !== 'initiative') return;
+
+    const initiative = PlayerContext.getInitiativeOrder();
+    if (!initiative) return;
+
+    if (!isRoundComplete(initiative.combatants, this.turnActions)) {
+      this._promptNextCombatant(initiative);
+      return;
+    }
+
+    console.log(`${MODULE_ID} | All combatants have declared, sending batch`);
+    if (this.messages.length === 0 && this.gmRulings.length === 0) {
+      // Everyone passed
+      this.clearBatch();
+    } else {
+      this.sendNow();
+    }
+  }
+
+  /**
+   * Post a chat prompt telling the next combatant's player to declare an action.
+   * Each combatant is prompted at most once per batch.
+   *
+   * @param {Object} initiative - Turn order from PlayerContext.getInitiativeOrder().
+   * @private
+   */
+  _promptNextCombatant(initiative) {
+    const next = pendingCombatants(initiative.combatants, this.turnActions)[0];
+    if (!next || next.id === this._promptedCombatantId) return;
+    this._promptedCombatantId = next.id;
+
+    const text = game.i18n?.format('LOREMASTER.Batch.TurnPrompt', { name: next.name })
+      || `${next.name}, it's your turn. Declare your action or type "pass".`;
+
+    ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+      content: `<div class="loremaster-turn-prompt"><i class="fas fa-swords"></i> ${text}</div>`,
+      flags: { [MODULE_ID]: { isTurnPrompt: true, combatantId: next.id } }
+    }).catch(err => console.warn(`${MODULE_ID} | Failed to post turn prompt:`, err));
+  }
+
+  /**
+   * Handle a combat tracker update (GM only).
+   * When the GM advances the round in initiative mode, whatever was declared
+   * is sent and the first player of the new round is prompted.
+   *
+   * @param {Combat} combat - The updated combat.
+   * @param {Object} changed - The changed data.
+   * @private
+   */
+  _onCombatUpdate(combat, changed) {
+    if (!('round' in changed) || combat !== game.combat) return;
+    if (getSetting('batchingMode') !== 'initiative') return;
+
+    if (this.messages.length > 0 || this.gmRulings.length > 0) {
+      this.sendNow();
+    } else {
+      this.turnActions = {};
+      this._promptedCombatantId = null;
+    }
+
+    const initiative = PlayerContext.getInitiativeOrder();
+    if (initiative) this._promptNextCombatant(initiative);
+  }
+
+  /**
+   * Get the turn order with each combatant's status in the current batch.
+   *
+   * @returns {Object|null} Turn order for formatBatchForClaude, or null outside initiative mode or combat.
+   * @private
+   */
+  _initiativeWithStatus() {
+    if (getSetting('batchingMode') !== 'initiative') return null;
+
+    const initiative = PlayerContext.getInitiativeOrder();
+    if (!initiative) return null;
+
+    return {
+      ...initiative,
+      combatants: initiative.combatants.map(c => ({ ...c, status: this.turnActions[c.id] || null }))
+    };
+  }
+
   /**
    * Start the collection window.
    *
@@ -450,6 +750,9 @@ export class MessageBatcher {
     this.batchId = null;
     this.timerStartTime = null;
     this.timerDuration = null;
+    this.turnActions = {};
+    this._promptedCombatantId = null;
+    this.playerStatus = {};
 
     console.log(`${MODULE_ID} | Batch cleared`);
     this._notifyUpdate();
@@ -468,7 +771,12 @@ export class MessageBatcher {
       id: this.batchId,
       messages: [...this.messages],
       gmRulings: [...this.gmRulings],
-      formattedPrompt: PlayerContext.formatBatchForClaude(this.messages, this.gmRulings),
+      formattedPrompt: PlayerContext.formatBatchForClaude(
+        this.messages,
+        this.gmRulings,
+        PlayerContext.getPartyLocations(),
+        this._initiativeWithStatus()
+      ),
       timestamp: Date.now()
     };
 
@@ -479,6 +787,9 @@ export class MessageBatcher {
     this.batchId = null;
     this.timerStartTime = null;
     this.timerDuration = null;
+    this.turnActions = {};
+    this._promptedCombatantId = null;
+    this.playerStatus = {};
 
     console.log(`${MODULE_ID} | Batch sent with ${batch.messages.length} messages and ${batch.gmRulings.length} rulings`);
 
@@ -502,7 +813,9 @@ export class MessageBatcher {
       rulingCount: this.gmRulings.length,
       messages: [...this.messages],
       gmRulings: [...this.gmRulings],
-      batchId: this.batchId
+      batchId: this.batchId,
+      playerStatus: { ...this.playerStatus },
+      typingUserIds: typingUserIds(this.typingSince)
     });
   }
 
@@ -529,6 +842,8 @@ export class MessageBatcher {
       messages: [...this.messages],
       gmRulings: [...this.gmRulings],
       batchId: this.batchId,
+      playerStatus: { ...this.playerStatus },
+      typingUserIds: typingUserIds(this.typingSince),
       mode: getSetting('batchingMode'),
       timerDuration: getSetting('batchTimerDuration'),
       isAuthority: this.isAuthority
@@ -567,6 +882,7 @@ export class MessageBatcher {
    */
   destroy() {
     this._clearTimer();
+    if (this._typingTimer) clearTimeout(this._typingTimer);
     this.messages = [];
     this.gmRulings = [];
     this.isCollecting = false;
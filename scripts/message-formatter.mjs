@@ -273,6 +273,25 @@ export function formatResponse(text) {
   return ensureBalancedHtml(formatted);
 }
 
+/**
+ * Render a partially streamed response for interim display.
+ * Markdown is left unconverted because a half-received response can end
+ * mid-token (an open "**" or list); the final text goes through
+ * formatResponse once the stream completes.
+ *
+ * @param {string} text - Response text received so far.
+ * @returns {string} HTML with escaped text, paragraphs and line breaks.
+ */
+export function formatStreamingText(text) {
+  const paragraphs = (text || '')
+    .trim()
+    .split(/\n{2,}/)
+    .filter(p => p.length > 0)
+    .map(p => `<p class="loremaster-paragraph">${escapeHtml(p).replace(/\n/g, '<br>')}</p>`);
+
+  return `<div class="loremaster-response loremaster-streaming">${paragraphs.join('')}</div>`;
+}
+
 /**
  * Escape HTML special characters.
  *
@@ -5,20 +5,46 @@
  * for multi-player message batching and identification.
  */
 
+import { ADDRESSED_SECTION_INSTRUCTIONS } from './response-routing.mjs';
+
 const MODULE_ID = 'loremaster';
 
+/**
+ * How close (in grid cells) a token must be to a map note to be described
+ * as "near" it in party locations.
+ *
+ * @type {number}
+ */
+const NEAR_NOTE_CELLS = 5;
+
 /**
  * PlayerContext class provides utilities for extracting player information.
  */
 export class PlayerContext {
   /**
-   * Get context information for the current user.
+   * Get context information for the current user, including the tokens
+   * they have selected and targeted (only their own client knows these).
    *
    * @returns {Object} Player context object with user details.
    */
   static getCurrentUserContext() {
     const user = game.user;
-    return this.getUserContext(user);
+    return { ...this.getUserContext(user), selection: this.getSelection(user) };
+  }
+
+  /**
+   * Get the tokens a user has selected and targeted on the viewed scene.
+   * Controlled tokens are only known on the user's own client.
+   *
+   * @param {User} user - The Foundry User object (normally game.user).
+   * @returns {{sceneId: string|null, controlled: string[], targets: string[]}} Token IDs.
+   */
+  static getSelection(user) {
+    return {
+      sceneId: canvas?.scene?.id || null,
+      controlled: canvas?.tokens?.controlled.map(t => t.id) || [],
+      targets: [...(user?.targets || [])].map(t => t.id)
+    };
   }
 
   /**
@@ -104,25 +130,142 @@ export class PlayerContext {
       characterName: userContext.characterName,
       characterId: userContext.characterId,
       isGM: userContext.isGM,
+      selection: userContext.selection || null,
       timestamp: timestamp || Date.now()
     };
   }
 
+  /**
+   * Get where each active player's character is.
+   * A character is placed on the scene holding its token (the viewed scene
+   * first), and near the closest map note on that scene if one is in range.
+   *
+   * @returns {Array<Object>} Locations: { userId, userName, characterName, scene, near }.
+   */
+  static getPartyLocations() {
+    const scenes = [game.scenes.viewed, ...game.scenes.filter(s => s !== game.scenes.viewed)].filter(Boolean);
+
+    return game.users
+      .filter(u => !u.isGM && u.active && u.character)
+      .map(u => {
+        const actor = u.character;
+        const scene = scenes.find(s => s.tokens.some(t => t.actorId === actor.id)) || null;
+        const token = scene?.tokens.find(t => t.actorId === actor.id);
+
+        return {
+          userId: u.id,
+          userName: u.name,
+          characterName: actor.name,
+          scene: scene?.name || null,
+          near: token ? this._nearestNoteLabel(scene, token) : null
+        };
+      });
+  }
+
+  /**
+   * Find the label of the map note closest to a token.
+   *
+   * @param {Scene} scene - The scene holding the token.
+   * @param {TokenDocument} token - The token.
+   * @returns {string|null} Note label, or null if none is within NEAR_NOTE_CELLS.
+   * @private
+   */
+  static _nearestNoteLabel(scene, token) {
+    const gridSize = scene.grid?.size || 100;
+    const x = token.x + (token.width * gridSize) / 2;
+    const y = token.y + (token.height * gridSize) / 2;
+
+    let nearest = null;
+    let nearestDistance = NEAR_NOTE_CELLS * gridSize;
+    for (const note of scene.notes) {
+      const label = note.text || note.entry?.name;
+      if (!label) continue;
+      const distance = Math.hypot(note.x - x, note.y - y);
+      if (distance <= nearestDistance) {
+        nearest = label;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Get the turn order of the active combat.
+   * Hidden combatants are left out so the AI can't reveal them.
+   *
+   * @returns {Object|null} { round, combatants: [{ id, name, initiative, isPlayerOwned, defeated, userIds, userNames }] }, or null outside combat.
+   */
+  static getInitiativeOrder() {
+    const combat = game.combat;
+    if (!combat?.started) return null;
+
+    return {
+      round: combat.round,
+      combatants: combat.turns
+        .filter(c => !c.hidden)
+        .map(c => {
+          const owners = game.users.filter(u => !u.isGM && c.actor?.testUserPermission(u, 'OWNER'));
+          return {
+            id: c.id,
+            name: c.name,
+            initiative: c.initiative,
+            isPlayerOwned: c.hasPlayerOwner,
+            defeated: c.isDefeated,
+            userIds: owners.map(u => u.id),
+            userNames: owners.map(u => u.name)
+          };
+        })
+    };
+  }
+
   /**
    * Format a batch of messages for sending to Claude.
    * Creates a structured text format that Claude can easily parse.
    *
    * @param {Array} messages - Array of formatted message objects.
    * @param {Array} gmRulings - Array of GM ruling objects.
+   * @param {Array} [partyLocations] - Character locations from getPartyLocations().
+   * @param {Object|null} [initiative] - Turn order from getInitiativeOrder(); combatants may carry a status of 'acted' or 'passed'.
    * @returns {string} Formatted text for Claude prompt.
    */
-  static formatBatchForClaude(messages, gmRulings = []) {
+  static formatBatchForClaude(messages, gmRulings = [], partyLocations = [], initiative = null) {
     if (messages.length === 0 && gmRulings.length === 0) {
       return '';
     }
 
-    const lines = ['=== SIMULTANEOUS PLAYER ACTIONS ==='];
-    lines.push('The following actions are happening at the same in-game time.');
+    const lines = [];
+
+    // Tell the model who is where so it can address separated characters privately
+    if (partyLocations.length > 0) {
+      lines.push('=== PARTY LOCATIONS ===');
+      for (const loc of partyLocations) {
+        const place = loc.scene
+          ? `${loc.scene}${loc.near ? `, near ${loc.near}` : ''}`
+          : 'not on any scene';
+        lines.push(`${loc.characterName} (Player: ${loc.userName}): ${place}`);
+      }
+      lines.push('Characters in different places cannot see or hear each other.');
+      lines.push(ADDRESSED_SECTION_INSTRUCTIONS);
+      lines.push('');
+    }
+
+    // In combat, actions resolve in turn order rather than all at once
+    if (initiative?.combatants.length > 0) {
+      lines.push(`=== INITIATIVE ORDER (Round ${initiative.round}) ===`);
+      initiative.combatants.forEach((c, index) => {
+        const owner = c.userNames?.length > 0 ? `Player: ${c.userNames.join(', ')}` : 'NPC';
+        const notes = [`initiative ${c.initiative ?? 'not rolled'}`];
+        if (c.status === 'passed') notes.push('passed');
+        if (c.defeated) notes.push('defeated');
+        lines.push(`${index + 1}. ${c.name} (${owner}) - ${notes.join(' - ')}`);
+      });
+      lines.push('');
+    }
+
+    lines.push('=== SIMULTANEOUS PLAYER ACTIONS ===');
+    lines.push(initiative?.combatants.length > 0
+      ? 'These actions were declared this round. Resolve them one at a time in initiative order, including NPC turns.'
+      : 'The following actions are happening at the same in-game time.');
     lines.push('');
 
     // Add player messages
@@ -0,0 +1,85 @@
+/**
+ * Loremaster Player Questions
+ *
+ * Player-private questions ("@lm? can I sneak attack with a thrown
+ * dagger?"). The question goes to the batching authority (the GM client),
+ * which asks the Loremaster and whispers the answer to the player and the
+ * GM. Answers are never published or recorded as canon. The GM can limit
+ * questions to the game rules; the model marks an answer it won't give
+ * with OFF_TOPIC_MARKER so the refusal doesn't depend on its wording.
+ */
+
+/**
+ * Values of the playerQuestions setting.
+ *
+ * @type {{OFF: string, RULES: string, ANY: string}}
+ */
+export const QUESTION_MODES = {
+  OFF: 'off',
+  RULES: 'rules',
+  ANY: 'any'
+};
+
+/**
+ * Reply the model gives to a question outside the allowed topics.
+ *
+ * @type {string}
+ */
+export const OFF_TOPIC_MARKER = '[[OFF-TOPIC]]';
+
+/**
+ * Build the prompt for a private player question.
+ *
+ * @param {string} content - The player's question.
+ * @param {Object} options - Prompt options.
+ * @param {string} options.mode - QUESTION_MODES.RULES or QUESTION_MODES.ANY.
+ * @param {string} options.userName - The asking player.
+ * @param {string|null} [options.characterName] - The player's character, if any.
+ * @returns {string} Prompt text.
+ */
+export function buildQuestionPrompt(content, { mode, userName, characterName = null }) {
+  const asker = characterName ? `${userName}, who plays ${characterName}` : userName;
+  const lines = [
+    '[PRIVATE PLAYER QUESTION]',
+    `Asked out of character by ${asker}. Only this player and the GM will see the answer. ` +
+      'It is not part of the story: do not narrate, do not change anything in the world, and do not treat it as canon.'
+  ];
+
+  if (mode === QUESTION_MODES.RULES) {
+    lines.push(
+      'Answer only questions about the game rules. If the question is about anything else ' +
+      `(the story, secrets, what lies ahead), reply with exactly ${OFF_TOPIC_MARKER} and nothing else.`
+    );
+  } else {
+    const character = characterName || 'their character';
+    lines.push(
+      `Answer rules questions, and questions about what ${character} would know from their background ` +
+      'and from what they have seen in play. Never reveal anything the character has no way of knowing.'
+    );
+  }
+
+  lines.push('', `Question: ${content}`);
+  return lines.join('\n');
+}
+
+/**
+ * Check whether the model declined a question as outside the allowed topics.
+ *
+ * @param {string} text - The model's answer.
+ * @returns {boolean} True if the answer is the off-topic marker.
+ */
+export function isOffTopicAnswer(text) {
+  return (text || '').trim().startsWith(OFF_TOPIC_MARKER);
+}
+
+/**
+ * Get the users who should see a private question and its answer:
+ * the asking player and every GM, without duplicates.
+ *
+ * @param {string} askerId - The asking user's ID.
+ * @param {string[]} gmIds - IDs of the GM users.
+ * @returns {string[]} Whisper recipients.
+ */
+export function questionRecipients(askerId, gmIds) {
+  return [...new Set([askerId, ...gmIds].filter(Boolean))];
+}
@@ -0,0 +1,125 @@
+/**
+ * Loremaster Rate Limits
+ *
+ * Per-user limits on player AI requests, enforced by the batching
+ * authority (the GM client): requests per minute, characters per message
+ * and a monthly token budget. A limit of 0 means no limit, and GMs are
+ * never limited. UserRateLimiter (user-rate-limiter.mjs) owns the settings
+ * and the rejection messages.
+ *
+ * Monthly usage record, one per user:
+ * { month: 'YYYY-MM', tokens: number, requests: number }
+ */
+
+/**
+ * Length of the requests-per-minute window, in milliseconds.
+ *
+ * @type {number}
+ */
+export const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Get the month a timestamp falls in (UTC), e.g. '2026-10'.
+ *
+ * @param {number} now - Timestamp in milliseconds.
+ * @returns {string} Month key.
+ */
+export function monthKey(now) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+/**
+ * Get a user's usage for the current month, starting a fresh record when
+ * the stored one is from an earlier month.
+ *
+ * @param {Object|undefined} record - Stored usage record.
+ * @param {number} now - Timestamp in milliseconds.
+ * @returns {{month: string, tokens: number, requests: number}} Usage this month.
+ */
+export function monthlyUsage(record, now) {
+  const month = monthKey(now);
+  if (record?.month !== month) return { month, tokens: 0, requests: 0 };
+  return { month, tokens: record.tokens || 0, requests: record.requests || 0 };
+}
+
+/**
+ * Drop request timestamps older than the rate window.
+ *
+ * @param {number[]} timestamps - Request times.
+ * @param {number} now - Timestamp in milliseconds.
+ * @returns {number[]} Timestamps inside the window.
+ */
+export function pruneWindow(timestamps, now) {
+  return (timestamps || []).filter(t => now - t < RATE_WINDOW_MS);
+}
+
+/**
+ * Check a request against the limits.
+ *
+ * @param {Object} request - The request.
+ * @param {string} request.content - Message text.
+ * @param {number[]} request.timestamps - The user's recent request times.
+ * @param {Object} request.usage - The user's usage this month (from monthlyUsage).
+ * @param {{requestsPerMinute: number, maxChars: number, monthlyTokens: number}} limits - Limits (0 = none).
+ * @param {number} now - Timestamp in milliseconds.
+ * @returns {{reason: string, limit: number, length?: number, retryAfter?: number}|null} The broken limit, or null if allowed.
+ */
+export function checkLimits({ content, timestamps, usage }, limits, now) {
+  const length = (content || '').length;
+  if (limits.maxChars > 0 && length > limits.maxChars) {
+    return { reason: 'length', limit: limits.maxChars, length };
+  }
+
+  const recent = pruneWindow(timestamps, now);
+  if (limits.requestsPerMinute > 0 && recent.length >= limits.requestsPerMinute) {
+    // Allowed again once the oldest request in the window leaves it
+    const oldest = Math.min(...recent);
+    const retryAfter = Math.max(1, Math.ceil((oldest + RATE_WINDOW_MS - now) / 1000));
+    return { reason: 'rate', limit: limits.requestsPerMinute, retryAfter };
+  }
+
+  if (limits.monthlyTokens > 0 && usage.tokens >= limits.monthlyTokens) {
+    return { reason: 'budget', limit: limits.monthlyTokens };
+  }
+
+  return null;
+}
+
+/**
+ * Get the total tokens from a proxy usage report.
+ *
+ * @param {Object|undefined} usage - Usage report (camelCase or snake_case fields).
+ * @returns {number|null} Total tokens, or null if the report has none.
+ */
+export function usageTokens(usage) {
+  if (!usage) return null;
+  const total = usage.totalTokens ?? usage.total_tokens;
+  if (Number.isFinite(total)) return total;
+
+  const input = usage.inputTokens ?? usage.input_tokens;
+  const output = usage.outputTokens ?? usage.output_tokens;
+  if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+  return (input || 0) + (output || 0);
+}
+
+/**
+ * Split a batch's tokens between the users who sent its messages.
+ * Each message gets an equal share, so a user with two messages in the
+ * batch is charged two shares. Shares are rounded down and the remainder
+ * goes to the first message.
+ *
+ * @param {number} total - Tokens used by the batch.
+ * @param {string[]} userIds - Sender of each message in the batch.
+ * @returns {Object<string, number>} User ID to tokens.
+ */
+export function splitTokens(total, userIds) {
+  const shares = {};
+  if (!userIds.length || !(total > 0)) return shares;
+
+  const share = Math.floor(total / userIds.length);
+  userIds.forEach((userId, index) => {
+    const extra = index === 0 ? total - share * userIds.length : 0;
+    shares[userId] = (shares[userId] || 0) + share + extra;
+  });
+  return shares;
+}
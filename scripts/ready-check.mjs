@@ -0,0 +1,56 @@
+/**
+ * Batch ready-check helpers.
+ *
+ * Players can mark themselves ready or pass while a batch is collecting;
+ * the MessageBatcher keeps those as a plain { userId: 'ready' | 'passed' }
+ * object so it can travel over the batch:* socket events, and tracks when
+ * each player last typed a Loremaster message.
+ */
+
+/**
+ * How long a typing ping counts as "still typing", in milliseconds.
+ * Players re-send the ping while they type.
+ *
+ * @type {number}
+ */
+export const TYPING_TIMEOUT_MS = 6000;
+
+/**
+ * Get the players whose last typing ping is recent enough.
+ *
+ * @param {Object<string, number>} typingSince - User ID to time of last typing ping.
+ * @param {number} [now] - Current time.
+ * @returns {string[]} User IDs still typing.
+ */
+export function typingUserIds(typingSince, now = Date.now()) {
+  return Object.entries(typingSince)
+    .filter(([, time]) => now - time < TYPING_TIMEOUT_MS)
+    .map(([userId]) => userId);
+}
+
+/**
+ * Check whether every player has marked themselves ready or passed.
+ *
+ * @param {string[]} playerIds - Active player user IDs.
+ * @param {Object<string, string>} statuses - User ID to 'ready' or 'passed'.
+ * @returns {boolean} True when nobody is left to wait for.
+ */
+export function allPlayersDone(playerIds, statuses) {
+  return playerIds.length > 0 && playerIds.every(id => statuses[id] === 'ready' || statuses[id] === 'passed');
+}
+
+/**
+ * Describe where each player is in the ready check.
+ *
+ * @param {Array<{id: string, name: string}>} players - Active players.
+ * @param {Object<string, string>} statuses - User ID to 'ready' or 'passed'.
+ * @param {string[]} typingIds - User IDs still typing.
+ * @returns {Array<{userId: string, name: string, state: string}>} State is 'ready', 'passed', 'typing' or 'thinking'.
+ */
+export function describePlayers(players, statuses, typingIds) {
+  return players.map(p => ({
+    userId: p.id,
+    name: p.name,
+    state: statuses[p.id] || (typingIds.includes(p.id) ? 'typing' : 'thinking')
+  }));
+}
@@ -0,0 +1,258 @@
+/**
+ * Loremaster Request Outbox
+ *
+ * Holds chat requests made while the proxy connection is down so they can
+ * be replayed, in order, once it comes back. Entries are persisted in
+ * IndexedDB (one database per world) so a reload or an exhausted reconnect
+ * doesn't lose them. Each entry is keyed by the request's client request ID
+ * (the batch ID for batches), which the proxy also uses to ignore a request
+ * it has already answered, so queuing the same request twice is a no-op.
+ *
+ * Entry shape:
+ * {
+ *   clientRequestId: string,
+ *   type: 'chat' | 'chat-batch',  // proxy request type
+ *   payload: object,              // request payload, replayed as-is
+ *   meta: object,                 // what the caller needs to show the response
+ *   label: string,                // short description for the GM
+ *   queuedAt: number
+ * }
+ */
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * IndexedDB object store name.
+ *
+ * @type {string}
+ */
+const STORE_NAME = 'requests';
+
+/**
+ * Outbox storage backed by IndexedDB.
+ */
+export class IndexedDBOutboxStore {
+  /**
+   * @param {string} dbName - Database name (include the world ID).
+   */
+  constructor(dbName) {
+    this.dbName = dbName;
+    this._db = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use.
+   *
+   * @returns {Promise<IDBDatabase>} The database.
+   * @private
+   */
+  _open() {
+    if (this._db) return Promise.resolve(this._db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'clientRequestId' });
+      };
+      request.onsuccess = () => {
+        this._db = request.result;
+        resolve(this._db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a request against the object store.
+   *
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite').
+   * @param {Function} operation - Called with the object store; returns an IDBRequest.
+   * @returns {Promise<*>} The request result.
+   * @private
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All stored entries.
+   */
+  getAll() {
+    return this._run('readonly', store => store.getAll());
+  }
+
+  /**
+   * @param {Object} entry - Entry to store.
+   * @returns {Promise<void>}
+   */
+  put(entry) {
+    return this._run('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * @param {string} clientRequestId - Entry key.
+   * @returns {Promise<void>}
+   */
+  delete(clientRequestId) {
+    return this._run('readwrite', store => store.delete(clientRequestId));
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * In-memory outbox storage, used when IndexedDB is unavailable.
+ * Entries don't survive a reload.
+ */
+export class MemoryOutboxStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async getAll() {
+    return [...this.entries.values()];
+  }
+
+  async put(entry) {
+    this.entries.set(entry.clientRequestId, entry);
+  }
+
+  async delete(clientRequestId) {
+    this.entries.delete(clientRequestId);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Ordered queue of requests waiting for the connection to return.
+ * Keeps an in-memory copy of the store so the queue depth is available
+ * synchronously.
+ */
+export class RequestOutbox {
+  /**
+   * @param {IndexedDBOutboxStore|MemoryOutboxStore} store - Persistent storage.
+   * @param {Object} [options] - Outbox options.
+   * @param {Function} [options.onChange] - Called with the queue depth whenever it changes.
+   */
+  constructor(store, { onChange = null } = {}) {
+    this.store = store;
+    this.onChange = onChange;
+    this.entries = [];
+  }
+
+  /**
+   * Load entries left over from a previous session.
+   * If storage can't be read the outbox starts empty.
+   */
+  async load() {
+    try {
+      this.entries = (await this.store.getAll()).sort((a, b) => a.queuedAt - b.queuedAt);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not read request outbox:`, error);
+      this.entries = [];
+    }
+    this._changed();
+  }
+
+  /**
+   * Number of queued requests.
+   *
+   * @returns {number} Queue depth.
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get the queued requests, oldest first.
+   *
+   * @returns {Array<Object>} Entries (copy of the queue).
+   */
+  list() {
+    return [...this.entries];
+  }
+
+  /**
+   * Check whether a request is queued.
+   *
+   * @param {string} clientRequestId - Client request ID.
+   * @returns {boolean} True if queued.
+   */
+  has(clientRequestId) {
+    return this.entries.some(e => e.clientRequestId === clientRequestId);
+  }
+
+  /**
+   * Queue a request. A request already queued under the same ID is left as it is.
+   *
+   * @param {Object} entry - Entry without queuedAt (see module header).
+   * @returns {Promise<boolean>} True if queued, false if it was a duplicate.
+   */
+  async add(entry) {
+    if (this.has(entry.clientRequestId)) return false;
+
+    // Strictly increasing so the order survives a reload
+    const last = this.entries[this.entries.length - 1];
+    const queued = { ...entry, queuedAt: Math.max(Date.now(), (last?.queuedAt ?? 0) + 1) };
+    this.entries.push(queued);
+    this._changed();
+    await this._persist(() => this.store.put(queued));
+    return true;
+  }
+
+  /**
+   * Remove a request (replayed or discarded).
+   *
+   * @param {string} clientRequestId - Client request ID.
+   */
+  async remove(clientRequestId) {
+    this.entries = this.entries.filter(e => e.clientRequestId !== clientRequestId);
+    this._changed();
+    await this._persist(() => this.store.delete(clientRequestId));
+  }
+
+  /**
+   * Remove every queued request.
+   */
+  async clear() {
+    this.entries = [];
+    this._changed();
+    await this._persist(() => this.store.clear());
+  }
+
+  /**
+   * Write to storage, keeping the in-memory queue authoritative on failure.
+   *
+   * @param {Function} operation - Storage operation.
+   * @private
+   */
+  async _persist(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not update request outbox storage:`, error);
+    }
+  }
+
+  /**
+   * Report the queue depth.
+   *
+   * @private
+   */
+  _changed() {
+    this.onChange?.(this.entries.length);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Loremaster Response Routing
+ *
+ * Splits a batch response into shared narration and sections addressed to
+ * specific characters. The model marks a private section as
+ *
+ *   [[to: Mira, Bram]]
+ *   Only you notice the glint of steel in the rafters.
+ *   [[/to]]
+ *
+ * Shared narration is posted publicly; each addressed section becomes a
+ * whisper to the users who own those characters.
+ */
+
+/**
+ * Instruction appended to batch prompts describing the section syntax.
+ *
+ * @type {string}
+ */
+export const ADDRESSED_SECTION_INSTRUCTIONS =
+  'To tell a character something only they would know (a solo scout, a secret perception result), ' +
+  'wrap it in [[to: Character Name]] ... [[/to]]. Separate several names with commas. ' +
+  'Everything outside these sections is shared with the whole table.';
+
+/**
+ * Matches a complete addressed section.
+ *
+ * @type {RegExp}
+ */
+const SECTION_PATTERN = /\[\[\s*to\s*:\s*([^\]]+?)\s*\]\]([\s\S]*?)\[\[\s*\/\s*to\s*\]\]/gi;
+
+/**
+ * Matches an addressed section that is never closed: it runs to the end of
+ * the response.
+ *
+ * @type {RegExp}
+ */
+const UNCLOSED_SECTION_PATTERN = /\[\[\s*to\s*:\s*([^\]]+?)\s*\]\]([\s\S]*)$/i;
+
+/**
+ * Collapse the blank lines left behind where sections were removed.
+ *
+ * @param {string} text - Text with sections removed.
+ * @returns {string} Tidied text.
+ */
+function tidy(text) {
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Split a response into shared narration and addressed sections.
+ * Sections for the same recipients are kept separate and in order. A
+ * section the model never closed runs to the end of the response, and
+ * anything after a marker cut off mid-way is dropped, as while streaming
+ * (see visibleSharedText), so private text is never posted publicly.
+ *
+ * @param {string} text - The full response text.
+ * @returns {{shared: string, sections: Array<{recipients: string[], text: string}>}} Routed parts.
+ */
+export function splitAddressedSections(text) {
+  const sections = [];
+  const addSection = (match, names, body) => {
+    const recipients = names.split(',').map(n => n.trim()).filter(Boolean);
+    const sectionText = body.trim();
+    if (recipients.length > 0 && sectionText) {
+      sections.push({ recipients, text: sectionText });
+    }
+    return '\n\n';
+  };
+
+  let shared = (text || '').replace(SECTION_PATTERN, addSection);
+  shared = shared.replace(UNCLOSED_SECTION_PATTERN, addSection);
+
+  const open = shared.search(/\[\[\s*to\s*:/i);
+  if (open >= 0) shared = shared.slice(0, open);
+
+  return { shared: tidy(shared), sections };
+}
+
+/**
+ * Get the shared part of a response that is still streaming.
+ * Complete sections are removed, and anything after an opening marker
+ * that has not been closed yet (or a marker cut off mid-way) is held back,
+ * so a private section never flashes up in public chat.
+ *
+ * @param {string} text - Response text received so far.
+ * @returns {string} Text safe to show to everyone.
+ */
+export function visibleSharedText(text) {
+  let shared = (text || '').replace(SECTION_PATTERN, '\n\n');
+
+  const open = shared.search(/\[\[\s*to\s*:/i);
+  if (open >= 0) shared = shared.slice(0, open);
+
+  // A trailing "[" or "[[t" may be the start of a marker
+  shared = shared.replace(/\[(\[[^\]]*)?$/, '');
+
+  return tidy(shared);
+}
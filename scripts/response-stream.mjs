@@ -0,0 +1,203 @@
+/**
+ * Loremaster Response Stream
+ *
+ * Shows an AI response in chat while it is still being generated. The
+ * Loremaster ChatMessage is created when the first chat-delta arrives and
+ * updated as more text streams in, at most once per throttle interval so
+ * long narrations don't flood the server with document updates. When the
+ * response completes, the caller finalizes the message with the fully
+ * formatted content.
+ */
+
+import { formatStreamingText } from './message-formatter.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Minimum time between ChatMessage updates while streaming, in milliseconds.
+ *
+ * @type {number}
+ */
+const STREAM_UPDATE_INTERVAL_MS = 750;
+
+export class ResponseStream {
+  /**
+   * @param {object} messageData - ChatMessage data (speaker, whisper, flags) without content.
+   * @param {object} [options] - Stream options.
+   * @param {Function} [options.onStart] - Called once the chat message exists (e.g. to remove the thinking message).
+   * @param {number} [options.throttleMs] - Minimum time between message updates.
+   * @param {Function} [options.transform] - Maps the text received so far to the text to show.
+   */
+  constructor(messageData, { onStart = null, throttleMs = STREAM_UPDATE_INTERVAL_MS, transform = null } = {}) {
+    this.messageData = messageData;
+    this.onStart = onStart;
+    this.throttleMs = throttleMs;
+    this.transform = transform;
+    this.text = '';
+    this.message = null;
+    this.closed = false;
+    this._creating = false;
+    this._lastUpdate = 0;
+    this._timer = null;
+    // Serializes create/update/delete so they reach the server in order
+    this._chain = Promise.resolve();
+
+    this.onDelta = this.onDelta.bind(this);
+  }
+
+  /**
+   * Whether the streamed chat message has been created.
+   *
+   * @returns {boolean} True once the first delta has been shown.
+   */
+  get started() {
+    return this.message !== null || this._creating === true;
+  }
+
+  /**
+   * Append streamed text. Bound so it can be passed straight to SocketClient.
+   *
+   * @param {object} delta - The chat-delta event.
+   * @param {string} delta.text - Text added since the previous delta.
+   */
+  onDelta({ text }) {
+    if (this.closed || !text) return;
+    this.text += text;
+
+    if (!this.started) {
+      // Nothing to show yet (e.g. the response opens with a private section)
+      if (!this._visibleText()) return;
+      this._creating = true;
+      this._enqueue(() => this._create());
+      return;
+    }
+    this._scheduleUpdate();
+  }
+
+  /**
+   * Replace the streamed text with the final formatted response.
+   *
+   * @param {string} content - Final HTML content.
+   * @param {object} [flags] - Extra Loremaster flags to set on the message.
+   * @returns {Promise<ChatMessage|null>} The message, or null if nothing was streamed.
+   */
+  async finalize(content, flags = {}) {
+    this._close();
+    await this._chain;
+    if (!this.message) return null;
+
+    await this.message.update({
+      content,
+      [`flags.${MODULE_ID}`]: { ...flags, isStreaming: false }
+    });
+    return this.message;
+  }
+
+  /**
+   * Delete the streamed message, e.g. when the request fails.
+   */
+  async discard() {
+    this._close();
+    await this._chain;
+    if (!this.message) return;
+
+    try {
+      await this.message.delete();
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Failed to delete streamed message:`, error);
+    }
+    this.message = null;
+  }
+
+  /**
+   * Create the chat message from the text received so far.
+   *
+   * @private
+   */
+  async _create() {
+    try {
+      this.message = await ChatMessage.create({
+        ...this.messageData,
+        content: formatStreamingText(this._visibleText()),
+        flags: {
+          ...this.messageData.flags,
+          [MODULE_ID]: { ...this.messageData.flags?.[MODULE_ID], isStreaming: true }
+        }
+      });
+      this._lastUpdate = Date.now();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to create streamed message:`, error);
+      this.closed = true;
+      return;
+    } finally {
+      this._creating = false;
+    }
+
+    if (this.onStart) await this.onStart();
+    // Text that arrived while the message was being created
+    this._scheduleUpdate();
+  }
+
+  /**
+   * Update the message after the throttle interval.
+   *
+   * @private
+   */
+  _scheduleUpdate() {
+    if (this._timer || this.closed) return;
+
+    const wait = Math.max(0, this._lastUpdate + this.throttleMs - Date.now());
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._enqueue(() => this._update());
+    }, wait);
+  }
+
+  /**
+   * Push the current text to the chat message.
+   *
+   * @private
+   */
+  async _update() {
+    if (this.closed || !this.message) return;
+    this._lastUpdate = Date.now();
+    try {
+      await this.message.update({ content: formatStreamingText(this._visibleText()) });
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Failed to update streamed message:`, error);
+    }
+  }
+
+  /**
+   * Get the text to display for what has been received so far.
+   *
+   * @returns {string} Displayed text.
+   * @private
+   */
+  _visibleText() {
+    return this.transform ? this.transform(this.text) : this.text;
+  }
+
+  /**
+   * Stop accepting deltas and cancel any pending update.
+   *
+   * @private
+   */
+  _close() {
+    this.closed = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Run a message operation after the ones already queued.
+   *
+   * @param {Function} operation - Async operation.
+   * @private
+   */
+  _enqueue(operation) {
+    this._chain = this._chain.then(operation);
+  }
+}
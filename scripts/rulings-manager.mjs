@@ -0,0 +1,336 @@
+/**
+ * Loremaster Rulings Manager
+ *
+ * Application window for reviewing the GM's rulings. Rulings made inline
+ * with the GM ruling prefix, or promoted from the consultation thread, are
+ * listed here; each can be switched between persistent (for the campaign)
+ * and session (one-shot), edited or deleted. Selected rulings can be
+ * promoted in bulk into the House Rules journal.
+ */
+
+import { RULING_TYPES, normalizeRuling } from './rulings.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * RulingsManager Application class for reviewing GM rulings.
+ */
+export class RulingsManager extends Application {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   * @param {HouseRulesJournal} houseRulesJournal - House Rules journal, for promotion.
+   * @param {object} options - Application options.
+   */
+  constructor(socketClient, houseRulesJournal, options = {}) {
+    super(options);
+    this.socketClient = socketClient;
+    this.houseRulesJournal = houseRulesJournal;
+    this.rulings = [];
+    this.typeFilter = '';
+    this.selected = new Set();
+    this.editingId = null;
+    this.isLoading = false;
+    this._loaded = false;
+  }
+
+  /**
+   * Default application options.
+   *
+   * @returns {object} The default options.
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'loremaster-rulings-manager',
+      title: game.i18n?.localize('LOREMASTER.RulingsManager.Title') || 'GM Rulings',
+      template: 'modules/loremaster/templates/rulings-manager.hbs',
+      classes: ['loremaster', 'rulings-manager'],
+      width: 560,
+      height: 600,
+      resizable: true,
+      minimizable: true
+    });
+  }
+
+  /**
+   * Get data for template rendering.
+   *
+   * @param {object} options - Render options.
+   * @returns {object} Template data.
+   */
+  async getData(options = {}) {
+    const data = await super.getData(options);
+    const shown = this.typeFilter ? this.rulings.filter(r => r.rulingType === this.typeFilter) : this.rulings;
+
+    return {
+      ...data,
+      isLoading: this.isLoading,
+      typeFilter: this.typeFilter,
+      rulings: shown.map(ruling => ({
+        ...ruling,
+        isPersistent: ruling.rulingType === RULING_TYPES.PERSISTENT,
+        isSelected: this.selected.has(ruling.id),
+        isEditing: ruling.id === this.editingId,
+        date: ruling.createdAt ? new Date(ruling.createdAt).toLocaleDateString() : ''
+      })),
+      totalCount: this.rulings.length,
+      selectedCount: this.selected.size
+    };
+  }
+
+  /**
+   * Activate event listeners for the application.
+   *
+   * @param {jQuery} html - The rendered HTML.
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html = $(html); // Convert to jQuery for Foundry v12 compatibility
+
+    html.find('.ruling-type-filter').on('change', this._onFilterChange.bind(this));
+    html.find('.ruling-select').on('change', this._onSelect.bind(this));
+    html.find('.toggle-type-btn').on('click', this._onToggleType.bind(this));
+    html.find('.edit-ruling-btn').on('click', this._onEdit.bind(this));
+    html.find('.save-ruling-btn').on('click', this._onSave.bind(this));
+    html.find('.cancel-edit-btn').on('click', this._onCancelEdit.bind(this));
+    html.find('.delete-ruling-btn').on('click', this._onDelete.bind(this));
+    html.find('.promote-selected-btn').on('click', this._onPromoteSelected.bind(this));
+    html.find('.refresh-btn').on('click', this._onRefresh.bind(this));
+  }
+
+  /**
+   * Handle window render - load rulings on first open.
+   *
+   * @param {boolean} force - Force render.
+   * @param {object} options - Render options.
+   */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._loaded) {
+      this._loaded = true;
+      await this._loadRulings();
+    }
+  }
+
+  /**
+   * Load all rulings, persistent and session.
+   *
+   * @private
+   */
+  async _loadRulings() {
+    if (this.isLoading) return;
+
+    this.isLoading = true;
+    this.render(false);
+
+    try {
+      const rulings = await this.socketClient.listRulings(false);
+      this.rulings = rulings.map(normalizeRuling);
+
+      // Drop selections for rulings that no longer exist
+      const ids = new Set(this.rulings.map(r => r.id));
+      this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load rulings:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.RulingsManager.LoadError', { error: error.message }));
+    } finally {
+      this.isLoading = false;
+      this.render(false);
+    }
+  }
+
+  /**
+   * Get the ruling a control belongs to.
+   *
+   * @param {Event} event - The event.
+   * @returns {Object|undefined} The ruling.
+   * @private
+   */
+  _getRuling(event) {
+    const id = event.currentTarget.closest('[data-ruling-id]')?.dataset.rulingId;
+    return this.rulings.find(r => String(r.id) === id);
+  }
+
+  /**
+   * Show only persistent or session rulings.
+   *
+   * @param {Event} event - The change event.
+   * @private
+   */
+  _onFilterChange(event) {
+    this.typeFilter = event.currentTarget.value;
+    this.render(false);
+  }
+
+  /**
+   * Select or deselect a ruling for promotion.
+   *
+   * @param {Event} event - The change event.
+   * @private
+   */
+  _onSelect(event) {
+    const ruling = this._getRuling(event);
+    if (!ruling) return;
+
+    if (event.currentTarget.checked) this.selected.add(ruling.id);
+    else this.selected.delete(ruling.id);
+    this.render(false);
+  }
+
+  /**
+   * Switch a ruling between persistent and session.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onToggleType(event) {
+    event.preventDefault();
+    const ruling = this._getRuling(event);
+    if (!ruling) return;
+
+    const rulingType = ruling.rulingType === RULING_TYPES.PERSISTENT ? RULING_TYPES.SESSION : RULING_TYPES.PERSISTENT;
+    try {
+      await this.socketClient.updateRuling(ruling.id, { rulingType });
+      ruling.rulingType = rulingType;
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to change ruling type:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.RulingsManager.SaveError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Start editing a ruling in place.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onEdit(event) {
+    event.preventDefault();
+    const ruling = this._getRuling(event);
+    if (!ruling) return;
+
+    this.editingId = ruling.id;
+    this.render(false);
+  }
+
+  /**
+   * Stop editing without saving.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  _onCancelEdit(event) {
+    event.preventDefault();
+    this.editingId = null;
+    this.render(false);
+  }
+
+  /**
+   * Save an edited ruling.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onSave(event) {
+    event.preventDefault();
+    const ruling = this._getRuling(event);
+    if (!ruling) return;
+
+    const row = $(event.currentTarget).closest('[data-ruling-id]');
+    const ruleContext = row.find('.ruling-context-input').val().trim();
+    const gmRuling = row.find('.ruling-text-input').val().trim();
+    if (!gmRuling) {
+      ui.notifications.warn(game.i18n.localize('LOREMASTER.RulingsManager.EmptyRuling'));
+      return;
+    }
+
+    try {
+      await this.socketClient.updateRuling(ruling.id, { ruleContext, gmRuling });
+      Object.assign(ruling, { ruleContext, gmRuling });
+      this.editingId = null;
+      ui.notifications.info(game.i18n.localize('LOREMASTER.RulingsManager.Saved'));
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to update ruling:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.RulingsManager.SaveError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Delete a ruling after confirmation.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onDelete(event) {
+    event.preventDefault();
+    const ruling = this._getRuling(event);
+    if (!ruling) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('LOREMASTER.RulingsManager.DeleteTitle'),
+      content: `<p>${game.i18n.localize('LOREMASTER.RulingsManager.DeleteConfirm')}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+    if (!confirmed) return;
+
+    try {
+      await this.socketClient.deleteRuling(ruling.id);
+      this.rulings = this.rulings.filter(r => r !== ruling);
+      this.selected.delete(ruling.id);
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to delete ruling:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.RulingsManager.DeleteError', { error: error.message }));
+    }
+  }
+
+  /**
+   * Promote the selected rulings into the House Rules journal. Session
+   * rulings become persistent, since house rules last the campaign.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onPromoteSelected(event) {
+    event.preventDefault();
+    const rulings = this.rulings.filter(r => this.selected.has(r.id));
+    if (!rulings.length) return;
+
+    try {
+      for (const ruling of rulings) {
+        if (ruling.rulingType === RULING_TYPES.SESSION) {
+          await this.socketClient.updateRuling(ruling.id, { rulingType: RULING_TYPES.PERSISTENT });
+          ruling.rulingType = RULING_TYPES.PERSISTENT;
+        }
+      }
+
+      const added = await this.houseRulesJournal.promoteRulings(rulings);
+      this.selected.clear();
+      ui.notifications.info(game.i18n.format('LOREMASTER.RulingsManager.Promoted', {
+        count: added,
+        skipped: rulings.length - added
+      }));
+      this.render(false);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to promote rulings:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.RulingsManager.PromoteError', { error: error.message }));
+      this.render(false);
+    }
+  }
+
+  /**
+   * Handle refresh button click.
+   *
+   * @param {Event} event - The click event.
+   * @private
+   */
+  async _onRefresh(event) {
+    event.preventDefault();
+    this.editingId = null;
+    await this._loadRulings();
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Loremaster Rulings
+ *
+ * Helpers for the GM rulings manager. A ruling is the GM's decision on a
+ * rules question; persistent rulings apply for the rest of the campaign,
+ * session rulings only until the session ends. Promoting rulings writes
+ * them into the House Rules document as sections of their own.
+ */
+
+/**
+ * Values of a ruling's type.
+ *
+ * @type {{PERSISTENT: string, SESSION: string}}
+ */
+export const RULING_TYPES = {
+  PERSISTENT: 'persistent',
+  SESSION: 'session'
+};
+
+/**
+ * Normalize a ruling from list-rulings.
+ *
+ * @param {Object} raw - Ruling as returned by the server.
+ * @returns {{id: *, ruleContext: string, gmRuling: string, rulingType: string, foundryInterpretation: string|null, pdfInterpretation: string|null, createdAt: string|null}} Ruling.
+ */
+export function normalizeRuling(raw) {
+  return {
+    id: raw.id ?? raw.rulingId,
+    ruleContext: raw.rule_context ?? raw.ruleContext ?? '',
+    gmRuling: raw.gm_ruling ?? raw.gmRuling ?? '',
+    rulingType: (raw.ruling_type ?? raw.rulingType) === RULING_TYPES.SESSION ? RULING_TYPES.SESSION : RULING_TYPES.PERSISTENT,
+    foundryInterpretation: raw.foundry_interpretation ?? raw.foundryInterpretation ?? null,
+    pdfInterpretation: raw.pdf_interpretation ?? raw.pdfInterpretation ?? null,
+    createdAt: raw.created_at ?? raw.createdAt ?? null
+  };
+}
+
+/**
+ * Format a ruling as a House Rules section.
+ *
+ * @param {Object} ruling - Normalized ruling.
+ * @returns {string} Markdown section.
+ */
+export function rulingToMarkdown(ruling) {
+  const title = ruling.ruleContext.trim() || 'GM Ruling';
+  return `## ${title}\n\n${ruling.gmRuling.trim()}`;
+}
+
+/**
+ * Add rulings to the House Rules document, skipping any whose text is
+ * already in it so promoting twice doesn't duplicate them.
+ *
+ * @param {string} markdown - The current document.
+ * @param {Array<Object>} rulings - Normalized rulings to add.
+ * @returns {{markdown: string, added: number}} The new document and how many rulings were added.
+ */
+export function appendRulingsToMarkdown(markdown, rulings) {
+  const current = (markdown || '').trim();
+  const sections = rulings
+    .filter(r => r.gmRuling.trim() && !current.includes(r.gmRuling.trim()))
+    .map(rulingToMarkdown);
+
+  // A ruling selected twice is only added once
+  const unique = [...new Set(sections)];
+  if (!unique.length) return { markdown: current, added: 0 };
+
+  return {
+    markdown: [current, ...unique].filter(Boolean).join('\n\n'),
+    added: unique.length
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Loremaster Search Utilities
+ *
+ * Full-text search over conversation messages and canon. The server has
+ * no search request, so the search window loads both and searches them
+ * here: every word of the query must appear, ignoring case, and each
+ * result carries a snippet with the matches marked.
+ */
+
+import { sessionDateKey } from './canon-entries.mjs';
+
+/**
+ * Characters of context kept on each side of the first match in a snippet.
+ *
+ * @type {number}
+ */
+export const SNIPPET_RADIUS = 80;
+
+/**
+ * Most results returned for one search.
+ *
+ * @type {number}
+ */
+export const MAX_RESULTS = 100;
+
+/**
+ * Normalize a conversation message for searching.
+ *
+ * @param {Object} raw - Message as returned by get-conversation.
+ * @param {Object} conversation - The conversation it belongs to.
+ * @param {string} conversation.id - Conversation ID.
+ * @param {string|null} conversation.title - Conversation title.
+ * @returns {{source: string, id: *, conversationId: string, conversationTitle: string|null, role: string, content: string, createdAt: Date|null}} Record.
+ */
+export function messageRecord(raw, { id, title }) {
+  const created = raw.created_at ?? raw.createdAt;
+  const createdAt = created ? new Date(created) : null;
+
+  return {
+    source: 'conversation',
+    id: raw.id,
+    conversationId: id,
+    conversationTitle: title || null,
+    role: raw.role === 'user' ? 'player' : 'ai',
+    content: raw.content || '',
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : null
+  };
+}
+
+/**
+ * Turn a normalized canon entry (see canon-entries.mjs) into a search
+ * record. Canon is the AI's narration, so it searches as an AI message.
+ *
+ * @param {Object} entry - Normalized canon entry.
+ * @returns {Object} Record, shaped like messageRecord's.
+ */
+export function canonRecord(entry) {
+  return {
+    source: 'canon',
+    id: entry.id,
+    conversationId: null,
+    conversationTitle: null,
+    role: 'ai',
+    content: entry.content,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Split a query into lowercase words.
+ *
+ * @param {string} query - Search text.
+ * @returns {string[]} Words.
+ */
+function queryWords(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Cut a snippet around the first match and mark every match in it.
+ *
+ * @param {string} content - Full text.
+ * @param {string[]} words - Lowercase query words.
+ * @param {number} [radius=SNIPPET_RADIUS] - Characters kept on each side of the first match.
+ * @returns {Array<{text: string, match: boolean}>} Snippet parts, in order.
+ */
+export function buildSnippet(content, words, radius = SNIPPET_RADIUS) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  const found = words.map(w => lower.indexOf(w)).filter(i => i !== -1);
+  const first = found.length ? Math.min(...found) : 0;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius + Math.max(...words.map(w => w.length)));
+
+  // Mark every occurrence of any word in the window, longest word first
+  // so overlapping words mark the longer match
+  const sorted = [...words].sort((a, b) => b.length - a.length);
+  const parts = [];
+  let plain = start;
+  for (let i = start; i < end;) {
+    const word = sorted.find(w => lower.startsWith(w, i));
+    if (!word) {
+      i++;
+      continue;
+    }
+    if (i > plain) parts.push({ text: text.slice(plain, i), match: false });
+    parts.push({ text: text.slice(i, i + word.length), match: true });
+    i += word.length;
+    plain = i;
+  }
+  if (plain < end) parts.push({ text: text.slice(plain, end), match: false });
+
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
+
+/**
+ * Search records. Empty filters match everything; an empty query finds nothing.
+ *
+ * @param {Array<Object>} records - Records from messageRecord and canonRecord.
+ * @param {Object} filters - Search and filters.
+ * @param {string} filters.query - Search text; every word must appear.
+ * @param {string} [filters.role] - 'player' or 'ai'.
+ * @param {string} [filters.from] - Earliest local date key (inclusive).
+ * @param {string} [filters.to] - Latest local date key (inclusive).
+ * @returns {{results: Array<{record: Object, snippet: Array<Object>}>, total: number}} Newest first, at most MAX_RESULTS.
+ */
+export function searchRecords(records, { query, role = '', from = '', to = '' }) {
+  const words = queryWords(query || '');
+  if (!words.length) return { results: [], total: 0 };
+
+  const matches = records.filter(record => {
+    if (role && record.role !== role) return false;
+    if (from || to) {
+      if (!record.createdAt) return false;
+      const date = sessionDateKey(record.createdAt);
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+    }
+    const text = record.content.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+
+  matches.sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+
+  return {
+    results: matches.slice(0, MAX_RESULTS).map(record => ({ record, snippet: buildSnippet(record.content, words) })),
+    total: matches.length
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Loremaster Session Recap Utilities
+ *
+ * Picks the canon a "Previously on..." recap covers and builds the prompt
+ * for it. A session is a real-world day, as in the Canon Manager's session
+ * filter.
+ */
+
+import { recapSource } from './chronicle.mjs';
+
+/**
+ * Select the canon a session recap covers: everything published from the
+ * start of the last session up to today. If nothing was published in that
+ * time (the GM only logged in to prepare), the most recent session with
+ * canon is recapped instead.
+ *
+ * @param {Array<Object>} entries - Normalized canon entries (see canon-entries.mjs).
+ * @param {Object} window - Recap window.
+ * @param {string} window.today - Today's session date key.
+ * @param {string} [window.since] - Session date key the last session started on, if known.
+ * @returns {Array<Object>} Entries to recap, oldest first.
+ */
+export function recapEntries(entries, { today, since = '' }) {
+  const earlier = entries.filter(e => e.sessionDate && e.sessionDate < today);
+
+  let selected = since ? earlier.filter(e => e.sessionDate >= since) : [];
+  if (!selected.length && earlier.length) {
+    const latest = earlier.reduce((max, e) => (e.sessionDate > max ? e.sessionDate : max), '');
+    selected = earlier.filter(e => e.sessionDate === latest);
+  }
+
+  return selected.sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+}
+
+/**
+ * Build the prompt asking the AI for a "Previously on..." recap.
+ *
+ * @param {Array<Object>} entries - Entries from recapEntries.
+ * @returns {string} Prompt text.
+ */
+export function buildSessionRecapPrompt(entries) {
+  return [
+    '[SESSION RECAP]',
+    'A new session is starting. Write a short "Previously on..." recap of the last session for the players, ' +
+      'in one or two paragraphs, read aloud at the table.',
+    'Use only the canon events below and end where they end. Do not add events, reveal secrets, ' +
+      'narrate a new scene or ask the players what they do.',
+    '',
+    'Canon:',
+    recapSource(entries)
+  ].join('\n');
+}
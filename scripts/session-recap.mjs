@@ -0,0 +1,187 @@
+/**
+ * Loremaster Session Recap
+ *
+ * Posts a "Previously on..." recap at the start of a session, so nobody has
+ * to compact the conversation and read its summary to pick up the story.
+ * On the GM's first login of a new real-world day (or on /lm recap), the
+ * canon since the last session is recapped by the AI, posted to chat as a
+ * Loremaster card, optionally read aloud through voice output, and saved
+ * as a page in the Session Recaps journal.
+ */
+
+import { getSetting, setSetting } from './config.mjs';
+import { formatResponse } from './message-formatter.mjs';
+import { loadAllCanon } from './canon-manager.mjs';
+import { sessionDateKey } from './canon-entries.mjs';
+import { recapEntries, buildSessionRecapPrompt } from './session-recap-utils.mjs';
+
+const MODULE_ID = 'loremaster';
+const JOURNAL_NAME = 'Session Recaps';
+
+/**
+ * SessionRecap class posts and saves "Previously on..." recaps.
+ */
+export class SessionRecap {
+  /**
+   * @param {SocketClient} socketClient - The socket client for server communication.
+   * @param {VoiceOutput} voiceOutput - Reads recaps aloud when enabled.
+   */
+  constructor(socketClient, voiceOutput) {
+    this.socketClient = socketClient;
+    this.voiceOutput = voiceOutput;
+    this.isPosting = false;
+  }
+
+  /**
+   * Post a recap if this is the GM's first login of a new day. The first
+   * login ever, or one with recaps turned off, only starts the new session.
+   * A failed recap leaves the session unstarted, so the next login tries again.
+   * Only the active GM checks, so several GMs online don't post one each.
+   */
+  async checkNewDay() {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const lastSession = getSetting('lastSessionDate');
+    if (lastSession === sessionDateKey(new Date())) return;
+
+    if (!lastSession || !getSetting('sessionRecap')) {
+      await this._startSession();
+      return;
+    }
+    await this.post({ quiet: true });
+  }
+
+  /**
+   * Recap the canon since the last session, post it to chat and save it.
+   * The first recap of a day starts the new session.
+   *
+   * @param {Object} [options] - Recap options.
+   * @param {boolean} [options.quiet=false] - Say nothing if there is no canon to recap.
+   * @returns {Promise<ChatMessage|null>} The recap message, or null if none was posted.
+   */
+  async post({ quiet = false } = {}) {
+    if (this.isPosting) return null;
+    this.isPosting = true;
+
+    try {
+      const today = sessionDateKey(new Date());
+      const lastSession = getSetting('lastSessionDate');
+      const entries = recapEntries(await loadAllCanon(this.socketClient), {
+        today,
+        since: lastSession === today ? getSetting('recapSince') : lastSession
+      });
+      if (!entries.length) {
+        if (!quiet) ui.notifications.warn(game.i18n.localize('LOREMASTER.SessionRecap.Nothing'));
+        await this._startSession();
+        return null;
+      }
+
+      ui.notifications.info(game.i18n.localize('LOREMASTER.SessionRecap.Generating'));
+      const { response, messageId } = await this.socketClient.generateRecap(buildSessionRecapPrompt(entries));
+      const recap = response?.trim();
+      if (!recap) throw new Error('The Loremaster returned an empty recap');
+
+      const message = await ChatMessage.create({
+        content: this._renderCard(recap),
+        speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+        user: game.user.id,
+        flags: {
+          [MODULE_ID]: {
+            isSessionRecap: true
+          }
+        }
+      });
+
+      // Voiced under the recap's server message ID, like canon under its own
+      if (getSetting('sessionRecapVoice')) {
+        this.voiceOutput?.speak(messageId, recap);
+      }
+
+      await this._saveToJournal(recap);
+      await this._startSession();
+      return message;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to post session recap:`, error);
+      ui.notifications.error(game.i18n.format('LOREMASTER.SessionRecap.Error', { error: error.message }));
+      return null;
+    } finally {
+      this.isPosting = false;
+    }
+  }
+
+  /**
+   * Record today as the current session, remembering the day the session
+   * before it started so reruns of today's recap cover the same canon.
+   * Does nothing if today's session has already started.
+   *
+   * @private
+   */
+  async _startSession() {
+    const today = sessionDateKey(new Date());
+    const lastSession = getSetting('lastSessionDate');
+    if (lastSession === today) return;
+
+    await setSetting('recapSince', lastSession);
+    await setSetting('lastSessionDate', today);
+  }
+
+  /**
+   * Render the recap chat card.
+   *
+   * @param {string} recap - Recap text (markdown).
+   * @returns {string} Card HTML.
+   * @private
+   */
+  _renderCard(recap) {
+    return `
+      <div class="loremaster-session-recap">
+        <header class="recap-heading">
+          <i class="fas fa-scroll"></i> ${game.i18n.localize('LOREMASTER.SessionRecap.Heading')}
+        </header>
+        <div class="recap-text">${formatResponse(recap)}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get or create the Session Recaps journal. Players can read it.
+   *
+   * @returns {Promise<JournalEntry>} The journal entry.
+   * @private
+   */
+  async _getOrCreateJournal() {
+    const existing = game.journal.find(j => j.flags?.[MODULE_ID]?.isSessionRecapsJournal);
+    if (existing) return existing;
+
+    return JournalEntry.create({
+      name: JOURNAL_NAME,
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER },
+      flags: {
+        [MODULE_ID]: {
+          isSessionRecapsJournal: true
+        }
+      }
+    });
+  }
+
+  /**
+   * Save a recap as a new page, named for today, after the earlier ones.
+   *
+   * @param {string} recap - Recap text (markdown).
+   * @private
+   */
+  async _saveToJournal(recap) {
+    const journal = await this._getOrCreateJournal();
+    const lastSort = journal.pages.contents.reduce((max, page) => Math.max(max, page.sort), 0);
+
+    await journal.createEmbeddedDocuments('JournalEntryPage', [{
+      name: new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+      type: 'text',
+      text: {
+        content: formatResponse(recap),
+        format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+      },
+      sort: lastSort + 100000
+    }]);
+  }
+}
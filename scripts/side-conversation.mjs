@@ -0,0 +1,141 @@
+/**
+ * Loremaster Side Conversations
+ *
+ * Runs requests that must stay out of the campaign (narrative) conversation
+ * in a server conversation of their own: the GM consultation thread, player
+ * questions and AI recaps. The proxy stores every chat in the world's
+ * active conversation, so a side request switches to its thread, sends,
+ * and switches back to the narrative conversation. Any doubt about which
+ * conversation a request would land in fails the request instead.
+ *
+ * Conversation API shape (SocketClient requests):
+ * {
+ *   newConversation: (title) => { conversationId },  // also makes it active
+ *   switchConversation: (conversationId) => object,
+ *   deleteConversation: (conversationId) => object
+ * }
+ */
+
+/**
+ * Serializes conversation switches against chats. Narrative chats share
+ * the lock and may run side by side; a side request (or a switch of the
+ * narrative conversation) holds it alone, so no chat is sent while another
+ * conversation is active.
+ */
+export class ConversationLock {
+  constructor() {
+    this._tail = Promise.resolve();
+    this._shared = new Set();
+  }
+
+  /**
+   * Run a chat against the active conversation, after any exclusive run
+   * queued before it.
+   *
+   * @param {Function} fn - Async function to run.
+   * @returns {Promise<*>} What fn returns.
+   */
+  async shared(fn) {
+    await this._tail;
+
+    const run = Promise.resolve().then(fn);
+    const settled = run.catch(() => {});
+    this._shared.add(settled);
+    try {
+      return await run;
+    } finally {
+      this._shared.delete(settled);
+    }
+  }
+
+  /**
+   * Run alone: after every chat in progress and every exclusive run queued
+   * before it, and before anything queued after it.
+   *
+   * @param {Function} fn - Async function to run.
+   * @returns {Promise<*>} What fn returns.
+   */
+  exclusive(fn) {
+    const run = this._tail
+      .then(() => Promise.all(this._shared))
+      .then(fn);
+    this._tail = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Check that a conversation ID is safe to use for a side request.
+ *
+ * @param {string|null} conversationId - The side thread's conversation ID.
+ * @param {string|null} narrativeId - The campaign conversation's ID.
+ * @returns {string} The conversation ID.
+ * @throws {Error} If the ID is missing or is the campaign conversation.
+ */
+export function checkSideConversationId(conversationId, narrativeId) {
+  if (!conversationId) {
+    throw new Error('The server did not return a conversation for this request');
+  }
+  if (conversationId === narrativeId) {
+    throw new Error('Refusing to use the campaign conversation for a private thread');
+  }
+  return conversationId;
+}
+
+/**
+ * Read a stored side thread ID, ignoring one that is the campaign
+ * conversation, so the campaign conversation is never used, cleared or
+ * hidden as a side thread.
+ *
+ * @param {string|null} storedId - The stored thread ID.
+ * @param {string|null} narrativeId - The campaign conversation's ID.
+ * @returns {string|null} The thread ID, or null if there is no usable thread.
+ */
+export function storedSideConversationId(storedId, narrativeId) {
+  return storedId && storedId !== narrativeId ? storedId : null;
+}
+
+/**
+ * Send a request in a side conversation and switch back to the campaign
+ * conversation afterwards, even if the request fails. Run it under
+ * ConversationLock.exclusive.
+ *
+ * @param {Object} api - Conversation API (see module header).
+ * @param {Object} options - Side conversation options.
+ * @param {string|null} options.narrativeId - The campaign conversation to return to.
+ * @param {string|null} [options.conversationId=null] - An existing thread to use; a new one is started otherwise.
+ * @param {string} options.title - Title for a new thread.
+ * @param {boolean} [options.persist=false] - Keep the thread; one-off threads are deleted afterwards.
+ * @param {Function} send - Async function that sends the chat; returns the proxy result.
+ * @returns {Promise<{result: Object, conversationId: string}>} The proxy result and the thread's ID.
+ * @throws {Error} If the campaign conversation is unknown, the thread ID is unsafe, or the
+ *   proxy reports the chat went to another conversation.
+ */
+export async function runInSideConversation(api, { narrativeId, conversationId = null, title, persist = false }, send) {
+  if (!narrativeId) {
+    throw new Error('The campaign conversation is not known yet; send the Loremaster a message first');
+  }
+
+  let threadId = null;
+  let switched = false;
+  try {
+    if (conversationId) {
+      threadId = checkSideConversationId(conversationId, narrativeId);
+      switched = true;
+      await api.switchConversation(threadId);
+    } else {
+      switched = true;
+      const created = await api.newConversation(title);
+      threadId = checkSideConversationId(created?.conversationId, narrativeId);
+    }
+
+    const result = await send(threadId);
+    if (result?.conversationId && result.conversationId !== threadId) {
+      throw new Error('The server stored the request outside its private thread');
+    }
+    return { result, conversationId: threadId };
+  } finally {
+    if (switched) await api.switchConversation(narrativeId);
+    if (threadId && !persist) await api.deleteConversation(threadId);
+  }
+}
@@ -16,9 +16,12 @@ import {
   setPatreonUser,
   clearPatreonUser,
   getHostedProxyUrl,
-  getProxyUrl
+  getProxyUrl,
+  getToolPolicy
 } from './config.mjs';
 import { estimateBufferedTransferProgress, formatUploadSpeed } from './upload-progress-utils.mjs';
+import { IndexedDBOutboxStore, MemoryOutboxStore, RequestOutbox } from './request-outbox.mjs';
+import { ConversationLock, runInSideConversation } from './side-conversation.mjs';
 
 const MODULE_ID = 'loremaster';
 
@@ -36,6 +39,18 @@ const ASYNC_TIMEOUT_CHAT = 5 * 60 * 1000; // 5 minutes
  */
 const ASYNC_TIMEOUT_GM_PREP = 10 * 60 * 1000; // 10 minutes
 
+/**
+ * Timeout (ms) for batched chat requests; allows for rate limit cooldowns
+ * and tool execution.
+ */
+const TIMEOUT_CHAT_BATCH = 3 * 60 * 1000; // 3 minutes
+
+/**
+ * Error messages that mean a request failed because the connection was
+ * down, not because the proxy rejected it. Such requests go to the outbox.
+ */
+const CONNECTION_ERRORS = ['Connection lost', 'Not connected to proxy server', 'Not authenticated with proxy server'];
+
 /**
  * SocketClient class manages WebSocket connection to the proxy server.
  * Supports both Node.js (raw WebSocket) and Elixir (Phoenix Channels) protocols.
@@ -68,6 +83,7 @@ export class SocketClient {
     this.reconnectDelay = 2000;
     this.reconnectTimer = null;  // Stores setTimeout ID for pending reconnect
     this.toolHandlers = new Map();
+    this.toolManifest = null;  // Capability manifest sent at authenticate (see setToolManifest)
 
     // Callbacks for reconnect lifecycle events
     this.onAuthRequired = null;          // Called when session expires during reconnect
@@ -75,6 +91,33 @@ export class SocketClient {
     this.onReconnecting = null;          // Called on each reconnect attempt (attempt, max)
     this.onReconnected = null;           // Called on successful reconnect
 
+    // Called with { toolCallId, toolName, toolInput } when a tool's policy is
+    // "ask GM"; must resolve to { status: 'approved' | 'rejected' | 'timeout' }
+    this.onToolApprovalRequest = null;
+
+    // clientRequestIds of in-flight private (@lm!) chats, so tool calls made
+    // while answering them (e.g. dice rolls) stay GM-only
+    this.privateChatRequests = new Set();
+
+    // Streaming chat-delta callbacks, keyed like pendingRequests
+    // (batch_<batchId> or chat_<clientRequestId>)
+    this.streamHandlers = new Map();
+
+    // The campaign (narrative) conversation, which side requests switch
+    // back to, and the lock that keeps chats out of side threads (see
+    // side-conversation.mjs). Player clients can't take the GM's lock, so a
+    // player's own chat sent during a side request could still land in its
+    // thread; side requests are kept short for that reason.
+    this.narrativeConversationId = getSetting('narrativeConversationId') || null;
+    this.conversationLock = new ConversationLock();
+
+    // Chat requests made while disconnected, replayed on reconnect
+    // (see initializeOutbox)
+    this.outbox = null;
+    this.onOutboxChange = null;   // Called with the queue depth
+    this.onOutboxReplay = null;   // Called with (entry, result, error) for each replayed request
+    this._replayingOutbox = false;
+
     // Hosted mode properties
     this.tier = null;           // User's subscription tier (basic, pro, premium)
     this.quotaRemaining = 0;    // Remaining tokens for the period
@@ -253,7 +296,9 @@ export class SocketClient {
       userName,
       isGM,
       systemId,
-      systemTitle
+      systemTitle,
+      // Tool packs this client can execute, so the proxy only offers matching tools
+      toolCapabilities: this.toolManifest
     };
 
     if (isHostedMode()) {
@@ -426,6 +471,7 @@ export class SocketClient {
           worldName: payload.worldName,
           systemId: payload.systemId,
           systemTitle: payload.systemTitle,
+          toolCapabilities: payload.toolCapabilities,
           elevenLabsApiKey: payload.elevenLabsApiKey,
           voiceId: payload.voiceId,
           useEmoteTags: payload.useEmoteTags
@@ -450,10 +496,13 @@ export class SocketClient {
    * @param {string} message - The user's message.
    * @param {object} context - Game context to include.
    * @param {boolean} isPrivate - If true, response only goes to GM (GM only).
+   * @param {object} [options] - Request options.
+   * @param {Function} [options.onDelta] - Called with { text } for each streamed chunk; enables streaming.
+   * @param {object} [options.outboxMeta] - Kept with the request if it is queued offline, for showing the replayed response.
    * @returns {Promise<object>} The AI response object including response text and metadata.
+   * @throws {Error} REQUEST_QUEUED_OFFLINE if the connection is down and the request was queued.
    */
-  async sendMessage(message, context = {}, isPrivate = false) {
-    this._requireAuth();
+  async sendMessage(message, context = {}, isPrivate = false, { onDelta = null, outboxMeta = {} } = {}) {
 
     // The proxy's chat-complete push needs a correlation key to match
     // back to the pending request. Batched chats use batchId; GM Prep uses
@@ -461,17 +510,31 @@ export class SocketClient {
     // and the proxy echoes it back in chat-complete (see _handlePhoenixMessage
     // chat-complete handling).
     const clientRequestId = `chat_${Date.now()}_${++this.requestIdCounter}`;
+    const payload = { message, context, isPrivate, clientRequestId, stream: !!onDelta };
+    const outboxEntry = { clientRequestId, type: 'chat', payload, meta: outboxMeta, label: message };
 
-    // Chat completion can legitimately take several minutes when Claude is
-    // handling a large context or tool-use loop. Use ASYNC_TIMEOUT_CHAT (5 min)
-    // rather than the 60s default so we don't orphan requests that the proxy
-    // is still processing.
-    const result = await this._sendRequest('chat', {
-      message,
-      context,
-      isPrivate,
-      clientRequestId
-    }, ASYNC_TIMEOUT_CHAT);
+    if (!this.isConnected) {
+      await this._queueOffline(outboxEntry);
+    }
+    this._requireAuth();
+
+    if (isPrivate) this.privateChatRequests.add(clientRequestId);
+    if (onDelta) this.streamHandlers.set(`chat_${clientRequestId}`, onDelta);
+    let result;
+    try {
+      // Chat completion can legitimately take several minutes when Claude is
+      // handling a large context or tool-use loop. Use ASYNC_TIMEOUT_CHAT (5 min)
+      // rather than the 60s default so we don't orphan requests that the proxy
+      // is still processing.
+      result = await this.conversationLock.shared(() => this._sendRequest('chat', payload, ASYNC_TIMEOUT_CHAT));
+    } catch (error) {
+      if (this._isConnectionError(error)) await this._queueOffline(outboxEntry);
+      throw error;
+    } finally {
+      this.privateChatRequests.delete(clientRequestId);
+      this.streamHandlers.delete(`chat_${clientRequestId}`);
+    }
+    this._setNarrativeConversation(result.conversationId);
 
     return {
       response: result.response,
@@ -489,16 +552,165 @@ export class SocketClient {
    *
    * @param {string} message - The user's message.
    * @param {object} context - Game context to include.
+   * @param {object} [options] - Request options (see sendMessage).
    * @returns {Promise<object>} The AI response object including response text and metadata.
    */
-  async sendPrivateMessage(message, context = {}) {
+  async sendPrivateMessage(message, context = {}, options = {}) {
     this._requireAuth();
 
     if (!this.isGM) {
       throw new Error('Private messages require GM permissions');
     }
 
-    return this.sendMessage(message, context, true);
+    return this.sendMessage(message, context, true, options);
+  }
+
+  /**
+   * Ask the Loremaster a question in the GM consultation thread (GM only).
+   * The thread is its own server conversation, so brainstorming never
+   * enters the narrative context. Consultations are not queued while offline.
+   *
+   * @param {string} message - The GM's question.
+   * @param {string|null} conversationId - The consultation thread, or null to start one.
+   * @param {object} context - Game context to include.
+   * @param {object} [options] - Request options.
+   * @param {Function} [options.onDelta] - Called with { text } for each streamed chunk; enables streaming.
+   * @returns {Promise<object>} The response text, message ID and the thread's conversation ID.
+   */
+  async sendConsultation(message, conversationId, context = {}, { onDelta = null } = {}) {
+    if (!this.isGM) {
+      throw new Error('GM consultations require GM permissions');
+    }
+
+    const { result, conversationId: threadId } = await this._sendSideChat(message, context, {
+      requestPrefix: 'consult',
+      conversationId,
+      title: 'GM Consultation',
+      persist: true,
+      onDelta
+    });
+
+    return {
+      response: result.response,
+      messageId: result.messageId,
+      conversationId: threadId,
+      usage: result.usage
+    };
+  }
+
+  /**
+   * Ask the AI a player's private question (sent by the GM client, which is
+   * the batching authority). The question is asked in a throwaway thread,
+   * so neither it nor the answer enters the narrative conversation, and the
+   * answer can't become canon. Not queued while offline.
+   *
+   * @param {string} prompt - Question prompt from buildQuestionPrompt.
+   * @param {object} context - Game context to include.
+   * @returns {Promise<object>} The response text and message ID.
+   */
+  async sendPlayerQuestion(prompt, context = {}) {
+    if (!this.isGM) {
+      throw new Error('Answering player questions requires GM permissions');
+    }
+
+    const { result } = await this._sendSideChat(prompt, context, {
+      requestPrefix: 'question',
+      title: 'Player question'
+    });
+
+    return {
+      response: result.response,
+      messageId: result.messageId,
+      usage: result.usage
+    };
+  }
+
+  /**
+   * Ask the AI to write a recap from canon, in a throwaway thread so the
+   * canon it is given isn't repeated into the narrative conversation. The
+   * recap is private to the GM. Not queued while offline.
+   *
+   * @param {string} prompt - Recap prompt from buildRecapPrompt.
+   * @param {object} context - Game context to include.
+   * @returns {Promise<object>} The recap text, message ID and token usage.
+   */
+  async generateRecap(prompt, context = {}) {
+    if (!this.isGM) {
+      throw new Error('Generating recaps requires GM permissions');
+    }
+
+    const { result } = await this._sendSideChat(prompt, context, {
+      requestPrefix: 'recap',
+      title: 'Recap'
+    });
+
+    return {
+      response: result.response,
+      messageId: result.messageId,
+      usage: result.usage
+    };
+  }
+
+  /**
+   * Send a private chat in a side conversation (see side-conversation.mjs)
+   * and return to the narrative conversation. Tool calls made while
+   * answering stay private, like @lm! chats.
+   *
+   * @param {string} message - The message.
+   * @param {object} context - Game context to include.
+   * @param {object} options - Side chat options.
+   * @param {string} options.requestPrefix - Prefix for the client request ID.
+   * @param {string|null} [options.conversationId=null] - Existing thread, or null to start one.
+   * @param {string} options.title - Title for a new thread.
+   * @param {boolean} [options.persist=false] - Keep the thread instead of deleting it afterwards.
+   * @param {Function} [options.onDelta] - Called with { text } for each streamed chunk; enables streaming.
+   * @returns {Promise<{result: object, conversationId: string}>} The proxy result and the thread's ID.
+   * @private
+   */
+  async _sendSideChat(message, context, { requestPrefix, conversationId = null, title, persist = false, onDelta = null }) {
+    this._requireAuth();
+
+    const clientRequestId = `${requestPrefix}_${Date.now()}_${++this.requestIdCounter}`;
+    const payload = { message, context, isPrivate: true, clientRequestId, stream: !!onDelta };
+    const api = {
+      newConversation: (newTitle) => this._sendRequest('new-conversation', { title: newTitle }),
+      switchConversation: (id) => this._sendRequest('switch-conversation', { conversationId: id }),
+      deleteConversation: (id) => this._sendRequest('delete-conversation', { conversationId: id })
+    };
+
+    return this.conversationLock.exclusive(() => runInSideConversation(api, {
+      narrativeId: this.narrativeConversationId,
+      conversationId,
+      title,
+      persist
+    }, async () => {
+      this.privateChatRequests.add(clientRequestId);
+      if (onDelta) this.streamHandlers.set(`chat_${clientRequestId}`, onDelta);
+      try {
+        return await this._sendRequest('chat', payload, ASYNC_TIMEOUT_CHAT);
+      } finally {
+        this.privateChatRequests.delete(clientRequestId);
+        this.streamHandlers.delete(`chat_${clientRequestId}`);
+      }
+    }));
+  }
+
+  /**
+   * Remember the narrative conversation that side requests return to.
+   * The GM client also stores it for the next session.
+   *
+   * @param {string|null} conversationId - The narrative conversation, or null if unknown.
+   * @private
+   */
+  _setNarrativeConversation(conversationId) {
+    if (conversationId === undefined || conversationId === this.narrativeConversationId) return;
+
+    this.narrativeConversationId = conversationId || null;
+    if (this.isGM) {
+      setSetting('narrativeConversationId', this.narrativeConversationId || '').catch(error => {
+        console.warn(`${MODULE_ID} | Failed to store the narrative conversation:`, error);
+      });
+    }
   }
 
   /**
@@ -510,21 +722,47 @@ export class SocketClient {
    * @param {Array} batch.gmRulings - Array of GM rulings.
    * @param {string} batch.formattedPrompt - Pre-formatted prompt for Claude.
    * @param {object} context - Game context to include.
+   * @param {object} [options] - Request options.
+   * @param {Function} [options.onDelta] - Called with { text } for each streamed chunk; enables streaming.
+   * @param {Function} [options.onUsage] - Called with the server's token usage report, if any.
    * @returns {Promise<string>} The AI response text.
+   * @throws {Error} REQUEST_QUEUED_OFFLINE if the connection is down and the batch was queued.
    */
-  async sendBatchedMessage(batch, context = {}) {
-    this._requireAuth();
-
-    // Use 3 minute timeout to account for rate limit cooldowns and tool execution
-    const result = await this._sendRequest('chat-batch', {
+  async sendBatchedMessage(batch, context = {}, { onDelta = null, onUsage = null } = {}) {
+    const payload = {
       batchId: batch.id,
       messages: batch.messages,
       gmRulings: batch.gmRulings,
       formattedPrompt: batch.formattedPrompt,
-      context
-    }, 180000);
+      context,
+      stream: !!onDelta
+    };
+    const outboxEntry = {
+      clientRequestId: batch.id,
+      type: 'chat-batch',
+      payload,
+      meta: {},
+      label: batch.messages.map(m => m.content).join(' / ')
+    };
 
-    return result.response;
+    if (!this.isConnected) {
+      await this._queueOffline(outboxEntry);
+    }
+    this._requireAuth();
+
+    if (onDelta) this.streamHandlers.set(`batch_${batch.id}`, onDelta);
+    try {
+      const result = await this.conversationLock.shared(() => this._sendRequest('chat-batch', payload, TIMEOUT_CHAT_BATCH));
+      this._setNarrativeConversation(result.conversationId);
+
+      onUsage?.(result.usage);
+      return result.response;
+    } catch (error) {
+      if (this._isConnectionError(error)) await this._queueOffline(outboxEntry);
+      throw error;
+    } finally {
+      this.streamHandlers.delete(`batch_${batch.id}`);
+    }
   }
 
   /**
@@ -539,7 +777,6 @@ export class SocketClient {
   async sendVeto(batchId, correction, originalBatch, context = {}) {
     this._requireAuth();
 
-    // Use 3 minute timeout to account for rate limit cooldowns and tool execution
     const result = await this._sendRequest('veto', {
       batchId,
       correction,
@@ -550,7 +787,7 @@ export class SocketClient {
         formattedPrompt: originalBatch.formattedPrompt
       },
       context
-    }, 180000);
+    }, TIMEOUT_CHAT_BATCH);
 
     return result.response;
   }
@@ -785,8 +1022,12 @@ export class SocketClient {
   async newConversation(title = null) {
     this._requireAuth();
 
-    return this._sendRequest('new-conversation', {
-      title
+    return this.conversationLock.exclusive(async () => {
+      const result = await this._sendRequest('new-conversation', {
+        title
+      });
+      this._setNarrativeConversation(result?.conversationId ?? null);
+      return result;
     });
   }
 
@@ -831,9 +1072,13 @@ export class SocketClient {
   async deleteConversation(conversationId) {
     this._requireAuth();
 
-    return this._sendRequest('delete-conversation', {
+    const result = await this._sendRequest('delete-conversation', {
       conversationId
     });
+    // Side requests fail closed until the next narrative chat says which
+    // conversation the server made active
+    if (conversationId === this.narrativeConversationId) this._setNarrativeConversation(null);
+    return result;
   }
 
   /**
@@ -875,9 +1120,120 @@ export class SocketClient {
   async switchConversation(conversationId) {
     this._requireAuth();
 
-    return this._sendRequest('switch-conversation', {
-      conversationId
+    return this.conversationLock.exclusive(async () => {
+      const result = await this._sendRequest('switch-conversation', {
+        conversationId
+      });
+      this._setNarrativeConversation(conversationId);
+      return result;
+    });
+  }
+
+  /**
+   * Roll the current conversation back to a batch response.
+   * GM only. Messages the proxy stored after that response are removed, so
+   * the AI no longer remembers them.
+   *
+   * @param {string} batchId - The batch ID of the response to keep as the latest.
+   * @returns {Promise<object>} Rollback result.
+   */
+  async rollbackConversation(batchId) {
+    this._requireAuth();
+    if (!this.isGM) {
+      throw new Error('Rolling back conversations requires GM permissions');
+    }
+    return this._sendRequest('rollback-conversation', { batchId });
+  }
+
+  // ===== Offline Outbox Methods =====
+
+  /**
+   * Set up the offline outbox for this world and load requests queued in
+   * an earlier session. Falls back to an in-memory queue without IndexedDB.
+   *
+   * @param {string} worldId - The world ID (one outbox per world).
+   */
+  async initializeOutbox(worldId) {
+    const store = globalThis.indexedDB
+      ? new IndexedDBOutboxStore(`${MODULE_ID}-outbox-${worldId}`)
+      : new MemoryOutboxStore();
+    this.outbox = new RequestOutbox(store, {
+      onChange: (size) => this.onOutboxChange?.(size)
     });
+    await this.outbox.load();
+  }
+
+  /**
+   * Send queued requests in the order they were made.
+   * Stops at the first connection failure, leaving the rest queued; a
+   * request the proxy rejects is dropped and reported via onOutboxReplay.
+   */
+  async replayOutbox() {
+    if (!this.outbox || this.outbox.size === 0 || this._replayingOutbox) return;
+    this._replayingOutbox = true;
+    console.log(`${MODULE_ID} | Replaying ${this.outbox.size} queued request(s)`);
+
+    try {
+      for (const entry of this.outbox.list()) {
+        if (!this.isConnected || !this.isAuthenticated) break;
+        // Discarded by the GM while an earlier request was replaying
+        if (!this.outbox.has(entry.clientRequestId)) continue;
+
+        const isPrivate = entry.type === 'chat' && entry.payload.isPrivate;
+        if (isPrivate) this.privateChatRequests.add(entry.clientRequestId);
+        let result = null;
+        let failure = null;
+        try {
+          result = await this.conversationLock.shared(() => this._sendRequest(
+            entry.type,
+            { ...entry.payload, stream: false },
+            entry.type === 'chat' ? ASYNC_TIMEOUT_CHAT : TIMEOUT_CHAT_BATCH
+          ));
+          this._setNarrativeConversation(result?.conversationId);
+        } catch (error) {
+          if (this._isConnectionError(error)) break;
+          failure = error;
+        } finally {
+          this.privateChatRequests.delete(entry.clientRequestId);
+        }
+
+        await this.outbox.remove(entry.clientRequestId);
+        try {
+          await this.onOutboxReplay?.(entry, result, failure);
+        } catch (error) {
+          console.error(`${MODULE_ID} | Failed to show replayed response:`, error);
+        }
+      }
+    } finally {
+      this._replayingOutbox = false;
+    }
+  }
+
+  /**
+   * Queue a request for replay and reject the send.
+   *
+   * @param {object} entry - Outbox entry (see request-outbox.mjs).
+   * @throws {Error} Always: REQUEST_QUEUED_OFFLINE, or the connection error if there is no outbox.
+   * @private
+   */
+  async _queueOffline(entry) {
+    if (!this.outbox) {
+      throw new Error('Not connected to proxy server');
+    }
+    await this.outbox.add({ ...entry, payload: { ...entry.payload, stream: false } });
+    console.log(`${MODULE_ID} | Connection down, queued ${entry.type} request ${entry.clientRequestId}`);
+    throw new Error('REQUEST_QUEUED_OFFLINE');
+  }
+
+  /**
+   * Check whether a request failed because the connection was down.
+   *
+   * @param {Error} error - The failure.
+   * @returns {boolean} True for connection failures.
+   * @private
+   */
+  _isConnectionError(error) {
+    return CONNECTION_ERRORS.includes(error?.message) || /^Not joined to Phoenix topic/.test(error?.message || '');
   }
 
   // ===== Canon (Official History) Methods =====
@@ -1578,9 +1934,13 @@ export class SocketClient {
    */
   async createConversationFromSummary(previousConversationId, title = null) {
     this._requireAuth();
-    return this._sendRequest('create-conversation-from-summary', {
-      previousConversationId,
-      title
+    return this.conversationLock.exclusive(async () => {
+      const result = await this._sendRequest('create-conversation-from-summary', {
+        previousConversationId,
+        title
+      });
+      this._setNarrativeConversation(result?.conversation?.id ?? result?.conversationId ?? null);
+      return result;
     });
   }
 
@@ -2487,6 +2847,53 @@ export class SocketClient {
     this.toolHandlers.set(toolName, handler);
   }
 
+  /**
+   * Remove a tool handler.
+   *
+   * @param {string} toolName - The tool name.
+   */
+  unregisterToolHandler(toolName) {
+    this.toolHandlers.delete(toolName);
+  }
+
+  /**
+   * Forward a custom tool definition to the proxy so the model can call it.
+   *
+   * @param {object} tool - Tool descriptor.
+   * @param {string} tool.name - Tool name.
+   * @param {string} tool.description - Tool description.
+   * @param {object} tool.inputSchema - JSON schema for the tool input.
+   * @param {boolean} tool.gmOnly - Whether only the GM may execute it.
+   * @returns {Promise<object>} Registration result.
+   */
+  async registerCustomTool(tool) {
+    this._requireAuth();
+
+    return this._sendRequest('tool-register', tool);
+  }
+
+  /**
+   * Remove a custom tool from the proxy.
+   *
+   * @param {string} toolName - Tool name.
+   * @returns {Promise<object>} Unregistration result.
+   */
+  async unregisterCustomTool(toolName) {
+    this._requireAuth();
+
+    return this._sendRequest('tool-unregister', { name: toolName });
+  }
+
+  /**
+   * Set the tool capability manifest sent to the proxy when authenticating.
+   * Must be called before authenticate() for the proxy to see it.
+   *
+   * @param {object} manifest - Manifest from buildToolManifest() (systemId, packs, tools).
+   */
+  setToolManifest(manifest) {
+    this.toolManifest = manifest;
+  }
+
   /**
    * Cleanly disconnect from the proxy server.
    * Cancels heartbeat and reconnect timers, closes the WebSocket,
@@ -2810,6 +3217,8 @@ export class SocketClient {
       // Chat events
       'chat_chunk': 'chat-chunk',
       'chat-chunk': 'chat-chunk',
+      'chat_delta': 'chat-delta',
+      'chat-delta': 'chat-delta',
       'chat_complete': 'chat-complete',
       'chat-complete': 'chat-complete',
       'chat_error': 'chat-error',
@@ -2890,6 +3299,23 @@ export class SocketClient {
       return;
     }
 
+    // Handle chat-delta events (streamed response text, routed like chat-complete)
+    if (message.type === 'chat-delta') {
+      const batchId = message.batch_id || message.batchId || message.original_batch_id || message.originalBatchId;
+      const clientRequestId = message.client_request_id || message.clientRequestId;
+      const key = batchId ? `batch_${batchId}` : (clientRequestId ? `chat_${clientRequestId}` : null);
+      const onDelta = key ? this.streamHandlers.get(key) : null;
+
+      if (onDelta) {
+        try {
+          onDelta({ text: message.delta ?? message.text ?? '' });
+        } catch (error) {
+          console.error(`${MODULE_ID} | Stream handler error (${key}):`, error);
+        }
+      }
+      return;
+    }
+
     // Handle chat-complete events (async response from Phoenix server)
     if (message.type === 'chat-complete') {
       // Three correlation paths:
@@ -3408,14 +3834,53 @@ export class SocketClient {
       return;
     }
 
+    // GM approval gate for mutating tools (see GATED_TOOLS in config.mjs)
+    const policy = getToolPolicy(toolName);
+    if (policy === 'deny') {
+      this._sendToolResult(toolCallId, null,
+        `The GM has disabled the ${toolName} tool. Describe the outcome in narration instead.`);
+      return;
+    }
+    if (policy === 'ask') {
+      const decision = this.onToolApprovalRequest
+        ? await this.onToolApprovalRequest({ toolCallId, toolName, toolInput })
+        : { status: 'rejected' };
+
+      if (decision.status !== 'approved') {
+        const refusal = decision.status === 'timeout'
+          ? `The GM did not approve ${toolName} in time, so it was not applied.`
+          : `The GM rejected this ${toolName} call, so it was not applied.`;
+        this._sendToolResult(toolCallId, null, refusal);
+        return;
+      }
+    }
+
     try {
-      const result = await handler(toolInput);
+      const result = await handler(toolInput, {
+        toolCallId,
+        isPrivate: this._isPrivateToolCall(message)
+      });
       this._sendToolResult(toolCallId, result, null);
     } catch (error) {
       this._sendToolResult(toolCallId, null, error.message);
     }
   }
 
+  /**
+   * Decide whether a tool call belongs to a private (@lm!) request, from
+   * the flag or request correlation the proxy sends with the call. A call
+   * that can't be tied to a request is public.
+   *
+   * @param {object} message - The tool-execute message.
+   * @returns {boolean} True if the tool's output should be GM-only.
+   * @private
+   */
+  _isPrivateToolCall(message) {
+    if (typeof message.isPrivate === 'boolean') return message.isPrivate;
+    if (message.batchId) return false;
+    return !!message.clientRequestId && this.privateChatRequests.has(message.clientRequestId);
+  }
+
   /**
    * Send a tool result back to the server.
    * Uses appropriate protocol format (Node.js or Phoenix).
@@ -3485,6 +3950,11 @@ export class SocketClient {
           await this.authenticate();
           ui.notifications.info('Loremaster reconnected to server');
           this.onReconnected?.();
+          // Send anything queued while the connection was down (not awaited:
+          // replayed chats can take minutes)
+          this.replayOutbox().catch(error => {
+            console.error(`${MODULE_ID} | Failed to replay queued requests:`, error);
+          });
           // Self-heal any GM Prep generation whose completion event was lost
           // while the socket was down. Chained after (not replacing) the public
           // onReconnected callback. Snapshot the keys first — reconciliation
@@ -95,6 +95,10 @@ export class StatusBar {
     this._menuEl = null;
     /** @type {boolean} Whether the dropdown menu is currently open */
     this._menuOpen = false;
+    /** @type {number} Requests waiting in the offline outbox */
+    this.queueDepth = 0;
+    /** @type {Function|null} Called when the GM picks "Queued requests" in the menu */
+    this.onQueueClick = null;
   }
 
   /**
@@ -128,6 +132,11 @@ export class StatusBar {
     const detailSpan = document.createElement('span');
     detailSpan.className = 'loremaster-status-detail';
 
+    // Offline outbox depth — stays visible when the bar is collapsed
+    const queueSpan = document.createElement('span');
+    queueSpan.className = 'loremaster-status-queue';
+    queueSpan.hidden = true;
+
     // Caret button — opens the dropdown menu without triggering bar expand/collapse
     const caretBtn = document.createElement('button');
     caretBtn.className = 'loremaster-status-menu-btn';
@@ -141,7 +150,7 @@ export class StatusBar {
       this._toggleMenu();
     });
 
-    content.append(wizardIcon, label, stateSpan, detailSpan, caretBtn);
+    content.append(wizardIcon, label, stateSpan, detailSpan, queueSpan, caretBtn);
     this.element.appendChild(content);
 
     // Click handler on bar body: toggle expand/collapse or open settings if auth-required
@@ -245,6 +254,24 @@ export class StatusBar {
     this._setState('disabled');
   }
 
+  /**
+   * Show how many requests are waiting in the offline outbox.
+   *
+   * @param {number} count - Queue depth (0 hides the badge).
+   */
+  setQueueDepth(count) {
+    this.queueDepth = count;
+    const queueEl = this.element?.querySelector('.loremaster-status-queue');
+    if (!queueEl) return;
+
+    queueEl.hidden = count === 0;
+    queueEl.innerHTML = '';
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-inbox';
+    const text = game.i18n?.format('LOREMASTER.Outbox.Depth', { count }) || `${count} queued`;
+    queueEl.append(icon, document.createTextNode(' ' + text));
+  }
+
   /**
    * Update the status bar's internal state and DOM.
    *
@@ -411,8 +438,8 @@ export class StatusBar {
 
   /**
    * Build the dropdown menu element and populate it with menu items.
-   * Currently includes the "Hear AI voice" toggle. Additional items can be
-   * appended here in future tasks.
+   * Includes the "Hear AI voice" toggle and, for the GM while requests are
+   * queued offline, an entry to review them.
    *
    * @returns {HTMLElement} The constructed menu panel element.
    * @private
@@ -422,6 +449,9 @@ export class StatusBar {
     menu.className = 'lm-statusbar-menu';
 
     menu.appendChild(this._buildVoiceToggle());
+    if (game.user?.isGM && this.queueDepth > 0) {
+      menu.appendChild(this._buildQueueItem());
+    }
 
     return menu;
   }
@@ -472,6 +502,33 @@ export class StatusBar {
     return item;
   }
 
+  /**
+   * Build a menu item that opens the list of queued offline requests.
+   *
+   * @returns {HTMLElement} The constructed menu item element.
+   * @private
+   */
+  _buildQueueItem() {
+    const item = document.createElement('div');
+    item.classList.add('lm-statusbar-menu-item', 'lm-queue-item');
+
+    const icon = document.createElement('i');
+    icon.classList.add('fas', 'fa-inbox');
+
+    const label = document.createElement('span');
+    label.textContent = game.i18n?.format('LOREMASTER.Outbox.MenuItem', { count: this.queueDepth })
+      || `Queued requests (${this.queueDepth})`;
+
+    item.append(icon, label);
+    item.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      this._closeMenu();
+      this.onQueueClick?.();
+    });
+
+    return item;
+  }
+
   /**
    * Inject CSS styles for the status bar into the document.
    * Uses Foundry CSS variables for theming.
@@ -571,6 +628,12 @@ export class StatusBar {
         transition: width 0.3s ease, opacity 0.3s ease;
       }
 
+      /* Offline outbox depth */
+      .loremaster-status-queue {
+        color: #fbbf24;
+        font-size: 0.7rem;
+      }
+
       /* === State Colors === */
 
       /* Connected — green dot */
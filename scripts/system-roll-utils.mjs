@@ -0,0 +1,151 @@
+/**
+ * System roll evaluation helpers.
+ *
+ * Rules math for the per-system tool packs: pf2e degrees of success,
+ * Call of Cthulhu percentile resolution and dnd5e ability lookup. The tool
+ * handlers own the actual dice rolling and chat output.
+ */
+
+/**
+ * Ordered PF2e degrees of success, worst to best.
+ *
+ * @type {string[]}
+ */
+export const PF2E_DEGREES = ['critical_failure', 'failure', 'success', 'critical_success'];
+
+/**
+ * Calculate the PF2e degree of success for a check.
+ * Beating the DC by 10 is a critical success, missing it by 10 is a critical
+ * failure. A natural 20 then improves the result one step and a natural 1
+ * worsens it one step.
+ *
+ * @param {number} total - Check total (d20 + modifiers).
+ * @param {number} dieResult - The natural d20 result.
+ * @param {number} dc - The difficulty class (or target AC).
+ * @returns {string} One of PF2E_DEGREES.
+ */
+export function pf2eDegreeOfSuccess(total, dieResult, dc) {
+  let index;
+  if (total >= dc + 10) index = 3;
+  else if (total >= dc) index = 2;
+  else if (total <= dc - 10) index = 0;
+  else index = 1;
+
+  if (dieResult === 20) index += 1;
+  else if (dieResult === 1) index -= 1;
+
+  return PF2E_DEGREES[Math.min(3, Math.max(0, index))];
+}
+
+/**
+ * Calculate the PF2e multiple attack penalty for a strike.
+ *
+ * @param {number} attackNumber - 1 for the first attack this turn, 2 for the second, 3+ after.
+ * @param {boolean} [agile=false] - Whether the weapon has the agile trait.
+ * @returns {number} Penalty to add to the attack modifier (0 or negative).
+ */
+export function pf2eMultipleAttackPenalty(attackNumber, agile = false) {
+  const step = agile ? 4 : 5;
+  const index = Math.min(2, Math.max(0, (Number(attackNumber) || 1) - 1));
+  return index === 0 ? 0 : -step * index;
+}
+
+/**
+ * Resolve Call of Cthulhu percentile dice with bonus or penalty dice.
+ * Bonus dice keep the lowest tens die, penalty dice keep the highest.
+ * A tens die of 0 with a units die of 0 reads as 100.
+ *
+ * @param {number} units - Units die result (0-9).
+ * @param {number[]} tens - Tens die results (0-9), at least one.
+ * @param {number} [bonus=0] - Positive for bonus dice, negative for penalty dice.
+ * @returns {number} Final percentile result (1-100).
+ */
+export function resolvePercentile(units, tens, bonus = 0) {
+  const candidates = tens.map(t => {
+    const value = (t * 10) + units;
+    return value === 0 ? 100 : value;
+  });
+
+  if (bonus > 0) return Math.min(...candidates);
+  if (bonus < 0) return Math.max(...candidates);
+  return candidates[0];
+}
+
+/**
+ * Ordered CoC success levels, worst to best.
+ *
+ * @type {string[]}
+ */
+export const COC_SUCCESS_LEVELS = ['fumble', 'failure', 'regular', 'hard', 'extreme', 'critical'];
+
+/**
+ * Calculate the Call of Cthulhu (7th edition) success level for a roll.
+ * A 01 is always critical. 100 is always a fumble, and 96+ fumbles when the
+ * skill is below 50.
+ *
+ * @param {number} result - Percentile result (1-100).
+ * @param {number} skillValue - Skill or characteristic value.
+ * @returns {string} One of COC_SUCCESS_LEVELS.
+ */
+export function cocSuccessLevel(result, skillValue) {
+  if (result === 1) return 'critical';
+  if (result === 100 || (skillValue < 50 && result >= 96)) return 'fumble';
+  if (result <= Math.floor(skillValue / 5)) return 'extreme';
+  if (result <= Math.floor(skillValue / 2)) return 'hard';
+  if (result <= skillValue) return 'regular';
+  return 'failure';
+}
+
+/**
+ * Check whether a CoC success level meets the required difficulty.
+ *
+ * @param {string} level - Achieved level from cocSuccessLevel().
+ * @param {string} [difficulty='regular'] - Required level: regular, hard or extreme.
+ * @returns {boolean} True if the roll succeeds at that difficulty.
+ */
+export function cocMeetsDifficulty(level, difficulty = 'regular') {
+  const required = COC_SUCCESS_LEVELS.indexOf(difficulty);
+  const achieved = COC_SUCCESS_LEVELS.indexOf(level);
+  return achieved >= Math.max(required, COC_SUCCESS_LEVELS.indexOf('regular'));
+}
+
+/**
+ * D&D 5e ability keys and their English names, for systems whose
+ * CONFIG.DND5E labels are missing or localized differently.
+ *
+ * @type {Object<string, string>}
+ */
+export const DND5E_ABILITY_NAMES = {
+  str: 'strength',
+  dex: 'dexterity',
+  con: 'constitution',
+  int: 'intelligence',
+  wis: 'wisdom',
+  cha: 'charisma'
+};
+
+/**
+ * Resolve an ability name or abbreviation to a D&D 5e ability key.
+ * Matches a key, a configured label or an English name, or the start of an
+ * English name of at least three letters ("dext").
+ *
+ * @param {string} ability - Ability name (e.g., "Dexterity" or "dex").
+ * @param {Object<string, string>} [labels] - Ability key to localized label.
+ * @returns {string} Ability key.
+ * @throws {Error} If the ability is missing or not recognised.
+ */
+export function resolveDnd5eAbility(ability, labels = {}) {
+  const search = String(ability ?? '').toLowerCase().trim();
+  if (!search) {
+    throw new Error('No ability given (e.g., "Dexterity")');
+  }
+
+  for (const [key, label] of Object.entries(labels)) {
+    if (key === search || (label && label.toLowerCase() === search)) return key;
+  }
+  for (const [key, name] of Object.entries(DND5E_ABILITY_NAMES)) {
+    if (key === search || name === search || (search.length >= 3 && name.startsWith(search))) return key;
+  }
+
+  throw new Error(`Unknown ability: ${ability}. Use one of: ${Object.values(DND5E_ABILITY_NAMES).join(', ')}`);
+}
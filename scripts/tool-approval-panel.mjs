@@ -0,0 +1,142 @@
+/**
+ * Tool Approval Panel
+ *
+ * Floating GM panel holding AI tool calls whose policy is "ask GM".
+ * Each held call shows the actor, the proposed diff and the model's
+ * reason; approving or rejecting resolves the waiting tool execution.
+ * Calls the GM does not answer in time are refused automatically.
+ */
+
+import { getSetting } from './config.mjs';
+import { previewToolCall } from './tool-handlers.mjs';
+
+const MODULE_ID = 'loremaster';
+
+export class ToolApprovalPanel extends Application {
+  /**
+   * @param {object} options - Application options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.pendingCalls = [];
+    this.resolvedCalls = [];
+    this._waiters = new Map();
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'loremaster-tool-approval',
+      title: game.i18n?.localize('LOREMASTER.ToolApproval.Title') || 'AI Tool Approval',
+      template: 'modules/loremaster/templates/tool-approval-panel.hbs',
+      classes: ['loremaster', 'tool-approval-panel'],
+      width: 420,
+      height: 500,
+      resizable: true,
+      minimizable: true,
+      tabs: [{ navSelector: '.tabs', contentSelector: '.tab-content', initial: 'pending' }]
+    });
+  }
+
+  async getData(options = {}) {
+    const data = await super.getData(options);
+    return {
+      ...data,
+      pendingCalls: this.pendingCalls,
+      resolvedCalls: this.resolvedCalls,
+      pendingCount: this.pendingCalls.length,
+      isGM: game.user.isGM
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html = $(html);
+
+    html.find('.approve-btn').on('click', this._onApprove.bind(this));
+    html.find('.reject-btn').on('click', this._onReject.bind(this));
+  }
+
+  /**
+   * Hold a tool call until the GM approves or rejects it.
+   *
+   * @param {object} call - Tool execution request.
+   * @param {string} call.toolCallId - The tool call ID.
+   * @param {string} call.toolName - The tool name.
+   * @param {object} call.toolInput - The tool input.
+   * @returns {Promise<{status: string}>} Resolves with status 'approved', 'rejected' or 'timeout'.
+   */
+  requestApproval({ toolCallId, toolName, toolInput = {} }) {
+    // Only the GM can review; anyone else refuses straight away
+    if (!game.user.isGM) {
+      return Promise.resolve({ status: 'rejected' });
+    }
+
+    const preview = previewToolCall(toolName, toolInput);
+    const entry = {
+      toolCallId,
+      toolName,
+      actorName: preview.actorName,
+      changes: preview.changes.map(c => ({ ...c, hasFrom: c.from !== null && c.from !== undefined })),
+      reason: toolInput.reason || null,
+      requestedAt: new Date().toLocaleTimeString()
+    };
+
+    this.pendingCalls.push(entry);
+
+    const promise = new Promise((resolve) => {
+      const timeoutSeconds = getSetting('toolApprovalTimeout') || 90;
+      const timer = setTimeout(() => this._resolve(toolCallId, 'timeout'), timeoutSeconds * 1000);
+      this._waiters.set(toolCallId, { resolve, timer });
+    });
+
+    ui.notifications.info(
+      game.i18n?.format('LOREMASTER.ToolApproval.Requested', { tool: toolName }) ||
+      `Loremaster wants to use ${toolName} - approval needed`
+    );
+    this.render(true);
+
+    return promise;
+  }
+
+  /**
+   * Resolve a held tool call and move it to the history tab.
+   *
+   * @param {string} toolCallId - The tool call ID.
+   * @param {string} status - 'approved', 'rejected' or 'timeout'.
+   * @private
+   */
+  _resolve(toolCallId, status) {
+    const waiter = this._waiters.get(toolCallId);
+    if (!waiter) return;
+
+    clearTimeout(waiter.timer);
+    this._waiters.delete(toolCallId);
+
+    const idx = this.pendingCalls.findIndex(c => c.toolCallId === toolCallId);
+    if (idx >= 0) {
+      const call = this.pendingCalls.splice(idx, 1)[0];
+      call.status = status;
+      call.resolvedAt = new Date().toLocaleTimeString();
+      this.resolvedCalls.unshift(call);
+    }
+
+    if (status === 'timeout') {
+      console.log(`${MODULE_ID} | Tool call ${toolCallId} timed out waiting for GM approval`);
+    }
+
+    waiter.resolve({ status });
+    if (this.rendered) this.render(false);
+  }
+
+  _onApprove(event) {
+    event.preventDefault();
+    const toolCallId = event.currentTarget.dataset.toolCallId;
+    if (toolCallId) this._resolve(toolCallId, 'approved');
+  }
+
+  _onReject(event) {
+    event.preventDefault();
+    const toolCallId = event.currentTarget.dataset.toolCallId;
+    if (toolCallId) this._resolve(toolCallId, 'rejected');
+  }
+}
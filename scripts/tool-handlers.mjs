@@ -6,6 +6,18 @@
  * via the proxy server.
  */
 
+import {
+  cocMeetsDifficulty,
+  cocSuccessLevel,
+  pf2eDegreeOfSuccess,
+  pf2eMultipleAttackPenalty,
+  resolveDnd5eAbility,
+  resolvePercentile
+} from './system-roll-utils.mjs';
+import { actorsIntroducedBy, statBlockToActorData } from './actor-stat-block.mjs';
+import { rankAmbience } from './ambience-utils.mjs';
+import { htmlToMarkdown, markdownToHtml } from './journal-markdown.mjs';
+
 const MODULE_ID = 'loremaster';
 
 /**
@@ -24,34 +36,273 @@ function isYZESystem() {
   return YZE_SYSTEMS.includes(game.system.id);
 }
 
+/**
+ * Registered tool packs.
+ * Each pack groups the handlers for one game system (or for all systems
+ * when `systems` is null). Only packs matching the current game.system.id
+ * are registered with the socket client and advertised to the proxy.
+ *
+ * @type {Map<string, object>}
+ */
+const toolPacks = new Map();
+
+/**
+ * Register a tool pack.
+ * Tool entries are either a bare handler function (for tools the proxy
+ * already defines) or an object with a handler plus the description and
+ * JSON input schema the proxy needs to expose the tool to the model.
+ *
+ * @param {object} pack - Tool pack definition.
+ * @param {string} pack.id - Unique pack identifier (e.g., "dnd5e").
+ * @param {string} pack.label - Human-readable pack name.
+ * @param {string[]|null} pack.systems - Game system IDs this pack applies to, or null for all.
+ * @param {Object<string, Function|object>} pack.tools - Tool name to handler or definition.
+ */
+export function registerToolPack(pack) {
+  if (!pack?.id || !pack.tools) {
+    throw new Error('Tool pack requires an id and tools');
+  }
+  toolPacks.set(pack.id, pack);
+}
+
+/**
+ * Get the tool packs that apply to a game system.
+ *
+ * @param {string} [systemId] - Game system ID (defaults to the current system).
+ * @returns {object[]} Matching tool packs.
+ */
+export function getActiveToolPacks(systemId = game.system.id) {
+  return Array.from(toolPacks.values()).filter(pack =>
+    !pack.systems || pack.systems.includes(systemId)
+  );
+}
+
+/**
+ * Build the capability manifest sent to the proxy at authenticate time.
+ * Tells the proxy which tools this client can execute so the model only
+ * sees tools for the current game system.
+ *
+ * @param {string} [systemId] - Game system ID (defaults to the current system).
+ * @returns {object} Manifest with systemId, pack IDs and tool descriptors.
+ */
+export function buildToolManifest(systemId = game.system.id) {
+  const packs = getActiveToolPacks(systemId);
+  const tools = [];
+
+  for (const pack of packs) {
+    for (const [name, definition] of Object.entries(pack.tools)) {
+      const isFunction = typeof definition === 'function';
+      tools.push({
+        name,
+        pack: pack.id,
+        description: isFunction ? null : (definition.description || null),
+        inputSchema: isFunction ? null : (definition.inputSchema || null)
+      });
+    }
+  }
+
+  for (const tool of customTools.values()) {
+    tools.push({
+      name: tool.name,
+      pack: 'custom',
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      gmOnly: tool.gmOnly
+    });
+  }
+
+  return {
+    systemId,
+    packs: packs.map(pack => pack.id),
+    tools
+  };
+}
+
 /**
  * Register all tool handlers with the socket client.
+ * Registers the handlers from every pack matching the current game system
+ * and stores the capability manifest for the next authenticate.
  *
  * @param {SocketClient} socketClient - The socket client instance.
  */
 export function registerToolHandlers(socketClient) {
-  // Core tools (all systems)
-  socketClient.registerToolHandler('roll_dice', handleRollDice);
-  socketClient.registerToolHandler('get_actor', handleGetActor);
-  socketClient.registerToolHandler('get_scene', handleGetScene);
-  socketClient.registerToolHandler('get_combat', handleGetCombat);
-  socketClient.registerToolHandler('lookup_item', handleLookupItem);
-  socketClient.registerToolHandler('lookup_table', handleLookupTable);
-  socketClient.registerToolHandler('speak_as', handleSpeakAs);
-  socketClient.registerToolHandler('play_audio', handlePlayAudio);
+  const packs = getActiveToolPacks();
+
+  for (const pack of packs) {
+    for (const [name, definition] of Object.entries(pack.tools)) {
+      const handler = typeof definition === 'function' ? definition : definition.handler;
+      socketClient.registerToolHandler(name, handler);
+    }
+  }
+
+  for (const tool of customTools.values()) {
+    socketClient.registerToolHandler(tool.name, tool.handler);
+  }
+
+  socketClient.setToolManifest(buildToolManifest());
+  activeSocketClient = socketClient;
+
+  console.log(`${MODULE_ID} | Tool handlers registered (packs: ${packs.map(p => p.id).join(', ')})`);
+}
+
+// ============================================================================
+// Custom Tools (third-party module API)
+// ============================================================================
+
+/**
+ * Tools registered by other modules through game.modules.get('loremaster').api.
+ *
+ * @type {Map<string, object>}
+ */
+const customTools = new Map();
+
+/**
+ * Socket client the handlers were last registered with.
+ * Custom tools registered after startup are attached to it directly.
+ *
+ * @type {SocketClient|null}
+ */
+let activeSocketClient = null;
+
+/**
+ * Valid tool name pattern (matches the Claude API tool name constraint).
+ *
+ * @type {RegExp}
+ */
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a tool name belongs to a built-in tool pack.
+ *
+ * @param {string} name - Tool name.
+ * @returns {boolean} True if a built-in pack defines the tool.
+ */
+function isBuiltInTool(name) {
+  return Array.from(toolPacks.values()).some(pack => name in pack.tools);
+}
+
+/**
+ * Register a custom tool the model can call.
+ * If Loremaster is already connected the tool is forwarded to the proxy
+ * immediately; otherwise it is included in the capability manifest sent
+ * at authenticate time.
+ *
+ * @param {object} tool - Tool definition.
+ * @param {string} tool.name - Unique tool name (letters, digits, _ and -).
+ * @param {string} tool.description - What the tool does, shown to the model.
+ * @param {object} tool.inputSchema - JSON schema for the tool input (type "object").
+ * @param {Function} tool.handler - Async function receiving the tool input and the call context ({ toolCallId, isPrivate }), returning a JSON-serializable result.
+ * @param {boolean} [tool.gmOnly=false] - Only execute on the GM's client.
+ * @returns {Promise<void>}
+ */
+export async function registerCustomTool({ name, description, inputSchema, handler, gmOnly = false }) {
+  if (!TOOL_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid tool name: ${name}`);
+  }
+  if (isBuiltInTool(name)) {
+    throw new Error(`Tool name is reserved by Loremaster: ${name}`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Tool ${name} requires a handler function`);
+  }
+  if (!description) {
+    throw new Error(`Tool ${name} requires a description`);
+  }
+  if (inputSchema?.type !== 'object') {
+    throw new Error(`Tool ${name} requires an inputSchema of type "object"`);
+  }
+
+  const wrappedHandler = async (input, context = {}) => {
+    if (gmOnly && !game.user.isGM) {
+      throw new Error(`Tool ${name} requires GM permissions`);
+    }
+    return handler(input ?? {}, context);
+  };
+
+  const tool = { name, description, inputSchema, gmOnly: !!gmOnly, handler: wrappedHandler };
+  customTools.set(name, tool);
+
+  if (!activeSocketClient) return;
+
+  activeSocketClient.registerToolHandler(name, wrappedHandler);
+  activeSocketClient.setToolManifest(buildToolManifest());
+
+  if (activeSocketClient.isAuthenticated) {
+    await activeSocketClient.registerCustomTool({
+      name, description, inputSchema, gmOnly: tool.gmOnly
+    });
+  }
+
+  console.log(`${MODULE_ID} | Custom tool registered: ${name}`);
+}
+
+/**
+ * Unregister a custom tool.
+ *
+ * @param {string} name - Tool name.
+ * @returns {Promise<boolean>} True if the tool was registered.
+ */
+export async function unregisterCustomTool(name) {
+  if (!customTools.delete(name)) return false;
+
+  if (activeSocketClient) {
+    activeSocketClient.unregisterToolHandler(name);
+    activeSocketClient.setToolManifest(buildToolManifest());
+
+    if (activeSocketClient.isAuthenticated) {
+      await activeSocketClient.unregisterCustomTool(name);
+    }
+  }
+
+  console.log(`${MODULE_ID} | Custom tool unregistered: ${name}`);
+  return true;
+}
+
+/**
+ * List registered custom tools.
+ *
+ * @returns {object[]} Tool descriptors (name, description, inputSchema, gmOnly).
+ */
+export function listCustomTools() {
+  return Array.from(customTools.values()).map(({ name, description, inputSchema, gmOnly }) => ({
+    name, description, inputSchema, gmOnly
+  }));
+}
+
+/**
+ * Post evaluated rolls as a roll chat message.
+ * The message is attributed to the actor when one is given, whispered to
+ * the GM when the tool call came from a private (@lm!) request, and waits
+ * for Dice So Nice to finish animating so narration never beats the dice.
+ *
+ * @param {Roll|Roll[]} rolls - Evaluated roll(s) to show.
+ * @param {object} options - Message options.
+ * @param {Actor} [options.actor] - Actor making the roll; Loremaster speaks otherwise.
+ * @param {string} [options.flavor] - Flavor HTML shown above the dice.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {Promise<string>} The chat message ID.
+ */
+async function postRollMessage(rolls, { actor = null, flavor = '' } = {}, context = {}) {
+  const messageData = {
+    speaker: actor ? ChatMessage.getSpeaker({ actor }) : ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+    user: game.user.id,  // Explicit user for compatibility with older system hooks
+    flavor,
+    rolls: [].concat(rolls),
+    flags: { [MODULE_ID]: { isAIRoll: true } }
+  };
+  ChatMessage.applyRollMode(
+    messageData,
+    context.isPrivate ? CONST.DICE_ROLL_MODES.PRIVATE : CONST.DICE_ROLL_MODES.PUBLIC
+  );
 
-  // Year Zero Engine tools
-  socketClient.registerToolHandler('yze_skill_check', handleYZESkillCheck);
-  socketClient.registerToolHandler('yze_attack', handleYZEAttack);
-  socketClient.registerToolHandler('yze_push_roll', handleYZEPushRoll);
-  socketClient.registerToolHandler('yze_roll_critical', handleYZERollCritical);
-  socketClient.registerToolHandler('yze_opposed_roll', handleYZEOpposedRoll);
+  const message = await ChatMessage.create(messageData);
 
-  // Cross-system tools
-  socketClient.registerToolHandler('apply_damage', handleApplyDamage);
-  socketClient.registerToolHandler('modify_resource', handleModifyResource);
+  // Dice So Nice animates roll messages itself; wait for it to finish
+  if (game.dice3d?.waitFor3DAnimationByMessageID) {
+    await game.dice3d.waitFor3DAnimationByMessageID(message.id);
+  }
 
-  console.log(`${MODULE_ID} | Tool handlers registered`);
+  return message.id;
 }
 
 /**
@@ -60,29 +311,38 @@ export function registerToolHandlers(socketClient) {
  * @param {object} input - Tool input parameters.
  * @param {string} input.formula - Dice formula (e.g., "2d6+3").
  * @param {string} [input.label] - Optional label for the roll.
+ * @param {string} [input.actorName] - Actor the roll is made for.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
  * @returns {object} Roll result.
  */
-async function handleRollDice({ formula, label }) {
-  try {
-    const roll = await new Roll(formula).evaluate();
-
-    // Create chat message for the roll
-    await roll.toMessage({
-      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
-      flavor: label || 'Loremaster Roll'
-    });
+async function handleRollDice({ formula, label, actorName }, context = {}) {
+  const actor = actorName ? findActor(actorName) : null;
+  if (actorName && !actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
 
-    return {
-      formula: roll.formula,
-      total: roll.total,
-      dice: roll.dice.map(d => ({
-        faces: d.faces,
-        results: d.results.map(r => r.result)
-      }))
-    };
+  let roll;
+  try {
+    roll = await new Roll(formula).evaluate();
   } catch (error) {
     throw new Error(`Invalid dice formula: ${formula}`);
   }
+
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: label || (actor ? `${actor.name} rolls` : 'Loremaster Roll')
+  }, context);
+
+  return {
+    formula: roll.formula,
+    total: roll.total,
+    actor: actor?.name || null,
+    dice: roll.dice.map(d => ({
+      faces: d.faces,
+      results: d.results.map(r => r.result)
+    })),
+    messageId
+  };
 }
 
 /**
@@ -190,8 +450,16 @@ async function handleGetScene() {
  * @returns {object} Combat data.
  */
 async function handleGetCombat() {
-  const combat = game.combat;
+  return serializeCombat(game.combat);
+}
 
+/**
+ * Serialize a combat encounter for tool results.
+ *
+ * @param {Combat|null} combat - The combat encounter.
+ * @returns {object} Combat data.
+ */
+function serializeCombat(combat) {
   if (!combat) {
     return { active: false };
   }
@@ -262,15 +530,16 @@ async function handleLookupItem({ name, type }) {
  * Lookup and optionally roll on a roll table.
  *
  * @param {object} input - Tool input parameters.
- * @param {string} input.name - Table name to search for.
+ * @param {string} input.name - Table name (or world table ID) to search for.
  * @param {boolean} [input.roll] - Whether to roll on the table.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
  * @returns {object} Table data or roll result.
  */
-async function handleLookupTable({ name, roll = false }) {
-  // Search world tables first
-  let table = game.tables.find(t =>
-    t.name.toLowerCase().includes(name.toLowerCase())
-  );
+async function handleLookupTable({ name, roll = false }, context = {}) {
+  // Search world tables first (by ID as returned from create_roll_table, then name)
+  let table = game.tables.get(name) ||
+    game.tables.find(t => t.name.toLowerCase() === name.toLowerCase()) ||
+    game.tables.find(t => t.name.toLowerCase().includes(name.toLowerCase()));
 
   // Search compendiums if not found
   if (!table) {
@@ -291,6 +560,7 @@ async function handleLookupTable({ name, roll = false }) {
   }
 
   const result = {
+    id: table.id,
     name: table.name,
     description: table.description,
     results: table.results.map(r => ({
@@ -303,9 +573,13 @@ async function handleLookupTable({ name, roll = false }) {
   // Roll on the table if requested
   if (roll) {
     const rollResult = await table.roll();
+    const text = rollResult.results.map(r => r.text).join(', ');
     result.rolled = {
       total: rollResult.roll.total,
-      result: rollResult.results.map(r => r.text).join(', ')
+      result: text,
+      messageId: await postRollMessage(rollResult.roll, {
+        flavor: `<strong>${table.name}</strong><br/>${text}`
+      }, context)
     };
   }
 
@@ -410,701 +684,3159 @@ async function handlePlayAudio({ playlist: playlistName, track: trackName, actio
 }
 
 // ============================================================================
-// Year Zero Engine Tool Handlers
+// Ambience Tool Handlers
 // ============================================================================
 
 /**
- * Find an actor by name (case-insensitive partial match).
+ * Default crossfade duration for set_ambience, in seconds.
  *
- * @param {string} name - Actor name to search for.
- * @returns {Actor|null} The found actor or null.
+ * @type {number}
  */
-function findActor(name) {
-  // Search in world actors
-  let actor = game.actors.find(a =>
-    a.name.toLowerCase().includes(name.toLowerCase())
-  );
+const AMBIENCE_FADE_SECONDS = 3;
 
-  // Search in current scene tokens if not found
-  if (!actor && canvas.scene) {
-    const token = canvas.scene.tokens.find(t =>
-      t.name.toLowerCase().includes(name.toLowerCase())
-    );
-    if (token) {
-      actor = token.actor;
+/**
+ * Find a playlist by name (exact match first, then partial).
+ *
+ * @param {string} name - Playlist name.
+ * @returns {Playlist|null} The playlist or null.
+ */
+function findPlaylist(name) {
+  const search = (name || '').toLowerCase();
+  return game.playlists.find(p => p.name.toLowerCase() === search) ||
+    game.playlists.find(p => p.name.toLowerCase().includes(search)) ||
+    null;
+}
+
+/**
+ * Find a sound by name in one playlist, or across all playlists.
+ *
+ * @param {Playlist|null} playlist - Playlist to search, or null for all.
+ * @param {string} name - Sound name.
+ * @returns {{playlist: Playlist, sound: PlaylistSound}|null} The sound and its playlist.
+ */
+function findPlaylistSound(playlist, name) {
+  const search = (name || '').toLowerCase();
+  const playlists = playlist ? [playlist] : Array.from(game.playlists);
+  for (const matches of [n => n === search, n => n.includes(search)]) {
+    for (const p of playlists) {
+      const sound = p.sounds.find(s => matches(s.name.toLowerCase()));
+      if (sound) return { playlist: p, sound };
     }
   }
-
-  return actor;
+  return null;
 }
 
 /**
- * Get attribute value from a YZE actor.
+ * Rank world playlists and sounds against mood keywords.
  *
- * @param {Actor} actor - The actor.
- * @param {string} attribute - Attribute name.
- * @returns {number} Attribute value.
+ * @param {string[]} keywords - Mood keywords or tags.
+ * @returns {Array<{playlistId: string, soundId: string|null, score: number}>} Matches, best first.
  */
-function getYZEAttribute(actor, attribute) {
-  const attrKey = attribute.toLowerCase();
-  const attrs = actor.system.attributes;
+function rankWorldAmbience(keywords) {
+  return rankAmbience(
+    game.playlists.map(p => ({
+      id: p.id,
+      name: p.name,
+      sounds: p.sounds.map(s => ({ id: s.id, name: s.name }))
+    })),
+    keywords
+  );
+}
 
-  if (!attrs) return 0;
+/**
+ * Resolve what set_ambience should play from explicit names or mood keywords.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} [input.playlist] - Playlist name.
+ * @param {string} [input.track] - Sound name.
+ * @param {string[]} [input.tags] - Mood keywords or tags.
+ * @returns {{playlist: Playlist, sound: PlaylistSound|null}|null} Target, or null if nothing was requested.
+ */
+function resolveAmbienceTarget({ playlist: playlistName, track: trackName, tags = [] }) {
+  if (playlistName || trackName) {
+    const playlist = playlistName ? findPlaylist(playlistName) : null;
+    if (playlistName && !playlist) {
+      throw new Error(`Playlist not found: ${playlistName}`);
+    }
+    if (!trackName) return { playlist, sound: null };
 
-  // Handle different YZE system structures
-  if (attrs[attrKey]?.value !== undefined) {
-    return attrs[attrKey].value;
+    const found = findPlaylistSound(playlist, trackName);
+    if (!found) {
+      throw new Error(`Track not found: ${trackName}`);
+    }
+    return found;
   }
-  if (attrs[attrKey] !== undefined && typeof attrs[attrKey] === 'number') {
-    return attrs[attrKey];
+
+  if (tags.length === 0) return null;
+
+  const [best] = rankWorldAmbience(tags);
+  if (!best) {
+    const available = game.playlists.map(p => p.name).join(', ') || 'none';
+    throw new Error(`No playlist or sound matches "${tags.join(', ')}". Playlists: ${available}`);
   }
+  const playlist = game.playlists.get(best.playlistId);
+  return { playlist, sound: best.soundId ? playlist.sounds.get(best.soundId) : null };
+}
 
-  return 0;
+/**
+ * Describe an ambience target for results and previews.
+ *
+ * @param {{playlist: Playlist, sound: PlaylistSound|null}} target - Ambience target.
+ * @returns {string} "Playlist / Sound" or the playlist name.
+ */
+function describeAmbienceTarget(target) {
+  return target.sound ? `${target.playlist.name} / ${target.sound.name}` : target.playlist.name;
 }
 
 /**
- * Get skill value from a YZE actor.
+ * Report what is currently playing.
  *
- * @param {Actor} actor - The actor.
- * @param {string} skill - Skill name.
- * @returns {number} Skill value.
+ * @returns {Array<{playlist: string, sounds: Array<{name: string, volume: number, repeat: boolean}>}>} Playing playlists.
  */
-function getYZESkill(actor, skill) {
-  const skillKey = skill.toLowerCase().replace(/\s+/g, '');
-  const skills = actor.system.skills;
+function getAmbienceState() {
+  return game.playlists
+    .filter(p => p.playing)
+    .map(p => ({
+      playlist: p.name,
+      sounds: p.sounds
+        .filter(s => s.playing)
+        .map(s => ({ name: s.name, volume: Math.round(s.volume * 100) / 100, repeat: s.repeat }))
+    }));
+}
 
-  if (!skills) return 0;
+/**
+ * Clamp a volume to Foundry's 0-1 range.
+ *
+ * @param {number} volume - Requested volume.
+ * @returns {number} Clamped volume.
+ */
+function clampVolume(volume) {
+  return Math.min(1, Math.max(0, Number(volume) || 0));
+}
 
-  // Try exact match first
-  if (skills[skillKey]?.value !== undefined) {
-    return skills[skillKey].value;
-  }
-  if (skills[skillKey] !== undefined && typeof skills[skillKey] === 'number') {
-    return skills[skillKey];
+/**
+ * Run a playback change with a crossfade, then put back the GM's own fade
+ * durations. Foundry only reads a sound's fade when it starts or stops,
+ * so the crossfade duration never outlives the change.
+ *
+ * @param {Playlist} playlist - Playlist the sounds belong to.
+ * @param {PlaylistSound[]} sounds - Sounds the change starts or stops.
+ * @param {number} fade - Crossfade duration in milliseconds.
+ * @param {Function} change - Async function that starts or stops the sounds.
+ */
+async function withCrossfade(playlist, sounds, fade, change) {
+  const originals = sounds.map(s => ({ _id: s.id, fade: s.fade }));
+  await playlist.updateEmbeddedDocuments('PlaylistSound', sounds.map(s => ({ _id: s.id, fade })));
+  try {
+    await change();
+  } finally {
+    await playlist.updateEmbeddedDocuments('PlaylistSound', originals);
   }
+}
 
-  // Try partial match
-  for (const key of Object.keys(skills)) {
-    if (key.toLowerCase().includes(skillKey) || skillKey.includes(key.toLowerCase())) {
-      if (skills[key]?.value !== undefined) return skills[key].value;
-      if (typeof skills[key] === 'number') return skills[key];
-    }
+/**
+ * Set a sound's volume for the current ambience. The GM's volume is kept in
+ * the sound's flags and put back when the sound stops (see
+ * restoreAmbienceVolume), so set_ambience never overwrites it for good.
+ *
+ * @param {PlaylistSound} sound - The sound.
+ * @param {number} volume - Volume (0-1).
+ */
+async function setAmbienceVolume(sound, volume) {
+  const update = { volume };
+  if (sound.getFlag(MODULE_ID, 'originalVolume') === undefined) {
+    update[`flags.${MODULE_ID}.originalVolume`] = sound.volume;
   }
-
-  return 0;
+  await sound.update(update);
 }
 
 /**
- * Evaluate a Year Zero Engine dice roll.
- * In YZE, 6s are successes. 3+ successes = critical.
+ * Put back the GM's volume on a sound set_ambience changed, once it stops.
+ * Registered as an updatePlaylistSound hook so sounds stopped from the
+ * playlist directory are restored too. The hook fires on every client;
+ * only the active GM restores, so several GMs don't race on the update.
  *
- * @param {Roll} roll - The evaluated Foundry roll.
- * @returns {object} Evaluation result with successes and status.
+ * @param {PlaylistSound} sound - The updated sound.
+ * @param {object} changes - The update's changes.
  */
-function evaluateYZERoll(roll) {
-  const results = roll.dice[0]?.results || [];
-  const diceValues = results.map(r => r.result);
-  const successes = diceValues.filter(v => v === 6).length;
-  const ones = diceValues.filter(v => v === 1).length;
+export async function restoreAmbienceVolume(sound, changes) {
+  if (!game.users.activeGM?.isSelf || changes.playing !== false) return;
 
-  return {
-    diceRolled: diceValues.length,
-    results: diceValues,
-    successes,
-    ones,
-    isSuccess: successes > 0,
-    isCritical: successes >= 3,
-    isFailure: successes === 0
-  };
+  const original = sound.getFlag(MODULE_ID, 'originalVolume');
+  if (original === undefined) return;
+
+  await sound.update({ volume: original, [`flags.${MODULE_ID}.-=originalVolume`]: null });
 }
 
 /**
- * Roll a Year Zero Engine skill check.
+ * Play a sound once for every client, optionally after a delay.
  *
- * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor making the roll.
- * @param {string} input.attribute - Attribute to use.
- * @param {string} input.skill - Skill to use.
- * @param {number} [input.modifier] - Bonus/penalty dice.
- * @param {string} [input.label] - Description of the roll.
- * @returns {object} Roll result.
+ * @param {object} stinger - Stinger options.
+ * @param {string} [stinger.track] - Sound name.
+ * @param {string[]} [stinger.tags] - Mood keywords used when no track is named.
+ * @param {number} [stinger.volume=0.8] - Volume (0-1).
+ * @param {number} [stinger.delaySeconds=0] - Delay before playing.
+ * @returns {{name: string, delaySeconds: number}} The scheduled stinger.
  */
-async function handleYZESkillCheck({ actorName, attribute, skill, modifier = 0, label }) {
-  if (!isYZESystem()) {
-    throw new Error(`YZE skill check not available for ${game.system.id}. Use roll_dice instead.`);
+function scheduleStinger({ track, tags = [], volume = 0.8, delaySeconds = 0 }) {
+  let sound = track ? findPlaylistSound(null, track)?.sound : null;
+  if (!sound && !track && tags.length > 0) {
+    const best = rankWorldAmbience(tags).find(m => m.soundId);
+    sound = best ? game.playlists.get(best.playlistId).sounds.get(best.soundId) : null;
   }
-
-  const actor = findActor(actorName);
-  if (!actor) {
-    throw new Error(`Actor not found: ${actorName}`);
+  if (!sound) {
+    throw new Error(`Stinger sound not found: ${track || tags.join(', ')}`);
   }
 
-  const attrValue = getYZEAttribute(actor, attribute);
-  const skillValue = getYZESkill(actor, skill);
-  let totalDice = attrValue + skillValue + modifier;
+  const helper = foundry.audio?.AudioHelper ?? AudioHelper;
+  const play = () => helper.play({ src: sound.path, volume: clampVolume(volume), loop: false, autoplay: true }, true);
+  const delay = Math.max(0, delaySeconds);
+  if (delay > 0) setTimeout(play, delay * 1000);
+  else play();
 
-  // Desperation roll: if dice pool <= 0, roll 2 dice (need both 6s)
-  const isDesperation = totalDice <= 0;
-  if (isDesperation) {
-    totalDice = 2;
+  return { name: sound.name, delaySeconds: delay };
+}
+
+/**
+ * Set the scene's ambience: crossfade to a playlist or sound picked by
+ * name or mood, adjust volumes and schedule a one-shot stinger.
+ * With no arguments it only reports what is playing.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} [input.playlist] - Playlist name.
+ * @param {string} [input.track] - Sound name (within playlist if given).
+ * @param {string[]} [input.tags] - Mood keywords or tags matched against playlist and sound names.
+ * @param {number} [input.volume] - Volume (0-1) for the chosen sound or playlist.
+ * @param {Array<{track: string, volume: number}>} [input.volumes] - Volume changes for individual sounds.
+ * @param {boolean} [input.layer=false] - Keep current sounds playing instead of crossfading.
+ * @param {number} [input.fadeSeconds] - Crossfade duration.
+ * @param {object} [input.stinger] - One-shot sound: {track?, tags?, volume?, delaySeconds?}.
+ * @param {boolean} [input.stop=false] - Fade out everything that is playing.
+ * @returns {object} Changes made and the resulting ambience state.
+ */
+async function handleSetAmbience({
+  playlist,
+  track,
+  tags = [],
+  volume,
+  volumes = [],
+  layer = false,
+  fadeSeconds = AMBIENCE_FADE_SECONDS,
+  stinger,
+  stop = false
+}) {
+  const fade = Math.max(0, fadeSeconds) * 1000;
+  const target = stop ? null : resolveAmbienceTarget({ playlist, track, tags });
+  const result = { success: true };
+
+  // Fade out whatever the new ambience replaces
+  if (stop || (target && !layer)) {
+    const keep = s => target && (target.sound ? s === target.sound : s.parent === target.playlist);
+    const stopped = [];
+
+    for (const p of game.playlists.filter(pl => pl.playing)) {
+      const outgoing = p.sounds.filter(s => s.playing && !keep(s));
+      if (outgoing.length === 0) continue;
+
+      await withCrossfade(p, outgoing, fade, async () => {
+        if (outgoing.length === p.sounds.filter(s => s.playing).length) {
+          await p.stopAll();
+        } else {
+          for (const s of outgoing) await p.stopSound(s);
+        }
+      });
+      stopped.push(...outgoing.map(s => `${p.name} / ${s.name}`));
+    }
+    result.stopped = stopped;
   }
 
-  const formula = `${totalDice}d6`;
-  const roll = await new Roll(formula).evaluate();
-  const evaluation = evaluateYZERoll(roll);
+  // Fade in the new ambience
+  if (target) {
+    const sounds = target.sound ? [target.sound] : Array.from(target.playlist.sounds);
+    if (volume !== undefined) {
+      for (const s of sounds) await setAmbienceVolume(s, clampVolume(volume));
+    }
 
-  // For desperation rolls, need 2 successes to succeed
-  if (isDesperation) {
-    evaluation.isSuccess = evaluation.successes >= 2;
-    evaluation.isFailure = evaluation.successes < 2;
+    await withCrossfade(target.playlist, sounds, fade, async () => {
+      if (target.sound) {
+        if (!target.sound.playing) await target.playlist.playSound(target.sound);
+      } else if (!target.playlist.playing) {
+        await target.playlist.playAll();
+      }
+    });
+    result.playing = describeAmbienceTarget(target);
   }
 
-  // Post to chat
-  const rollLabel = label || `${actor.name}: ${attribute} + ${skill}`;
-  await roll.toMessage({
-    speaker: ChatMessage.getSpeaker({ actor }),
-    flavor: `<strong>${rollLabel}</strong>${isDesperation ? ' (Desperation Roll!)' : ''}`
-  });
+  if (volumes.length > 0) {
+    result.volumes = [];
+    for (const entry of volumes) {
+      const found = findPlaylistSound(null, entry.track);
+      if (!found) {
+        result.volumes.push({ track: entry.track, error: 'Track not found' });
+        continue;
+      }
+      const newVolume = clampVolume(entry.volume);
+      await setAmbienceVolume(found.sound, newVolume);
+      result.volumes.push({ track: found.sound.name, volume: newVolume });
+    }
+  }
+
+  if (stinger) {
+    result.stinger = scheduleStinger(stinger);
+  }
 
+  result.nowPlaying = getAmbienceState();
+  return result;
+}
+
+// ============================================================================
+// Canvas Tool Handlers
+// ============================================================================
+
+/**
+ * Get the active scene or throw.
+ *
+ * @returns {Scene} The scene currently viewed on the canvas.
+ */
+function requireScene() {
+  const scene = canvas.scene;
+  if (!scene) {
+    throw new Error('No active scene');
+  }
+  return scene;
+}
+
+/**
+ * Find a token on the current scene by name (case-insensitive partial match).
+ *
+ * @param {string} name - Token name.
+ * @returns {TokenDocument|null} The token or null.
+ */
+function findSceneToken(name) {
+  const search = (name || '').toLowerCase();
+  return canvas.scene?.tokens.find(t => t.name.toLowerCase() === search) ||
+    canvas.scene?.tokens.find(t => t.name.toLowerCase().includes(search)) ||
+    null;
+}
+
+/**
+ * Find a map note on the current scene by its label or journal entry name.
+ *
+ * @param {string} name - Note label.
+ * @returns {NoteDocument|null} The note or null.
+ */
+function findSceneNote(name) {
+  const search = (name || '').toLowerCase();
+  const label = n => (n.text || n.entry?.name || '').toLowerCase();
+  return canvas.scene?.notes.find(n => label(n) === search) ||
+    canvas.scene?.notes.find(n => label(n).includes(search)) ||
+    null;
+}
+
+/**
+ * Get the scene's grid cell containing its top-left corner.
+ * Tool grid coordinates are counted from here so (0, 0) is the first
+ * cell inside the scene, not inside the canvas padding.
+ *
+ * @returns {{i: number, j: number}} Row (i) and column (j) offset.
+ */
+function getSceneGridOrigin() {
+  const rect = canvas.dimensions.sceneRect;
+  return canvas.grid.getOffset({ x: rect.x + 1, y: rect.y + 1 });
+}
+
+/**
+ * Get the scene size in grid cells.
+ *
+ * @returns {{columns: number, rows: number}} Scene size.
+ */
+function getSceneGridSize() {
+  const rect = canvas.dimensions.sceneRect;
   return {
-    actor: actor.name,
-    attribute: { name: attribute, value: attrValue },
-    skill: { name: skill, value: skillValue },
-    modifier,
-    ...evaluation,
-    isDesperation,
-    canPush: !isDesperation,
-    status: evaluation.isCritical ? 'critical_success' :
-            evaluation.isSuccess ? 'success' : 'failure'
+    columns: Math.ceil(rect.width / canvas.grid.size),
+    rows: Math.ceil(rect.height / canvas.grid.size)
   };
 }
 
 /**
- * Make an attack roll with a weapon in YZE.
+ * Convert a canvas point to scene grid coordinates.
  *
- * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor attacking.
- * @param {string} input.weaponName - Name of the weapon.
- * @param {string} [input.targetName] - Name of the target.
- * @param {number} [input.modifier] - Situational modifier.
- * @returns {object} Attack result.
+ * @param {number} x - Canvas x.
+ * @param {number} y - Canvas y.
+ * @returns {{column: number, row: number}} Grid coordinates from the scene's top-left.
  */
-async function handleYZEAttack({ actorName, weaponName, targetName, modifier = 0 }) {
-  if (!isYZESystem()) {
-    throw new Error(`YZE attack not available for ${game.system.id}. Use roll_dice instead.`);
-  }
+function pointToGridCell(x, y) {
+  const origin = getSceneGridOrigin();
+  const offset = canvas.grid.getOffset({ x, y });
+  return { column: offset.j - origin.j, row: offset.i - origin.i };
+}
 
-  const actor = findActor(actorName);
-  if (!actor) {
-    throw new Error(`Actor not found: ${actorName}`);
+/**
+ * Resolve a tool location to a canvas point inside the scene bounds.
+ * Accepts a map note, a token, or a grid cell (column/row from the scene's top-left).
+ *
+ * @param {object} location - Location description.
+ * @param {string} [location.noteName] - Map note label.
+ * @param {string} [location.tokenName] - Token name.
+ * @param {number} [location.column] - Grid column.
+ * @param {number} [location.row] - Grid row.
+ * @returns {{x: number, y: number, label: string}} Center point of the location.
+ */
+function resolveCanvasLocation({ noteName, tokenName, column, row }) {
+  let point;
+  let label;
+
+  if (noteName) {
+    const note = findSceneNote(noteName);
+    if (!note) {
+      throw new Error(`Map note not found: ${noteName}`);
+    }
+    point = { x: note.x, y: note.y };
+    label = note.text || note.entry?.name || noteName;
+  } else if (tokenName) {
+    const token = findSceneToken(tokenName);
+    if (!token) {
+      throw new Error(`Token not found: ${tokenName}`);
+    }
+    point = token.object?.center ?? {
+      x: token.x + (token.width * canvas.grid.size) / 2,
+      y: token.y + (token.height * canvas.grid.size) / 2
+    };
+    label = token.name;
+  } else if (Number.isInteger(column) && Number.isInteger(row)) {
+    const size = getSceneGridSize();
+    if (column < 0 || row < 0 || column >= size.columns || row >= size.rows) {
+      throw new Error(`Grid cell (${column}, ${row}) is outside the scene (${size.columns} x ${size.rows} cells)`);
+    }
+    const origin = getSceneGridOrigin();
+    point = canvas.grid.getCenterPoint({ i: origin.i + row, j: origin.j + column });
+    label = `cell (${column}, ${row})`;
+  } else {
+    throw new Error('Location requires a noteName, tokenName, or column and row');
   }
 
-  // Find the weapon
-  const weapon = actor.items.find(i =>
-    i.type === 'weapon' && i.name.toLowerCase().includes(weaponName.toLowerCase())
-  );
-  if (!weapon) {
-    throw new Error(`Weapon not found: ${weaponName}`);
+  if (!canvas.dimensions.sceneRect.contains(point.x, point.y)) {
+    throw new Error(`${label} is outside the scene bounds`);
   }
 
-  // Get weapon properties
-  const weaponData = weapon.system;
-  const attrKey = weaponData.attribute || (weaponData.melee ? 'strength' : 'agility');
-  const skillKey = weaponData.skill || (weaponData.melee ? 'meleecombat' : 'rangedcombat');
-  const gearBonus = weaponData.bonus || weaponData.gearBonus || 0;
-  const damage = weaponData.damage || weaponData.baseDamage || 1;
-  const crit = weaponData.crit || weaponData.criticalScore || 1;
+  return { ...point, label };
+}
 
-  const attrValue = getYZEAttribute(actor, attrKey);
-  const skillValue = getYZESkill(actor, skillKey);
-  let totalDice = attrValue + skillValue + gearBonus + modifier;
+/**
+ * Move a token to a map note or grid cell.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.tokenName - Name of the token to move.
+ * @param {string} [input.noteName] - Destination map note.
+ * @param {number} [input.column] - Destination grid column.
+ * @param {number} [input.row] - Destination grid row.
+ * @returns {object} Movement result.
+ */
+async function handleMoveToken({ tokenName, noteName, column, row }) {
+  requireScene();
 
-  const isDesperation = totalDice <= 0;
-  if (isDesperation) {
-    totalDice = 2;
+  const token = findSceneToken(tokenName);
+  if (!token) {
+    throw new Error(`Token not found: ${tokenName}`);
   }
 
-  const formula = `${totalDice}d6`;
-  const roll = await new Roll(formula).evaluate();
-  const evaluation = evaluateYZERoll(roll);
+  const destination = resolveCanvasLocation({ noteName, column, row });
 
-  if (isDesperation) {
-    evaluation.isSuccess = evaluation.successes >= 2;
-    evaluation.isFailure = evaluation.successes < 2;
+  // Place the token's top-left on the grid cell under the destination
+  const topLeft = canvas.grid.getTopLeftPoint(canvas.grid.getOffset(destination));
+  const rect = canvas.dimensions.sceneRect;
+  const width = token.width * canvas.grid.size;
+  const height = token.height * canvas.grid.size;
+  if (topLeft.x + width > rect.right || topLeft.y + height > rect.bottom) {
+    throw new Error(`${token.name} does not fit at ${destination.label} without leaving the scene`);
   }
 
-  // Calculate potential damage (base damage + extra successes beyond first)
-  const extraSuccesses = Math.max(0, evaluation.successes - 1);
-  const potentialDamage = evaluation.isSuccess ? damage + extraSuccesses : 0;
-
-  // Build flavor text
-  let flavor = `<strong>${actor.name} attacks with ${weapon.name}</strong>`;
-  if (targetName) {
-    flavor += ` targeting ${targetName}`;
-  }
+  const from = { x: token.x, y: token.y, ...pointToGridCell(token.x, token.y) };
+  await token.update({ x: topLeft.x, y: topLeft.y });
 
-  await roll.toMessage({
-    speaker: ChatMessage.getSpeaker({ actor }),
-    flavor
-  });
+  return {
+    token: token.name,
+    destination: destination.label,
+    from,
+    to: { x: topLeft.x, y: topLeft.y, ...pointToGridCell(topLeft.x, topLeft.y) }
+  };
+}
 
+/**
+ * Door state names mapped to Foundry wall door states.
+ *
+ * @returns {Object<string, number>} State name to CONST.WALL_DOOR_STATES value.
+ */
+function getDoorStates() {
   return {
-    actor: actor.name,
-    weapon: weapon.name,
-    target: targetName || null,
-    attribute: { name: attrKey, value: attrValue },
-    skill: { name: skillKey, value: skillValue },
-    gearBonus,
-    modifier,
-    ...evaluation,
-    isDesperation,
-    damage: {
-      base: damage,
-      extraSuccesses,
-      total: potentialDamage
-    },
-    critThreshold: crit,
-    isCriticalHit: evaluation.successes >= crit,
-    canPush: !isDesperation && evaluation.isFailure,
-    status: evaluation.isCritical ? 'critical_success' :
-            evaluation.isSuccess ? 'hit' : 'miss'
+    closed: CONST.WALL_DOOR_STATES.CLOSED,
+    open: CONST.WALL_DOOR_STATES.OPEN,
+    locked: CONST.WALL_DOOR_STATES.LOCKED
   };
 }
 
 /**
- * Push a Year Zero Engine roll - reroll all non-6s.
+ * Open, close or lock the doors near a location.
  *
  * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor pushing.
- * @param {number[]} input.previousResults - Previous dice results.
- * @param {string} [input.label] - Description of the roll.
- * @returns {object} Push result.
+ * @param {string} input.state - New door state: open, closed or locked.
+ * @param {string} [input.noteName] - Map note the doors are near.
+ * @param {string} [input.tokenName] - Token the doors are near.
+ * @param {number} [input.column] - Grid column the doors are near.
+ * @param {number} [input.row] - Grid row the doors are near.
+ * @param {number} [input.radius=2] - Search radius in grid cells.
+ * @returns {object} Door change result.
  */
-async function handleYZEPushRoll({ actorName, previousResults, label }) {
-  if (!isYZESystem()) {
-    throw new Error(`YZE push roll not available for ${game.system.id}.`);
-  }
+async function handleToggleDoor({ state, noteName, tokenName, column, row, radius = 2 }) {
+  const scene = requireScene();
 
-  const actor = findActor(actorName);
-  if (!actor) {
-    throw new Error(`Actor not found: ${actorName}`);
+  const doorStates = getDoorStates();
+  const newState = doorStates[state?.toLowerCase()];
+  if (newState === undefined) {
+    throw new Error(`Unknown door state: ${state}. Use open, closed or locked.`);
   }
 
-  // Count dice to reroll (non-6s)
-  const keptSixes = previousResults.filter(r => r === 6);
-  const diceToReroll = previousResults.filter(r => r !== 6).length;
+  const center = resolveCanvasLocation({ noteName, tokenName, column, row });
+  const maxDistance = radius * canvas.grid.size;
+  const stateName = s => Object.keys(doorStates).find(k => doorStates[k] === s) || 'unknown';
 
-  if (diceToReroll === 0) {
-    throw new Error('No dice to reroll - all dice show 6.');
+  // A door is "near" when its midpoint lies within the radius
+  const doors = scene.walls.filter(w => {
+    if (w.door === CONST.WALL_DOOR_TYPES.NONE) return false;
+    const [x1, y1, x2, y2] = w.c;
+    return Math.hypot(((x1 + x2) / 2) - center.x, ((y1 + y2) / 2) - center.y) <= maxDistance;
+  });
+
+  if (doors.length === 0) {
+    throw new Error(`No doors within ${radius} grid cells of ${center.label}`);
   }
 
-  // Roll new dice
-  const formula = `${diceToReroll}d6`;
-  const roll = await new Roll(formula).evaluate();
-  const newResults = roll.dice[0]?.results.map(r => r.result) || [];
+  const changed = doors
+    .filter(w => w.ds !== newState)
+    .map(w => ({ id: w.id, from: stateName(w.ds), to: stateName(newState) }));
+  if (changed.length > 0) {
+    await scene.updateEmbeddedDocuments('Wall', changed.map(c => ({ _id: c.id, ds: newState })));
+  }
 
-  // Combine kept sixes with new results
-  const allResults = [...keptSixes, ...newResults];
-  const successes = allResults.filter(v => v === 6).length;
-  const newOnes = newResults.filter(v => v === 1).length;
+  return {
+    location: center.label,
+    state: stateName(newState),
+    doorsFound: doors.length,
+    doorsChanged: changed
+  };
+}
 
-  // Post to chat
-  await roll.toMessage({
-    speaker: ChatMessage.getSpeaker({ actor }),
-    flavor: `<strong>PUSHED ROLL${label ? `: ${label}` : ''}</strong><br/>Kept ${keptSixes.length} sixes, rerolled ${diceToReroll} dice`
-  });
+/**
+ * Show or hide a token from players.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.tokenName - Name of the token.
+ * @param {boolean} input.hidden - Whether the token should be hidden.
+ * @returns {object} Visibility result.
+ */
+async function handleSetTokenVisibility({ tokenName, hidden }) {
+  requireScene();
 
-  // Add Darkness Point (or spend for NPCs in Coriolis)
-  let darknessPointChange = null;
-  if (game.system.id === 'yzecoriolis') {
-    try {
-      const isNPC = actor.type === 'npc';
-      const currentDP = game.settings.get('yzecoriolis', 'darknessPoints') || 0;
-      if (isNPC) {
-        if (currentDP > 0) {
-          await game.settings.set('yzecoriolis', 'darknessPoints', currentDP - 1);
-          darknessPointChange = { type: 'spent', amount: 1, newTotal: currentDP - 1 };
-        }
-      } else {
-        await game.settings.set('yzecoriolis', 'darknessPoints', currentDP + 1);
-        darknessPointChange = { type: 'added', amount: 1, newTotal: currentDP + 1 };
-      }
-    } catch (e) {
-      console.warn(`${MODULE_ID} | Could not modify darkness points:`, e);
-    }
+  const token = findSceneToken(tokenName);
+  if (!token) {
+    throw new Error(`Token not found: ${tokenName}`);
+  }
+
+  const previous = token.hidden;
+  if (previous !== !!hidden) {
+    await token.update({ hidden: !!hidden });
   }
 
   return {
-    actor: actor.name,
-    previousResults,
-    keptSixes: keptSixes.length,
-    rerolled: diceToReroll,
-    newResults,
-    finalResults: allResults,
-    successes,
-    newOnes,
-    bpiDamage: newOnes, // Banes/stress from 1s
-    isSuccess: successes > 0,
-    isCritical: successes >= 3,
-    darknessPointChange,
-    status: successes >= 3 ? 'critical_success' :
-            successes > 0 ? 'success' : 'failure'
+    token: token.name,
+    previousHidden: previous,
+    hidden: !!hidden
   };
 }
 
 /**
- * Roll on a critical injury table.
+ * Draw a marker on the map, or ping a location for everyone.
  *
  * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor.
- * @param {string} input.criticalType - Type of critical (injury, stress, etc).
- * @param {number} [input.modifier] - Modifier to the roll.
- * @returns {object} Critical roll result.
+ * @param {string} [input.mode='ping'] - "ping" for a transient ping, "drawing" for a persistent marker.
+ * @param {string} [input.noteName] - Map note to mark.
+ * @param {string} [input.tokenName] - Token to mark.
+ * @param {number} [input.column] - Grid column to mark.
+ * @param {number} [input.row] - Grid row to mark.
+ * @param {string} [input.text] - Label for a drawing.
+ * @param {string} [input.shape='ellipse'] - Drawing shape: ellipse or rectangle.
+ * @param {number} [input.size=1] - Drawing size in grid cells.
+ * @param {string} [input.color='#ff6400'] - Drawing stroke color.
+ * @returns {object} Marker result.
  */
-async function handleYZERollCritical({ actorName, criticalType, modifier = 0 }) {
-  if (!isYZESystem()) {
-    throw new Error(`YZE critical roll not available for ${game.system.id}.`);
+async function handleMarkLocation({
+  mode = 'ping',
+  noteName,
+  tokenName,
+  column,
+  row,
+  text,
+  shape = 'ellipse',
+  size = 1,
+  color = '#ff6400'
+}) {
+  const scene = requireScene();
+  const point = resolveCanvasLocation({ noteName, tokenName, column, row });
+
+  if (mode === 'ping') {
+    await canvas.ping(point);
+    return { mode, location: point.label, x: point.x, y: point.y };
   }
 
-  const actor = findActor(actorName);
-  if (!actor) {
-    throw new Error(`Actor not found: ${actorName}`);
+  if (mode !== 'drawing') {
+    throw new Error(`Unknown mark mode: ${mode}. Use ping or drawing.`);
   }
 
-  // Map critical types to table names by system
-  const tableNameMap = {
-    yzecoriolis: {
-      injury: 'Critical Injuries',
-      damage: 'Critical Injuries',
-      stress: 'Critical Injuries',
-      mental: 'Critical Injuries'
-    },
-    'forbidden-lands': {
-      injury: 'Critical Injuries',
-      damage: 'Critical Injuries'
+  const dimension = Math.max(1, size) * canvas.grid.size;
+  const [drawing] = await scene.createEmbeddedDocuments('Drawing', [{
+    author: game.user.id,
+    x: point.x - (dimension / 2),
+    y: point.y - (dimension / 2),
+    shape: {
+      type: shape === 'rectangle' ? 'r' : 'e',
+      width: dimension,
+      height: dimension
     },
-    alienrpg: {
-      injury: 'Critical Injury',
-      stress: 'Panic',
-      mental: 'Panic'
-    }
+    strokeColor: color,
+    strokeWidth: 6,
+    text: text || '',
+    textColor: '#ffffff',
+    fontSize: 32,
+    flags: { [MODULE_ID]: { isAIDrawing: true } }
+  }]);
+
+  return {
+    mode,
+    location: point.label,
+    drawingId: drawing?.id || null,
+    text: text || null
   };
+}
 
-  const tableNames = tableNameMap[game.system.id] || tableNameMap.yzecoriolis;
-  const tableName = tableNames[criticalType] || tableNames.injury || 'Critical Injuries';
+/**
+ * Change scene darkness, global illumination, or ambient lights near a location.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {number} [input.darkness] - Darkness level from 0 (bright) to 1 (dark).
+ * @param {boolean} [input.globalLight] - Enable or disable global illumination.
+ * @param {boolean} [input.lightsOn] - Turn ambient lights near the location on or off.
+ * @param {string} [input.noteName] - Map note the lights are near.
+ * @param {string} [input.tokenName] - Token the lights are near.
+ * @param {number} [input.column] - Grid column the lights are near.
+ * @param {number} [input.row] - Grid row the lights are near.
+ * @param {number} [input.radius=3] - Light search radius in grid cells.
+ * @returns {object} Lighting change result.
+ */
+async function handleSetSceneLighting({
+  darkness,
+  globalLight,
+  lightsOn,
+  noteName,
+  tokenName,
+  column,
+  row,
+  radius = 3
+}) {
+  const scene = requireScene();
+  const result = { scene: scene.name };
+  const updates = {};
 
-  // Find the table
-  let table = game.tables.find(t =>
-    t.name.toLowerCase().includes(tableName.toLowerCase())
-  );
+  // v12+ keeps lighting under scene.environment, v11 at the top level
+  const hasEnvironment = scene.environment !== undefined;
 
-  // Search compendiums if not in world
-  if (!table) {
-    for (const pack of game.packs.filter(p => p.documentName === 'RollTable')) {
-      const index = await pack.getIndex();
-      const match = index.find(t =>
-        t.name.toLowerCase().includes(tableName.toLowerCase())
-      );
-      if (match) {
-        table = await pack.getDocument(match._id);
-        break;
-      }
-    }
+  if (darkness !== undefined) {
+    const level = Math.min(1, Math.max(0, Number(darkness)));
+    result.darkness = { from: scene.environment?.darknessLevel ?? scene.darkness, to: level };
+    updates[hasEnvironment ? 'environment.darknessLevel' : 'darkness'] = level;
   }
 
-  if (!table) {
-    // Fall back to generic d66 roll
-    const formula = modifier !== 0 ? `1d66 + ${modifier}` : '1d66';
-    const roll = await new Roll(formula).evaluate();
+  if (globalLight !== undefined) {
+    result.globalLight = {
+      from: scene.environment?.globalLight?.enabled ?? scene.globalLight,
+      to: !!globalLight
+    };
+    updates[hasEnvironment ? 'environment.globalLight.enabled' : 'globalLight'] = !!globalLight;
+  }
 
-    await roll.toMessage({
-      speaker: ChatMessage.getSpeaker({ actor }),
-      flavor: `<strong>${actor.name}: Critical ${criticalType}</strong><br/>No ${tableName} table found - generic d66 roll`
-    });
+  if (Object.keys(updates).length > 0) {
+    await scene.update(updates);
+  }
 
-    return {
-      actor: actor.name,
-      criticalType,
-      roll: roll.total,
-      modifier,
-      tableFound: false,
-      result: `Roll: ${roll.total} (consult ${tableName} table manually)`
+  if (lightsOn !== undefined) {
+    const center = resolveCanvasLocation({ noteName, tokenName, column, row });
+    const maxDistance = radius * canvas.grid.size;
+    const lights = scene.lights.filter(l =>
+      Math.hypot(l.x - center.x, l.y - center.y) <= maxDistance
+    );
+    const changed = lights.filter(l => l.hidden === !!lightsOn);
+    if (changed.length > 0) {
+      await scene.updateEmbeddedDocuments('AmbientLight', changed.map(l => ({ _id: l.id, hidden: !lightsOn })));
+    }
+    result.lights = {
+      location: center.label,
+      lightsFound: lights.length,
+      lightsChanged: changed.length,
+      on: !!lightsOn
     };
   }
 
-  // Roll on the table
-  const rollResult = await table.roll();
+  if (Object.keys(result).length === 1) {
+    throw new Error('No lighting change requested. Provide darkness, globalLight or lightsOn.');
+  }
 
-  return {
-    actor: actor.name,
-    criticalType,
-    table: table.name,
-    roll: rollResult.roll.total,
-    modifier,
-    tableFound: true,
-    result: rollResult.results.map(r => ({
-      text: r.text,
-      range: r.range
-    }))
-  };
+  return result;
 }
 
+// ============================================================================
+// Combat Tool Handlers
+// ============================================================================
+
 /**
- * Make an opposed roll between two actors.
+ * Get the active combat or throw.
  *
- * @param {object} input - Tool input parameters.
- * @returns {object} Opposed roll result.
+ * @returns {Combat} The active combat encounter.
  */
-async function handleYZEOpposedRoll({
-  actorName, actorAttribute, actorSkill,
-  opponentName, opponentAttribute, opponentSkill,
-  label
-}) {
-  if (!isYZESystem()) {
-    throw new Error(`YZE opposed roll not available for ${game.system.id}.`);
+function requireCombat() {
+  const combat = game.combat;
+  if (!combat) {
+    throw new Error('No active combat');
   }
+  return combat;
+}
 
-  const actor = findActor(actorName);
-  const opponent = findActor(opponentName);
+/**
+ * Find a combatant in a combat by name (case-insensitive partial match).
+ *
+ * @param {Combat} combat - The combat encounter.
+ * @param {string} name - Combatant name.
+ * @returns {Combatant|null} The combatant or null.
+ */
+function findCombatant(combat, name) {
+  const search = (name || '').toLowerCase();
+  return combat.combatants.find(c => c.name.toLowerCase() === search) ||
+    combat.combatants.find(c => c.name.toLowerCase().includes(search)) ||
+    null;
+}
 
-  if (!actor) throw new Error(`Actor not found: ${actorName}`);
-  if (!opponent) throw new Error(`Opponent not found: ${opponentName}`);
+/**
+ * Resolve names to tokens on the current scene.
+ * A name matches a token directly, or an actor whose tokens are on the scene.
+ *
+ * @param {string[]} names - Token or actor names.
+ * @returns {{tokens: TokenDocument[], missing: string[]}} Resolved tokens and unmatched names.
+ */
+function resolveSceneTokens(names) {
+  const tokens = new Map();
+  const missing = [];
 
-  // Roll for actor
-  const actorAttrValue = getYZEAttribute(actor, actorAttribute);
-  const actorSkillValue = getYZESkill(actor, actorSkill);
-  const actorDice = Math.max(2, actorAttrValue + actorSkillValue);
+  for (const name of names) {
+    const token = findSceneToken(name);
+    if (token) {
+      tokens.set(token.id, token);
+      continue;
+    }
 
-  const actorRoll = await new Roll(`${actorDice}d6`).evaluate();
-  const actorEval = evaluateYZERoll(actorRoll);
+    const actor = game.actors.find(a => a.name.toLowerCase().includes(name.toLowerCase()));
+    const actorTokens = actor?.getActiveTokens(false, true) || [];
+    const sceneTokens = actorTokens.filter(t => t.parent?.id === canvas.scene.id);
+    if (sceneTokens.length === 0) {
+      missing.push(name);
+      continue;
+    }
+    for (const t of sceneTokens) tokens.set(t.id, t);
+  }
 
-  // Roll for opponent
-  const oppAttrValue = getYZEAttribute(opponent, opponentAttribute);
-  const oppSkillValue = getYZESkill(opponent, opponentSkill);
-  const oppDice = Math.max(2, oppAttrValue + oppSkillValue);
+  return { tokens: Array.from(tokens.values()), missing };
+}
 
-  const oppRoll = await new Roll(`${oppDice}d6`).evaluate();
-  const oppEval = evaluateYZERoll(oppRoll);
+/**
+ * Create an encounter on the current scene, or add combatants to the active one.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string[]} input.combatants - Token or actor names to add.
+ * @param {boolean} [input.rollNpcInitiative=true] - Roll initiative for NPCs that have none.
+ * @param {boolean} [input.begin=true] - Start the encounter if it has not started.
+ * @returns {object} Combat state and what was added.
+ */
+async function handleStartCombat({ combatants = [], rollNpcInitiative = true, begin = true }) {
+  const scene = requireScene();
 
-  // Determine winner
-  let winner = null;
-  let margin = actorEval.successes - oppEval.successes;
-  if (actorEval.successes > oppEval.successes) {
-    winner = actor.name;
-  } else if (oppEval.successes > actorEval.successes) {
-    winner = opponent.name;
-    margin = -margin;
+  if (!Array.isArray(combatants) || combatants.length === 0) {
+    throw new Error('Provide at least one combatant name');
   }
 
-  // Post combined result to chat
-  const rollLabel = label || 'Opposed Roll';
-  await ChatMessage.create({
-    speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
-    user: game.user.id,  // Explicit user for compatibility with older system hooks
-    content: `<strong>${rollLabel}</strong><br/>
-      ${actor.name} (${actorAttribute}+${actorSkill}): ${actorEval.successes} successes<br/>
-      ${opponent.name} (${opponentAttribute}+${opponentSkill}): ${oppEval.successes} successes<br/>
-      <strong>Winner: ${winner || 'Tie!'}</strong>`,
-    flags: { [MODULE_ID]: { isAISpeech: true } }
-  });
+  const { tokens, missing } = resolveSceneTokens(combatants);
+  if (tokens.length === 0) {
+    throw new Error(`No tokens on ${scene.name} match: ${missing.join(', ')}`);
+  }
+
+  // Reuse the scene's active encounter so repeated calls add combatants
+  let combat = game.combat?.scene?.id === scene.id ? game.combat : null;
+  const created = !combat;
+  if (!combat) {
+    combat = await Combat.create({ scene: scene.id, active: true });
+  }
+
+  const existing = new Set(combat.combatants.map(c => c.tokenId));
+  const toAdd = tokens.filter(t => !existing.has(t.id));
+  if (toAdd.length > 0) {
+    await combat.createEmbeddedDocuments('Combatant', toAdd.map(t => ({
+      tokenId: t.id,
+      sceneId: scene.id,
+      actorId: t.actorId,
+      hidden: t.hidden
+    })));
+  }
+
+  if (rollNpcInitiative) {
+    await combat.rollNPC();
+  }
+
+  if (begin && !combat.started) {
+    await combat.startCombat();
+  }
 
   return {
-    actor: {
-      name: actor.name,
-      attribute: { name: actorAttribute, value: actorAttrValue },
-      skill: { name: actorSkill, value: actorSkillValue },
-      diceRolled: actorDice,
-      results: actorEval.results,
-      successes: actorEval.successes
-    },
-    opponent: {
-      name: opponent.name,
-      attribute: { name: opponentAttribute, value: oppAttrValue },
-      skill: { name: opponentSkill, value: oppSkillValue },
-      diceRolled: oppDice,
-      results: oppEval.results,
-      successes: oppEval.successes
-    },
-    winner,
-    margin: Math.abs(margin),
-    isTie: winner === null
+    createdEncounter: created,
+    added: toAdd.map(t => t.name),
+    alreadyInCombat: tokens.filter(t => existing.has(t.id)).map(t => t.name),
+    notFound: missing,
+    combat: serializeCombat(combat)
   };
 }
 
-// ============================================================================
-// Cross-System Tool Handlers
-// ============================================================================
-
 /**
- * Apply damage to an actor.
+ * Roll initiative for named combatants, or for all NPCs without initiative.
  *
  * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor.
- * @param {number} input.amount - Amount of damage.
- * @param {string} [input.damageType] - Type of damage.
- * @param {boolean} [input.ignoreArmor] - Whether to ignore armor.
- * @returns {object} Damage result.
+ * @param {string[]} [input.combatants] - Combatant names; omit to roll for NPCs.
+ * @returns {object} Initiative results.
  */
-async function handleApplyDamage({ actorName, amount, damageType = 'physical', ignoreArmor = false }) {
-  const actor = findActor(actorName);
-  if (!actor) {
-    throw new Error(`Actor not found: ${actorName}`);
+async function handleRollInitiative({ combatants }) {
+  const combat = requireCombat();
+
+  let rolled;
+  if (Array.isArray(combatants) && combatants.length > 0) {
+    rolled = combatants.map(name => {
+      const combatant = findCombatant(combat, name);
+      if (!combatant) {
+        throw new Error(`Combatant not found: ${name}`);
+      }
+      return combatant;
+    });
+    await combat.rollInitiative(rolled.map(c => c.id));
+  } else {
+    rolled = combat.combatants.filter(c => c.isNPC && c.initiative === null);
+    await combat.rollNPC();
   }
 
-  const system = actor.system;
-  let currentHP, maxHP, newHP, hpPath;
+  return {
+    rolled: rolled.map(c => ({ name: c.name, initiative: combat.combatants.get(c.id)?.initiative ?? null })),
+    combat: serializeCombat(combat)
+  };
+}
 
-  // Determine HP path based on game system
-  if (isYZESystem()) {
-    // Year Zero Engine systems
-    if (damageType === 'stress' || damageType === 'mental') {
-      currentHP = system.mindPoints?.value ?? system.stress?.value ?? 0;
-      maxHP = system.mindPoints?.max ?? system.stress?.max ?? 10;
-      hpPath = system.mindPoints ? 'system.mindPoints.value' : 'system.stress.value';
-    } else {
-      currentHP = system.hitPoints?.value ?? system.health?.value ?? 0;
-      maxHP = system.hitPoints?.max ?? system.health?.max ?? 10;
-      hpPath = system.hitPoints ? 'system.hitPoints.value' : 'system.health.value';
-    }
-  } else {
-    // Generic system handling
-    currentHP = system.attributes?.hp?.value ?? system.hp?.value ?? system.health?.value ?? 0;
-    maxHP = system.attributes?.hp?.max ?? system.hp?.max ?? system.health?.max ?? 10;
-    hpPath = 'system.attributes.hp.value';
+/**
+ * Advance (or rewind) the combat turn or round.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} [input.step='next_turn'] - next_turn, previous_turn, next_round or previous_round.
+ * @returns {object} Combat state after the change.
+ */
+async function handleAdvanceCombat({ step = 'next_turn' }) {
+  const combat = requireCombat();
+
+  if (!combat.started) {
+    await combat.startCombat();
+    return { step: 'start', combat: serializeCombat(combat) };
   }
 
-  // Calculate damage (could factor in armor here)
-  let actualDamage = amount;
-  let armorReduction = 0;
+  const from = { round: combat.round, turn: combat.turn, current: combat.combatant?.name || null };
 
-  if (!ignoreArmor && isYZESystem()) {
-    // Get armor value
-    const armor = actor.items.find(i => i.type === 'armor' && i.system.equipped);
-    if (armor) {
-      armorReduction = armor.system.armorRating || armor.system.rating || 0;
-      actualDamage = Math.max(0, amount - armorReduction);
-    }
+  switch (step) {
+    case 'next_turn': await combat.nextTurn(); break;
+    case 'previous_turn': await combat.previousTurn(); break;
+    case 'next_round': await combat.nextRound(); break;
+    case 'previous_round': await combat.previousRound(); break;
+    default:
+      throw new Error(`Unknown step: ${step}. Use next_turn, previous_turn, next_round or previous_round.`);
   }
 
-  newHP = Math.max(0, currentHP - actualDamage);
+  return { step, from, combat: serializeCombat(combat) };
+}
 
-  // Update the actor
-  await actor.update({ [hpPath]: newHP });
+/**
+ * Mark a combatant as defeated (or revive them).
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.name - Combatant name.
+ * @param {boolean} [input.defeated=true] - Defeated state.
+ * @returns {object} Defeated result.
+ */
+async function handleSetCombatantDefeated({ name, defeated = true }) {
+  const combat = requireCombat();
 
-  // Post to chat
-  await ChatMessage.create({
-    speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
-    user: game.user.id,  // Explicit user for compatibility with older system hooks
-    content: `<strong>${actor.name}</strong> takes <strong>${actualDamage}</strong> ${damageType} damage.${armorReduction > 0 ? ` (${armorReduction} absorbed by armor)` : ''}<br/>HP: ${currentHP} → ${newHP}`,
-    flags: { [MODULE_ID]: { isAISpeech: true } }
-  });
+  const combatant = findCombatant(combat, name);
+  if (!combatant) {
+    throw new Error(`Combatant not found: ${name}`);
+  }
+
+  await combatant.update({ defeated: !!defeated });
+
+  // Mirror the tracker state with the defeated status effect on the token
+  const statusId = CONFIG.specialStatusEffects?.DEFEATED;
+  const actor = combatant.actor;
+  if (statusId && typeof actor?.toggleStatusEffect === 'function') {
+    await actor.toggleStatusEffect(statusId, { overlay: true, active: !!defeated });
+  }
 
   return {
-    actor: actor.name,
-    damageType,
-    damageRequested: amount,
-    armorReduction,
-    actualDamage,
-    previousHP: currentHP,
-    newHP,
-    maxHP,
-    isIncapacitated: newHP === 0
+    name: combatant.name,
+    defeated: !!defeated,
+    remaining: combat.combatants.filter(c => !c.isDefeated).map(c => c.name)
   };
 }
 
 /**
- * Modify a character resource.
+ * End the active combat encounter.
  *
- * @param {object} input - Tool input parameters.
- * @param {string} input.actorName - Name of the actor (or "gm" for GM resources).
- * @param {string} input.resource - Resource to modify.
- * @param {number} input.amount - Amount to add (positive) or remove (negative).
- * @param {string} [input.reason] - Reason for modification.
- * @returns {object} Modification result.
+ * @returns {object} Summary of the ended encounter.
  */
-async function handleModifyResource({ actorName, resource, amount, reason }) {
-  const resourceKey = resource.toLowerCase().replace(/\s+/g, '');
+async function handleEndCombat() {
+  const combat = requireCombat();
+
+  const summary = {
+    ended: true,
+    rounds: combat.round,
+    defeated: combat.combatants.filter(c => c.isDefeated).map(c => c.name),
+    standing: combat.combatants.filter(c => !c.isDefeated).map(c => c.name)
+  };
 
-  // Handle GM-level resources (like Darkness Points)
-  if (actorName.toLowerCase() === 'gm') {
-    if (resourceKey === 'darknesspoints' && game.system.id === 'yzecoriolis') {
-      const currentValue = game.settings.get('yzecoriolis', 'darknessPoints') || 0;
-      const newValue = Math.max(0, currentValue + amount);
-      await game.settings.set('yzecoriolis', 'darknessPoints', newValue);
+  // Delete directly - combat.endCombat() would prompt the GM for confirmation
+  await combat.delete();
 
-      await ChatMessage.create({
-        speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
-        user: game.user.id,  // Explicit user for compatibility with older system hooks
-        content: `<strong>Darkness Points:</strong> ${currentValue} → ${newValue}${reason ? ` (${reason})` : ''}`,
-        whisper: ChatMessage.getWhisperRecipients('GM'),
+  return summary;
+}
+
+// ============================================================================
+// Document Creation Tool Handlers
+// ============================================================================
+
+/**
+ * Folder for actors created by Loremaster.
+ *
+ * @type {string}
+ */
+const NPC_FOLDER_NAME = 'Loremaster NPCs';
+
+/**
+ * Find or create a top-level folder for a document type.
+ *
+ * @param {string} name - Folder name.
+ * @param {string} type - Document type (e.g., "Actor", "JournalEntry").
+ * @returns {Promise<Folder>} The folder.
+ */
+async function getOrCreateFolder(name, type) {
+  const existing = game.folders.find(f => f.type === type && f.name === name);
+  if (existing) return existing;
+
+  return Folder.create({
+    name,
+    type,
+    flags: { [MODULE_ID]: { isLoremasterFolder: true } }
+  });
+}
+
+/**
+ * Get the document subtypes the current system defines.
+ *
+ * @param {string} documentName - Document name (e.g., "Actor", "Item").
+ * @returns {string[]} Subtype names.
+ */
+function getDocumentTypes(documentName) {
+  const types = game.documentTypes?.[documentName] ||
+    Object.keys(game.system.documentTypes?.[documentName] || {});
+  return types.filter(t => t !== 'base');
+}
+
+/**
+ * Create an actor from a stat block, optionally dropping a token on the scene.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {object} input.statBlock - Stat block (see actor-stat-block.mjs).
+ * @param {boolean} [input.placeToken=false] - Drop a token on the active scene.
+ * @param {string} [input.noteName] - Map note to place the token at.
+ * @param {number} [input.column] - Grid column to place the token at.
+ * @param {number} [input.row] - Grid row to place the token at.
+ * @param {boolean} [input.hidden=false] - Place the token hidden from players.
+ * @param {string} [input.canonId] - Canon entry that introduced this NPC.
+ * @returns {object} Creation result.
+ */
+async function handleCreateActor({ statBlock, placeToken = false, noteName, column, row, hidden = false, canonId }) {
+  // Resolve the drop location first so a bad location creates nothing
+  let location = null;
+  if (placeToken) {
+    requireScene();
+    location = resolveCanvasLocation({ noteName, column, row });
+  }
+
+  const { data, skippedItems } = statBlockToActorData(statBlock, {
+    systemId: game.system.id,
+    actorTypes: getDocumentTypes('Actor'),
+    itemTypes: getDocumentTypes('Item')
+  });
+
+  const folder = await getOrCreateFolder(NPC_FOLDER_NAME, 'Actor');
+  data.folder = folder.id;
+  data.flags[MODULE_ID] = {
+    ...data.flags[MODULE_ID],
+    createdByLoremaster: true,
+    canonId: canonId || null,
+    createdAt: Date.now()
+  };
+
+  const actor = await Actor.create(data);
+
+  let token = null;
+  if (location) {
+    const topLeft = canvas.grid.getTopLeftPoint(canvas.grid.getOffset(location));
+    const tokenData = await actor.getTokenDocument({ x: topLeft.x, y: topLeft.y, hidden: !!hidden });
+    [token] = await canvas.scene.createEmbeddedDocuments('Token', [tokenData.toObject()]);
+  }
+
+  return {
+    actorId: actor.id,
+    name: actor.name,
+    type: actor.type,
+    folder: folder.name,
+    canonId: canonId || null,
+    skippedItems,
+    token: token ? {
+      id: token.id,
+      location: location.label,
+      hidden: token.hidden
+    } : null
+  };
+}
+
+/**
+ * Link NPCs that create_actor made without a canon ID to a newly published
+ * canon entry that names them, so every created NPC traces back to the
+ * narration that introduced it.
+ *
+ * @param {string} canonId - The published canon entry's ID.
+ * @param {string} content - The published canon text.
+ * @returns {Promise<Actor[]>} The actors that were linked.
+ */
+export async function linkCreatedActorsToCanon(canonId, content) {
+  if (!canonId || !game.user.isGM) return [];
+
+  const actors = actorsIntroducedBy(game.actors, content);
+  for (const actor of actors) {
+    await actor.setFlag(MODULE_ID, 'canonId', canonId);
+  }
+  return actors;
+}
+
+/**
+ * Folder for roll tables created by Loremaster.
+ *
+ * @type {string}
+ */
+const TABLES_FOLDER_NAME = 'Loremaster Tables';
+
+/**
+ * Create a roll table from weighted entries.
+ * Tables are deduplicated by name: an existing world table with the same
+ * name is returned unchanged unless replace is true.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.name - Table name.
+ * @param {Array<{text: string, weight?: number}>} input.entries - Table entries.
+ * @param {string} [input.formula] - Dice formula; defaults to 1d(total weight).
+ * @param {string} [input.description] - Table description.
+ * @param {boolean} [input.replace=false] - Replace the entries of an existing table with this name.
+ * @returns {object} Table result with id.
+ */
+async function handleCreateRollTable({ name, entries, formula, description = '', replace = false }) {
+  if (!name) {
+    throw new Error('Table name is required');
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Table requires at least one entry');
+  }
+
+  const weights = entries.map((entry, i) => {
+    const weight = entry.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(`Entry ${i + 1} (${entry.text}) has weight ${JSON.stringify(weight)}; weights must be positive integers`);
+    }
+    return weight;
+  });
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const tableFormula = formula || `1d${totalWeight}`;
+
+  if (!Roll.validate(tableFormula)) {
+    throw new Error(`Invalid formula: ${tableFormula}`);
+  }
+
+  // Ranges are laid out from the formula's minimum; the weights must cover its span exactly
+  const min = (await new Roll(tableFormula).evaluate({ minimize: true })).total;
+  const max = (await new Roll(tableFormula).evaluate({ maximize: true })).total;
+  if (max - min + 1 !== totalWeight) {
+    throw new Error(`Entry weights total ${totalWeight} but ${tableFormula} rolls ${min}-${max} (${max - min + 1} values). Adjust weights or omit the formula.`);
+  }
+
+  let low = min;
+  const results = entries.map((entry, i) => {
+    const range = [low, low + weights[i] - 1];
+    low += weights[i];
+    return {
+      type: CONST.TABLE_RESULT_TYPES.TEXT,
+      text: entry.text,
+      weight: weights[i],
+      range
+    };
+  });
+
+  const existing = game.tables.find(t => t.name.toLowerCase() === name.toLowerCase());
+  if (existing && !replace) {
+    return {
+      tableId: existing.id,
+      name: existing.name,
+      created: false,
+      existing: true,
+      formula: existing.formula,
+      entryCount: existing.results.size
+    };
+  }
+
+  let table;
+  if (existing) {
+    await existing.deleteEmbeddedDocuments('TableResult', existing.results.map(r => r.id));
+    await existing.update({ formula: tableFormula, description });
+    await existing.createEmbeddedDocuments('TableResult', results);
+    table = existing;
+  } else {
+    const folder = await getOrCreateFolder(TABLES_FOLDER_NAME, 'RollTable');
+    table = await RollTable.create({
+      name,
+      description,
+      formula: tableFormula,
+      folder: folder.id,
+      results,
+      flags: { [MODULE_ID]: { createdByLoremaster: true } }
+    });
+  }
+
+  return {
+    tableId: table.id,
+    name: table.name,
+    created: !existing,
+    replaced: !!existing,
+    formula: tableFormula,
+    entryCount: results.length,
+    hint: 'Roll it with lookup_table using this name or tableId.'
+  };
+}
+
+// ============================================================================
+// Journal Tool Handlers
+// ============================================================================
+
+/**
+ * Folder for journals written by Loremaster.
+ *
+ * @type {string}
+ */
+const NOTES_FOLDER_NAME = 'Loremaster Notes';
+
+/**
+ * CSS class prefix for Loremaster note pages.
+ *
+ * @type {string}
+ */
+const NOTES_CLASS_PREFIX = 'loremaster-notes';
+
+/**
+ * Find a journal entry in the Loremaster Notes folder by name.
+ *
+ * @param {string} name - Journal name (case-insensitive).
+ * @returns {JournalEntry|null} The journal or null.
+ */
+function findNotesJournal(name) {
+  const folder = game.folders.find(f => f.type === 'JournalEntry' && f.name === NOTES_FOLDER_NAME);
+  if (!folder) return null;
+  const search = (name || '').toLowerCase();
+  return game.journal.find(j => j.folder?.id === folder.id && j.name.toLowerCase() === search) || null;
+}
+
+/**
+ * Find a page in a journal by name (case-insensitive).
+ *
+ * @param {JournalEntry} journal - The journal.
+ * @param {string} name - Page name.
+ * @returns {JournalEntryPage|null} The page or null.
+ */
+function findJournalPage(journal, name) {
+  const search = (name || '').toLowerCase();
+  return journal.pages.find(p => p.name.toLowerCase() === search) || null;
+}
+
+/**
+ * Ask the GM to approve sharing a Loremaster note with players,
+ * through the same review queue used for gated tool calls.
+ *
+ * @param {string} journalName - Journal name.
+ * @param {string} pageName - Page name.
+ * @returns {Promise<boolean>} True if the GM approved.
+ */
+async function requestNoteSharing(journalName, pageName) {
+  const panel = game.loremaster?.toolApprovalPanel;
+  if (!panel || !game.user.isGM) return false;
+
+  const decision = await panel.requestApproval({
+    toolCallId: foundry.utils.randomID(),
+    toolName: 'share_journal_page',
+    toolInput: { journalName, pageName }
+  });
+  return decision.status === 'approved';
+}
+
+/**
+ * Make a note page visible to players.
+ * The journal becomes Limited so players only see pages shared with them.
+ *
+ * @param {JournalEntry} journal - The journal.
+ * @param {JournalEntryPage} page - The page to share.
+ * @returns {Promise<void>}
+ */
+async function shareNotePage(journal, page) {
+  const { LIMITED, OBSERVER } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  if ((journal.ownership.default ?? 0) < LIMITED) {
+    await journal.update({ 'ownership.default': LIMITED });
+  }
+  await page.update({ 'ownership.default': OBSERVER });
+}
+
+/**
+ * Create a page in a Loremaster Notes journal (NPC dossier, location, quest log...).
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.journalName - Journal to write in (created if missing).
+ * @param {string} input.pageName - Page title.
+ * @param {string} input.content - Page content in markdown.
+ * @param {boolean} [input.playerVisible=false] - Ask the GM to share the page with players.
+ * @returns {object} Creation result.
+ */
+async function handleCreateJournalPage({ journalName, pageName, content, playerVisible = false }) {
+  if (!journalName || !pageName) {
+    throw new Error('journalName and pageName are required');
+  }
+
+  let journal = findNotesJournal(journalName);
+  if (!journal) {
+    const folder = await getOrCreateFolder(NOTES_FOLDER_NAME, 'JournalEntry');
+    journal = await JournalEntry.create({
+      name: journalName,
+      folder: folder.id,
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+      flags: { [MODULE_ID]: { isLoremasterNotes: true } }
+    });
+  }
+
+  if (findJournalPage(journal, pageName)) {
+    throw new Error(`Page "${pageName}" already exists in ${journal.name}. Use append_to_journal instead.`);
+  }
+
+  const [page] = await journal.createEmbeddedDocuments('JournalEntryPage', [{
+    name: pageName,
+    type: 'text',
+    text: {
+      content: markdownToHtml(content || '', NOTES_CLASS_PREFIX),
+      format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+    },
+    flags: { [MODULE_ID]: { isLoremasterNote: true } }
+  }]);
+
+  let visibility = 'gm';
+  if (playerVisible) {
+    if (await requestNoteSharing(journal.name, page.name)) {
+      await shareNotePage(journal, page);
+      visibility = 'players';
+    } else {
+      visibility = 'gm (sharing not approved)';
+    }
+  }
+
+  return {
+    journal: journal.name,
+    journalId: journal.id,
+    page: page.name,
+    pageId: page.id,
+    visibility
+  };
+}
+
+/**
+ * Append markdown content to a Loremaster Notes page, creating it if needed.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.journalName - Journal name.
+ * @param {string} input.pageName - Page name.
+ * @param {string} input.content - Markdown content to append.
+ * @returns {object} Append result.
+ */
+async function handleAppendToJournal({ journalName, pageName, content }) {
+  const journal = findNotesJournal(journalName);
+  const page = journal ? findJournalPage(journal, pageName) : null;
+
+  if (!page) {
+    const created = await handleCreateJournalPage({ journalName, pageName, content });
+    return { ...created, appended: false, created: true };
+  }
+
+  const existing = page.text?.content || '';
+  await page.update({
+    'text.content': existing + markdownToHtml(content || '', NOTES_CLASS_PREFIX)
+  });
+
+  return {
+    journal: journal.name,
+    journalId: journal.id,
+    page: page.name,
+    pageId: page.id,
+    appended: true,
+    created: false
+  };
+}
+
+/**
+ * Search journal pages for text.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.query - Text to search for.
+ * @param {boolean} [input.allJournals=false] - Search every journal, not just Loremaster Notes.
+ * @param {number} [input.limit=5] - Maximum matches to return.
+ * @returns {object} Matching pages with snippets.
+ */
+async function handleSearchJournals({ query, allJournals = false, limit = 5 }) {
+  const search = (query || '').trim().toLowerCase();
+  if (!search) {
+    throw new Error('Search query is required');
+  }
+
+  let journals;
+  if (allJournals) {
+    journals = game.journal.filter(j => j.testUserPermission(game.user, 'OBSERVER'));
+  } else {
+    const folder = game.folders.find(f => f.type === 'JournalEntry' && f.name === NOTES_FOLDER_NAME);
+    if (!folder) return { query, count: 0, matches: [] };
+    journals = game.journal.filter(j => j.folder?.id === folder.id);
+  }
+
+  const matches = [];
+  for (const journal of journals) {
+    for (const page of journal.pages) {
+      if (page.type !== 'text') continue;
+      const text = htmlToMarkdown(page.text?.content || '');
+      const nameMatch = page.name.toLowerCase().includes(search);
+      const index = text.toLowerCase().indexOf(search);
+      if (!nameMatch && index === -1) continue;
+
+      const start = Math.max(0, index - 80);
+      matches.push({
+        journal: journal.name,
+        page: page.name,
+        pageId: page.id,
+        snippet: index === -1
+          ? text.slice(0, 160)
+          : `${start > 0 ? '…' : ''}${text.slice(start, index + search.length + 80)}…`
+      });
+      if (matches.length >= limit) break;
+    }
+    if (matches.length >= limit) break;
+  }
+
+  return { query, count: matches.length, matches };
+}
+
+// ============================================================================
+// Year Zero Engine Tool Handlers
+// ============================================================================
+
+/**
+ * Find an actor by name (case-insensitive partial match).
+ *
+ * @param {string} name - Actor name to search for.
+ * @returns {Actor|null} The found actor or null.
+ */
+function findActor(name) {
+  // Search in world actors
+  let actor = game.actors.find(a =>
+    a.name.toLowerCase().includes(name.toLowerCase())
+  );
+
+  // Search in current scene tokens if not found
+  if (!actor && canvas.scene) {
+    const token = canvas.scene.tokens.find(t =>
+      t.name.toLowerCase().includes(name.toLowerCase())
+    );
+    if (token) {
+      actor = token.actor;
+    }
+  }
+
+  return actor;
+}
+
+/**
+ * Get attribute value from a YZE actor.
+ *
+ * @param {Actor} actor - The actor.
+ * @param {string} attribute - Attribute name.
+ * @returns {number} Attribute value.
+ */
+function getYZEAttribute(actor, attribute) {
+  const attrKey = attribute.toLowerCase();
+  const attrs = actor.system.attributes;
+
+  if (!attrs) return 0;
+
+  // Handle different YZE system structures
+  if (attrs[attrKey]?.value !== undefined) {
+    return attrs[attrKey].value;
+  }
+  if (attrs[attrKey] !== undefined && typeof attrs[attrKey] === 'number') {
+    return attrs[attrKey];
+  }
+
+  return 0;
+}
+
+/**
+ * Get skill value from a YZE actor.
+ *
+ * @param {Actor} actor - The actor.
+ * @param {string} skill - Skill name.
+ * @returns {number} Skill value.
+ */
+function getYZESkill(actor, skill) {
+  const skillKey = skill.toLowerCase().replace(/\s+/g, '');
+  const skills = actor.system.skills;
+
+  if (!skills) return 0;
+
+  // Try exact match first
+  if (skills[skillKey]?.value !== undefined) {
+    return skills[skillKey].value;
+  }
+  if (skills[skillKey] !== undefined && typeof skills[skillKey] === 'number') {
+    return skills[skillKey];
+  }
+
+  // Try partial match
+  for (const key of Object.keys(skills)) {
+    if (key.toLowerCase().includes(skillKey) || skillKey.includes(key.toLowerCase())) {
+      if (skills[key]?.value !== undefined) return skills[key].value;
+      if (typeof skills[key] === 'number') return skills[key];
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Evaluate a Year Zero Engine dice roll.
+ * In YZE, 6s are successes. 3+ successes = critical.
+ *
+ * @param {Roll} roll - The evaluated Foundry roll.
+ * @returns {object} Evaluation result with successes and status.
+ */
+function evaluateYZERoll(roll) {
+  const results = roll.dice[0]?.results || [];
+  const diceValues = results.map(r => r.result);
+  const successes = diceValues.filter(v => v === 6).length;
+  const ones = diceValues.filter(v => v === 1).length;
+
+  return {
+    diceRolled: diceValues.length,
+    results: diceValues,
+    successes,
+    ones,
+    isSuccess: successes > 0,
+    isCritical: successes >= 3,
+    isFailure: successes === 0
+  };
+}
+
+/**
+ * Roll a Year Zero Engine skill check.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor making the roll.
+ * @param {string} input.attribute - Attribute to use.
+ * @param {string} input.skill - Skill to use.
+ * @param {number} [input.modifier] - Bonus/penalty dice.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Roll result.
+ */
+async function handleYZESkillCheck({ actorName, attribute, skill, modifier = 0, label }, context = {}) {
+  if (!isYZESystem()) {
+    throw new Error(`YZE skill check not available for ${game.system.id}. Use roll_dice instead.`);
+  }
+
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  const attrValue = getYZEAttribute(actor, attribute);
+  const skillValue = getYZESkill(actor, skill);
+  let totalDice = attrValue + skillValue + modifier;
+
+  // Desperation roll: if dice pool <= 0, roll 2 dice (need both 6s)
+  const isDesperation = totalDice <= 0;
+  if (isDesperation) {
+    totalDice = 2;
+  }
+
+  const formula = `${totalDice}d6`;
+  const roll = await new Roll(formula).evaluate();
+  const evaluation = evaluateYZERoll(roll);
+
+  // For desperation rolls, need 2 successes to succeed
+  if (isDesperation) {
+    evaluation.isSuccess = evaluation.successes >= 2;
+    evaluation.isFailure = evaluation.successes < 2;
+  }
+
+  // Post to chat
+  const rollLabel = label || `${actor.name}: ${attribute} + ${skill}`;
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: `<strong>${rollLabel}</strong>${isDesperation ? ' (Desperation Roll!)' : ''}`
+  }, context);
+
+  return {
+    actor: actor.name,
+    attribute: { name: attribute, value: attrValue },
+    skill: { name: skill, value: skillValue },
+    modifier,
+    ...evaluation,
+    isDesperation,
+    canPush: !isDesperation,
+    status: evaluation.isCritical ? 'critical_success' :
+            evaluation.isSuccess ? 'success' : 'failure',
+    messageId
+  };
+}
+
+/**
+ * Make an attack roll with a weapon in YZE.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor attacking.
+ * @param {string} input.weaponName - Name of the weapon.
+ * @param {string} [input.targetName] - Name of the target.
+ * @param {number} [input.modifier] - Situational modifier.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Attack result.
+ */
+async function handleYZEAttack({ actorName, weaponName, targetName, modifier = 0 }, context = {}) {
+  if (!isYZESystem()) {
+    throw new Error(`YZE attack not available for ${game.system.id}. Use roll_dice instead.`);
+  }
+
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  // Find the weapon
+  const weapon = actor.items.find(i =>
+    i.type === 'weapon' && i.name.toLowerCase().includes(weaponName.toLowerCase())
+  );
+  if (!weapon) {
+    throw new Error(`Weapon not found: ${weaponName}`);
+  }
+
+  // Get weapon properties
+  const weaponData = weapon.system;
+  const attrKey = weaponData.attribute || (weaponData.melee ? 'strength' : 'agility');
+  const skillKey = weaponData.skill || (weaponData.melee ? 'meleecombat' : 'rangedcombat');
+  const gearBonus = weaponData.bonus || weaponData.gearBonus || 0;
+  const damage = weaponData.damage || weaponData.baseDamage || 1;
+  const crit = weaponData.crit || weaponData.criticalScore || 1;
+
+  const attrValue = getYZEAttribute(actor, attrKey);
+  const skillValue = getYZESkill(actor, skillKey);
+  let totalDice = attrValue + skillValue + gearBonus + modifier;
+
+  const isDesperation = totalDice <= 0;
+  if (isDesperation) {
+    totalDice = 2;
+  }
+
+  const formula = `${totalDice}d6`;
+  const roll = await new Roll(formula).evaluate();
+  const evaluation = evaluateYZERoll(roll);
+
+  if (isDesperation) {
+    evaluation.isSuccess = evaluation.successes >= 2;
+    evaluation.isFailure = evaluation.successes < 2;
+  }
+
+  // Calculate potential damage (base damage + extra successes beyond first)
+  const extraSuccesses = Math.max(0, evaluation.successes - 1);
+  const potentialDamage = evaluation.isSuccess ? damage + extraSuccesses : 0;
+
+  // Build flavor text
+  let flavor = `<strong>${actor.name} attacks with ${weapon.name}</strong>`;
+  if (targetName) {
+    flavor += ` targeting ${targetName}`;
+  }
+
+  const messageId = await postRollMessage(roll, { actor, flavor }, context);
+
+  return {
+    actor: actor.name,
+    weapon: weapon.name,
+    target: targetName || null,
+    attribute: { name: attrKey, value: attrValue },
+    skill: { name: skillKey, value: skillValue },
+    gearBonus,
+    modifier,
+    ...evaluation,
+    isDesperation,
+    damage: {
+      base: damage,
+      extraSuccesses,
+      total: potentialDamage
+    },
+    critThreshold: crit,
+    isCriticalHit: evaluation.successes >= crit,
+    canPush: !isDesperation && evaluation.isFailure,
+    status: evaluation.isCritical ? 'critical_success' :
+            evaluation.isSuccess ? 'hit' : 'miss',
+    messageId
+  };
+}
+
+/**
+ * Push a Year Zero Engine roll - reroll all non-6s.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor pushing.
+ * @param {number[]} input.previousResults - Previous dice results.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Push result.
+ */
+async function handleYZEPushRoll({ actorName, previousResults, label }, context = {}) {
+  if (!isYZESystem()) {
+    throw new Error(`YZE push roll not available for ${game.system.id}.`);
+  }
+
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  // Count dice to reroll (non-6s)
+  const keptSixes = previousResults.filter(r => r === 6);
+  const diceToReroll = previousResults.filter(r => r !== 6).length;
+
+  if (diceToReroll === 0) {
+    throw new Error('No dice to reroll - all dice show 6.');
+  }
+
+  // Roll new dice
+  const formula = `${diceToReroll}d6`;
+  const roll = await new Roll(formula).evaluate();
+  const newResults = roll.dice[0]?.results.map(r => r.result) || [];
+
+  // Combine kept sixes with new results
+  const allResults = [...keptSixes, ...newResults];
+  const successes = allResults.filter(v => v === 6).length;
+  const newOnes = newResults.filter(v => v === 1).length;
+
+  // Post to chat
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: `<strong>PUSHED ROLL${label ? `: ${label}` : ''}</strong><br/>Kept ${keptSixes.length} sixes, rerolled ${diceToReroll} dice`
+  }, context);
+
+  // Add Darkness Point (or spend for NPCs in Coriolis)
+  let darknessPointChange = null;
+  if (game.system.id === 'yzecoriolis') {
+    try {
+      const isNPC = actor.type === 'npc';
+      const currentDP = game.settings.get('yzecoriolis', 'darknessPoints') || 0;
+      if (isNPC) {
+        if (currentDP > 0) {
+          await game.settings.set('yzecoriolis', 'darknessPoints', currentDP - 1);
+          darknessPointChange = { type: 'spent', amount: 1, newTotal: currentDP - 1 };
+        }
+      } else {
+        await game.settings.set('yzecoriolis', 'darknessPoints', currentDP + 1);
+        darknessPointChange = { type: 'added', amount: 1, newTotal: currentDP + 1 };
+      }
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Could not modify darkness points:`, e);
+    }
+  }
+
+  return {
+    actor: actor.name,
+    previousResults,
+    keptSixes: keptSixes.length,
+    rerolled: diceToReroll,
+    newResults,
+    finalResults: allResults,
+    successes,
+    newOnes,
+    bpiDamage: newOnes, // Banes/stress from 1s
+    isSuccess: successes > 0,
+    isCritical: successes >= 3,
+    darknessPointChange,
+    status: successes >= 3 ? 'critical_success' :
+            successes > 0 ? 'success' : 'failure',
+    messageId
+  };
+}
+
+/**
+ * Roll on a critical injury table.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor.
+ * @param {string} input.criticalType - Type of critical (injury, stress, etc).
+ * @param {number} [input.modifier] - Modifier to the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Critical roll result.
+ */
+async function handleYZERollCritical({ actorName, criticalType, modifier = 0 }, context = {}) {
+  if (!isYZESystem()) {
+    throw new Error(`YZE critical roll not available for ${game.system.id}.`);
+  }
+
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  // Map critical types to table names by system
+  const tableNameMap = {
+    yzecoriolis: {
+      injury: 'Critical Injuries',
+      damage: 'Critical Injuries',
+      stress: 'Critical Injuries',
+      mental: 'Critical Injuries'
+    },
+    'forbidden-lands': {
+      injury: 'Critical Injuries',
+      damage: 'Critical Injuries'
+    },
+    alienrpg: {
+      injury: 'Critical Injury',
+      stress: 'Panic',
+      mental: 'Panic'
+    }
+  };
+
+  const tableNames = tableNameMap[game.system.id] || tableNameMap.yzecoriolis;
+  const tableName = tableNames[criticalType] || tableNames.injury || 'Critical Injuries';
+
+  // Find the table
+  let table = game.tables.find(t =>
+    t.name.toLowerCase().includes(tableName.toLowerCase())
+  );
+
+  // Search compendiums if not in world
+  if (!table) {
+    for (const pack of game.packs.filter(p => p.documentName === 'RollTable')) {
+      const index = await pack.getIndex();
+      const match = index.find(t =>
+        t.name.toLowerCase().includes(tableName.toLowerCase())
+      );
+      if (match) {
+        table = await pack.getDocument(match._id);
+        break;
+      }
+    }
+  }
+
+  if (!table) {
+    // Fall back to generic d66 roll
+    const formula = modifier !== 0 ? `1d66 + ${modifier}` : '1d66';
+    const roll = await new Roll(formula).evaluate();
+
+    const messageId = await postRollMessage(roll, {
+      actor,
+      flavor: `<strong>${actor.name}: Critical ${criticalType}</strong><br/>No ${tableName} table found - generic d66 roll`
+    }, context);
+
+    return {
+      actor: actor.name,
+      criticalType,
+      roll: roll.total,
+      modifier,
+      tableFound: false,
+      result: `Roll: ${roll.total} (consult ${tableName} table manually)`,
+      messageId
+    };
+  }
+
+  // Roll on the table
+  const rollResult = await table.roll();
+  const messageId = await postRollMessage(rollResult.roll, {
+    actor,
+    flavor: `<strong>${actor.name}: ${table.name}</strong><br/>${rollResult.results.map(r => r.text).join(', ')}`
+  }, context);
+
+  return {
+    actor: actor.name,
+    criticalType,
+    table: table.name,
+    roll: rollResult.roll.total,
+    modifier,
+    tableFound: true,
+    result: rollResult.results.map(r => ({
+      text: r.text,
+      range: r.range
+    })),
+    messageId
+  };
+}
+
+/**
+ * Make an opposed roll between two actors.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Opposed roll result.
+ */
+async function handleYZEOpposedRoll({
+  actorName, actorAttribute, actorSkill,
+  opponentName, opponentAttribute, opponentSkill,
+  label
+}, context = {}) {
+  if (!isYZESystem()) {
+    throw new Error(`YZE opposed roll not available for ${game.system.id}.`);
+  }
+
+  const actor = findActor(actorName);
+  const opponent = findActor(opponentName);
+
+  if (!actor) throw new Error(`Actor not found: ${actorName}`);
+  if (!opponent) throw new Error(`Opponent not found: ${opponentName}`);
+
+  // Roll for actor
+  const actorAttrValue = getYZEAttribute(actor, actorAttribute);
+  const actorSkillValue = getYZESkill(actor, actorSkill);
+  const actorDice = Math.max(2, actorAttrValue + actorSkillValue);
+
+  const actorRoll = await new Roll(`${actorDice}d6`).evaluate();
+  const actorEval = evaluateYZERoll(actorRoll);
+
+  // Roll for opponent
+  const oppAttrValue = getYZEAttribute(opponent, opponentAttribute);
+  const oppSkillValue = getYZESkill(opponent, opponentSkill);
+  const oppDice = Math.max(2, oppAttrValue + oppSkillValue);
+
+  const oppRoll = await new Roll(`${oppDice}d6`).evaluate();
+  const oppEval = evaluateYZERoll(oppRoll);
+
+  // Determine winner
+  let winner = null;
+  let margin = actorEval.successes - oppEval.successes;
+  if (actorEval.successes > oppEval.successes) {
+    winner = actor.name;
+  } else if (oppEval.successes > actorEval.successes) {
+    winner = opponent.name;
+    margin = -margin;
+  }
+
+  // Post combined result to chat
+  const rollLabel = label || 'Opposed Roll';
+  const messageId = await postRollMessage([actorRoll, oppRoll], {
+    actor,
+    flavor: `<strong>${rollLabel}</strong><br/>
+      ${actor.name} (${actorAttribute}+${actorSkill}): ${actorEval.successes} successes<br/>
+      ${opponent.name} (${opponentAttribute}+${opponentSkill}): ${oppEval.successes} successes<br/>
+      <strong>Winner: ${winner || 'Tie!'}</strong>`
+  }, context);
+
+  return {
+    actor: {
+      name: actor.name,
+      attribute: { name: actorAttribute, value: actorAttrValue },
+      skill: { name: actorSkill, value: actorSkillValue },
+      diceRolled: actorDice,
+      results: actorEval.results,
+      successes: actorEval.successes
+    },
+    opponent: {
+      name: opponent.name,
+      attribute: { name: opponentAttribute, value: oppAttrValue },
+      skill: { name: opponentSkill, value: oppSkillValue },
+      diceRolled: oppDice,
+      results: oppEval.results,
+      successes: oppEval.successes
+    },
+    winner,
+    margin: Math.abs(margin),
+    isTie: winner === null,
+    messageId
+  };
+}
+
+// ============================================================================
+// Cross-System Tool Handlers
+// ============================================================================
+
+/**
+ * Work out how damage would change an actor's health, without applying it.
+ *
+ * @param {Actor} actor - The actor taking damage.
+ * @param {number} amount - Amount of damage.
+ * @param {string} damageType - Type of damage.
+ * @param {boolean} ignoreArmor - Whether to ignore armor.
+ * @returns {object} Current/new HP, the update path and armor reduction.
+ */
+function resolveDamage(actor, amount, damageType, ignoreArmor) {
+  const system = actor.system;
+  let currentHP, maxHP, hpPath;
+
+  // Determine HP path based on game system
+  if (isYZESystem()) {
+    // Year Zero Engine systems
+    if (damageType === 'stress' || damageType === 'mental') {
+      currentHP = system.mindPoints?.value ?? system.stress?.value ?? 0;
+      maxHP = system.mindPoints?.max ?? system.stress?.max ?? 10;
+      hpPath = system.mindPoints ? 'system.mindPoints.value' : 'system.stress.value';
+    } else {
+      currentHP = system.hitPoints?.value ?? system.health?.value ?? 0;
+      maxHP = system.hitPoints?.max ?? system.health?.max ?? 10;
+      hpPath = system.hitPoints ? 'system.hitPoints.value' : 'system.health.value';
+    }
+  } else {
+    // Generic system handling
+    currentHP = system.attributes?.hp?.value ?? system.hp?.value ?? system.health?.value ?? 0;
+    maxHP = system.attributes?.hp?.max ?? system.hp?.max ?? system.health?.max ?? 10;
+    hpPath = 'system.attributes.hp.value';
+  }
+
+  // Calculate damage (could factor in armor here)
+  let actualDamage = amount;
+  let armorReduction = 0;
+
+  if (!ignoreArmor && isYZESystem()) {
+    // Get armor value
+    const armor = actor.items.find(i => i.type === 'armor' && i.system.equipped);
+    if (armor) {
+      armorReduction = armor.system.armorRating || armor.system.rating || 0;
+      actualDamage = Math.max(0, amount - armorReduction);
+    }
+  }
+
+  const newHP = Math.max(0, currentHP - actualDamage);
+
+  return { currentHP, maxHP, newHP, hpPath, armorReduction, actualDamage };
+}
+
+/**
+ * Apply damage to an actor.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor.
+ * @param {number} input.amount - Amount of damage.
+ * @param {string} [input.damageType] - Type of damage.
+ * @param {boolean} [input.ignoreArmor] - Whether to ignore armor.
+ * @returns {object} Damage result.
+ */
+async function handleApplyDamage({ actorName, amount, damageType = 'physical', ignoreArmor = false }) {
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  const { currentHP, maxHP, newHP, hpPath, armorReduction, actualDamage } =
+    resolveDamage(actor, amount, damageType, ignoreArmor);
+
+  // Update the actor
+  await actor.update({ [hpPath]: newHP });
+
+  // Post to chat
+  await ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+    user: game.user.id,  // Explicit user for compatibility with older system hooks
+    content: `<strong>${actor.name}</strong> takes <strong>${actualDamage}</strong> ${damageType} damage.${armorReduction > 0 ? ` (${armorReduction} absorbed by armor)` : ''}<br/>HP: ${currentHP} → ${newHP}`,
+    flags: { [MODULE_ID]: { isAISpeech: true } }
+  });
+
+  return {
+    actor: actor.name,
+    damageType,
+    damageRequested: amount,
+    armorReduction,
+    actualDamage,
+    previousHP: currentHP,
+    newHP,
+    maxHP,
+    isIncapacitated: newHP === 0
+  };
+}
+
+/**
+ * Work out how a resource change would affect an actor, without applying it.
+ *
+ * @param {Actor} actor - The actor.
+ * @param {string} resource - Resource name.
+ * @param {number} amount - Amount to add (positive) or remove (negative).
+ * @returns {object} Update path with current, max and new values.
+ */
+function resolveResourceChange(actor, resource, amount) {
+  const resourceKey = resource.toLowerCase().replace(/\s+/g, '');
+
+  // Map resource names to system paths
+  const resourcePaths = {
+    hp: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
+    hitpoints: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
+    health: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
+    mp: { path: 'system.mindPoints.value', max: 'system.mindPoints.max' },
+    mindpoints: { path: 'system.mindPoints.value', max: 'system.mindPoints.max' },
+    stress: { path: 'system.stress.value', max: 'system.stress.max' },
+    radiation: { path: 'system.radiation.value', max: 'system.radiation.max' }
+  };
+
+  const mapping = resourcePaths[resourceKey];
+  if (!mapping) {
+    throw new Error(`Unknown resource: ${resource}. Try: hp, mp, stress, radiation`);
+  }
+
+  const pathParts = mapping.path.split('.');
+  const maxParts = mapping.max.split('.');
+
+  const currentValue = pathParts.reduce((obj, key) => obj?.[key], actor) ?? 0;
+  const maxValue = maxParts.reduce((obj, key) => obj?.[key], actor);
+  const newValue = maxValue !== undefined
+    ? Math.min(maxValue, Math.max(0, currentValue + amount))
+    : Math.max(0, currentValue + amount);
+
+  return { path: mapping.path, currentValue, maxValue, newValue };
+}
+
+/**
+ * Modify a character resource.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor (or "gm" for GM resources).
+ * @param {string} input.resource - Resource to modify.
+ * @param {number} input.amount - Amount to add (positive) or remove (negative).
+ * @param {string} [input.reason] - Reason for modification.
+ * @returns {object} Modification result.
+ */
+async function handleModifyResource({ actorName, resource, amount, reason }) {
+  const resourceKey = resource.toLowerCase().replace(/\s+/g, '');
+
+  // Handle GM-level resources (like Darkness Points)
+  if (actorName.toLowerCase() === 'gm') {
+    if (resourceKey === 'darknesspoints' && game.system.id === 'yzecoriolis') {
+      const currentValue = game.settings.get('yzecoriolis', 'darknessPoints') || 0;
+      const newValue = Math.max(0, currentValue + amount);
+      await game.settings.set('yzecoriolis', 'darknessPoints', newValue);
+
+      await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+        user: game.user.id,  // Explicit user for compatibility with older system hooks
+        content: `<strong>Darkness Points:</strong> ${currentValue} → ${newValue}${reason ? ` (${reason})` : ''}`,
+        whisper: ChatMessage.getWhisperRecipients('GM'),
         flags: { [MODULE_ID]: { isAISpeech: true } }
       });
 
-      return {
-        resource: 'Darkness Points',
-        previousValue: currentValue,
-        change: amount,
-        newValue,
-        reason
-      };
+      return {
+        resource: 'Darkness Points',
+        previousValue: currentValue,
+        change: amount,
+        newValue,
+        reason
+      };
+    }
+    throw new Error(`Unknown GM resource: ${resource}`);
+  }
+
+  // Handle actor resources
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  const { path, currentValue, maxValue, newValue } = resolveResourceChange(actor, resource, amount);
+
+  // Update the actor
+  await actor.update({ [path]: newValue });
+
+  // Post to chat
+  const changeText = amount >= 0 ? `+${amount}` : `${amount}`;
+  await ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    user: game.user.id,  // Explicit user for compatibility with older system hooks
+    content: `<strong>${actor.name}</strong> ${resource}: ${currentValue} → ${newValue} (${changeText})${reason ? ` - ${reason}` : ''}`,
+    flags: { [MODULE_ID]: { isAISpeech: true } }
+  });
+
+  return {
+    actor: actor.name,
+    resource,
+    previousValue: currentValue,
+    change: amount,
+    newValue,
+    maxValue,
+    reason
+  };
+}
+
+// ============================================================================
+// D&D 5e Tool Handlers
+// ============================================================================
+
+/**
+ * Resolve an ability name or abbreviation to a dnd5e ability key.
+ *
+ * @param {string} ability - Ability name (e.g., "Dexterity" or "dex").
+ * @returns {string} Ability key.
+ * @throws {Error} If the ability is missing or not recognised.
+ */
+function getDnd5eAbilityKey(ability) {
+  const labels = {};
+  for (const [key, data] of Object.entries(CONFIG.DND5E?.abilities || {})) {
+    labels[key] = data.label ? game.i18n.localize(data.label) : '';
+  }
+  return resolveDnd5eAbility(ability, labels);
+}
+
+/**
+ * Resolve a skill name or abbreviation to a dnd5e skill key on an actor.
+ *
+ * @param {Actor} actor - The actor.
+ * @param {string} skill - Skill name (e.g., "Stealth" or "ste").
+ * @returns {string|null} Skill key or null if not found.
+ */
+function getDnd5eSkillKey(actor, skill) {
+  const search = (skill || '').toLowerCase().replace(/\s+/g, '');
+  const skills = actor.system.skills || {};
+  const configured = CONFIG.DND5E?.skills || {};
+
+  for (const key of Object.keys(skills)) {
+    const label = game.i18n.localize(configured[key]?.label || '').toLowerCase().replace(/\s+/g, '');
+    if (key === search || (label && label === search)) return key;
+  }
+  for (const key of Object.keys(skills)) {
+    const label = game.i18n.localize(configured[key]?.label || '').toLowerCase().replace(/\s+/g, '');
+    if (label && label.includes(search)) return key;
+  }
+
+  return null;
+}
+
+/**
+ * Roll a d20 test for dnd5e with advantage/disadvantage and post it to chat.
+ *
+ * @param {Actor} actor - The rolling actor.
+ * @param {number} modifier - Total modifier to add.
+ * @param {object} options - Roll options.
+ * @param {boolean} [options.advantage] - Roll with advantage.
+ * @param {boolean} [options.disadvantage] - Roll with disadvantage.
+ * @param {number} [options.dc] - Difficulty class to compare against.
+ * @param {string} options.flavor - Chat flavor text.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {Promise<object>} Roll summary.
+ */
+async function rollDnd5eD20(actor, modifier, { advantage = false, disadvantage = false, dc, flavor }, context = {}) {
+  let d20 = '1d20';
+  if (advantage && !disadvantage) d20 = '2d20kh';
+  if (disadvantage && !advantage) d20 = '2d20kl';
+
+  const roll = await new Roll(`${d20} + @mod`, { mod: modifier }).evaluate();
+  const natural = roll.dice[0]?.total ?? null;
+
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: `<strong>${flavor}</strong>${dc !== undefined ? ` (DC ${dc})` : ''}`
+  }, context);
+
+  const hasDC = dc !== undefined && dc !== null;
+  return {
+    formula: roll.formula,
+    total: roll.total,
+    natural,
+    modifier,
+    mode: d20 === '2d20kh' ? 'advantage' : d20 === '2d20kl' ? 'disadvantage' : 'normal',
+    dc: hasDC ? dc : null,
+    isSuccess: hasDC ? roll.total >= dc : null,
+    isNatural20: natural === 20,
+    isNatural1: natural === 1,
+    messageId
+  };
+}
+
+/**
+ * Roll a D&D 5e ability check, optionally using a skill.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor making the check.
+ * @param {string} [input.ability] - Ability to check (required unless skill is given).
+ * @param {string} [input.skill] - Skill to use (e.g., "Perception").
+ * @param {number} [input.dc] - Difficulty class.
+ * @param {boolean} [input.advantage] - Roll with advantage.
+ * @param {boolean} [input.disadvantage] - Roll with disadvantage.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Check result.
+ */
+async function handleDnd5eAbilityCheck({ actorName, ability, skill, dc, advantage, disadvantage, label }, context = {}) {
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  let modifier;
+  let checkName;
+
+  if (skill) {
+    const skillKey = getDnd5eSkillKey(actor, skill);
+    if (!skillKey) {
+      throw new Error(`Skill not found: ${skill}`);
     }
-    throw new Error(`Unknown GM resource: ${resource}`);
+    const skillData = actor.system.skills[skillKey];
+    modifier = skillData.total ?? skillData.mod ?? 0;
+    checkName = `${skill} check`;
+  } else {
+    if (!ability) {
+      throw new Error('An ability check needs a skill or an ability (e.g., "Stealth" or "Dexterity")');
+    }
+    const abilityKey = getDnd5eAbilityKey(ability);
+    if (!actor.system.abilities?.[abilityKey]) {
+      throw new Error(`${actor.name} has no ${ability} ability`);
+    }
+    modifier = actor.system.abilities[abilityKey].mod ?? 0;
+    checkName = `${ability} check`;
   }
 
-  // Handle actor resources
+  const result = await rollDnd5eD20(actor, modifier, {
+    advantage, disadvantage, dc,
+    flavor: label || `${actor.name}: ${checkName}`
+  }, context);
+
+  return {
+    actor: actor.name,
+    check: checkName,
+    ...result
+  };
+}
+
+/**
+ * Roll a D&D 5e saving throw.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor making the save.
+ * @param {string} input.ability - Ability for the save (e.g., "Dexterity").
+ * @param {number} [input.dc] - Difficulty class.
+ * @param {boolean} [input.advantage] - Roll with advantage.
+ * @param {boolean} [input.disadvantage] - Roll with disadvantage.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Save result.
+ */
+async function handleDnd5eSavingThrow({ actorName, ability, dc, advantage, disadvantage, label }, context = {}) {
   const actor = findActor(actorName);
   if (!actor) {
     throw new Error(`Actor not found: ${actorName}`);
   }
 
-  const system = actor.system;
-  let currentValue, maxValue, newValue, path;
+  const abilityKey = getDnd5eAbilityKey(ability);
+  const abilityData = actor.system.abilities?.[abilityKey];
+  if (!abilityData) {
+    throw new Error(`${actor.name} has no ${ability} ability`);
+  }
 
-  // Map resource names to system paths
-  const resourcePaths = {
-    hp: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
-    hitpoints: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
-    health: { path: 'system.hitPoints.value', max: 'system.hitPoints.max' },
-    mp: { path: 'system.mindPoints.value', max: 'system.mindPoints.max' },
-    mindpoints: { path: 'system.mindPoints.value', max: 'system.mindPoints.max' },
-    stress: { path: 'system.stress.value', max: 'system.stress.max' },
-    radiation: { path: 'system.radiation.value', max: 'system.radiation.max' }
+  // dnd5e 3.x stores the save bonus as a number, 4.x as { value }
+  const save = abilityData.save;
+  const modifier = typeof save === 'number' ? save : (save?.value ?? abilityData.mod ?? 0);
+
+  const result = await rollDnd5eD20(actor, modifier, {
+    advantage, disadvantage, dc,
+    flavor: label || `${actor.name}: ${ability} saving throw`
+  }, context);
+
+  return {
+    actor: actor.name,
+    save: ability,
+    ...result
   };
+}
 
-  const mapping = resourcePaths[resourceKey];
-  if (mapping) {
-    path = mapping.path;
-    const pathParts = mapping.path.split('.');
-    const maxParts = mapping.max.split('.');
-
-    currentValue = pathParts.reduce((obj, key) => obj?.[key], actor) ?? 0;
-    maxValue = maxParts.reduce((obj, key) => obj?.[key], actor);
-    newValue = maxValue !== undefined
-      ? Math.min(maxValue, Math.max(0, currentValue + amount))
-      : Math.max(0, currentValue + amount);
-  } else {
-    throw new Error(`Unknown resource: ${resource}. Try: hp, mp, stress, radiation`);
+// ============================================================================
+// Pathfinder 2e Tool Handlers
+// ============================================================================
+
+/**
+ * Make a Pathfinder 2e strike with degrees of success.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the attacking actor.
+ * @param {string} input.weaponName - Name of the strike/weapon.
+ * @param {string} [input.targetName] - Name of the target (its AC is used as the DC).
+ * @param {number} [input.dc] - Explicit DC, overrides the target's AC.
+ * @param {number} [input.attackNumber] - Attack number this turn (for multiple attack penalty).
+ * @param {string} [input.label] - Description of the strike.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Strike result.
+ */
+async function handlePf2eStrike({ actorName, weaponName, targetName, dc, attackNumber = 1, label }, context = {}) {
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
   }
 
-  // Update the actor
-  await actor.update({ [path]: newValue });
+  const strikes = (actor.system.actions || []).filter(a => a.type === 'strike');
+  const search = weaponName.toLowerCase();
+  const strike = strikes.find(s =>
+    (s.label || s.item?.name || '').toLowerCase().includes(search)
+  );
+  if (!strike) {
+    const available = strikes.map(s => s.label || s.item?.name).join(', ') || 'none';
+    throw new Error(`Strike not found: ${weaponName}. Available: ${available}`);
+  }
 
-  // Post to chat
-  const changeText = amount >= 0 ? `+${amount}` : `${amount}`;
-  await ChatMessage.create({
-    speaker: ChatMessage.getSpeaker({ actor }),
-    user: game.user.id,  // Explicit user for compatibility with older system hooks
-    content: `<strong>${actor.name}</strong> ${resource}: ${currentValue} → ${newValue} (${changeText})${reason ? ` - ${reason}` : ''}`,
-    flags: { [MODULE_ID]: { isAISpeech: true } }
-  });
+  const isAgile = strike.item?.traits?.has?.('agile') ||
+    (strike.traits || []).some(t => (t.name || t) === 'agile');
+  const mapPenalty = pf2eMultipleAttackPenalty(attackNumber, isAgile);
+  const modifier = (strike.totalModifier ?? 0) + mapPenalty;
+
+  let target = null;
+  let targetDC = dc;
+  if (targetName) {
+    target = findActor(targetName);
+    if (!target) {
+      throw new Error(`Target not found: ${targetName}`);
+    }
+    targetDC ??= target.system.attributes?.ac?.value;
+  }
+
+  const roll = await new Roll('1d20 + @mod', { mod: modifier }).evaluate();
+  const natural = roll.dice[0]?.total ?? null;
+  const degree = targetDC !== undefined && targetDC !== null
+    ? pf2eDegreeOfSuccess(roll.total, natural, targetDC)
+    : null;
+
+  const strikeName = strike.label || strike.item?.name || weaponName;
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: `<strong>${label || `${actor.name}: Strike (${strikeName})`}</strong>` +
+      `${target ? ` vs ${target.name}` : ''}${mapPenalty ? ` (MAP ${mapPenalty})` : ''}`
+  }, context);
 
   return {
     actor: actor.name,
-    resource,
-    previousValue: currentValue,
-    change: amount,
-    newValue,
-    maxValue,
-    reason
+    strike: strikeName,
+    target: target?.name || null,
+    modifier,
+    multipleAttackPenalty: mapPenalty,
+    total: roll.total,
+    natural,
+    dc: targetDC ?? null,
+    degreeOfSuccess: degree,
+    isHit: degree === 'success' || degree === 'critical_success',
+    isCriticalHit: degree === 'critical_success',
+    messageId
+  };
+}
+
+/**
+ * Roll a Pathfinder 2e skill check, saving throw or perception check.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the actor.
+ * @param {string} input.statistic - Statistic slug or name (e.g., "athletics", "reflex", "perception").
+ * @param {number} [input.dc] - Difficulty class.
+ * @param {number} [input.modifier] - Situational modifier.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Check result.
+ */
+async function handlePf2eCheck({ actorName, statistic, dc, modifier = 0, label }, context = {}) {
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  const slug = statistic.toLowerCase().trim().replace(/\s+/g, '-');
+  const stat = actor.getStatistic?.(slug) ?? actor.skills?.[slug] ?? actor.saves?.[slug] ??
+    (slug === 'perception' ? actor.perception : null);
+  if (!stat) {
+    throw new Error(`Statistic not found: ${statistic}`);
+  }
+
+  const totalModifier = (stat.mod ?? stat.totalModifier ?? 0) + modifier;
+  const roll = await new Roll('1d20 + @mod', { mod: totalModifier }).evaluate();
+  const natural = roll.dice[0]?.total ?? null;
+  const hasDC = dc !== undefined && dc !== null;
+  const degree = hasDC ? pf2eDegreeOfSuccess(roll.total, natural, dc) : null;
+
+  const messageId = await postRollMessage(roll, {
+    actor,
+    flavor: `<strong>${label || `${actor.name}: ${stat.label || statistic}`}</strong>${hasDC ? ` (DC ${dc})` : ''}`
+  }, context);
+
+  return {
+    actor: actor.name,
+    statistic: stat.label || statistic,
+    modifier: totalModifier,
+    total: roll.total,
+    natural,
+    dc: hasDC ? dc : null,
+    degreeOfSuccess: degree,
+    messageId
+  };
+}
+
+// ============================================================================
+// Call of Cthulhu Tool Handlers
+// ============================================================================
+
+/**
+ * CoC7 characteristic keys by name.
+ *
+ * @type {Object<string, string>}
+ */
+const COC_CHARACTERISTICS = {
+  str: 'str', strength: 'str',
+  con: 'con', constitution: 'con',
+  siz: 'siz', size: 'siz',
+  dex: 'dex', dexterity: 'dex',
+  app: 'app', appearance: 'app',
+  int: 'int', intelligence: 'int',
+  pow: 'pow', power: 'pow',
+  edu: 'edu', education: 'edu'
+};
+
+/**
+ * Get a skill, characteristic, luck or sanity value from a CoC7 actor.
+ *
+ * @param {Actor} actor - The actor.
+ * @param {string} skill - Skill or characteristic name.
+ * @returns {{name: string, value: number}|null} Resolved name and value, or null.
+ */
+function getCoCSkillValue(actor, skill) {
+  const search = skill.toLowerCase().trim();
+
+  const characteristic = COC_CHARACTERISTICS[search];
+  if (characteristic) {
+    const value = actor.system.characteristics?.[characteristic]?.value;
+    if (value !== undefined) return { name: characteristic.toUpperCase(), value: Number(value) };
+  }
+  if (search === 'luck' || search === 'lck') {
+    return { name: 'Luck', value: Number(actor.system.attribs?.lck?.value ?? 0) };
+  }
+  if (search === 'sanity' || search === 'san') {
+    return { name: 'Sanity', value: Number(actor.system.attribs?.san?.value ?? 0) };
+  }
+
+  const skillItems = actor.items.filter(i => i.type === 'skill');
+  const item = skillItems.find(i => i.name.toLowerCase() === search) ||
+    skillItems.find(i => i.name.toLowerCase().includes(search));
+  if (!item) return null;
+
+  const value = item.value ?? item.system?.value ?? item.system?.base ?? 0;
+  return { name: item.name, value: Number(value) || 0 };
+}
+
+/**
+ * Roll a Call of Cthulhu percentile skill check, including pushed rolls.
+ *
+ * @param {object} input - Tool input parameters.
+ * @param {string} input.actorName - Name of the investigator.
+ * @param {string} input.skill - Skill or characteristic name.
+ * @param {string} [input.difficulty] - Required level: regular, hard or extreme.
+ * @param {number} [input.bonusDice] - Bonus dice (positive) or penalty dice (negative), max 2.
+ * @param {boolean} [input.pushed] - Whether this is a pushed reattempt of a failed roll.
+ * @param {string} [input.label] - Description of the roll.
+ * @param {object} [context] - Tool execution context ({ isPrivate }).
+ * @returns {object} Skill check result.
+ */
+async function handleCoCSkillCheck({
+  actorName,
+  skill,
+  difficulty = 'regular',
+  bonusDice = 0,
+  pushed = false,
+  label
+}, context = {}) {
+  const actor = findActor(actorName);
+  if (!actor) {
+    throw new Error(`Actor not found: ${actorName}`);
+  }
+
+  const resolved = getCoCSkillValue(actor, skill);
+  if (!resolved) {
+    throw new Error(`Skill not found: ${skill}`);
+  }
+
+  const bonus = Math.max(-2, Math.min(2, Math.trunc(bonusDice) || 0));
+  const roll = await new Roll('1d100').evaluate();
+  const baseResult = roll.total;
+
+  // Bonus/penalty dice replace the tens digit; the units die is shared
+  const units = baseResult % 10;
+  const tens = [Math.floor(baseResult / 10) % 10];
+  let extra = null;
+  if (bonus !== 0) {
+    extra = await new Roll(`${Math.abs(bonus)}d10`).evaluate();
+    for (const r of extra.dice[0]?.results || []) {
+      tens.push(r.result % 10);
+    }
+  }
+  const result = resolvePercentile(units, tens, bonus);
+  const level = cocSuccessLevel(result, resolved.value);
+  const isSuccess = cocMeetsDifficulty(level, difficulty);
+
+  const diceNote = bonus > 0 ? ` [${bonus} bonus]` : bonus < 0 ? ` [${-bonus} penalty]` : '';
+  const messageId = await postRollMessage(extra ? [roll, extra] : roll, {
+    actor,
+    flavor: `<strong>${pushed ? 'PUSHED ROLL: ' : ''}${label || `${actor.name}: ${resolved.name} (${resolved.value}%)`}</strong>` +
+      `${difficulty !== 'regular' ? ` — ${difficulty}` : ''}${diceNote}` +
+      `${bonus !== 0 ? `<br/>Result: ${result}` : ''}`
+  }, context);
+
+  return {
+    actor: actor.name,
+    skill: resolved.name,
+    skillValue: resolved.value,
+    difficulty,
+    bonusDice: bonus,
+    result,
+    successLevel: level,
+    isSuccess,
+    isFumble: level === 'fumble',
+    pushed,
+    // Only a failed, unpushed roll may be pushed; failing a pushed roll should carry dire consequences
+    canPush: !pushed && !isSuccess && level !== 'fumble',
+    status: isSuccess ? `${level}_success` : (level === 'fumble' ? 'fumble' : 'failure'),
+    messageId
+  };
+}
+
+// ============================================================================
+// Tool Call Previews (GM approval)
+// ============================================================================
+
+/**
+ * Describe what a tool call would change, without executing it.
+ * Used by the GM approval queue to show the proposed diff.
+ *
+ * @param {string} toolName - The tool name.
+ * @param {object} [input={}] - Tool input parameters.
+ * @returns {{actorName: string|null, changes: Array<{label: string, from: *, to: *}>}} Preview.
+ */
+export function previewToolCall(toolName, input = {}) {
+  try {
+    switch (toolName) {
+      case 'apply_damage': {
+        const actor = findActor(input.actorName);
+        if (!actor) break;
+        const damage = resolveDamage(actor, input.amount, input.damageType || 'physical', input.ignoreArmor);
+        return {
+          actorName: actor.name,
+          changes: [{
+            label: `HP (${damage.actualDamage} ${input.damageType || 'physical'})`,
+            from: damage.currentHP,
+            to: damage.newHP
+          }]
+        };
+      }
+
+      case 'modify_resource': {
+        if (input.actorName?.toLowerCase() === 'gm') {
+          return {
+            actorName: 'GM',
+            changes: [{ label: input.resource, from: null, to: `${input.amount >= 0 ? '+' : ''}${input.amount}` }]
+          };
+        }
+        const actor = findActor(input.actorName);
+        if (!actor) break;
+        const change = resolveResourceChange(actor, input.resource, input.amount);
+        return {
+          actorName: actor.name,
+          changes: [{ label: input.resource, from: change.currentValue, to: change.newValue }]
+        };
+      }
+
+      case 'share_journal_page':
+        return {
+          actorName: null,
+          changes: [{
+            label: `${input.journalName} / ${input.pageName}`,
+            from: 'GM only',
+            to: 'Visible to players'
+          }]
+        };
+
+      case 'play_audio':
+        return {
+          actorName: null,
+          changes: [{
+            label: `Audio (${input.action || 'play'})`,
+            from: null,
+            to: input.track ? `${input.playlist} / ${input.track}` : input.playlist
+          }]
+        };
+
+      case 'set_ambience': {
+        const playing = getAmbienceState()
+          .flatMap(p => p.sounds.map(s => `${p.playlist} / ${s.name}`))
+          .join(', ') || 'Silence';
+        const changes = [];
+        if (input.stop) {
+          changes.push({ label: 'Ambience', from: playing, to: 'Silence' });
+        } else {
+          const target = resolveAmbienceTarget(input);
+          if (target) {
+            changes.push({
+              label: input.layer ? 'Ambience (layer)' : 'Ambience',
+              from: input.layer ? null : playing,
+              to: describeAmbienceTarget(target)
+            });
+          }
+        }
+        for (const entry of input.volumes || []) {
+          changes.push({ label: `Volume: ${entry.track}`, from: null, to: entry.volume });
+        }
+        if (input.stinger) {
+          changes.push({ label: 'Stinger', from: null, to: input.stinger.track || (input.stinger.tags || []).join(', ') });
+        }
+        return { actorName: null, changes };
+      }
+    }
+  } catch (error) {
+    console.warn(`${MODULE_ID} | Could not preview ${toolName}:`, error);
+  }
+
+  // Fallback: show the raw input fields
+  return {
+    actorName: input.actorName || null,
+    changes: Object.entries(input)
+      .filter(([key]) => key !== 'reason')
+      .map(([key, value]) => ({
+        label: key,
+        from: null,
+        to: typeof value === 'object' ? JSON.stringify(value) : value
+      }))
   };
 }
+
+// ============================================================================
+// Built-in Tool Packs
+// ============================================================================
+
+/**
+ * Shared schema fragment for the acting actor's name.
+ *
+ * @type {object}
+ */
+const ACTOR_NAME_SCHEMA = { type: 'string', description: 'Name of the actor making the roll' };
+
+/**
+ * Shared schema fragment for why a tool is being called, shown to the GM
+ * when the tool needs approval (see GATED_TOOLS in config.mjs).
+ *
+ * @type {object}
+ */
+const REASON_SCHEMA = { type: 'string', description: 'Briefly explain to the GM why you are making this change' };
+
+/**
+ * Shared schema properties for a location on the current scene.
+ *
+ * @type {object}
+ */
+const LOCATION_SCHEMA_PROPERTIES = {
+  noteName: { type: 'string', description: 'Label of a map note on the current scene' },
+  column: { type: 'integer', minimum: 0, description: 'Grid column, counted from the scene\'s left edge' },
+  row: { type: 'integer', minimum: 0, description: 'Grid row, counted from the scene\'s top edge' }
+};
+
+registerToolPack({
+  id: 'core',
+  label: 'Core',
+  systems: null,
+  tools: {
+    roll_dice: {
+      handler: handleRollDice,
+      description: 'Roll dice with a Foundry formula. The roll is posted to chat (attributed to the actor if given) and its messageId is returned.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          formula: { type: 'string', description: 'Dice formula, e.g. "2d6+3"' },
+          label: { type: 'string', description: 'What the roll is for' },
+          actorName: { type: 'string', description: 'Actor making the roll' }
+        },
+        required: ['formula']
+      }
+    },
+    get_actor: handleGetActor,
+    get_scene: handleGetScene,
+    get_combat: handleGetCombat,
+    lookup_item: handleLookupItem,
+    lookup_table: handleLookupTable,
+    speak_as: handleSpeakAs,
+    play_audio: {
+      handler: handlePlayAudio,
+      description: 'Play a playlist or one of its tracks, or stop audio (one playlist, or everything if none is named).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          playlist: { type: 'string', description: 'Playlist name' },
+          track: { type: 'string', description: 'Track name within the playlist' },
+          action: { type: 'string', enum: ['play', 'stop'], description: 'Default play' },
+          reason: REASON_SCHEMA
+        }
+      }
+    },
+    set_ambience: {
+      handler: handleSetAmbience,
+      description: 'Set the mood with music and ambient sound. Crossfades from what is playing to a playlist or track chosen by name or by mood tags (e.g. ["spooky", "crypt"]) matched against playlist and sound names, sets volumes and can schedule a one-shot stinger. Call with no arguments to hear what is playing.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          playlist: { type: 'string', description: 'Playlist name' },
+          track: { type: 'string', description: 'Sound name, within the playlist if one is given' },
+          tags: { type: 'array', items: { type: 'string' }, description: 'Mood keywords or tags used when no playlist or track is named' },
+          volume: { type: 'number', minimum: 0, maximum: 1, description: 'Volume for the chosen playlist or track' },
+          volumes: {
+            type: 'array',
+            description: 'Volume changes for individual sounds',
+            items: {
+              type: 'object',
+              properties: {
+                track: { type: 'string' },
+                volume: { type: 'number', minimum: 0, maximum: 1 }
+              },
+              required: ['track', 'volume']
+            }
+          },
+          layer: { type: 'boolean', description: 'Add to what is playing instead of crossfading' },
+          fadeSeconds: { type: 'number', minimum: 0, description: 'Crossfade duration in seconds (default 3)' },
+          stinger: {
+            type: 'object',
+            description: 'A sound to play once, such as a door slam or a scream',
+            properties: {
+              track: { type: 'string' },
+              tags: { type: 'array', items: { type: 'string' } },
+              volume: { type: 'number', minimum: 0, maximum: 1 },
+              delaySeconds: { type: 'number', minimum: 0 }
+            }
+          },
+          stop: { type: 'boolean', description: 'Fade out everything that is playing' },
+          reason: REASON_SCHEMA
+        }
+      }
+    },
+    apply_damage: {
+      handler: handleApplyDamage,
+      description: 'Apply damage to an actor\'s HP, reduced by armor unless ignoreArmor is true. The result is posted to chat.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: { type: 'string', description: 'Name of the actor' },
+          amount: { type: 'integer', minimum: 0, description: 'Damage before armor' },
+          damageType: { type: 'string', description: 'Type of damage (default "physical")' },
+          ignoreArmor: { type: 'boolean', description: 'Skip armor reduction' },
+          reason: REASON_SCHEMA
+        },
+        required: ['actorName', 'amount']
+      }
+    },
+    modify_resource: {
+      handler: handleModifyResource,
+      description: 'Add to or remove from an actor resource (hp, mp, stress, radiation), or a GM resource such as Darkness Points with actorName "gm". The change and reason are posted to chat.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: { type: 'string', description: 'Name of the actor, or "gm" for GM resources' },
+          resource: { type: 'string', description: 'Resource to modify' },
+          amount: { type: 'integer', description: 'Amount to add (positive) or remove (negative)' },
+          reason: REASON_SCHEMA
+        },
+        required: ['actorName', 'resource', 'amount']
+      }
+    },
+    move_token: {
+      handler: handleMoveToken,
+      description: 'Move a token on the current scene to a map note or a grid cell. Column and row count from the scene\'s top-left cell (0, 0).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tokenName: { type: 'string', description: 'Name of the token to move' },
+          ...LOCATION_SCHEMA_PROPERTIES,
+          reason: REASON_SCHEMA
+        },
+        required: ['tokenName']
+      }
+    },
+    toggle_door: {
+      handler: handleToggleDoor,
+      description: 'Open, close or lock the doors near a map note, token or grid cell on the current scene.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          state: { type: 'string', enum: ['open', 'closed', 'locked'] },
+          ...LOCATION_SCHEMA_PROPERTIES,
+          tokenName: { type: 'string', description: 'Token the doors are near' },
+          radius: { type: 'integer', minimum: 1, description: 'Search radius in grid cells (default 2)' },
+          reason: REASON_SCHEMA
+        },
+        required: ['state']
+      }
+    },
+    set_token_visibility: {
+      handler: handleSetTokenVisibility,
+      description: 'Show or hide a token on the current scene from the players.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tokenName: { type: 'string', description: 'Name of the token' },
+          hidden: { type: 'boolean', description: 'True to hide the token from players' },
+          reason: REASON_SCHEMA
+        },
+        required: ['tokenName', 'hidden']
+      }
+    },
+    mark_location: {
+      handler: handleMarkLocation,
+      description: 'Ping a location for everyone, or place a labelled drawing on the map to mark it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['ping', 'drawing'] },
+          ...LOCATION_SCHEMA_PROPERTIES,
+          tokenName: { type: 'string', description: 'Token to mark' },
+          text: { type: 'string', description: 'Label for a drawing' },
+          shape: { type: 'string', enum: ['ellipse', 'rectangle'] },
+          size: { type: 'integer', minimum: 1, description: 'Drawing size in grid cells' },
+          color: { type: 'string', description: 'Drawing color as a hex string (e.g., "#ff0000")' }
+        }
+      }
+    },
+    start_combat: {
+      handler: handleStartCombat,
+      description: 'Create a combat encounter on the current scene from named tokens or actors (or add them to the current encounter), roll NPC initiative and start it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          combatants: { type: 'array', items: { type: 'string' }, description: 'Token or actor names on the current scene' },
+          rollNpcInitiative: { type: 'boolean', description: 'Roll initiative for NPCs (default true)' },
+          begin: { type: 'boolean', description: 'Start the encounter immediately (default true)' },
+          reason: REASON_SCHEMA
+        },
+        required: ['combatants']
+      }
+    },
+    roll_initiative: {
+      handler: handleRollInitiative,
+      description: 'Roll initiative in the active combat for named combatants, or for every NPC that has not rolled.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          combatants: { type: 'array', items: { type: 'string' }, description: 'Combatant names; omit to roll for NPCs' }
+        }
+      }
+    },
+    advance_combat: {
+      handler: handleAdvanceCombat,
+      description: 'Advance or rewind the active combat by a turn or a round.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          step: { type: 'string', enum: ['next_turn', 'previous_turn', 'next_round', 'previous_round'] },
+          reason: REASON_SCHEMA
+        }
+      }
+    },
+    set_combatant_defeated: {
+      handler: handleSetCombatantDefeated,
+      description: 'Mark a combatant in the active combat as defeated, or set defeated to false to revive them.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Combatant name' },
+          defeated: { type: 'boolean' },
+          reason: REASON_SCHEMA
+        },
+        required: ['name']
+      }
+    },
+    end_combat: {
+      handler: handleEndCombat,
+      description: 'End the active combat encounter and remove it from the tracker.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          reason: REASON_SCHEMA
+        }
+      }
+    },
+    create_actor: {
+      handler: handleCreateActor,
+      description: 'Create a new NPC actor for the current game system from a stat block, in the "Loremaster NPCs" folder, optionally dropping its token on the current scene. Use this when you introduce an NPC the party may interact with.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          statBlock: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string', description: 'Actor type; defaults to the system\'s NPC type' },
+              description: { type: 'string' },
+              level: { type: 'number', description: 'Level, CR or threat rating' },
+              hp: {
+                type: 'object',
+                properties: { value: { type: 'integer' }, max: { type: 'integer' } }
+              },
+              ac: { type: 'integer', description: 'Armor class or defense' },
+              attributes: { type: 'object', additionalProperties: { type: 'number' }, description: 'Attribute/ability key to value (e.g., {"str": 12})' },
+              skills: { type: 'object', additionalProperties: { type: 'number' }, description: 'Skill key to value' },
+              items: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string', description: 'Item type valid for the game system (e.g., "weapon")' },
+                    description: { type: 'string' }
+                  },
+                  required: ['name', 'type']
+                }
+              }
+            },
+            required: ['name']
+          },
+          placeToken: { type: 'boolean', description: 'Drop a token on the current scene' },
+          ...LOCATION_SCHEMA_PROPERTIES,
+          hidden: { type: 'boolean', description: 'Place the token hidden from players' },
+          canonId: { type: 'string', description: 'ID of the canon entry that introduced this NPC, if known; otherwise the NPC is linked when canon naming it is published' },
+          reason: REASON_SCHEMA
+        },
+        required: ['statBlock']
+      }
+    },
+    create_roll_table: {
+      handler: handleCreateRollTable,
+      description: 'Create a Foundry roll table from weighted entries in the "Loremaster Tables" folder. Returns the tableId; roll it with lookup_table. A table with the same name is reused unless replace is true.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Table name' },
+          formula: { type: 'string', description: 'Dice formula, e.g. "1d20"; entry weights must cover its range. Defaults to 1d(total weight).' },
+          description: { type: 'string' },
+          entries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                weight: { type: 'integer', minimum: 1, description: 'How many faces of the roll this entry covers (default 1)' }
+              },
+              required: ['text']
+            }
+          },
+          replace: { type: 'boolean', description: 'Replace the entries of an existing table with this name' },
+          reason: REASON_SCHEMA
+        },
+        required: ['name', 'entries']
+      }
+    },
+    create_journal_page: {
+      handler: handleCreateJournalPage,
+      description: 'Write a new campaign note page (NPC dossier, location entry, quest log...) in a journal in the "Loremaster Notes" folder. Pages are GM-only unless playerVisible is true and the GM approves.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          journalName: { type: 'string', description: 'Journal to write in, e.g. "NPC Dossiers" (created if missing)' },
+          pageName: { type: 'string', description: 'Page title' },
+          content: { type: 'string', description: 'Page content in markdown' },
+          playerVisible: { type: 'boolean', description: 'Ask the GM to share this page with players' },
+          reason: REASON_SCHEMA
+        },
+        required: ['journalName', 'pageName', 'content']
+      }
+    },
+    append_to_journal: {
+      handler: handleAppendToJournal,
+      description: 'Append markdown to an existing Loremaster Notes page (creating it if missing), e.g. a new quest log entry.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          journalName: { type: 'string' },
+          pageName: { type: 'string' },
+          content: { type: 'string', description: 'Markdown to append' },
+          reason: REASON_SCHEMA
+        },
+        required: ['journalName', 'pageName', 'content']
+      }
+    },
+    search_journals: {
+      handler: handleSearchJournals,
+      description: 'Search Loremaster Notes journal pages (or all journals) for text and return matching snippets.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          allJournals: { type: 'boolean', description: 'Search every journal, not just Loremaster Notes' },
+          limit: { type: 'integer', minimum: 1, maximum: 20 }
+        },
+        required: ['query']
+      }
+    },
+    set_scene_lighting: {
+      handler: handleSetSceneLighting,
+      description: 'Change the current scene\'s darkness level or global illumination, and/or turn ambient lights near a location on or off (e.g., dousing torches).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          darkness: { type: 'number', minimum: 0, maximum: 1, description: '0 is fully lit, 1 is fully dark' },
+          globalLight: { type: 'boolean', description: 'Enable or disable global illumination' },
+          lightsOn: { type: 'boolean', description: 'Turn ambient lights near the location on (true) or off (false)' },
+          ...LOCATION_SCHEMA_PROPERTIES,
+          tokenName: { type: 'string', description: 'Token the lights are near' },
+          radius: { type: 'integer', minimum: 1, description: 'Light search radius in grid cells (default 3)' },
+          reason: REASON_SCHEMA
+        }
+      }
+    }
+  }
+});
+
+registerToolPack({
+  id: 'yze',
+  label: 'Year Zero Engine',
+  systems: YZE_SYSTEMS,
+  tools: {
+    yze_skill_check: handleYZESkillCheck,
+    yze_attack: handleYZEAttack,
+    yze_push_roll: handleYZEPushRoll,
+    yze_roll_critical: handleYZERollCritical,
+    yze_opposed_roll: handleYZEOpposedRoll
+  }
+});
+
+registerToolPack({
+  id: 'dnd5e',
+  label: 'D&D 5e',
+  systems: ['dnd5e'],
+  tools: {
+    dnd5e_ability_check: {
+      handler: handleDnd5eAbilityCheck,
+      description: 'Roll a D&D 5e ability check for an actor, optionally using a skill, against an optional DC.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: ACTOR_NAME_SCHEMA,
+          ability: { type: 'string', description: 'Ability name or abbreviation (e.g., "Strength", "dex")' },
+          skill: { type: 'string', description: 'Skill to use instead of a raw ability (e.g., "Perception")' },
+          dc: { type: 'integer', description: 'Difficulty class' },
+          advantage: { type: 'boolean' },
+          disadvantage: { type: 'boolean' },
+          label: { type: 'string', description: 'Short description shown in chat' }
+        },
+        required: ['actorName']
+      }
+    },
+    dnd5e_saving_throw: {
+      handler: handleDnd5eSavingThrow,
+      description: 'Roll a D&D 5e saving throw for an actor against an optional DC.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: ACTOR_NAME_SCHEMA,
+          ability: { type: 'string', description: 'Ability for the save (e.g., "Dexterity", "wis")' },
+          dc: { type: 'integer', description: 'Difficulty class' },
+          advantage: { type: 'boolean' },
+          disadvantage: { type: 'boolean' },
+          label: { type: 'string', description: 'Short description shown in chat' }
+        },
+        required: ['actorName', 'ability']
+      }
+    }
+  }
+});
+
+registerToolPack({
+  id: 'pf2e',
+  label: 'Pathfinder 2e',
+  systems: ['pf2e'],
+  tools: {
+    pf2e_strike: {
+      handler: handlePf2eStrike,
+      description: 'Make a Pathfinder 2e strike with one of the actor\'s weapons. Uses the target\'s AC as the DC, applies the multiple attack penalty and reports the degree of success.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: { type: 'string', description: 'Name of the attacking actor' },
+          weaponName: { type: 'string', description: 'Name of the strike or weapon' },
+          targetName: { type: 'string', description: 'Name of the target actor' },
+          dc: { type: 'integer', description: 'Explicit DC, overrides the target AC' },
+          attackNumber: { type: 'integer', minimum: 1, description: 'Which attack this is on the actor\'s turn (1, 2, 3+)' },
+          label: { type: 'string', description: 'Short description shown in chat' }
+        },
+        required: ['actorName', 'weaponName']
+      }
+    },
+    pf2e_check: {
+      handler: handlePf2eCheck,
+      description: 'Roll a Pathfinder 2e skill check, saving throw or perception check and report the degree of success.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: ACTOR_NAME_SCHEMA,
+          statistic: { type: 'string', description: 'Skill, save or "perception" (e.g., "athletics", "reflex")' },
+          dc: { type: 'integer', description: 'Difficulty class' },
+          modifier: { type: 'integer', description: 'Situational modifier' },
+          label: { type: 'string', description: 'Short description shown in chat' }
+        },
+        required: ['actorName', 'statistic']
+      }
+    }
+  }
+});
+
+registerToolPack({
+  id: 'coc7',
+  label: 'Call of Cthulhu 7e',
+  systems: ['CoC7'],
+  tools: {
+    coc_skill_check: {
+      handler: handleCoCSkillCheck,
+      description: 'Roll a Call of Cthulhu percentile skill or characteristic check. Set pushed to true when an investigator pushes a failed roll; failing a pushed roll should have dire consequences.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actorName: { type: 'string', description: 'Name of the investigator' },
+          skill: { type: 'string', description: 'Skill or characteristic (e.g., "Spot Hidden", "POW", "Luck")' },
+          difficulty: { type: 'string', enum: ['regular', 'hard', 'extreme'] },
+          bonusDice: { type: 'integer', minimum: -2, maximum: 2, description: 'Bonus dice (positive) or penalty dice (negative)' },
+          pushed: { type: 'boolean', description: 'Whether this is a pushed reattempt' },
+          label: { type: 'string', description: 'Short description shown in chat' }
+        },
+        required: ['actorName', 'skill']
+      }
+    }
+  }
+});
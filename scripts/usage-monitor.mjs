@@ -4,8 +4,11 @@
  * Application window for monitoring Claude API token usage.
  * Displays horizontal progress bars showing current usage vs configured limits,
  * with support for both all-time tracking and session-based "trip meter" mode.
+ * GMs also see each player's usage this month against the per-player budget.
  */
 
+import { getUserUsageBreakdown } from './user-rate-limiter.mjs';
+
 const MODULE_ID = 'loremaster';
 
 /**
@@ -129,13 +132,19 @@ export class UsageMonitor extends Application {
     // Get configured limits from settings
     const maxTokensPerMonth = game.settings.get(MODULE_ID, 'maxTokensPerMonth') || 0;
 
+    // Per-player usage is recorded by the GM client and only shown to GMs
+    const userUsage = game.user.isGM
+      ? getUserUsageBreakdown(game.loremaster?.messageBatcher?.rateLimiter?.usage)
+      : [];
+
     return {
       ...data,
       stats: this.stats,
       isLoading: this.isLoading,
       isGM: game.user.isGM,
       maxTokensPerMonth,
-      hasTokenLimit: maxTokensPerMonth > 0
+      hasTokenLimit: maxTokensPerMonth > 0,
+      userUsage
     };
   }
 
@@ -0,0 +1,208 @@
+/**
+ * Loremaster User Rate Limiter
+ *
+ * Enforces the GM's per-player limits (see rate-limits.mjs) on the
+ * batching authority. MessageBatcher asks it to admit each player message
+ * and private question as it arrives; a rejected request never reaches
+ * the AI and the player gets a whisper explaining which limit they hit.
+ * Requests in the last minute are kept in memory, monthly usage also in
+ * the GM's hidden userUsage setting (user scope, so players can't read it)
+ * so the usage monitor can show it.
+ */
+
+import { getSetting, setSetting } from './config.mjs';
+import { checkLimits, monthlyUsage, pruneWindow } from './rate-limits.mjs';
+
+const MODULE_ID = 'loremaster';
+
+/**
+ * Delay (ms) before changed usage is saved, so a busy table costs one
+ * settings write every few seconds instead of one per request.
+ *
+ * @type {number}
+ */
+const USAGE_SAVE_DELAY = 10 * 1000;
+
+/**
+ * Read the GM's limits from settings.
+ *
+ * @returns {{requestsPerMinute: number, maxChars: number, monthlyTokens: number}} Limits (0 = none).
+ */
+export function getRateLimits() {
+  return {
+    requestsPerMinute: getSetting('rateLimitPerMinute') || 0,
+    maxChars: getSetting('rateLimitMaxChars') || 0,
+    monthlyTokens: getSetting('rateLimitMonthlyTokens') || 0
+  };
+}
+
+/**
+ * Explain a rejection to the player.
+ *
+ * @param {Object} rejection - Result of checkLimits.
+ * @returns {string} Localized explanation.
+ */
+export function describeRejection(rejection) {
+  const limit = rejection.limit.toLocaleString();
+
+  switch (rejection.reason) {
+    case 'length':
+      return game.i18n?.format('LOREMASTER.RateLimit.Length', { length: rejection.length.toLocaleString(), limit })
+        || `Your message is ${rejection.length} characters long; the GM allows up to ${limit} per message.`;
+    case 'rate':
+      return game.i18n?.format('LOREMASTER.RateLimit.Rate', { limit, seconds: rejection.retryAfter })
+        || `You can send ${limit} requests a minute. Try again in ${rejection.retryAfter} seconds.`;
+    case 'budget':
+      return game.i18n?.format('LOREMASTER.RateLimit.Budget', { limit })
+        || `You have used your ${limit} token budget for this month. It resets on the 1st.`;
+    default:
+      return game.i18n?.localize('LOREMASTER.RateLimit.Rejected') || 'Your request was over the GM\'s limits.';
+  }
+}
+
+/**
+ * Build the per-player usage breakdown for the usage monitor.
+ *
+ * @param {Object} [stored] - User ID to monthly usage; defaults to the last saved usage.
+ * @returns {Array<Object>} One row per player with usage this month, most tokens first.
+ */
+export function getUserUsageBreakdown(stored = getSetting('userUsage') || {}) {
+  const { monthlyTokens } = getRateLimits();
+  const now = Date.now();
+
+  return game.users
+    .filter(u => !u.isGM)
+    .map(user => {
+      const usage = monthlyUsage(stored[user.id], now);
+      return {
+        userId: user.id,
+        userName: user.name,
+        tokens: usage.tokens,
+        requests: usage.requests,
+        budget: monthlyTokens,
+        hasBudget: monthlyTokens > 0
+      };
+    })
+    .sort((a, b) => b.tokens - a.tokens);
+}
+
+/**
+ * UserRateLimiter class applies the per-player limits on the GM client.
+ */
+export class UserRateLimiter {
+  constructor() {
+    // User ID -> request timestamps inside the rate window
+    this.recentRequests = {};
+
+    // User ID -> usage this month; saved USAGE_SAVE_DELAY after it changes
+    this.usage = { ...(getSetting('userUsage') || {}) };
+    this._saveTimer = null;
+  }
+
+  /**
+   * Check a player's request against the limits, recording it if allowed
+   * and whispering the reason to the player if not. GMs are never limited.
+   *
+   * @param {string} content - The message or question text.
+   * @param {Object} userContext - The sender's context.
+   * @returns {boolean} True if the request may go to the AI.
+   */
+  admit(content, userContext) {
+    // Trust the user list rather than the isGM flag the client sent
+    const user = game.users.get(userContext.userId);
+    if (!user || user.isGM) return true;
+
+    const now = Date.now();
+    const timestamps = pruneWindow(this.recentRequests[user.id], now);
+    const usage = monthlyUsage(this.usage[user.id], now);
+
+    const rejection = checkLimits({ content, timestamps, usage }, getRateLimits(), now);
+    if (rejection) {
+      console.log(`${MODULE_ID} | Rejected request from ${user.name}: ${rejection.reason} limit`);
+      this._notifyRejection(user, rejection).catch(error => {
+        console.error(`${MODULE_ID} | Failed to send rate limit notice:`, error);
+      });
+      return false;
+    }
+
+    this.recentRequests[user.id] = [...timestamps, now];
+    this._updateUsage({ [user.id]: { requests: 1 } });
+    return true;
+  }
+
+  /**
+   * Charge tokens to players' monthly budgets. GMs are not charged.
+   *
+   * @param {Object<string, number>} shares - User ID to tokens (see splitTokens).
+   */
+  recordTokens(shares) {
+    const changes = {};
+    for (const [userId, tokens] of Object.entries(shares)) {
+      const user = game.users.get(userId);
+      if (user && !user.isGM && tokens > 0) changes[userId] = { tokens };
+    }
+    if (Object.keys(changes).length) this._updateUsage(changes);
+  }
+
+  /**
+   * Save usage now instead of waiting for the scheduled save.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveUsage() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    await setSetting('userUsage', this.usage);
+  }
+
+  /**
+   * Add to players' usage this month and schedule a save.
+   *
+   * @param {Object<string, {tokens?: number, requests?: number}>} changes - Amounts to add per user.
+   * @private
+   */
+  _updateUsage(changes) {
+    const now = Date.now();
+    for (const [userId, change] of Object.entries(changes)) {
+      const usage = monthlyUsage(this.usage[userId], now);
+      this.usage[userId] = {
+        month: usage.month,
+        tokens: usage.tokens + (change.tokens || 0),
+        requests: usage.requests + (change.requests || 0)
+      };
+    }
+
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this.saveUsage().catch(error => {
+        console.error(`${MODULE_ID} | Failed to save player usage:`, error);
+      });
+    }, USAGE_SAVE_DELAY);
+  }
+
+  /**
+   * Whisper a rejection to the player and the GMs.
+   *
+   * @param {User} user - The rejected player.
+   * @param {Object} rejection - Result of checkLimits.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyRejection(user, rejection) {
+    const text = describeRejection(rejection);
+    const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+
+    await ChatMessage.create({
+      content: `<div class="loremaster-rate-limit"><i class="fas fa-hourglass-half"></i> ${Handlebars.escapeExpression(text)}</div>`,
+      speaker: ChatMessage.getSpeaker({ alias: 'Loremaster' }),
+      user: game.user.id,
+      whisper: [...new Set([user.id, ...gmIds])],
+      flags: {
+        [MODULE_ID]: {
+          isRateLimitNotice: true,
+          reason: rejection.reason
+        }
+      }
+    });
+  }
+}
@@ -69,11 +69,23 @@ export class VoiceOutput {
    */
   async _handleCanonPublished({ canonId, text }) {
     if (getSetting('voiceEnabled') !== true) return;
-    if (!canonId || !text) return;
+    await this.speak(canonId, text);
+  }
+
+  /**
+   * Fetch TTS audio for a message and play it, whatever the voiceEnabled
+   * setting. Used directly for session recaps, which are voiced by their
+   * own setting.
+   *
+   * @param {string} messageId - Server message UUID the audio is for (a canon ID for canon).
+   * @param {string} text - Plain text to speak.
+   */
+  async speak(messageId, text) {
+    if (!messageId || !text) return;
 
     let result;
     try {
-      result = await this.socketClient.requestTTS(canonId, text);
+      result = await this.socketClient.requestTTS(messageId, text);
     } catch (err) {
       this._notifyVoiceUnavailable(err);
       return;
@@ -81,7 +93,7 @@ export class VoiceOutput {
 
     if (!result?.audioUrl) return;
 
-    this._play(canonId, this._resolveAudioUrl(result.audioUrl));
+    this._play(messageId, this._resolveAudioUrl(result.audioUrl));
   }
 
   /**
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {
+  actorToStatBlock,
+  actorsIntroducedBy,
+  getStatBlockMapping,
+  statBlockToActorData
+} from '../scripts/actor-stat-block.mjs';
+
+const bartender = {
+  name: 'Mira the Bartender',
+  type: 'npc',
+  description: 'Knows every rumor on the docks.',
+  level: 1,
+  hp: { value: 9, max: 9 },
+  ac: 11,
+  attributes: { str: 10, dex: 12, cha: 15 },
+  skills: { ins: 1 },
+  items: [{ name: 'Club', type: 'weapon', description: 'A sturdy club.' }]
+};
+
+const { data, skippedItems } = statBlockToActorData(bartender, {
+  systemId: 'dnd5e',
+  actorTypes: ['character', 'npc', 'vehicle'],
+  itemTypes: ['weapon', 'loot']
+});
+assert.equal(data.type, 'npc');
+assert.equal(data.system.abilities.cha.value, 15);
+assert.equal(data.system.attributes.hp.max, 9);
+assert.equal(data.system.attributes.ac.flat, 11);
+assert.equal(data.items.length, 1);
+assert.deepEqual(skippedItems, []);
+
+// The created actor serializes back to the same stat block
+assert.deepEqual(actorToStatBlock(data, 'dnd5e'), bartender);
+
+// Foundry-side edits win over the stat block stored in flags
+data.system.attributes.hp.value = 3;
+assert.deepEqual(actorToStatBlock(data, 'dnd5e').hp, { value: 3, max: 9 });
+
+// Unknown item types are skipped, unknown actor types fall back to the system NPC type
+const yze = statBlockToActorData(
+  { name: 'Bounty Hunter', type: 'monster', attributes: { Strength: 4 }, items: [{ name: 'Rifle', type: 'gear' }] },
+  { systemId: 'yzecoriolis', actorTypes: ['character', 'npc'], itemTypes: ['weapon'] }
+);
+assert.equal(yze.data.type, 'npc');
+assert.equal(yze.data.system.attributes.strength.value, 4);
+assert.deepEqual(yze.skippedItems, ['Rifle']);
+
+assert.equal(getStatBlockMapping('vaesen'), getStatBlockMapping('alienrpg'));
+assert.equal(getStatBlockMapping('unknown-system').actorType, 'npc');
+assert.throws(() => statBlockToActorData({}, { systemId: 'dnd5e', actorTypes: ['npc'] }));
+
+// Canon back-fills only unlinked Loremaster actors it names as a whole word
+const npc = (name, flags = {}) => ({ name, flags: { loremaster: { createdByLoremaster: true, ...flags } } });
+const actors = [
+  npc('Mira the Bartender'),
+  npc('Bram', { canonId: 'c-1' }),
+  npc('Kal'),
+  { name: 'Mira the Bartender', flags: {} }
+];
+const canon = 'MIRA THE BARTENDER slides a mug to Kalen.';
+assert.deepEqual(actorsIntroducedBy(actors, canon), [actors[0]]);
+assert.deepEqual(actorsIntroducedBy(actors, 'Bram and Kal leave.').map(a => a.name), ['Kal']);
+assert.deepEqual(actorsIntroducedBy(actors, ''), []);
+
+console.log('actor-stat-block tests passed');
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import {
+  expandMoodKeywords,
+  rankAmbience,
+  scoreName,
+  tokenizeName
+} from '../scripts/ambience-utils.mjs';
+
+assert.deepEqual(tokenizeName('Crypt_Wind (Loop) 02'), ['crypt', 'wind', 'loop', '02']);
+
+const spooky = expandMoodKeywords(['Spooky']);
+assert.ok(spooky.has('spooky'));
+assert.ok(spooky.has('crypt'));
+assert.ok(expandMoodKeywords(['dripping water']).has('water'));
+
+assert.equal(scoreName('Crypt Ambience', expandMoodKeywords(['crypt'])), 2);
+assert.equal(scoreName('Crypts of Dread', expandMoodKeywords(['crypt'])), 1);
+assert.equal(scoreName('Tavern Night', expandMoodKeywords(['crypt'])), 0);
+
+const playlists = [
+  { id: 'town', name: 'Town', sounds: [{ id: 'market', name: 'Market Bustle' }, { id: 'wind1', name: 'Crypt Wind' }] },
+  { id: 'horror', name: 'Horror', sounds: [{ id: 'wind2', name: 'Crypt Wind' }, { id: 'drone', name: 'Low Drone' }] },
+  { id: 'inn', name: 'Tavern Music', sounds: [{ id: 'lute', name: 'Lute Song' }] }
+];
+
+// A sound in a matching playlist outranks the same sound elsewhere
+const [best] = rankAmbience(playlists, ['spooky']);
+assert.deepEqual(best, { playlistId: 'horror', soundId: 'wind2', score: 4 });
+
+// Playlist names alone are enough; the whole playlist is chosen
+assert.deepEqual(rankAmbience(playlists, ['tavern'])[0], { playlistId: 'inn', soundId: null, score: 2 });
+
+assert.deepEqual(rankAmbience(playlists, ['underwater']), []);
+assert.deepEqual(rankAmbience(playlists, []), []);
+
+console.log('ambience-utils tests passed');
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import {
+  parseSceneContext,
+  sessionDateKey,
+  normalizeCanonEntry,
+  canonScenes,
+  canonSessionDates,
+  filterCanon,
+  paginate
+} from '../scripts/canon-entries.mjs';
+
+assert.deepEqual(parseSceneContext({ id: 's1', name: 'The Docks' }), { id: 's1', name: 'The Docks' });
+assert.deepEqual(parseSceneContext('{"id":"s2","name":"Old Mill"}'), { id: 's2', name: 'Old Mill' });
+assert.equal(parseSceneContext('not json'), null);
+assert.equal(parseSceneContext(null), null);
+assert.equal(parseSceneContext({}), null);
+
+assert.equal(sessionDateKey(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+
+// Server entries come in snake_case; the publish result in camelCase
+const docksTime = new Date(2026, 9, 12, 20, 0).toISOString();
+const millTime = new Date(2026, 9, 19, 21, 0).toISOString();
+const entries = [
+  { id: 3, content: 'The mill burned down.', message_id: 'm3', scene_context: '{"id":"s2","name":"Old Mill","stage":"Act 1"}', created_at: millTime },
+  { id: 2, content: 'Captain Vey agreed to smuggle the party.', message_id: 'm2', scene_context: { id: 's1', name: 'The Docks' }, created_at: docksTime },
+  { canonId: 1, content: 'The party arrived in Saltmarsh.', messageId: null, createdAt: docksTime }
+].map(normalizeCanonEntry);
+
+assert.equal(entries[0].messageId, 'm3');
+assert.deepEqual(entries[0].scene, { id: 's2', name: 'Old Mill' });
+assert.equal(entries[0].sessionDate, '2026-10-19');
+assert.equal(entries[0].stage, 'act_1');
+assert.equal(entries[1].stage, null);
+assert.equal(normalizeCanonEntry({ id: 8, content: 'x', scene_context: { stage: 'prologue' } }).scene, null);
+assert.equal(normalizeCanonEntry({ id: 8, content: 'x', scene_context: { stage: 'prologue' } }).stage, 'prologue');
+assert.equal(entries[2].id, 1);
+assert.equal(entries[2].scene, null);
+assert.equal(normalizeCanonEntry({ id: 9, content: 'x', created_at: 'garbage' }).sessionDate, null);
+
+assert.deepEqual(canonScenes(entries), [{ id: 's2', name: 'Old Mill' }, { id: 's1', name: 'The Docks' }]);
+assert.deepEqual(canonSessionDates(entries), ['2026-10-19', '2026-10-12']);
+
+assert.deepEqual(filterCanon(entries, {}).map(e => e.id), [3, 2, 1]);
+assert.deepEqual(filterCanon(entries, { sceneId: 's1' }).map(e => e.id), [2]);
+assert.deepEqual(filterCanon(entries, { date: '2026-10-12' }).map(e => e.id), [2, 1]);
+assert.deepEqual(filterCanon(entries, { search: 'PARTY smuggle' }).map(e => e.id), [2]);
+assert.deepEqual(filterCanon(entries, { date: '2026-10-12', search: 'saltmarsh' }).map(e => e.id), [1]);
+
+const items = [1, 2, 3, 4, 5];
+assert.deepEqual(paginate(items, 2, 2), { items: [3, 4], page: 2, pageCount: 3 });
+assert.deepEqual(paginate(items, 9, 2), { items: [5], page: 3, pageCount: 3 });
+assert.deepEqual(paginate([], 1, 2), { items: [], page: 1, pageCount: 1 });
+
+console.log('canon-entries tests passed');
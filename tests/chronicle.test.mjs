@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import {
+  UNSTAGED,
+  MAX_RECAP_SOURCE_CHARS,
+  chapterTitle,
+  buildChronicle,
+  chapterToMarkdown,
+  chronicleToMarkdown,
+  buildRecapPrompt
+} from '../scripts/chronicle.mjs';
+
+const at = (day, hour) => new Date(Date.UTC(2026, 9, day, hour));
+const entry = (content, stage, sceneName, createdAt) => ({
+  content,
+  stage,
+  scene: sceneName ? { id: sceneName, name: sceneName } : null,
+  createdAt
+});
+
+// Out of order on purpose: the chronicle sorts by time and by stage
+const entries = [
+  entry('Vey betrayed them at the mill.', 'act_1', 'Old Mill', at(19, 21)),
+  entry('The party reached Saltmarsh.', 'prologue', 'The Docks', at(5, 20)),
+  entry('Captain Vey offered passage.', 'act_1', 'The Docks', at(12, 20)),
+  entry('They met in a tavern.', null, null, at(1, 20)),
+  entry('Back at the docks, the ship was gone.', 'act_1', 'The Docks', at(19, 22)),
+  entry('An epilogue nobody asked for.', 'epilogue', null, at(25, 20))
+];
+
+const chapters = buildChronicle(entries);
+assert.deepEqual(chapters.map(c => c.stage), [UNSTAGED, 'prologue', 'act_1', 'epilogue']);
+assert.deepEqual(chapters.map(c => c.title), ['Earlier Events', 'Prologue', 'Act 1', 'Epilogue']);
+
+// Returning to a scene starts a new section, keeping story order
+const act1 = chapters[2];
+assert.deepEqual(act1.scenes.map(s => s.name), ['The Docks', 'Old Mill', 'The Docks']);
+assert.equal(act1.entries.length, 3);
+
+assert.equal(chapterTitle('act_9'), 'act_9');
+
+assert.equal(
+  chapterToMarkdown(act1),
+  '## The Docks\n\nCaptain Vey offered passage.\n\n## Old Mill\n\nVey betrayed them at the mill.\n\n## The Docks\n\nBack at the docks, the ship was gone.'
+);
+assert.equal(
+  chapterToMarkdown(chapters[3], { recap: ' It ended. ' }),
+  'It ended.\n\n---\n\nAn epilogue nobody asked for.'
+);
+
+const doc = chronicleToMarkdown('Saltmarsh Chronicle', chapters.slice(0, 2), { prologue: 'They arrived.' });
+assert.equal(
+  doc,
+  '# Saltmarsh Chronicle\n\n## Earlier Events\n\nThey met in a tavern.\n\n## Prologue\n\nThey arrived.\n\n---\n\n### The Docks\n\nThe party reached Saltmarsh.\n'
+);
+
+const prompt = buildRecapPrompt(act1);
+assert.ok(prompt.startsWith('[CHRONICLE RECAP]\nWrite a recap of "Act 1"'));
+assert.ok(prompt.endsWith('Canon:\nCaptain Vey offered passage.\n\nVey betrayed them at the mill.\n\nBack at the docks, the ship was gone.'));
+
+// Long chapters keep their most recent canon
+const long = buildChronicle([entry('x'.repeat(MAX_RECAP_SOURCE_CHARS), 'act_2', null, at(1, 1)), entry('The end.', 'act_2', null, at(2, 1))]);
+assert.ok(buildRecapPrompt(long[0]).endsWith('The end.'));
+assert.ok(buildRecapPrompt(long[0]).length < MAX_RECAP_SOURCE_CHARS + 500);
+
+console.log('chronicle tests passed');
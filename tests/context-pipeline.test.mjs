@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  runContextProviders,
+  dispositionLabel,
+  formatSceneTokens,
+  formatSpeakerSelection,
+  formatActiveEffects,
+  formatTimeOfDay,
+  dayPeriod,
+  truncateText,
+  formatOpenJournal,
+  MAX_JOURNAL_CHARS
+} from '../scripts/context-pipeline.mjs';
+
+assert.equal(estimateTokens(''), 0);
+assert.equal(estimateTokens('abcd'), 1);
+assert.equal(estimateTokens('abcde'), 2);
+
+// Pipeline: enabled providers run in order, empty ones cost nothing, failures are skipped
+const providers = [
+  { id: 'a', label: 'A', setting: 'a', collect: () => ['x'], format: () => 'AAAA' },
+  { id: 'b', label: 'B', setting: 'b', collect: () => [], format: () => 'never' },
+  { id: 'c', label: 'C', setting: 'c', collect: () => { throw new Error('boom'); }, format: () => 'never' },
+  { id: 'd', label: 'D', setting: 'd', collect: ({ speakers }) => speakers, format: s => `DDDD${s.join('')}` },
+  { id: 'off', label: 'Off', setting: 'off', collect: () => 'x', format: () => 'OFF' }
+];
+const warn = console.warn;
+console.warn = () => {};
+const result = runContextProviders(providers, { speakers: ['1234'] }, p => p.setting !== 'off');
+console.warn = warn;
+
+assert.equal(result.text, 'AAAA\n\nDDDD1234');
+assert.deepEqual(Object.keys(result.sections), ['a', 'd']);
+assert.deepEqual(result.costs, [
+  { id: 'a', label: 'A', tokens: 1 },
+  { id: 'b', label: 'B', tokens: 0 },
+  { id: 'c', label: 'C', tokens: 0 },
+  { id: 'd', label: 'D', tokens: 2 }
+]);
+assert.equal(result.totalTokens, 3);
+assert.equal(runContextProviders(providers, { speakers: [] }, () => false).text, '');
+
+assert.equal(dispositionLabel(-1), 'hostile');
+assert.equal(dispositionLabel(1), 'friendly');
+assert.equal(dispositionLabel(-2), 'unknown');
+assert.equal(dispositionLabel(undefined), 'unknown');
+
+assert.equal(
+  formatSceneTokens([
+    { name: 'Goblin', col: 4, row: 7, disposition: -1, conditions: ['Prone', 'Poisoned'] },
+    { name: 'Mira', col: 3, row: 5, disposition: 1, conditions: [] }
+  ]),
+  '=== TOKENS ON SCENE ===\nGoblin (hostile) at column 4, row 7: Prone, Poisoned\nMira (friendly) at column 3, row 5'
+);
+
+const selection = formatSpeakerSelection([
+  {
+    speaker: 'Mira (Player: Ann)',
+    controlled: [{ name: 'Mira', col: 3, row: 5 }],
+    targets: [{ name: 'Goblin', distance: 30, units: 'ft' }, { name: 'Wolf', distance: null, units: 'ft' }]
+  },
+  { speaker: 'Bob', controlled: [], targets: [{ name: 'Goblin', distance: null, units: '' }] }
+]).split('\n');
+assert.equal(selection[0], '=== SPEAKER SELECTION ===');
+assert.equal(selection[1], 'Mira (Player: Ann) controls Mira at column 3, row 5; targeting Goblin (30 ft away), Wolf');
+assert.equal(selection[2], 'Bob controls no token; targeting Goblin');
+assert.ok(selection[3].includes('they mean their target'));
+
+assert.equal(
+  formatActiveEffects([{ name: 'Mira', effects: [{ name: 'Bless', duration: '2 Rounds' }, { name: 'Prone', duration: null }] }]),
+  '=== ACTIVE EFFECTS ===\nMira: Bless (2 Rounds), Prone'
+);
+
+assert.equal(dayPeriod(3), 'night');
+assert.equal(dayPeriod(6), 'dawn');
+assert.equal(dayPeriod(14), 'afternoon');
+assert.equal(dayPeriod(21), 'dusk');
+assert.equal(dayPeriod(23), 'night');
+assert.equal(
+  formatTimeOfDay({ date: '14 Hammer 1492', time: '21:30', hour: 21 }),
+  '=== TIME OF DAY ===\n14 Hammer 1492, 21:30 (dusk)'
+);
+assert.equal(formatTimeOfDay({ date: '14 Hammer 1492', time: null, hour: null }), '=== TIME OF DAY ===\n14 Hammer 1492');
+
+assert.equal(truncateText('short', 10), 'short');
+assert.equal(truncateText('the quick brown fox', 12), 'the quick…');
+
+assert.equal(
+  formatOpenJournal({ entry: 'Saltmarsh', page: 'The Haunted House', text: 'Creaking stairs.' }),
+  '=== OPEN JOURNAL PAGE ===\nSaltmarsh - The Haunted House\nCreaking stairs.'
+);
+assert.equal(formatOpenJournal({ entry: 'Notes', page: 'Notes', text: '' }), '=== OPEN JOURNAL PAGE ===\nNotes');
+const long = formatOpenJournal({ entry: 'E', page: 'P', text: 'word '.repeat(1000) });
+assert.ok(long.length < MAX_JOURNAL_CHARS + 40);
+assert.ok(long.endsWith('…'));
+
+console.log('context-pipeline tests passed');
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import {
+  findTurnCombatant,
+  isPassMessage,
+  isRoundComplete,
+  pendingCombatants
+} from '../scripts/initiative-order.mjs';
+
+const combatants = [
+  { id: 'c1', name: 'Mira', initiative: 21, isPlayerOwned: true, defeated: false, userIds: ['ann'], userNames: ['Ann'] },
+  { id: 'c2', name: 'Goblin Boss', initiative: 17, isPlayerOwned: false, defeated: false, userIds: [], userNames: [] },
+  { id: 'c3', name: 'Wolf', initiative: 14, isPlayerOwned: true, defeated: false, userIds: ['ann'], userNames: ['Ann'] },
+  { id: 'c4', name: 'Bram', initiative: 9, isPlayerOwned: true, defeated: false, userIds: ['bob'], userNames: ['Bob'] },
+  { id: 'c5', name: 'Sela', initiative: 5, isPlayerOwned: true, defeated: true, userIds: ['cy'], userNames: ['Cy'] }
+];
+
+assert.ok(isPassMessage('pass'));
+assert.ok(isPassMessage('  I pass. '));
+assert.ok(isPassMessage('Skip!'));
+assert.ok(!isPassMessage('I pass the rope to Bram'));
+
+// NPCs and defeated combatants never hold up the round
+assert.deepEqual(pendingCombatants(combatants, {}).map(c => c.id), ['c1', 'c3', 'c4']);
+
+// A player with several combatants acts for them in turn order
+const actions = {};
+assert.equal(findTurnCombatant(combatants, actions, 'ann').id, 'c1');
+actions.c1 = 'acted';
+assert.equal(findTurnCombatant(combatants, actions, 'ann').id, 'c3');
+actions.c3 = 'passed';
+assert.equal(findTurnCombatant(combatants, actions, 'ann'), null);
+assert.equal(findTurnCombatant(combatants, actions, 'gm'), null);
+
+assert.ok(!isRoundComplete(combatants, actions));
+actions.c4 = 'acted';
+assert.ok(isRoundComplete(combatants, actions));
+
+// A fight with no player-owned combatants is never complete on its own
+assert.ok(!isRoundComplete([combatants[1]], {}));
+
+console.log('initiative-order tests passed');
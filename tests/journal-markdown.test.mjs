@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { htmlToMarkdown, markdownToHtml } from '../scripts/journal-markdown.mjs';
+
+const markdown = [
+  '## The Gilded Eel',
+  '',
+  'A **dockside** tavern run by *Mira*.',
+  '',
+  '- Smuggler contacts',
+  '- Back room dice game',
+  '',
+  '| Rumor | Source |',
+  '| --- | --- |',
+  '| The harbormaster is bribed | Mira |'
+].join('\n');
+
+const html = markdownToHtml(markdown);
+assert.ok(html.startsWith('<div class="gm-prep-script">'));
+assert.ok(html.includes('<h2>The Gilded Eel</h2>'));
+assert.ok(html.includes('<ul><li>Smuggler contacts</li><li>Back room dice game</li></ul>'));
+assert.ok(html.includes('<table class="gm-prep-table">'));
+
+const notesHtml = markdownToHtml('- [ ] Find the map', 'loremaster-notes');
+assert.ok(notesHtml.includes('<ul class="loremaster-notes-checklist">'));
+assert.ok(notesHtml.startsWith('<div class="loremaster-notes-script">'));
+
+const roundTrip = htmlToMarkdown(html);
+assert.ok(roundTrip.startsWith('## The Gilded Eel'));
+assert.ok(roundTrip.includes('A **dockside** tavern run by *Mira*.'));
+assert.ok(roundTrip.includes('- Smuggler contacts\n- Back room dice game'));
+assert.ok(roundTrip.includes('| The harbormaster is bribed | Mira |'));
+
+assert.equal(htmlToMarkdown(''), '');
+assert.equal(markdownToHtml('a < b'), '<div class="gm-prep-script">a &lt; b</div>');
+
+console.log('journal-markdown tests passed');
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { formatStreamingText } from '../scripts/message-formatter.mjs';
+
+assert.equal(
+  formatStreamingText('The door creaks.\n\nA cold draft <blows> in'),
+  '<div class="loremaster-response loremaster-streaming">' +
+    '<p class="loremaster-paragraph">The door creaks.</p>' +
+    '<p class="loremaster-paragraph">A cold draft &lt;blows&gt; in</p>' +
+  '</div>'
+);
+
+// Unfinished markdown stays literal until the final formatResponse render
+assert.equal(
+  formatStreamingText('**Roll for\ninitiative'),
+  '<div class="loremaster-response loremaster-streaming"><p class="loremaster-paragraph">**Roll for<br>initiative</p></div>'
+);
+
+assert.equal(formatStreamingText(''), '<div class="loremaster-response loremaster-streaming"></div>');
+
+console.log('message-formatter streaming tests passed');
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { PlayerContext } from '../scripts/player-context.mjs';
+
+const messages = [
+  { content: 'I climb the ridge to scout ahead.', userName: 'Ann', characterName: 'Mira', isGM: false },
+  { content: 'I wait with the cart.', userName: 'Bob', characterName: 'Bram', isGM: false }
+];
+const locations = [
+  { userId: 'u1', userName: 'Ann', characterName: 'Mira', scene: 'Forest Road', near: 'Lookout Ridge' },
+  { userId: 'u2', userName: 'Bob', characterName: 'Bram', scene: 'Forest Road', near: null },
+  { userId: 'u3', userName: 'Cy', characterName: 'Sela', scene: null, near: null }
+];
+
+const prompt = PlayerContext.formatBatchForClaude(messages, [], locations);
+const lines = prompt.split('\n');
+
+assert.equal(lines[0], '=== PARTY LOCATIONS ===');
+assert.equal(lines[1], 'Mira (Player: Ann): Forest Road, near Lookout Ridge');
+assert.equal(lines[2], 'Bram (Player: Bob): Forest Road');
+assert.equal(lines[3], 'Sela (Player: Cy): not on any scene');
+assert.ok(prompt.includes('[[to: Character Name]]'));
+assert.ok(prompt.indexOf('=== PARTY LOCATIONS ===') < prompt.indexOf('=== SIMULTANEOUS PLAYER ACTIONS ==='));
+assert.ok(prompt.includes('[Mira (Player: Ann)]\nI climb the ridge to scout ahead.'));
+
+// Without locations the prompt keeps its original shape
+assert.ok(PlayerContext.formatBatchForClaude(messages).startsWith('=== SIMULTANEOUS PLAYER ACTIONS ==='));
+assert.equal(PlayerContext.formatBatchForClaude([], [], locations), '');
+
+// In combat the prompt lists turn order and asks for sequential resolution
+const initiative = {
+  round: 2,
+  combatants: [
+    { id: 'c1', name: 'Mira', initiative: 21, userNames: ['Ann'], status: 'acted' },
+    { id: 'c2', name: 'Goblin Boss', initiative: 17, userNames: [], status: null },
+    { id: 'c3', name: 'Bram', initiative: null, userNames: ['Bob'], status: 'passed', defeated: false }
+  ]
+};
+const combatPrompt = PlayerContext.formatBatchForClaude(messages, [], [], initiative);
+assert.ok(combatPrompt.startsWith('=== INITIATIVE ORDER (Round 2) ===\n'
+  + '1. Mira (Player: Ann) - initiative 21\n'
+  + '2. Goblin Boss (NPC) - initiative 17\n'
+  + '3. Bram (Player: Bob) - initiative not rolled - passed\n'));
+assert.ok(combatPrompt.includes('in initiative order'));
+assert.ok(!combatPrompt.includes('same in-game time'));
+
+console.log('player-context tests passed');
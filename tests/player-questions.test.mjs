@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import {
+  QUESTION_MODES,
+  OFF_TOPIC_MARKER,
+  buildQuestionPrompt,
+  isOffTopicAnswer,
+  questionRecipients
+} from '../scripts/player-questions.mjs';
+
+// Rules-only questions ask the model to mark anything else as off-topic
+const rules = buildQuestionPrompt('Can I sneak attack with a thrown dagger?', {
+  mode: QUESTION_MODES.RULES,
+  userName: 'Ann',
+  characterName: 'Mira'
+});
+assert.ok(rules.startsWith('[PRIVATE PLAYER QUESTION]\nAsked out of character by Ann, who plays Mira.'));
+assert.ok(rules.includes('Answer only questions about the game rules'));
+assert.ok(rules.includes(OFF_TOPIC_MARKER));
+assert.ok(rules.includes('do not treat it as canon'));
+assert.ok(rules.endsWith('\n\nQuestion: Can I sneak attack with a thrown dagger?'));
+
+// Open questions allow the character's own knowledge but no secrets
+const any = buildQuestionPrompt('What does Mira know about the Red Hand?', {
+  mode: QUESTION_MODES.ANY,
+  userName: 'Ann',
+  characterName: 'Mira'
+});
+assert.ok(any.includes('what Mira would know'));
+assert.ok(!any.includes(OFF_TOPIC_MARKER));
+assert.ok(buildQuestionPrompt('Hi', { mode: QUESTION_MODES.ANY, userName: 'Bob' }).includes('by Bob.'));
+assert.ok(buildQuestionPrompt('Hi', { mode: QUESTION_MODES.ANY, userName: 'Bob' }).includes('what their character would know'));
+
+assert.equal(isOffTopicAnswer(`  ${OFF_TOPIC_MARKER}\n`), true);
+assert.equal(isOffTopicAnswer('Yes: a thrown dagger is a finesse weapon.'), false);
+assert.equal(isOffTopicAnswer(null), false);
+
+assert.deepEqual(questionRecipients('p1', ['gm1', 'gm2']), ['p1', 'gm1', 'gm2']);
+assert.deepEqual(questionRecipients('gm1', ['gm1', 'gm2']), ['gm1', 'gm2']);
+
+console.log('player-questions tests passed');
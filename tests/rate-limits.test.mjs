@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {
+  RATE_WINDOW_MS,
+  monthKey,
+  monthlyUsage,
+  pruneWindow,
+  checkLimits,
+  usageTokens,
+  splitTokens
+} from '../scripts/rate-limits.mjs';
+
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+const limits = { requestsPerMinute: 3, maxChars: 20, monthlyTokens: 1000 };
+const usage = { month: '2026-10', tokens: 0, requests: 0 };
+
+assert.equal(monthKey(now), '2026-10');
+
+// Usage from an earlier month starts over
+assert.deepEqual(monthlyUsage({ month: '2026-09', tokens: 900, requests: 12 }, now), usage);
+assert.deepEqual(monthlyUsage({ month: '2026-10', tokens: 900, requests: 12 }, now), { month: '2026-10', tokens: 900, requests: 12 });
+assert.deepEqual(monthlyUsage(undefined, now), usage);
+
+assert.deepEqual(pruneWindow([now - RATE_WINDOW_MS, now - 1000, now], now), [now - 1000, now]);
+
+// Allowed within every limit
+assert.equal(checkLimits({ content: 'I open the door.', timestamps: [now - 5000], usage }, limits, now), null);
+
+// Too long
+assert.deepEqual(
+  checkLimits({ content: 'x'.repeat(25), timestamps: [], usage }, limits, now),
+  { reason: 'length', limit: 20, length: 25 }
+);
+
+// Too many requests; allowed again when the oldest leaves the window
+assert.deepEqual(
+  checkLimits({ content: 'Hi', timestamps: [now - 50000, now - 20000, now - 1000], usage }, limits, now),
+  { reason: 'rate', limit: 3, retryAfter: 10 }
+);
+assert.equal(checkLimits({ content: 'Hi', timestamps: [now - 70000, now - 20000, now - 1000], usage }, limits, now), null);
+
+// Budget spent
+assert.deepEqual(
+  checkLimits({ content: 'Hi', timestamps: [], usage: { ...usage, tokens: 1000 } }, limits, now),
+  { reason: 'budget', limit: 1000 }
+);
+
+// 0 means no limit
+const unlimited = { requestsPerMinute: 0, maxChars: 0, monthlyTokens: 0 };
+assert.equal(
+  checkLimits({ content: 'x'.repeat(5000), timestamps: Array(50).fill(now), usage: { ...usage, tokens: 1e9 } }, unlimited, now),
+  null
+);
+
+assert.equal(usageTokens({ inputTokens: 1200, outputTokens: 300 }), 1500);
+assert.equal(usageTokens({ input_tokens: 10, output_tokens: 5 }), 15);
+assert.equal(usageTokens({ totalTokens: 42, inputTokens: 1 }), 42);
+assert.equal(usageTokens({}), null);
+assert.equal(usageTokens(null), null);
+
+// Equal share per message; the remainder goes to the first message
+assert.deepEqual(splitTokens(100, ['a', 'b', 'a']), { a: 67, b: 33 });
+assert.deepEqual(splitTokens(10, ['a']), { a: 10 });
+assert.deepEqual(splitTokens(0, ['a']), {});
+assert.deepEqual(splitTokens(10, []), {});
+
+console.log('rate-limits tests passed');
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import {
+  TYPING_TIMEOUT_MS,
+  allPlayersDone,
+  describePlayers,
+  typingUserIds
+} from '../scripts/ready-check.mjs';
+
+const now = 100000;
+const typing = typingUserIds({ ann: now - 1000, bob: now - TYPING_TIMEOUT_MS - 1 }, now);
+assert.deepEqual(typing, ['ann']);
+
+const players = [{ id: 'ann', name: 'Ann' }, { id: 'bob', name: 'Bob' }, { id: 'cy', name: 'Cy' }];
+assert.deepEqual(describePlayers(players, { cy: 'passed' }, typing), [
+  { userId: 'ann', name: 'Ann', state: 'typing' },
+  { userId: 'bob', name: 'Bob', state: 'thinking' },
+  { userId: 'cy', name: 'Cy', state: 'passed' }
+]);
+
+// Ready or passed both count; a ready player who is still typing stays ready
+assert.equal(describePlayers(players, { ann: 'ready' }, ['ann'])[0].state, 'ready');
+assert.ok(!allPlayersDone(['ann', 'bob'], { ann: 'ready' }));
+assert.ok(allPlayersDone(['ann', 'bob'], { ann: 'ready', bob: 'passed' }));
+assert.ok(!allPlayersDone([], {}));
+
+console.log('ready-check tests passed');
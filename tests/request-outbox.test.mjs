@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { MemoryOutboxStore, RequestOutbox } from '../scripts/request-outbox.mjs';
+
+const store = new MemoryOutboxStore();
+const depths = [];
+const outbox = new RequestOutbox(store, { onChange: size => depths.push(size) });
+await outbox.load();
+
+assert.equal(await outbox.add({ clientRequestId: 'chat_1', type: 'chat', payload: { message: 'first' } }), true);
+assert.equal(await outbox.add({ clientRequestId: 'batch-2', type: 'chat-batch', payload: { batchId: 'batch-2' } }), true);
+
+// The same request is only queued once
+assert.equal(await outbox.add({ clientRequestId: 'chat_1', type: 'chat', payload: { message: 'again' } }), false);
+assert.equal(outbox.size, 2);
+assert.equal(outbox.list()[0].payload.message, 'first');
+
+// Entries queued in the same millisecond keep their order after a reload
+const reloaded = new RequestOutbox(store);
+await reloaded.load();
+assert.deepEqual(reloaded.list().map(e => e.clientRequestId), ['chat_1', 'batch-2']);
+assert.ok(reloaded.list()[1].queuedAt > reloaded.list()[0].queuedAt);
+
+await outbox.remove('chat_1');
+assert.ok(!outbox.has('chat_1'));
+assert.deepEqual((await store.getAll()).map(e => e.clientRequestId), ['batch-2']);
+
+await outbox.clear();
+assert.equal(outbox.size, 0);
+assert.deepEqual(depths, [0, 1, 2, 1, 0]);
+
+// A store that can't be read leaves an empty, usable outbox
+const broken = new RequestOutbox({ getAll: async () => { throw new Error('blocked'); }, put: async () => {} });
+const warn = console.warn;
+console.warn = () => {};
+await broken.load();
+assert.equal(await broken.add({ clientRequestId: 'chat_3', type: 'chat', payload: {} }), true);
+console.warn = warn;
+assert.equal(broken.size, 1);
+
+console.log('request-outbox tests passed');
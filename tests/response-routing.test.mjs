@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { splitAddressedSections, visibleSharedText } from '../scripts/response-routing.mjs';
+
+const response = `The party reaches the crossroads.
+
+[[to: Mira]]
+From the ridge you spot torchlight moving between the trees.
+[[/to]]
+
+Rain begins to fall.
+[[TO: Bram, Sela]]You both hear a wolf howl.[[/to]]`;
+
+const { shared, sections } = splitAddressedSections(response);
+assert.equal(shared, 'The party reaches the crossroads.\n\nRain begins to fall.');
+assert.deepEqual(sections, [
+  { recipients: ['Mira'], text: 'From the ridge you spot torchlight moving between the trees.' },
+  { recipients: ['Bram', 'Sela'], text: 'You both hear a wolf howl.' }
+]);
+
+// No sections: everything is shared
+assert.deepEqual(splitAddressedSections('Just narration.'), { shared: 'Just narration.', sections: [] });
+
+// Empty sections are dropped
+assert.deepEqual(splitAddressedSections('A [[to: Mira]] [[/to]]B').sections, []);
+
+// A section that is never closed runs to the end and stays private
+assert.deepEqual(splitAddressedSections('The door opens.\n\n[[to: Mira]]\nYou see a trap.'), {
+  shared: 'The door opens.',
+  sections: [{ recipients: ['Mira'], text: 'You see a trap.' }]
+});
+assert.deepEqual(splitAddressedSections('A\n[[to: Bram]]x[[/to]]\nB\n[[to: Mira]]y'), {
+  shared: 'A\n\nB',
+  sections: [{ recipients: ['Bram'], text: 'x' }, { recipients: ['Mira'], text: 'y' }]
+});
+assert.deepEqual(splitAddressedSections('The door opens. [[to: Mira'), { shared: 'The door opens.', sections: [] });
+
+// While streaming, an unclosed section and a half-written marker stay hidden
+assert.equal(visibleSharedText('The door opens.\n\n[[to: Mira]]\nYou see a tr'), 'The door opens.');
+assert.equal(visibleSharedText('The door opens. [[t'), 'The door opens.');
+assert.equal(visibleSharedText('The door opens. ['), 'The door opens.');
+assert.equal(visibleSharedText('A\n\n[[to: Mira]]secret[[/to]]\n\nB'), 'A\n\nB');
+
+console.log('response-routing tests passed');
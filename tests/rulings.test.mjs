@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import {
+  RULING_TYPES,
+  normalizeRuling,
+  rulingToMarkdown,
+  appendRulingsToMarkdown
+} from '../scripts/rulings.mjs';
+
+// Server rulings come in snake_case
+const flanking = normalizeRuling({
+  id: 4,
+  rule_context: 'Flanking',
+  gm_ruling: 'Flanking grants +2 to hit instead of advantage.',
+  ruling_type: 'persistent',
+  created_at: '2026-10-12T20:00:00Z'
+});
+assert.deepEqual(flanking, {
+  id: 4,
+  ruleContext: 'Flanking',
+  gmRuling: 'Flanking grants +2 to hit instead of advantage.',
+  rulingType: RULING_TYPES.PERSISTENT,
+  foundryInterpretation: null,
+  pdfInterpretation: null,
+  createdAt: '2026-10-12T20:00:00Z'
+});
+
+const potion = normalizeRuling({ rulingId: 5, ruleContext: '', gmRuling: 'Drinking a potion is a bonus action tonight.', rulingType: 'session' });
+assert.equal(potion.id, 5);
+assert.equal(potion.rulingType, RULING_TYPES.SESSION);
+assert.equal(normalizeRuling({ id: 6 }).rulingType, RULING_TYPES.PERSISTENT);
+
+assert.equal(rulingToMarkdown(flanking), '## Flanking\n\nFlanking grants +2 to hit instead of advantage.');
+assert.equal(rulingToMarkdown(potion), '## GM Ruling\n\nDrinking a potion is a bonus action tonight.');
+
+// Appends new rulings and skips ones already in the document
+const doc = '# House Rules\n\n## Flanking\n\nFlanking grants +2 to hit instead of advantage.';
+const result = appendRulingsToMarkdown(doc, [flanking, potion, potion]);
+assert.equal(result.added, 1);
+assert.equal(result.markdown, `${doc}\n\n## GM Ruling\n\nDrinking a potion is a bonus action tonight.`);
+
+assert.deepEqual(appendRulingsToMarkdown(doc, [flanking]), { markdown: doc, added: 0 });
+assert.deepEqual(appendRulingsToMarkdown('', [flanking]), { markdown: rulingToMarkdown(flanking), added: 1 });
+
+console.log('rulings tests passed');
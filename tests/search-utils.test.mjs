@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import {
+  SNIPPET_RADIUS,
+  messageRecord,
+  canonRecord,
+  buildSnippet,
+  searchRecords
+} from '../scripts/search-utils.mjs';
+
+const conversation = { id: 'c1', title: 'Saltmarsh' };
+const at = (day, hour) => new Date(2026, 9, day, hour).toISOString();
+
+const records = [
+  messageRecord({ id: 1, role: 'user', content: 'Who is the Emir of Ghazali?', created_at: at(5, 20) }, conversation),
+  messageRecord({ id: 2, role: 'assistant', content: 'The Emir receives you in his garden.', created_at: at(5, 21) }, conversation),
+  messageRecord({ id: 3, role: 'assistant', content: 'The ship sails at dawn.', created_at: at(12, 20) }, { id: 'c2', title: null }),
+  canonRecord({ id: 9, content: 'The party met the Emir at the palace.', createdAt: new Date(2026, 9, 12, 22) })
+];
+
+assert.equal(records[0].role, 'player');
+assert.equal(records[1].role, 'ai');
+assert.equal(records[2].conversationTitle, null);
+assert.equal(records[3].source, 'canon');
+assert.equal(messageRecord({ id: 4, role: 'user', content: 'x', created_at: 'garbage' }, conversation).createdAt, null);
+
+const ids = (search) => search.results.map(r => `${r.record.source}:${r.record.id}`);
+
+// Newest first; every word must match, ignoring case
+assert.deepEqual(ids(searchRecords(records, { query: 'emir' })), ['canon:9', 'conversation:2', 'conversation:1']);
+assert.deepEqual(ids(searchRecords(records, { query: 'EMIR garden' })), ['conversation:2']);
+assert.deepEqual(searchRecords(records, { query: '  ' }), { results: [], total: 0 });
+
+// Role and date range filters
+assert.deepEqual(ids(searchRecords(records, { query: 'emir', role: 'player' })), ['conversation:1']);
+assert.deepEqual(ids(searchRecords(records, { query: 'emir', role: 'ai' })), ['canon:9', 'conversation:2']);
+assert.deepEqual(ids(searchRecords(records, { query: 'the', from: '2026-10-12' })), ['canon:9', 'conversation:3']);
+assert.deepEqual(ids(searchRecords(records, { query: 'the', to: '2026-10-05' })), ['conversation:2', 'conversation:1']);
+assert.deepEqual(ids(searchRecords(records, { query: 'the', from: '2026-10-06', to: '2026-10-11' })), []);
+
+assert.deepEqual(buildSnippet('Who is the Emir of Ghazali?', ['emir', 'ghazali']), [
+  { text: 'Who is the ', match: false },
+  { text: 'Emir', match: true },
+  { text: ' of ', match: false },
+  { text: 'Ghazali', match: true },
+  { text: '?', match: false }
+]);
+
+// Long texts are cut around the first match
+const long = `${'a'.repeat(200)} the Emir ${'b'.repeat(200)}`;
+const snippet = buildSnippet(long, ['emir']);
+assert.equal(snippet[0].text, '…');
+assert.equal(snippet[snippet.length - 1].text, '…');
+assert.deepEqual(snippet.filter(p => p.match).map(p => p.text), ['Emir']);
+assert.ok(snippet.map(p => p.text).join('').length <= SNIPPET_RADIUS * 2 + 'emir'.length + 2);
+
+console.log('search-utils tests passed');
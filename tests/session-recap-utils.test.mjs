@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { recapEntries, buildSessionRecapPrompt } from '../scripts/session-recap-utils.mjs';
+
+const entry = (id, sessionDate, hour) => ({
+  id,
+  content: `Event ${id}.`,
+  sessionDate,
+  createdAt: new Date(`${sessionDate}T${String(hour).padStart(2, '0')}:00:00`)
+});
+
+const entries = [
+  entry(5, '2026-10-19', 20),
+  entry(4, '2026-10-12', 22),
+  entry(3, '2026-10-12', 21),
+  entry(2, '2026-10-05', 20),
+  entry(1, '2026-09-28', 20),
+  { id: 0, content: 'Undated.', sessionDate: null, createdAt: null }
+];
+const ids = (list) => list.map(e => e.id);
+
+// Everything since the last session started, oldest first; today's canon is left out
+assert.deepEqual(ids(recapEntries(entries, { today: '2026-10-19', since: '2026-10-05' })), [2, 3, 4]);
+
+// A prep-only day in between still recaps the last session with canon
+assert.deepEqual(ids(recapEntries(entries, { today: '2026-10-19', since: '2026-10-15' })), [3, 4]);
+
+// Without a known last session, the most recent session with canon
+assert.deepEqual(ids(recapEntries(entries, { today: '2026-10-19' })), [3, 4]);
+assert.deepEqual(ids(recapEntries(entries, { today: '2026-10-26' })), [5]);
+
+assert.deepEqual(recapEntries(entries, { today: '2026-09-28' }), []);
+assert.deepEqual(recapEntries([], { today: '2026-10-19', since: '2026-10-12' }), []);
+
+const prompt = buildSessionRecapPrompt(recapEntries(entries, { today: '2026-10-19' }));
+assert.ok(prompt.startsWith('[SESSION RECAP]\n'));
+assert.ok(prompt.endsWith('Canon:\nEvent 3.\n\nEvent 4.'));
+
+console.log('session-recap-utils tests passed');
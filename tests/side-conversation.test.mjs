@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import {
+  ConversationLock,
+  checkSideConversationId,
+  runInSideConversation,
+  storedSideConversationId
+} from '../scripts/side-conversation.mjs';
+
+// A fake proxy that stores chats in whichever conversation is active
+function fakeApi({ newId = 'thread-1' } = {}) {
+  const api = {
+    active: 'story',
+    calls: [],
+    stored: {},
+    async newConversation(title) {
+      api.calls.push(['new', title]);
+      api.active = newId;
+      return { conversationId: newId };
+    },
+    async switchConversation(id) {
+      api.calls.push(['switch', id]);
+      api.active = id;
+      return {};
+    },
+    async deleteConversation(id) {
+      api.calls.push(['delete', id]);
+      return {};
+    },
+    async chat(message) {
+      (api.stored[api.active] ||= []).push(message);
+      return { response: 'ok', conversationId: api.active };
+    }
+  };
+  return api;
+}
+
+assert.equal(checkSideConversationId('thread-1', 'story'), 'thread-1');
+assert.throws(() => checkSideConversationId(undefined, 'story'), /did not return a conversation/);
+assert.throws(() => checkSideConversationId('story', 'story'), /campaign conversation/);
+
+assert.equal(storedSideConversationId('consult', 'story'), 'consult');
+assert.equal(storedSideConversationId('story', 'story'), null);
+assert.equal(storedSideConversationId('', 'story'), null);
+
+// One-off request: new thread, switch back, delete the thread
+{
+  const api = fakeApi();
+  const { result, conversationId } = await runInSideConversation(api, { narrativeId: 'story', title: 'Recap' }, () => api.chat('recap please'));
+  assert.equal(result.response, 'ok');
+  assert.equal(conversationId, 'thread-1');
+  assert.deepEqual(api.stored, { 'thread-1': ['recap please'] });
+  assert.equal(api.active, 'story');
+  assert.deepEqual(api.calls, [['new', 'Recap'], ['switch', 'story'], ['delete', 'thread-1']]);
+}
+
+// Persistent thread: reuse it and keep it
+{
+  const api = fakeApi();
+  await runInSideConversation(api, { narrativeId: 'story', conversationId: 'consult', persist: true }, () => api.chat('idea?'));
+  assert.deepEqual(api.stored, { consult: ['idea?'] });
+  assert.deepEqual(api.calls, [['switch', 'consult'], ['switch', 'story']]);
+}
+
+// Fails closed: unknown campaign conversation, stored thread equal to it,
+// a new thread without an ID or with the campaign conversation's ID
+{
+  const api = fakeApi();
+  const send = () => api.chat('secret');
+  await assert.rejects(runInSideConversation(api, { narrativeId: null, title: 'Q' }, send), /not known yet/);
+  await assert.rejects(runInSideConversation(api, { narrativeId: 'story', conversationId: 'story', persist: true }, send), /campaign conversation/);
+
+  const missing = fakeApi({ newId: null });
+  await assert.rejects(runInSideConversation(missing, { narrativeId: 'story', title: 'Q' }, () => missing.chat('secret')), /did not return/);
+  assert.equal(missing.active, 'story');
+
+  const same = fakeApi({ newId: 'story' });
+  await assert.rejects(runInSideConversation(same, { narrativeId: 'story', title: 'Q' }, () => same.chat('secret')), /campaign conversation/);
+  assert.ok(!same.calls.some(([op]) => op === 'delete'));
+
+  assert.deepEqual(api.stored, {});
+}
+
+// A chat the proxy stored elsewhere is an error; the thread is still cleaned up
+{
+  const api = fakeApi();
+  await assert.rejects(
+    runInSideConversation(api, { narrativeId: 'story', title: 'Q' }, async () => ({ response: 'x', conversationId: 'other' })),
+    /outside its private thread/
+  );
+  assert.equal(api.active, 'story');
+  assert.deepEqual(api.calls.at(-1), ['delete', 'thread-1']);
+}
+
+// Exclusive runs wait for chats in progress, and later chats wait for them
+{
+  const lock = new ConversationLock();
+  const order = [];
+  const later = (ms, label) => new Promise(resolve => setTimeout(() => { order.push(label); resolve(label); }, ms));
+
+  const first = lock.shared(() => later(20, 'chat 1'));
+  const side = lock.exclusive(() => later(5, 'side'));
+  const second = lock.shared(() => later(1, 'chat 2'));
+  await Promise.all([first, side, second]);
+  assert.deepEqual(order, ['chat 1', 'side', 'chat 2']);
+
+  // A failed run doesn't block the lock
+  await assert.rejects(lock.exclusive(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await lock.shared(async () => 'after'), 'after');
+}
+
+console.log('side-conversation tests passed');
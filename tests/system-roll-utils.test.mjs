@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import {
+  cocMeetsDifficulty,
+  cocSuccessLevel,
+  pf2eDegreeOfSuccess,
+  pf2eMultipleAttackPenalty,
+  resolveDnd5eAbility,
+  resolvePercentile
+} from '../scripts/system-roll-utils.mjs';
+
+assert.equal(pf2eDegreeOfSuccess(25, 12, 15), 'critical_success');
+assert.equal(pf2eDegreeOfSuccess(15, 10, 15), 'success');
+assert.equal(pf2eDegreeOfSuccess(14, 10, 15), 'failure');
+assert.equal(pf2eDegreeOfSuccess(5, 3, 15), 'critical_failure');
+assert.equal(pf2eDegreeOfSuccess(16, 20, 15), 'critical_success');
+assert.equal(pf2eDegreeOfSuccess(15, 1, 15), 'failure');
+assert.equal(pf2eDegreeOfSuccess(30, 20, 15), 'critical_success');
+assert.equal(pf2eDegreeOfSuccess(2, 1, 15), 'critical_failure');
+
+assert.equal(pf2eMultipleAttackPenalty(1), 0);
+assert.equal(pf2eMultipleAttackPenalty(2), -5);
+assert.equal(pf2eMultipleAttackPenalty(3), -10);
+assert.equal(pf2eMultipleAttackPenalty(4, true), -8);
+assert.equal(pf2eMultipleAttackPenalty(2, true), -4);
+
+assert.equal(resolvePercentile(5, [3]), 35);
+assert.equal(resolvePercentile(0, [0]), 100);
+assert.equal(resolvePercentile(4, [7, 2], 1), 24);
+assert.equal(resolvePercentile(4, [7, 2], -1), 74);
+assert.equal(resolvePercentile(0, [0, 5], 1), 50);
+
+assert.equal(cocSuccessLevel(1, 10), 'critical');
+assert.equal(cocSuccessLevel(100, 90), 'fumble');
+assert.equal(cocSuccessLevel(97, 40), 'fumble');
+assert.equal(cocSuccessLevel(97, 99), 'regular');
+assert.equal(cocSuccessLevel(12, 60), 'extreme');
+assert.equal(cocSuccessLevel(30, 60), 'hard');
+assert.equal(cocSuccessLevel(60, 60), 'regular');
+assert.equal(cocSuccessLevel(61, 60), 'failure');
+
+assert.equal(cocMeetsDifficulty('regular'), true);
+assert.equal(cocMeetsDifficulty('regular', 'hard'), false);
+assert.equal(cocMeetsDifficulty('critical', 'extreme'), true);
+assert.equal(cocMeetsDifficulty('failure'), false);
+
+assert.equal(resolveDnd5eAbility('Dexterity'), 'dex');
+assert.equal(resolveDnd5eAbility(' WIS '), 'wis');
+assert.equal(resolveDnd5eAbility('const'), 'con');
+assert.equal(resolveDnd5eAbility('Geschicklichkeit', { dex: 'Geschicklichkeit', str: '' }), 'dex');
+
+// A missing ability must not fall through to the first one (Strength)
+assert.throws(() => resolveDnd5eAbility(undefined), /No ability given/);
+assert.throws(() => resolveDnd5eAbility('', { str: '' }), /No ability given/);
+assert.throws(() => resolveDnd5eAbility('luck'), /Unknown ability: luck/);
+assert.throws(() => resolveDnd5eAbility('c'), /Unknown ability/);
+
+console.log('system-roll-utils tests passed');